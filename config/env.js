@@ -1,12 +1,147 @@
 import dotenv from "dotenv";
 dotenv.config();
 
+// A numeric setting where 0 is a valid value (a plain `|| fallback` would replace it)
+const numberSetting = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
 const config = {
   PORT: process.env.PORT || 5000,
   MONGO_URI: process.env.MONGO_URI,
   JWT_SECRET: process.env.JWT_SECRET,
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || "90d",
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || "15m",
+  REFRESH_TOKEN_EXPIRES_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30,
   NODE_ENV: process.env.NODE_ENV || "development",
+  // Express 'trust proxy': number of proxy hops (e.g. 1 behind Render's load
+  // balancer), true/false, or a subnet list. Off unless set.
+  TRUST_PROXY: process.env.TRUST_PROXY === undefined || process.env.TRUST_PROXY === "false"
+    ? false
+    : process.env.TRUST_PROXY === "true"
+      ? true
+      : /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY,
+
+  // SMS delivery. The outbox provider only records messages, so production
+  // refuses to start with it (see assertSmsConfigured).
+  SMS_PROVIDER: process.env.SMS_PROVIDER || "outbox",
+  SMS_API_KEY: process.env.SMS_API_KEY,
+  SMS_API_TOKEN: process.env.SMS_API_TOKEN,
+  SMS_API_URL: process.env.SMS_API_URL,
+  SMS_SENDER_ID: process.env.SMS_SENDER_ID,
+  // The fallback is a different vendor, with its own credentials
+  SMS_FALLBACK_PROVIDER: process.env.SMS_FALLBACK_PROVIDER,
+  SMS_FALLBACK_API_KEY: process.env.SMS_FALLBACK_API_KEY,
+  SMS_FALLBACK_API_TOKEN: process.env.SMS_FALLBACK_API_TOKEN,
+  SMS_FALLBACK_API_URL: process.env.SMS_FALLBACK_API_URL,
+  SMS_FALLBACK_SENDER_ID: process.env.SMS_FALLBACK_SENDER_ID,
+  SMS_OUTBOX_FILE: process.env.SMS_OUTBOX_FILE,
+  SMS_MAX_ATTEMPTS: parseInt(process.env.SMS_MAX_ATTEMPTS, 10) || 2,
+  // Wait before retrying a failed send; doubles after each attempt
+  SMS_RETRY_DELAY_MS: process.env.SMS_RETRY_DELAY_MS !== undefined
+    ? parseInt(process.env.SMS_RETRY_DELAY_MS, 10)
+    : 500,
+
+  // Email delivery
+  EMAIL_PROVIDER: process.env.EMAIL_PROVIDER || "outbox",
+  EMAIL_API_KEY: process.env.EMAIL_API_KEY,
+  EMAIL_API_URL: process.env.EMAIL_API_URL,
+  EMAIL_FROM: process.env.EMAIL_FROM || "no-reply@mechanicbd.com",
+  EMAIL_OUTBOX_FILE: process.env.EMAIL_OUTBOX_FILE,
+
+  // Payment gateways. In "mock" mode every online method goes through the
+  // local sandbox (npm run mock:gateway) instead of the real providers.
+  PAYMENT_GATEWAY_MODE: process.env.PAYMENT_GATEWAY_MODE
+    || ((process.env.NODE_ENV || "development") === "production" ? "live" : "mock"),
+  MOCK_GATEWAY_URL: process.env.MOCK_GATEWAY_URL || "http://localhost:4010",
+  MOCK_GATEWAY_WEBHOOK_SECRET: process.env.MOCK_GATEWAY_WEBHOOK_SECRET || "mock-webhook-secret",
+  // Signed webhooks older (or newer) than this are refused as replays
+  PAYMENT_WEBHOOK_TOLERANCE_SECONDS: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+  // Where gateways send the customer back to: our callback, then the app
+  PUBLIC_API_URL: process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`,
+  FRONTEND_URL: process.env.FRONTEND_URL || "http://localhost:3000",
+  BKASH_BASE_URL: process.env.BKASH_BASE_URL || "https://tokenized.sandbox.bka.sh/v1.2.0-beta",
+  BKASH_APP_KEY: process.env.BKASH_APP_KEY,
+  BKASH_APP_SECRET: process.env.BKASH_APP_SECRET,
+  BKASH_USERNAME: process.env.BKASH_USERNAME,
+  BKASH_PASSWORD: process.env.BKASH_PASSWORD,
+  // SNS topic bKash publishes webhooks to (required with bKash); other topics are refused
+  BKASH_WEBHOOK_TOPIC_ARN: process.env.BKASH_WEBHOOK_TOPIC_ARN,
+  NAGAD_BASE_URL: process.env.NAGAD_BASE_URL || "http://sandbox.mynagad.com:10080/remote-payment-gateway-1.0",
+  NAGAD_MERCHANT_ID: process.env.NAGAD_MERCHANT_ID,
+  NAGAD_MERCHANT_NUMBER: process.env.NAGAD_MERCHANT_NUMBER,
+  NAGAD_PG_PUBLIC_KEY: process.env.NAGAD_PG_PUBLIC_KEY,
+  NAGAD_MERCHANT_PRIVATE_KEY: process.env.NAGAD_MERCHANT_PRIVATE_KEY,
+  // SSLCommerz carries Rocket, upay, tap, SureCash and cards
+  SSLCOMMERZ_BASE_URL: process.env.SSLCOMMERZ_BASE_URL || "https://sandbox.sslcommerz.com",
+  SSLCOMMERZ_STORE_ID: process.env.SSLCOMMERZ_STORE_ID,
+  SSLCOMMERZ_STORE_PASSWORD: process.env.SSLCOMMERZ_STORE_PASSWORD,
+
+  // One-time passwords
+  OTP_SECRET: process.env.OTP_SECRET || process.env.JWT_SECRET,
+  OTP_EXPIRES_MINUTES: parseInt(process.env.OTP_EXPIRES_MINUTES, 10) || 10,
+  OTP_MAX_ATTEMPTS: parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+  OTP_RESEND_COOLDOWN_SECONDS: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60,
+  OTP_DAILY_LIMIT: parseInt(process.env.OTP_DAILY_LIMIT, 10) || 10,
+  // How long a requested phone/email change waits for confirmation
+  CONTACT_CHANGE_EXPIRES_MINUTES: parseInt(process.env.CONTACT_CHANGE_EXPIRES_MINUTES, 10) || 30,
+
+  // File uploads
+  CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME,
+  CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY,
+  CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET,
+  UPLOAD_DIR: process.env.UPLOAD_DIR || "uploads",
+  UPLOAD_MAX_FILE_SIZE_MB: parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB, 10) || 5,
+
+  // Field-level encryption of personal data ("v2:<base64 key>,v1:<base64 key>")
+  FIELD_ENCRYPTION_KEYS: process.env.FIELD_ENCRYPTION_KEYS,
+  FIELD_ENCRYPTION_ACTIVE_KEY: process.env.FIELD_ENCRYPTION_ACTIVE_KEY,
+  BLIND_INDEX_SECRET: process.env.BLIND_INDEX_SECRET,
+
+  // Booking scheduling
+  BOOKING_DEFAULT_DURATION_MINUTES: parseInt(process.env.BOOKING_DEFAULT_DURATION_MINUTES, 10) || 60,
+  // Gap kept free between two jobs of the same mechanic for travel
+  BOOKING_TRAVEL_BUFFER_MINUTES: process.env.BOOKING_TRAVEL_BUFFER_MINUTES !== undefined
+    ? parseInt(process.env.BOOKING_TRAVEL_BUFFER_MINUTES, 10)
+    : 30,
+  // Slot listing: step between offered start times, and working hours used
+  // for days a service has no schedule for
+  BOOKING_SLOT_INTERVAL_MINUTES: parseInt(process.env.BOOKING_SLOT_INTERVAL_MINUTES, 10) || 30,
+  BOOKING_DEFAULT_DAY_START: process.env.BOOKING_DEFAULT_DAY_START || '09:00',
+  BOOKING_DEFAULT_DAY_END: process.env.BOOKING_DEFAULT_DAY_END || '18:00',
+  BOOKING_SLOTS_MAX_DAYS: parseInt(process.env.BOOKING_SLOTS_MAX_DAYS, 10) || 31,
+  // Recurring series: how far ahead occurrences are booked
+  BOOKING_SERIES_HORIZON_DAYS: parseInt(process.env.BOOKING_SERIES_HORIZON_DAYS, 10) || 60,
+  // Share of each completed booking the platform keeps when no commission rule matches
+  PLATFORM_COMMISSION_PERCENT: numberSetting(process.env.PLATFORM_COMMISSION_PERCENT, 15),
+  // Payouts: smallest request, and how long new earnings wait (for disputes) before they can be paid out
+  PAYOUT_MINIMUM_AMOUNT: numberSetting(process.env.PAYOUT_MINIMUM_AMOUNT, 500),
+  PAYOUT_HOLD_DAYS: parseInt(process.env.PAYOUT_HOLD_DAYS, 10) || 3,
+  // How long a stored Idempotency-Key response is replayed for retries
+  IDEMPOTENCY_KEY_TTL_HOURS: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24,
+
+  // Background jobs (services/scheduler.service.js)
+  SCHEDULER_ENABLED: process.env.SCHEDULER_ENABLED !== 'false',
+  // A booking not started this long after its start time is flagged overdue
+  BOOKING_OVERDUE_GRACE_MINUTES: parseInt(process.env.BOOKING_OVERDUE_GRACE_MINUTES, 10) || 30,
+
+  // Cancellation policy used when no policy is configured for a service or
+  // category. No fees unless set here or by a stored policy.
+  CANCELLATION_FREE_HOURS: parseInt(process.env.CANCELLATION_FREE_HOURS, 10) || 24,
+  CANCELLATION_LATE_FEE_PERCENT: parseFloat(process.env.CANCELLATION_LATE_FEE_PERCENT) || 0,
+  CANCELLATION_MECHANIC_PENALTY_PERCENT: parseFloat(process.env.CANCELLATION_MECHANIC_PENALTY_PERCENT) || 0,
+
+  // Account deletion
+  ACCOUNT_DELETION_GRACE_DAYS: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14,
+
+  // Login protection
+  LOGIN_MAX_FAILED_ATTEMPTS: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5,
+  LOGIN_LOCKOUT_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  LOGIN_MAX_LOCKOUT_MINUTES: parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES, 10) || 24 * 60,
+  // OTP challenge for logins from a new device or IP (off in development unless enabled)
+  LOGIN_CHALLENGE_ENABLED: process.env.LOGIN_CHALLENGE_ENABLED
+    ? process.env.LOGIN_CHALLENGE_ENABLED === "true"
+    : (process.env.NODE_ENV || "development") !== "development",
 };
 
 // Debug: Check if JWT_SECRET is loaded
@@ -0,0 +1,103 @@
+// Permission registry: every protected action has a named permission,
+// and each role is granted a set of them. Routes check permissions
+// (requirePermission in auth.controller.js), never role names.
+
+export const PERMISSIONS = {
+  // Customer actions
+  BOOKINGS_CREATE: 'bookings:create',
+  PAYMENTS_CREATE: 'payments:create',
+  REVIEWS_WRITE: 'reviews:write',
+  REFUNDS_REQUEST: 'refunds:request',
+  DISPUTES_OPEN: 'disputes:open',
+
+  // Mechanic actions
+  BOOKINGS_FULFIL: 'bookings:fulfil',
+  SERVICES_WRITE: 'services:write',
+  KYC_SUBMIT: 'kyc:submit',
+  TIME_OFF_WRITE: 'time_off:write',
+  PAYOUTS_REQUEST: 'payouts:request',
+
+  // Staff actions
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  USERS_MANAGE_ROLES: 'users:manage_roles',
+  USERS_DELETE: 'users:delete',
+  AUDIT_READ: 'audit:read',
+  SECURITY_READ: 'security:read',
+  SMS_LOGS_READ: 'sms_logs:read',
+  STATS_READ: 'stats:read',
+  GUESTS_READ: 'guests:read',
+  KYC_REVIEW: 'kyc:review',
+  SERVICES_MODERATE: 'services:moderate',
+  REVIEWS_MODERATE: 'reviews:moderate',
+  BOOKINGS_READ_ALL: 'bookings:read_all',
+  BOOKINGS_MANAGE: 'bookings:manage',
+  PAYMENTS_READ_ALL: 'payments:read_all',
+  PAYMENTS_MANAGE: 'payments:manage',
+  LEDGER_READ: 'ledger:read',
+  PAYOUTS_MANAGE: 'payouts:manage',
+  COMMISSION_MANAGE: 'commission:manage',
+  REFUNDS_MANAGE: 'refunds:manage',
+  DISPUTES_MANAGE: 'disputes:manage',
+  PERMISSIONS_READ: 'permissions:read',
+  HOLIDAYS_MANAGE: 'holidays:manage',
+  POLICIES_MANAGE: 'policies:manage'
+};
+
+const P = PERMISSIONS;
+
+export const ROLE_PERMISSIONS = {
+  customer: [P.BOOKINGS_CREATE, P.PAYMENTS_CREATE, P.REVIEWS_WRITE, P.REFUNDS_REQUEST, P.DISPUTES_OPEN],
+
+  mechanic: [P.BOOKINGS_FULFIL, P.SERVICES_WRITE, P.KYC_SUBMIT, P.TIME_OFF_WRITE, P.DISPUTES_OPEN, P.PAYOUTS_REQUEST],
+
+  // Answers customer questions; read-only access to accounts and activity
+  support_agent: [
+    P.USERS_READ, P.BOOKINGS_READ_ALL, P.PAYMENTS_READ_ALL, P.SMS_LOGS_READ,
+    P.SECURITY_READ, P.GUESTS_READ, P.STATS_READ
+  ],
+
+  // Handles money: payments, refunds, disputes, payouts and reporting
+  finance_admin: [
+    P.USERS_READ, P.BOOKINGS_READ_ALL, P.PAYMENTS_READ_ALL, P.PAYMENTS_MANAGE, P.REFUNDS_MANAGE,
+    P.DISPUTES_MANAGE, P.LEDGER_READ, P.PAYOUTS_MANAGE, P.COMMISSION_MANAGE, P.STATS_READ
+  ],
+
+  // Keeps the marketplace clean: listings, reviews and mechanic identity checks
+  moderator: [P.USERS_READ, P.SERVICES_MODERATE, P.REVIEWS_MODERATE, P.KYC_REVIEW],
+
+  admin: Object.values(PERMISSIONS)
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that work on the platform rather than use it
+export const STAFF_ROLES = ['support_agent', 'finance_admin', 'moderator', 'admin'];
+
+// Roles anyone can sign up with; staff roles are only granted by an admin
+export const SIGNUP_ROLES = ['customer', 'mechanic'];
+
+// Check whether a role grants a permission
+export const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+// Row filter for listing bookings or payments: no filter with the read-all
+// permission, otherwise only the user's own jobs (as mechanic) or bookings
+// (as customer). Null when the role may see none.
+export const participantScope = (user, readAllPermission) => {
+  if (hasPermission(user.role, readAllPermission)) return {};
+  if (hasPermission(user.role, PERMISSIONS.BOOKINGS_FULFIL)) return { mechanic: user._id };
+  if (hasPermission(user.role, PERMISSIONS.BOOKINGS_CREATE)) return { customer: user._id };
+  return null;
+};
+
+export default {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  SIGNUP_ROLES,
+  hasPermission,
+  participantScope
+};
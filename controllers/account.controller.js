@@ -0,0 +1,140 @@
+import User from "../models/user.model.js";
+import {
+  buildDataExport,
+  buildDataExportZip,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  processDueAccountDeletions,
+} from "../services/account.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+// Helper function to send service errors
+const sendAccountError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    status: 'error',
+    message: error.statusCode ? error.message : fallbackMessage,
+    ...(error.statusCode ? error.details : { error: error.message })
+  });
+};
+
+// Download a copy of everything stored about the current user (?format=json|zip)
+export const exportMyData = async (req, res) => {
+  try {
+    const format = req.query.format === 'zip' ? 'zip' : 'json';
+    const data = await buildDataExport(req.user._id);
+    const fileName = `mechanicbd-data-${req.user._id}-${data.exportedAt.slice(0, 10)}`;
+
+    await recordAudit({
+      req,
+      action: 'account.data_exported',
+      targetUser: req.user._id,
+      metadata: { format }
+    });
+
+    if (format === 'zip') {
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+      return res.status(200).send(buildDataExportZip(data));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.status(200).json(data);
+  } catch (error) {
+    sendAccountError(res, error, 'Error exporting account data');
+  }
+};
+
+// Current deletion status
+export const getDeletionStatus = async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      deletionRequestedAt: req.user.deletionRequestedAt || null,
+      deletionScheduledFor: req.user.deletionScheduledFor || null
+    }
+  });
+};
+
+// Schedule account deletion after the grace period (password required)
+export const requestDeletion = async (req, res) => {
+  try {
+    const { password, reason } = req.body;
+    if (!password) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide your password to confirm'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await user.correctPassword(password, user.password))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Password is incorrect'
+      });
+    }
+
+    await requestAccountDeletion(user, { reason });
+
+    await recordAudit({
+      req,
+      action: 'account.deletion_requested',
+      targetUser: user._id,
+      reason,
+      metadata: { deletionScheduledFor: user.deletionScheduledFor }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your account is scheduled for deletion. You can cancel until then.',
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    sendAccountError(res, error, 'Error scheduling account deletion');
+  }
+};
+
+// Cancel a scheduled deletion during the grace period
+export const cancelDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    await cancelAccountDeletion(user);
+
+    await recordAudit({
+      req,
+      action: 'account.deletion_cancelled',
+      targetUser: user._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    sendAccountError(res, error, 'Error cancelling account deletion');
+  }
+};
+
+// Admin: Anonymize accounts whose grace period has ended
+export const adminProcessDeletions = async (req, res) => {
+  try {
+    const result = await processDueAccountDeletions();
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    sendAccountError(res, error, 'Error processing account deletions');
+  }
+};
+
+export default {
+  exportMyData,
+  getDeletionStatus,
+  requestDeletion,
+  cancelDeletion,
+  adminProcessDeletions
+};
@@ -0,0 +1,445 @@
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import { recordAudit, findAuditLogs } from "../services/audit.service.js";
+import { revokeUserSessions } from "../services/session.service.js";
+import { sendOTP as deliverOTP } from "../services/otp.service.js";
+import { isValidBDPhone } from "../utils/phone.js";
+
+const ROLES = User.schema.path('role').enumValues;
+const HIDDEN_FIELDS = '-password -otp -passwordResetToken -passwordResetExpires';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to create the admin user search filter
+const createAdminUserFilter = (query) => {
+  const filter = {};
+
+  if (query.role) filter.role = query.role;
+  if (query.isActive !== undefined) filter.isActive = query.isActive === 'true';
+  if (query.isVerified !== undefined) filter.isVerified = query.isVerified === 'true';
+  if (query.suspended === 'true') filter.suspendedAt = { $ne: null };
+  if (query.locked === 'true') filter.lockUntil = { $gt: new Date() };
+
+  // Search by name, or by full phone number in any accepted format.
+  // Phone numbers are encrypted, so partial matches are not possible.
+  if (query.search) {
+    const search = query.search.trim();
+    const conditions = [{ fullName: { $regex: escapeRegex(search), $options: 'i' } }];
+    if (isValidBDPhone(search)) {
+      conditions.push({ phoneNumber: search });
+    }
+    filter.$or = conditions;
+  }
+
+  return filter;
+};
+
+// Helper function to load the target user, guarding against acting on yourself
+const findTargetUser = async (req, res, { allowSelf = false } = {}) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      status: 'error',
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (!allowSelf && user._id.equals(req.user._id)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'You cannot perform this action on your own account'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Admin: List and search users
+export const adminListUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = createAdminUserFilter(req.query);
+
+    const sort = {};
+    if (req.query.sortBy) {
+      sort[req.query.sortBy] = req.query.sortOrder === 'asc' ? 1 : -1;
+    } else {
+      sort.createdAt = -1;
+    }
+
+    const users = await User.find(filter)
+      .select(HIDDEN_FIELDS)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      results: users.length,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      },
+      data: {
+        users
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching users',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Get a single user with session and audit summary
+export const adminGetUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select(HIDDEN_FIELDS)
+      .populate('suspendedBy', 'fullName');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const activeSessions = await Session.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    const { logs: recentActivity } = await findAuditLogs({ targetUser: user._id }, { limit: 10 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user,
+        activeSessions,
+        recentActivity
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching user',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Change a user's role
+export const adminChangeRole = async (req, res) => {
+  try {
+    const { role, reason } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previousRole = user.role;
+    if (previousRole === role) {
+      return res.status(400).json({
+        status: 'error',
+        message: `User already has the ${role} role`
+      });
+    }
+
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    // Access tokens carry the role: sign the user out so the new one applies
+    const revokedSessions = await revokeUserSessions(user._id, { reason: 'admin' });
+
+    await recordAudit({
+      req,
+      action: 'admin.user.role_changed',
+      targetUser: user._id,
+      reason,
+      metadata: { from: previousRole, to: role, revokedSessions }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: {
+          _id: user._id,
+          fullName: user.fullName,
+          role: user.role
+        }
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Error changing user role',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Suspend a user (deactivates the account and signs them out everywhere)
+export const adminSuspendUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A reason is required to suspend a user'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User is already suspended'
+      });
+    }
+
+    user.isActive = false;
+    user.suspendedAt = new Date();
+    user.suspensionReason = reason.trim();
+    user.suspendedBy = req.user._id;
+    await user.save({ validateBeforeSave: false });
+
+    const revokedSessions = await revokeUserSessions(user._id, { reason: 'admin' });
+
+    await recordAudit({
+      req,
+      action: 'admin.user.suspended',
+      targetUser: user._id,
+      reason: user.suspensionReason,
+      metadata: { revokedSessions }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User suspended successfully',
+      data: {
+        user: {
+          _id: user._id,
+          fullName: user.fullName,
+          isActive: user.isActive,
+          suspendedAt: user.suspendedAt,
+          suspensionReason: user.suspensionReason
+        }
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Error suspending user',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Reactivate a suspended user
+export const adminReactivateUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A reason is required to reactivate a user'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.isActive) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User is already active'
+      });
+    }
+
+    const previousReason = user.suspensionReason;
+    user.isActive = true;
+    user.suspendedAt = undefined;
+    user.suspensionReason = undefined;
+    user.suspendedBy = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit({
+      req,
+      action: 'admin.user.reactivated',
+      targetUser: user._id,
+      reason: reason.trim(),
+      metadata: { previousSuspensionReason: previousReason }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User reactivated successfully',
+      data: {
+        user: {
+          _id: user._id,
+          fullName: user.fullName,
+          isActive: user.isActive
+        }
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Error reactivating user',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Sign a user out of every device
+export const adminForceLogout = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const revokedSessions = await revokeUserSessions(user._id, { reason: 'admin' });
+
+    await recordAudit({
+      req,
+      action: 'admin.user.force_logout',
+      targetUser: user._id,
+      reason: req.body.reason,
+      metadata: { revokedSessions }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `${revokedSessions} session(s) revoked`,
+      data: { revokedSessions }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Error forcing logout',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Send the user a password reset OTP
+export const adminTriggerPasswordReset = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    await deliverOTP({ phoneNumber: user.phoneNumber, purpose: 'password_reset', user: user._id });
+
+    // Optionally sign the user out so the old password stops working right away
+    let revokedSessions = 0;
+    if (req.body.revokeSessions) {
+      revokedSessions = await revokeUserSessions(user._id, { reason: 'admin' });
+    }
+
+    await recordAudit({
+      req,
+      action: 'admin.user.password_reset_triggered',
+      targetUser: user._id,
+      reason: req.body.reason,
+      metadata: { revokedSessions }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password reset OTP sent to the user\'s phone'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      status: 'error',
+      message: error.statusCode ? error.message : 'Error triggering password reset',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Audit trail for a single user
+export const adminGetUserAuditTrail = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = { $or: [{ targetUser: req.params.id }, { actor: req.params.id }] };
+    if (req.query.action) filter.action = req.query.action;
+
+    const { logs, total } = await findAuditLogs(filter, { page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      results: logs.length,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      },
+      data: {
+        logs
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching audit trail',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Audit trail of all admin user-management actions
+export const adminGetAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = { action: req.query.action || { $regex: '^admin\\.' } };
+    if (req.query.actor) filter.actor = req.query.actor;
+
+    const { logs, total } = await findAuditLogs(filter, { page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      results: logs.length,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      },
+      data: {
+        logs
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching audit logs',
+      error: error.message
+    });
+  }
+};
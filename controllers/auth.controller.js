@@ -1,37 +1,85 @@
 import User from "../models/user.model.js";
-import jwt from "jsonwebtoken";
-import { promisify } from "util";
 import config from "../config/env.js";
-
-// Helper function to sign JWT token
-const signToken = (id) => {
-  return jwt.sign({ id }, config.JWT_SECRET, {
-    expiresIn: config.JWT_EXPIRES_IN,
-  });
-};
-
-// Helper function to create and send token
-const createSendToken = (user, statusCode, res) => {
+import { sendOTP as deliverOTP, verifyOTP as checkOTP } from "../services/otp.service.js";
+import {
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSessions,
+  isKnownDevice,
+  signChallengeToken,
+  verifyChallengeToken,
+} from "../services/session.service.js";
+import { recordAudit, findAuditLogs } from "../services/audit.service.js";
+import { getDeviceInfo } from "../utils/request.js";
+import { toLocalPhone } from "../utils/phone.js";
+import { ROLE_PERMISSIONS, SIGNUP_ROLES, hasPermission } from "../config/permissions.js";
+
+// Helper function to start a session and send access + refresh tokens
+const createSendToken = async (user, statusCode, req, res) => {
   // Convert to plain object if needed
   const userObj = typeof user.toObject === 'function' ? user.toObject() : { ...user };
   delete userObj.password;
 
-  const token = signToken(userObj._id);
+  const { accessToken, refreshToken, deviceToken, session } = await createSession(user, getDeviceInfo(req));
 
   res.status(statusCode).json({
     status: 'success',
-    token,
+    token: accessToken,
+    refreshToken,
+    // Sent back as X-Device-Token on later logins to skip the new-device check
+    deviceToken,
+    sessionId: session._id,
     data: {
       user: userObj
     }
   });
 };
 
+// Helper function to send an OTP service error (cooldown, attempt limit, delivery)
+const sendOTPError = (res, error) => {
+  if (error.details?.retryAfter) {
+    res.set('Retry-After', String(error.details.retryAfter));
+  }
+  res.status(error.statusCode || 400).json({
+    status: 'error',
+    message: error.message,
+    ...error.details
+  });
+};
+
+// Device details for the audit log, without the device token
+const auditDeviceInfo = (req) => {
+  const { deviceToken, ...device } = getDeviceInfo(req);
+  return device;
+};
+
+// Helper function to reject a login while the account is locked
+const sendLockedResponse = (res, user) => {
+  const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(423).json({
+    status: 'error',
+    message: 'Account temporarily locked due to too many failed login attempts. Please try again later.',
+    lockUntil: user.lockUntil,
+    retryAfter
+  });
+};
+
 // Register new user
 export const register = async (req, res) => {
   try {
     const { fullName, phoneNumber, email, password, role = "customer" } = req.body;
 
+    if (!SIGNUP_ROLES.includes(role)) {
+      return res.status(400).json({
+        status: "error",
+        message: `You can only sign up as a ${SIGNUP_ROLES.join(' or ')}`,
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ phoneNumber });
     if (existingUser) {
@@ -54,30 +102,37 @@ export const register = async (req, res) => {
       if (req.body.experience) userData.experience = req.body.experience;
       if (req.body.hourlyRate) userData.hourlyRate = req.body.hourlyRate;
     }
-    const user = await User.create(userData);
+    let user;
+    try {
+      user = await User.create(userData);
+    } catch (createError) {
+      // The unique phone/email indexes catch registrations racing the check above
+      if (createError.code === 11000) {
+        return res.status(400).json({
+          status: "error",
+          message: createError.keyPattern?.emailIndex
+            ? "User with this email already exists"
+            : "User with this phone number already exists",
+        });
+      }
+      throw createError;
+    }
 
-    // Generate OTP for phone verification
-    const otp = user.generateOTP();
-    
     // In development mode, auto-verify users
     if (config.NODE_ENV === 'development') {
       user.isVerified = true;
-      user.clearOTP();
+      await user.save();
       console.log(`🔧 DEVELOPMENT MODE: Auto-verified user ${phoneNumber}`);
-      console.log(`🔧 OTP for ${phoneNumber}: ${otp} (not needed in dev mode)`);
     } else {
-      console.log(`📱 OTP for ${phoneNumber}: ${otp}`);
-    }
-    
-    await user.save();
-
-    // TODO: Send OTP via SMS service (only in production)
-    if (config.NODE_ENV !== 'development') {
-      // Send OTP via SMS service
-      console.log(`OTP for ${phoneNumber}: ${otp}`);
+      // Send OTP for phone verification; the user can request another via /send-otp
+      try {
+        await deliverOTP({ phoneNumber, purpose: 'registration', user: user._id });
+      } catch (otpError) {
+        console.error(`Registration OTP failed for ${phoneNumber}:`, otpError.message);
+      }
     }
 
-    createSendToken(user, 201, res);
+    await createSendToken(user, 201, req, res);
   } catch (error) {
     console.error("Registration error:", error);
     res.status(500).json({
@@ -109,9 +164,37 @@ export const login = async (req, res) => {
       query.phoneNumber = phoneNumber;
     }
 
-    // Check if user exists && password is correct
     const user = await User.findOne(query).select("+password");
+
+    // Reject locked accounts before checking the password
+    if (user && user.isLocked()) {
+      return sendLockedResponse(res, user);
+    }
+
+    // Check if user exists && password is correct
     if (!user || !(await user.correctPassword(password, user.password))) {
+      if (user) {
+        const { user: counted, locked } = await User.registerFailedLogin(user._id, {
+          maxAttempts: config.LOGIN_MAX_FAILED_ATTEMPTS,
+          baseLockMinutes: config.LOGIN_LOCKOUT_MINUTES,
+          maxLockMinutes: config.LOGIN_MAX_LOCKOUT_MINUTES,
+        });
+
+        await recordAudit({
+          req,
+          actor: user,
+          action: locked ? 'account.locked' : 'auth.login_failed',
+          targetUser: user._id,
+          metadata: locked
+            ? { lockUntil: counted.lockUntil, lockoutCount: counted.lockoutCount }
+            : { failedLoginAttempts: counted.failedLoginAttempts },
+        });
+
+        if (locked) {
+          return sendLockedResponse(res, counted);
+        }
+      }
+
       return res.status(401).json({
         status: "error",
         message: "Incorrect email/phone number or password",
@@ -134,16 +217,50 @@ export const login = async (req, res) => {
       });
     }
 
+    // A lock that ran out on its own counts as an unlock
+    if (user.lockUntil) {
+      await recordAudit({
+        req,
+        actor: user,
+        action: 'account.unlocked',
+        targetUser: user._id,
+        metadata: { automatic: true },
+      });
+    }
+    user.resetLoginAttempts();
+
+    // Logins from a new device or IP must be confirmed with an OTP
+    if (config.LOGIN_CHALLENGE_ENABLED && !(await isKnownDevice(user._id, getDeviceInfo(req)))) {
+      await user.save({ validateBeforeSave: false });
+      await deliverOTP({ phoneNumber: user.phoneNumber, purpose: 'login_challenge', user: user._id });
+      await recordAudit({
+        req,
+        actor: user,
+        action: 'auth.login_challenge_sent',
+        targetUser: user._id,
+        metadata: auditDeviceInfo(req),
+      });
+
+      return res.status(202).json({
+        status: 'challenge_required',
+        message: 'New device detected. Enter the code sent to your phone to continue.',
+        challengeToken: signChallengeToken(user),
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
-    await user.save();
+    await user.save({ validateBeforeSave: false });
 
     // Fetch full user object (without password) for response
     const userForResponse = await User.findById(user._id).select("-password");
 
-    createSendToken(userForResponse, 200, res);
+    await createSendToken(userForResponse, 200, req, res);
   } catch (error) {
     console.error("Login error:", error);
+    if (error.statusCode) {
+      return sendOTPError(res, error);
+    }
     res.status(500).json({
       status: "error",
       message: "Error logging in",
@@ -152,6 +269,51 @@ export const login = async (req, res) => {
   }
 };
 
+// Complete a login that required an OTP challenge
+export const verifyLoginChallenge = async (req, res) => {
+  try {
+    const { challengeToken, otp } = req.body;
+
+    if (!challengeToken || !otp) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Challenge token and OTP are required'
+      });
+    }
+
+    const decoded = await verifyChallengeToken(challengeToken);
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is not available. Please contact support.'
+      });
+    }
+
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user);
+    }
+
+    await checkOTP({ phoneNumber: user.phoneNumber, purpose: 'login_challenge', code: otp });
+
+    await recordAudit({
+      req,
+      actor: user,
+      action: 'auth.login_challenge_passed',
+      targetUser: user._id,
+      metadata: auditDeviceInfo(req),
+    });
+
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    await createSendToken(user, 200, req, res);
+  } catch (error) {
+    console.error('Login challenge error:', error.message);
+    sendOTPError(res, error);
+  }
+};
+
 // Send OTP for phone verification
 export const sendOTP = async (req, res) => {
   try {
@@ -173,12 +335,8 @@ export const sendOTP = async (req, res) => {
       });
     }
 
-    // Generate new OTP
-    const otp = user.generateOTP();
-    await user.save();
-
-    // TODO: Send OTP via SMS service
-    console.log(`OTP for ${phoneNumber}: ${otp}`);
+    // Generate and send a new verification OTP
+    await deliverOTP({ phoneNumber, purpose: 'registration', user: user._id });
 
     res.status(200).json({
       status: 'success',
@@ -186,10 +344,7 @@ export const sendOTP = async (req, res) => {
     });
   } catch (error) {
     console.error('Send OTP error:', error);
-    res.status(400).json({
-      status: 'error',
-      message: error.message
-    });
+    sendOTPError(res, error);
   }
 };
 
@@ -214,17 +369,11 @@ export const verifyOTP = async (req, res) => {
       });
     }
 
-    // Verify OTP
-    if (!user.verifyOTP(otp)) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Invalid or expired OTP'
-      });
-    }
+    // Verify OTP (only registration codes are accepted here)
+    await checkOTP({ phoneNumber, purpose: 'registration', code: otp });
 
-    // Mark user as verified and clear OTP
+    // Mark user as verified
     user.isVerified = true;
-    user.clearOTP();
     await user.save();
 
     res.status(200).json({
@@ -233,10 +382,7 @@ export const verifyOTP = async (req, res) => {
     });
   } catch (error) {
     console.error('Verify OTP error:', error);
-    res.status(400).json({
-      status: 'error',
-      message: error.message
-    });
+    sendOTPError(res, error);
   }
 };
 
@@ -261,16 +407,29 @@ export const getMe = async (req, res) => {
 };
 
 // Update user profile
+// Phone number and email are changed through /change-phone and /change-email
 export const updateProfile = async (req, res) => {
   try {
-    const { fullName, email, address, bio, profilePhoto } = req.body;
+    const { fullName, address, bio, profilePhoto } = req.body;
+
+    // Clients often send the whole profile back: unchanged contact details are fine
+    const sameEmail = (value) => String(value || '').trim().toLowerCase() === String(req.user.email || '').toLowerCase();
+    const samePhone = (value) => (toLocalPhone(value) || '') === (toLocalPhone(req.user.phoneNumber) || '');
+    const emailChanged = req.body.email !== undefined && !sameEmail(req.body.email);
+    const phoneChanged = req.body.phoneNumber !== undefined && !samePhone(req.body.phoneNumber);
+
+    if (emailChanged || phoneChanged) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Use /change-phone or /change-email to update your contact details'
+      });
+    }
 
     // Find user and update
     const user = await User.findByIdAndUpdate(
       req.user.id,
       {
         fullName,
-        email,
         address,
         bio,
         profilePhoto
@@ -312,11 +471,12 @@ export const updatePassword = async (req, res) => {
       });
     }
 
-    // Update password
+    // Update password and sign out every other device
     user.password = newPassword;
     await user.save();
+    await revokeUserSessions(user._id, { reason: 'password_changed' });
 
-    createSendToken(user, 200, res);
+    await createSendToken(user, 200, req, res);
   } catch (error) {
     console.error('Change password error:', error);
     res.status(400).json({
@@ -339,12 +499,8 @@ export const forgotPassword = async (req, res) => {
       });
     }
 
-    // Generate OTP for password reset
-    const otp = user.generateOTP();
-    await user.save();
-
-    // TODO: Send OTP via SMS
-    console.log(`Password reset OTP for ${phoneNumber}: ${otp}`);
+    // Generate and send OTP for password reset
+    await deliverOTP({ phoneNumber, purpose: 'password_reset', user: user._id });
 
     res.status(200).json({
       status: 'success',
@@ -352,10 +508,7 @@ export const forgotPassword = async (req, res) => {
     });
   } catch (error) {
     console.error('Forgot password error:', error);
-    res.status(400).json({
-      status: 'error',
-      message: error.message
-    });
+    sendOTPError(res, error);
   }
 };
 
@@ -364,6 +517,13 @@ export const resetPassword = async (req, res) => {
   try {
     const { phoneNumber, otp, newPassword } = req.body;
 
+    if (!phoneNumber || !otp || !newPassword) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Phone number, OTP and new password are required'
+      });
+    }
+
     const user = await User.findOne({ phoneNumber }).select('+password');
     if (!user) {
       return res.status(404).json({
@@ -372,22 +532,61 @@ export const resetPassword = async (req, res) => {
       });
     }
 
-    // Verify OTP
-    if (!user.verifyOTP(otp)) {
+    // Verify OTP (only password reset codes are accepted here)
+    await checkOTP({ phoneNumber, purpose: 'password_reset', code: otp });
+
+    // Update password and sign out every other device
+    user.password = newPassword;
+    await user.save();
+    await revokeUserSessions(user._id, { reason: 'password_changed' });
+
+    await createSendToken(user, 200, req, res);
+  } catch (error) {
+    console.error('Reset password error:', error);
+    sendOTPError(res, error);
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+export const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    if (!token) {
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid or expired OTP'
+        message: 'Refresh token is required'
       });
     }
 
-    // Update password and clear OTP
-    user.password = newPassword;
-    user.clearOTP();
-    await user.save();
+    const result = await rotateRefreshToken(token, getDeviceInfo(req));
 
-    createSendToken(user, 200, res);
+    res.status(200).json({
+      status: 'success',
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      sessionId: result.session._id
+    });
   } catch (error) {
-    console.error('Reset password error:', error);
+    console.error('Refresh token error:', error.message);
+    res.status(error.statusCode || 401).json({
+      status: 'error',
+      message: error.statusCode ? error.message : 'Invalid refresh token. Please log in again.'
+    });
+  }
+};
+
+// Logout (revokes the current session)
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.session._id, 'logout');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
     res.status(400).json({
       status: 'error',
       message: error.message
@@ -395,11 +594,194 @@ export const resetPassword = async (req, res) => {
   }
 };
 
-// Logout
-export const logout = async (req, res) => {
+// List the current user's active sessions
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          deviceId: session.deviceId,
+          deviceName: session.deviceName,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.equals(req.session._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+// Revoke one of the current user's sessions
+export const revokeSessionById = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id);
+    const session = sessions.find(s => s._id.toString() === req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id, 'user_revoked');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Revoke every session except the current one
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, { except: req.session._id });
+
+    res.status(200).json({
+      status: 'success',
+      message: `${revoked} session(s) revoked`,
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Admin: Login security events (failed logins, lockouts, unlocks, challenges)
+export const adminGetSecurityEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = {
+      action: req.query.action || { $in: ['account.locked', 'account.unlocked', 'auth.login_failed', 'auth.login_challenge_sent', 'auth.login_challenge_passed', 'auth.permission_denied'] }
+    };
+    if (req.query.user) filter.targetUser = req.query.user;
+
+    const { logs, total } = await findAuditLogs(filter, { page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      results: logs.length,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      },
+      data: {
+        events: logs
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching security events',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Users whose accounts are currently locked
+export const adminGetLockedUsers = async (req, res) => {
+  try {
+    const users = await User.find({ lockUntil: { $gt: new Date() } })
+      .select('fullName phoneNumber role lockUntil lockoutCount')
+      .sort({ lockUntil: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: users.length,
+      data: {
+        users
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching locked users',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Unlock a locked account
+export const adminUnlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const wasLocked = user.isLocked();
+    user.resetLoginAttempts();
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit({
+      req,
+      action: 'account.unlocked',
+      targetUser: user._id,
+      reason: req.body.reason,
+      metadata: { automatic: false, wasLocked },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account unlocked successfully',
+      data: {
+        user: {
+          _id: user._id,
+          fullName: user.fullName,
+          lockUntil: user.lockUntil
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error unlocking account',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Permission registry and the route manifest built at startup
+export const adminGetPermissions = async (req, res) => {
   res.status(200).json({
     status: 'success',
-    message: 'Logged out successfully'
+    data: {
+      roles: ROLE_PERMISSIONS,
+      routes: req.app.get('routeManifest') || []
+    }
   });
 };
 
@@ -426,9 +808,9 @@ export const protect = async (req, res, next) => {
       });
     }
 
-    // Verify token
+    // Verify token and make sure its session has not been revoked
     console.log('🔐 Verifying token with secret:', config.JWT_SECRET ? 'SECRET_SET' : 'NO_SECRET');
-    const decoded = await promisify(jwt.verify)(token, config.JWT_SECRET);
+    const { decoded, session } = await verifyAccessToken(token);
     console.log('✅ Token verified successfully, user ID:', decoded.id);
 
     // Check if user still exists
@@ -452,36 +834,75 @@ export const protect = async (req, res, next) => {
 
     // Grant access to protected route
     req.user = currentUser;
+    req.session = session;
     console.log('✅ Access granted for user:', currentUser.fullName);
     next();
   } catch (error) {
     console.error('❌ Protect middleware error:', error.message);
     res.status(401).json({
       status: 'error',
-      message: 'Invalid token. Please log in again.'
+      message: error.statusCode ? error.message : 'Invalid token. Please log in again.'
     });
   }
 };
 
-// Role-based access control
+// Denied requests go to the security log (not awaited; audit failures are
+// logged by recordAudit and never block the response)
+const recordPermissionDenied = (req, metadata) => {
+  recordAudit({
+    req,
+    action: 'auth.permission_denied',
+    targetUser: req.user._id,
+    metadata: { method: req.method, path: `${req.baseUrl}${req.path}`, ...metadata }
+  });
+};
+
+// Role-based access control (prefer requirePermission for new routes)
 export const restrictTo = (...roles) => {
-  return (req, res, next) => {
-    console.log('restrictTo roles:', roles, 'req.user:', req.user);
-    if (!roles.includes(req.user.role)) {
-      console.log('❌ Permission denied. User role:', req.user.role, 'Allowed roles:', roles);
+  const middleware = (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      if (req.user) recordPermissionDenied(req, { allowedRoles: roles });
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+  // Read by the route manifest (utils/routeManifest.js)
+  middleware.roles = roles;
+  return middleware;
+};
+
+// Permission-based access control; the user's role must grant every listed permission
+export const requirePermission = (...permissions) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'You are not logged in. Please log in to get access.'
+      });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+    if (missing.length > 0) {
+      recordPermissionDenied(req, { missing });
       return res.status(403).json({
         status: 'error',
         message: 'You do not have permission to perform this action'
       });
     }
-    console.log('✅ Permission granted. User role:', req.user.role);
     next();
   };
+  // Read by the route manifest (utils/routeManifest.js)
+  middleware.permissions = permissions;
+  return middleware;
 };
 
 export default {
   register,
   login,
+  verifyLoginChallenge,
   sendOTP,
   verifyOTP,
   getMe,
@@ -489,7 +910,16 @@ export default {
   updatePassword,
   forgotPassword,
   resetPassword,
+  refreshToken,
   logout,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  adminGetSecurityEvents,
+  adminGetLockedUsers,
+  adminUnlockUser,
+  adminGetPermissions,
   protect,
-  restrictTo
+  restrictTo,
+  requirePermission
 }; 
\ No newline at end of file
@@ -1,13 +1,29 @@
 import Booking from "../models/booking.model.js"
-import Service from "../models/service.model.js";
 import User from "../models/user.model.js";
+import { PERMISSIONS, hasPermission, participantScope } from "../config/permissions.js";
+import { getBookingWindow, assertSlotAvailable, withMechanicScheduleLock } from "../services/availability.service.js";
+import { transitionBooking, getAllowedTransitions } from "../services/bookingState.service.js";
+import { loadBookableService, createServiceBooking } from "../services/booking.service.js";
+import { notify } from "../services/notification.service.js";
+import { toDhakaDateString } from "../utils/time.js";
+import {
+  describePolicy,
+  cancellationRole,
+  quoteCancellation,
+  getBookingTerms,
+  cancelBookingWithPolicy,
+} from "../services/cancellation.service.js";
 
-// Helper function to create filter object
-const createBookingFilter = (query, userRole, userId) => {
-  const filter = {};
+// Helper function to create filter object; null when the user may not list bookings
+const createBookingFilter = (query, user) => {
+  const scope = participantScope(user, PERMISSIONS.BOOKINGS_READ_ALL);
+  if (!scope) return null;
+
+  const filter = { ...scope };
   
   if (query.status) filter.status = query.status;
   if (query.paymentStatus) filter.paymentStatus = query.paymentStatus;
+  if (query.needsReschedule === 'true') filter.needsReschedule = true;
   if (query.date) {
     const date = new Date(query.date);
     const nextDate = new Date(date);
@@ -15,13 +31,6 @@ const createBookingFilter = (query, userRole, userId) => {
     filter.scheduledDate = { $gte: date, $lt: nextDate };
   }
   
-  // Role-based filtering
-  if (userRole === 'customer') {
-    filter.customer = userId;
-  } else if (userRole === 'mechanic') {
-    filter.mechanic = userId;
-  }
-  
   return filter;
 };
 
@@ -29,45 +38,7 @@ const createBookingFilter = (query, userRole, userId) => {
 export const createBooking = async (req, res) => {
   try {
     const { serviceId, scheduledDate, scheduledTime, serviceLocation, customerNotes, serviceRequirements } = req.body;
-    
-    // Verify the service exists and is available
-    const service = await Service.findById(serviceId);
-    if (!service) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Service not found'
-      });
-    }
-    
-    if (!service.isActive || !service.isAvailable) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Service is not available'
-      });
-    }
-    
-    // Check if mechanic is available at the scheduled time
-    const scheduledDateTime = new Date(scheduledDate);
-    scheduledDateTime.setHours(parseInt(scheduledTime.split(':')[0]));
-    scheduledDateTime.setMinutes(parseInt(scheduledTime.split(':')[1]));
-    
-    // Check for conflicting bookings (simplified check)
-    const conflictingBooking = await Booking.findOne({
-      mechanic: service.mechanic,
-      scheduledDate: scheduledDate,
-      status: { $in: ['confirmed', 'in_progress'] }
-    });
-    
-    if (conflictingBooking) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Mechanic is not available at the scheduled time'
-      });
-    }
-    
-    // Calculate total amount
-    const totalAmount = service.basePrice;
-    
+
     // Validate required fields
     if (!serviceId || !scheduledDate || !scheduledTime || !serviceLocation) {
       return res.status(400).json({
@@ -76,38 +47,16 @@ export const createBooking = async (req, res) => {
       });
     }
 
-    // Normalize serviceLocation
-    let locationObj = serviceLocation;
-    if (typeof serviceLocation === 'string') {
-      locationObj = { address: serviceLocation };
-    } else if (typeof serviceLocation === 'object' && serviceLocation.address) {
-      locationObj = { address: serviceLocation.address };
-    } else {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Service location must include an address.'
-      });
-    }
-
-    // Set estimatedDuration if present, otherwise null
-    const bookingData = {
-      service: serviceId,
-      mechanic: service.mechanic,
-      customer: req.user.id,
+    const service = await loadBookableService(serviceId);
+    const { booking, cancellationTerms } = await createServiceBooking({
+      service,
+      customerId: req.user.id,
       scheduledDate,
       scheduledTime,
-      estimatedDuration: service.estimatedDuration || null,
-      serviceLocation: locationObj,
+      serviceLocation,
       customerNotes,
-      serviceRequirements,
-      basePrice: service.basePrice,
-      totalAmount,
-      status: 'confirmed',
-      paymentStatus: 'pending'
-      // bookingNumber will be auto-generated by the model
-    };
-    
-    const booking = await (new Booking(bookingData)).save();
+      serviceRequirements
+    });
     
     // Populate related data
     await booking.populate([
@@ -118,12 +67,22 @@ export const createBooking = async (req, res) => {
     
     res.status(201).json({
       status: 'success',
-      message: 'Booking confirmed! You can pay now or anytime before service completion.',
+      message: booking.estimateRequired
+        ? 'Booking confirmed! The mechanic will send you an estimate to approve before the job starts.'
+        : 'Booking confirmed! You can pay now or anytime before service completion.',
       data: {
-        booking
+        booking,
+        cancellationPolicy: describePolicy(cancellationTerms)
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message,
+        ...error.details
+      });
+    }
     res.status(400).json({
       status: 'error',
       message: 'Error creating booking',
@@ -139,7 +98,13 @@ export const getAllBookings = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    const filter = createBookingFilter(req.query, req.user.role, req.user.id);
+    const filter = createBookingFilter(req.query, req.user);
+    if (!filter) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to view bookings'
+      });
+    }
     
     // Build sort object
     const sort = {};
@@ -200,7 +165,7 @@ export const getBooking = async (req, res) => {
     }
     
     // Check if user has access to this booking
-    if (req.user.role !== 'admin' && 
+    if (!hasPermission(req.user.role, PERMISSIONS.BOOKINGS_READ_ALL) && 
         booking.customer._id.toString() !== req.user.id && 
         booking.mechanic._id.toString() !== req.user.id) {
       return res.status(403).json({
@@ -212,7 +177,8 @@ export const getBooking = async (req, res) => {
     res.status(200).json({
       status: 'success',
       data: {
-        booking
+        booking,
+        allowedTransitions: getAllowedTransitions(booking, req.user)
       }
     });
   } catch (error) {
@@ -227,7 +193,7 @@ export const getBooking = async (req, res) => {
 // Update booking status
 export const updateBookingStatus = async (req, res) => {
   try {
-    const { status, note } = req.body;
+    const { status, note, reason } = req.body;
     const booking = await Booking.findById(req.params.id);
     
     if (!booking) {
@@ -237,56 +203,14 @@ export const updateBookingStatus = async (req, res) => {
       });
     }
     
-    // Check if user can update this booking
-    if (req.user.role !== 'admin' && 
-        booking.customer.toString() !== req.user.id && 
-        booking.mechanic.toString() !== req.user.id) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'You cannot update this booking'
-      });
-    }
-    
-    // Validate status transition
-    const validTransitions = {
-      pending: ['confirmed', 'cancelled'],
-      confirmed: ['in_progress', 'cancelled'],
-      in_progress: ['completed', 'cancelled'],
-      completed: [],
-      cancelled: [],
-      disputed: ['resolved']
-    };
-    
-    if (!validTransitions[booking.status].includes(status)) {
-      return res.status(400).json({
-        status: 'error',
-        message: `Invalid status transition from ${booking.status} to ${status}`
-      });
-    }
-    
-    // Update status
-    booking.status = status;
-    
-    // Add note to status history
-    if (note) {
-      booking.statusHistory[booking.statusHistory.length - 1].note = note;
-    }
-    
-    // Handle specific status actions
-    if (status === 'in_progress') {
-      booking.actualStartTime = new Date();
-    } else if (status === 'completed') {
-      booking.actualEndTime = new Date();
-      if (booking.actualStartTime) {
-        booking.actualDuration = Math.round((booking.actualEndTime - booking.actualStartTime) / (1000 * 60));
-      }
-    } else if (status === 'cancelled') {
-      booking.cancelledBy = req.user.id;
-      booking.cancelledAt = new Date();
+    // Role, transition and guard checks live in the state machine;
+    // cancellations also settle the cancellation fee
+    if (status === 'cancelled') {
+      await cancelBookingWithPolicy(booking, { user: req.user, reason: reason || note });
+    } else {
+      await transitionBooking(booking, status, { user: req.user, note, reason });
     }
     
-    await booking.save();
-    
     // Populate related data
     await booking.populate([
       { path: 'service', select: 'title category' },
@@ -301,18 +225,17 @@ export const updateBookingStatus = async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       status: 'error',
-      message: 'Error updating booking status',
+      message: error.statusCode ? error.message : 'Error updating booking status',
       error: error.message
     });
   }
 };
 
-// Cancel booking
-export const cancelBooking = async (req, res) => {
+// Preview the fee for cancelling a booking now
+export const getCancellationQuote = async (req, res) => {
   try {
-    const { reason } = req.body;
     const booking = await Booking.findById(req.params.id);
     
     if (!booking) {
@@ -322,41 +245,62 @@ export const cancelBooking = async (req, res) => {
       });
     }
     
-    // Check if booking can be cancelled
-    if (['completed', 'cancelled'].includes(booking.status)) {
-      return res.status(400).json({
+    const role = cancellationRole(booking, req.user);
+    if (!role) {
+      return res.status(403).json({
         status: 'error',
-        message: 'Booking cannot be cancelled'
+        message: 'You do not have access to this booking'
       });
     }
     
-    // Check if user can cancel this booking
-    if (req.user.role !== 'admin' && 
-        booking.customer.toString() !== req.user.id && 
-        booking.mechanic.toString() !== req.user.id) {
-      return res.status(403).json({
+    const terms = await getBookingTerms(booking);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quote: quoteCancellation(booking, { role, terms }),
+        policy: describePolicy(terms)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error calculating cancellation fee',
+      error: error.message
+    });
+  }
+};
+
+// Cancel booking
+export const cancelBooking = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const booking = await Booking.findById(req.params.id);
+    
+    if (!booking) {
+      return res.status(404).json({
         status: 'error',
-        message: 'You cannot cancel this booking'
+        message: 'Booking not found'
       });
     }
     
-    booking.status = 'cancelled';
-    booking.cancellationReason = reason;
-    booking.cancelledBy = req.user.id;
-    booking.cancelledAt = new Date();
-    
-    await booking.save();
+    const { quote, refund } = await cancelBookingWithPolicy(booking, { user: req.user, reason });
     
     res.status(200).json({
       status: 'success',
+      message: quote.fee > 0
+        ? `Booking cancelled. A cancellation fee of ${quote.fee} BDT applies.`
+        : 'Booking cancelled',
       data: {
-        booking
+        booking,
+        cancellation: quote,
+        refund: refund ? refund.refund : null
       }
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       status: 'error',
-      message: 'Error cancelling booking',
+      message: error.statusCode ? error.message : 'Error cancelling booking',
       error: error.message
     });
   }
@@ -437,14 +381,12 @@ export const addReview = async (req, res) => {
 // Get booking statistics
 export const getBookingStats = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
-    
-    let matchCondition = {};
-    if (userRole === 'customer') {
-      matchCondition.customer = userId;
-    } else if (userRole === 'mechanic') {
-      matchCondition.mechanic = userId;
+    const matchCondition = participantScope(req.user, PERMISSIONS.BOOKINGS_READ_ALL);
+    if (!matchCondition) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to view booking statistics'
+      });
     }
     
     const stats = await Booking.aggregate([
@@ -579,37 +521,25 @@ export const adminGetBookingStats = async (req, res) => {
 // Complete service (Arogga-style: payment becomes required)
 export const completeService = async (req, res) => {
   try {
-    const { bookingId } = req.params;
     const { notes, additionalCharges } = req.body;
     
-    const booking = await Booking.findById(bookingId);
-    if (!booking) {
-      return res.status(404).json({
+    // Extra work is billed through change orders the customer approves
+    if (additionalCharges && additionalCharges.length > 0) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Booking not found'
+        message: 'Additional charges must be sent as a change order and approved by the customer'
       });
     }
     
-    // Check if user is the assigned mechanic or admin
-    if (req.user.role !== 'admin' && booking.mechanic.toString() !== req.user.id) {
-      return res.status(403).json({
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
         status: 'error',
-        message: 'You can only complete your assigned bookings'
+        message: 'Booking not found'
       });
     }
     
-    // Update booking status
-    booking.status = 'completed';
-    booking.completedAt = new Date();
-    
-    // Add any additional charges
-    if (additionalCharges && additionalCharges.length > 0) {
-      booking.additionalCharges = additionalCharges;
-      const additionalAmount = additionalCharges.reduce((sum, charge) => sum + charge.amount, 0);
-      booking.totalAmount += additionalAmount;
-    }
-    
-    await booking.save();
+    await transitionBooking(booking, 'completed', { user: req.user, note: notes });
     
     // Populate related data
     await booking.populate([
@@ -628,9 +558,9 @@ export const completeService = async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       status: 'error',
-      message: 'Error completing service',
+      message: error.statusCode ? error.message : 'Error completing service',
       error: error.message
     });
   }
@@ -700,6 +630,19 @@ export const adminHandleRefund = async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'Invalid refund action' });
     }
     await booking.save();
+
+    const refundMessages = {
+      approve: 'has been approved and will be processed soon',
+      reject: `was not approved${note ? `: ${note}` : ''}`,
+      process: 'has been processed'
+    };
+    notify(booking.customer, {
+      type: 'refund',
+      title: 'Refund update',
+      message: `Your refund request for booking ${booking.bookingNumber} ${refundMessages[action]}.`,
+      booking: booking._id
+    });
+
     res.status(200).json({ status: 'success', data: { booking } });
   } catch (error) {
     res.status(400).json({ status: 'error', message: 'Error handling refund', error: error.message });
@@ -721,9 +664,21 @@ export const requestReschedule = async (req, res) => {
     ) {
       return res.status(403).json({ status: 'error', message: 'You cannot request reschedule for this booking' });
     }
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(400).json({ status: 'error', message: `A ${booking.status} booking cannot be rescheduled` });
+    }
     if (booking.reschedule && booking.reschedule.status === 'requested') {
       return res.status(400).json({ status: 'error', message: 'Reschedule already requested' });
     }
+    if (!newDate || !newTime) {
+      return res.status(400).json({ status: 'error', message: 'New date and time are required' });
+    }
+    // Reject slots that are already taken; checked again when the request is accepted
+    const { start, end } = getBookingWindow({ scheduledDate: newDate, scheduledTime: newTime, duration: booking.estimatedDuration });
+    if (start <= new Date()) {
+      return res.status(400).json({ status: 'error', message: 'New time must be in the future' });
+    }
+    await assertSlotAvailable({ mechanicId: booking.mechanic, start, end, excludeBookingId: booking._id });
     booking.reschedule = {
       requestedBy: req.user.id,
       requestedAt: new Date(),
@@ -735,8 +690,20 @@ export const requestReschedule = async (req, res) => {
       note
     };
     await booking.save();
+
+    const otherParty = booking.customer.toString() === req.user.id ? booking.mechanic : booking.customer;
+    notify(otherParty, {
+      type: 'reschedule',
+      title: 'Reschedule requested',
+      message: `A new time was proposed for booking ${booking.bookingNumber}: ${toDhakaDateString(start)} at ${newTime}. Please accept or decline.`,
+      booking: booking._id
+    });
+
     res.status(200).json({ status: 'success', data: { booking } });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message, ...error.details });
+    }
     res.status(400).json({ status: 'error', message: 'Error requesting reschedule', error: error.message });
   }
 };
@@ -762,12 +729,30 @@ export const respondReschedule = async (req, res) => {
       return res.status(403).json({ status: 'error', message: 'You cannot respond to your own reschedule request' });
     }
     if (action === 'accept') {
-      booking.scheduledDate = booking.reschedule.newDate;
-      booking.scheduledTime = booking.reschedule.newTime;
+      const { newDate, newTime } = booking.reschedule;
+      const { start, end } = getBookingWindow({ scheduledDate: newDate, scheduledTime: newTime, duration: booking.estimatedDuration });
+      booking.scheduledDate = newDate;
+      booking.scheduledTime = newTime;
       booking.reschedule.status = 'accepted';
       booking.reschedule.respondedAt = new Date();
       booking.reschedule.respondedBy = req.user.id;
       booking.reschedule.responseNote = note;
+      booking.needsReschedule = false;
+      booking.rescheduleFlag = undefined;
+      booking.reminders = undefined;
+      booking.overdueAt = undefined;
+      // The slot may have been taken since the request was made
+      await withMechanicScheduleLock(booking.mechanic, async () => {
+        await assertSlotAvailable({ mechanicId: booking.mechanic, start, end, excludeBookingId: booking._id });
+        await booking.save();
+      });
+      notify(booking.reschedule.requestedBy, {
+        type: 'reschedule',
+        title: 'Reschedule accepted',
+        message: `Booking ${booking.bookingNumber} has been moved to ${toDhakaDateString(start)} at ${newTime}.`,
+        booking: booking._id
+      });
+      return res.status(200).json({ status: 'success', data: { booking } });
     } else if (action === 'decline') {
       booking.reschedule.status = 'declined';
       booking.reschedule.respondedAt = new Date();
@@ -777,8 +762,17 @@ export const respondReschedule = async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'Invalid reschedule action' });
     }
     await booking.save();
+    notify(booking.reschedule.requestedBy, {
+      type: 'reschedule',
+      title: 'Reschedule declined',
+      message: `Your reschedule request for booking ${booking.bookingNumber} was declined. The original time still stands.`,
+      booking: booking._id
+    });
     res.status(200).json({ status: 'success', data: { booking } });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message, ...error.details });
+    }
     res.status(400).json({ status: 'error', message: 'Error responding to reschedule', error: error.message });
   }
 };
@@ -790,12 +784,14 @@ export const deleteBooking = async (req, res) => {
       return res.status(404).json({ status: 'error', message: 'Booking not found' });
     }
     // Only the customer who owns the booking or an admin can delete
-    if (
-      req.user.role !== 'admin' &&
-      booking.customer.toString() !== req.user.id
-    ) {
+    const isStaff = hasPermission(req.user.role, PERMISSIONS.BOOKINGS_MANAGE);
+    if (!isStaff && booking.customer.toString() !== req.user.id) {
       return res.status(403).json({ status: 'error', message: 'You do not have permission to delete this booking' });
     }
+    // Live bookings have to be cancelled through the normal flow first
+    if (!isStaff && booking.status !== 'cancelled') {
+      return res.status(400).json({ status: 'error', message: 'Cancel the booking before deleting it' });
+    }
     await booking.deleteOne();
     res.status(200).json({ status: 'success', message: 'Booking deleted successfully' });
   } catch (error) {
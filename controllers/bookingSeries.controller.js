@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+import BookingSeries from "../models/bookingSeries.model.js";
+import Booking from "../models/booking.model.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import {
+  createSeries,
+  skipOccurrence,
+  cancelSeries,
+  generateDueOccurrences,
+} from "../services/bookingSeries.service.js";
+
+// Helper function to send service and validation errors
+const sendSeriesError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message, ...error.details });
+  }
+  const status = error.name === 'ValidationError' ? 400 : 500;
+  res.status(status).json({ status: 'error', message: fallbackMessage, error: error.message });
+};
+
+// Helper function to load a series the user may see; only the customer and
+// staff may change it
+const loadSeries = async (req, res, { manage = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ status: 'error', message: 'Invalid series ID' });
+    return null;
+  }
+
+  const series = await BookingSeries.findById(req.params.id);
+  if (!series) {
+    res.status(404).json({ status: 'error', message: 'Series not found' });
+    return null;
+  }
+
+  const isCustomer = series.customer.toString() === req.user.id;
+  const isMechanic = series.mechanic.toString() === req.user.id;
+  const allowed = manage
+    ? isCustomer || hasPermission(req.user.role, PERMISSIONS.BOOKINGS_MANAGE)
+    : isCustomer || isMechanic || hasPermission(req.user.role, PERMISSIONS.BOOKINGS_READ_ALL);
+  if (!allowed) {
+    res.status(403).json({ status: 'error', message: 'You do not have access to this series' });
+    return null;
+  }
+  return series;
+};
+
+// Customer: start a recurring booking
+// Body: { serviceId, startDate, scheduledTime, serviceLocation, recurrence: { frequency, interval }, endDate | occurrences }
+export const createBookingSeries = async (req, res) => {
+  try {
+    const { series, created, conflicts } = await createSeries({ ...req.body, customerId: req.user.id });
+
+    res.status(201).json({
+      status: 'success',
+      message: conflicts.length > 0
+        ? `Series created. ${created.length} visit(s) booked; ${conflicts.length} could not be booked because the slot is taken.`
+        : `Series created. ${created.length} visit(s) booked.`,
+      data: { series, bookings: created, conflicts }
+    });
+  } catch (error) {
+    sendSeriesError(res, error, 'Error creating booking series');
+  }
+};
+
+// Customers and mechanics see their own series; staff see all
+export const getBookingSeriesList = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (!hasPermission(req.user.role, PERMISSIONS.BOOKINGS_READ_ALL)) {
+      filter.$or = [{ customer: req.user.id }, { mechanic: req.user.id }];
+    }
+
+    const series = await BookingSeries.find(filter)
+      .populate('service', 'title category')
+      .populate('mechanic', 'fullName phoneNumber')
+      .populate('customer', 'fullName phoneNumber')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ status: 'success', results: series.length, data: { series } });
+  } catch (error) {
+    sendSeriesError(res, error, 'Error fetching booking series');
+  }
+};
+
+// A series with its booked occurrences
+export const getBookingSeries = async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    const bookings = await Booking.find({ series: series._id })
+      .select('bookingNumber occurrence scheduledDate scheduledTime status paymentStatus totalAmount needsReschedule')
+      .sort({ occurrence: 1 });
+
+    res.status(200).json({ status: 'success', data: { series, bookings } });
+  } catch (error) {
+    sendSeriesError(res, error, 'Error fetching booking series');
+  }
+};
+
+// Customer or staff: skip one occurrence. Body: { occurrence, reason }
+export const skipSeriesOccurrence = async (req, res) => {
+  try {
+    const series = await loadSeries(req, res, { manage: true });
+    if (!series) return;
+
+    const { booking, quote, refund } = await skipOccurrence(series, req.body.occurrence, {
+      user: req.user,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: booking
+        ? `Occurrence ${req.body.occurrence} cancelled${quote?.fee > 0 ? ` with a ${quote.fee} BDT cancellation fee` : ''}`
+        : `Occurrence ${req.body.occurrence} will not be booked`,
+      data: { series, booking, cancellation: quote, refund }
+    });
+  } catch (error) {
+    sendSeriesError(res, error, 'Error skipping occurrence');
+  }
+};
+
+// Customer or staff: cancel the whole series and its upcoming bookings
+export const cancelBookingSeries = async (req, res) => {
+  try {
+    const series = await loadSeries(req, res, { manage: true });
+    if (!series) return;
+
+    const { cancelled } = await cancelSeries(series, { user: req.user, reason: req.body.reason });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Series cancelled along with ${cancelled.length} upcoming booking(s)`,
+      data: { series, cancelledBookings: cancelled.map(booking => booking._id) }
+    });
+  } catch (error) {
+    sendSeriesError(res, error, 'Error cancelling booking series');
+  }
+};
+
+// Admin: book upcoming occurrences of every active series now
+export const adminGenerateOccurrences = async (req, res) => {
+  try {
+    const summary = await generateDueOccurrences();
+    res.status(200).json({ status: 'success', data: summary });
+  } catch (error) {
+    sendSeriesError(res, error, 'Error generating occurrences');
+  }
+};
+
+export default {
+  createBookingSeries,
+  getBookingSeriesList,
+  getBookingSeries,
+  skipSeriesOccurrence,
+  cancelBookingSeries,
+  adminGenerateOccurrences
+};
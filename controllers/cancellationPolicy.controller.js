@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+import CancellationPolicy from "../models/cancellationPolicy.model.js";
+import { describePolicy } from "../services/cancellation.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const EDITABLE_FIELDS = ['name', 'customerTiers', 'minimumFee', 'maximumFee', 'mechanicTiers', 'isActive'];
+
+const pick = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Helper function to report validation and duplicate-policy errors
+const sendPolicyError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'An active policy already exists for this scope. Deactivate it first.'
+    });
+  }
+  const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+  res.status(status).json({ status: 'error', message: fallbackMessage, error: error.message });
+};
+
+const withSummary = (policy) => ({ ...policy.toObject(), summary: describePolicy(policy) });
+
+// Admin: list policies (?scope=&isActive=)
+export const adminGetPolicies = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.scope) filter.scope = req.query.scope;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const policies = await CancellationPolicy.find(filter)
+      .populate('service', 'title category')
+      .sort({ scope: 1, updatedAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: policies.length,
+      data: { policies: policies.map(withSummary) }
+    });
+  } catch (error) {
+    sendPolicyError(res, error, 'Error fetching cancellation policies');
+  }
+};
+
+// Admin: create a policy for the default, a category or a service
+export const adminCreatePolicy = async (req, res) => {
+  try {
+    const { scope, category, service } = req.body;
+    const policy = await CancellationPolicy.create({
+      ...pick(req.body, EDITABLE_FIELDS),
+      scope,
+      category: scope === 'category' ? category : undefined,
+      service: scope === 'service' ? service : undefined,
+      updatedBy: req.user._id
+    });
+
+    await recordAudit({
+      req,
+      action: 'admin.cancellation_policy.created',
+      targetType: 'CancellationPolicy',
+      targetId: policy._id,
+      metadata: { scope, category, service }
+    });
+
+    res.status(201).json({ status: 'success', data: { policy: withSummary(policy) } });
+  } catch (error) {
+    sendPolicyError(res, error, 'Error creating cancellation policy');
+  }
+};
+
+// Admin: update tiers, limits or active state. Existing bookings keep the
+// terms they were made under.
+export const adminUpdatePolicy = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid policy ID' });
+    }
+    const policy = await CancellationPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ status: 'error', message: 'Cancellation policy not found' });
+    }
+
+    Object.assign(policy, pick(req.body, EDITABLE_FIELDS), { updatedBy: req.user._id });
+    await policy.save();
+
+    await recordAudit({
+      req,
+      action: 'admin.cancellation_policy.updated',
+      targetType: 'CancellationPolicy',
+      targetId: policy._id,
+      metadata: { fields: Object.keys(pick(req.body, EDITABLE_FIELDS)) }
+    });
+
+    res.status(200).json({ status: 'success', data: { policy: withSummary(policy) } });
+  } catch (error) {
+    sendPolicyError(res, error, 'Error updating cancellation policy');
+  }
+};
+
+export const adminDeletePolicy = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid policy ID' });
+    }
+    const policy = await CancellationPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ status: 'error', message: 'Cancellation policy not found' });
+    }
+
+    await recordAudit({
+      req,
+      action: 'admin.cancellation_policy.deleted',
+      targetType: 'CancellationPolicy',
+      targetId: policy._id,
+      metadata: { scope: policy.scope, name: policy.name }
+    });
+
+    res.status(200).json({ status: 'success', message: 'Cancellation policy deleted' });
+  } catch (error) {
+    sendPolicyError(res, error, 'Error deleting cancellation policy');
+  }
+};
+
+export default {
+  adminGetPolicies,
+  adminCreatePolicy,
+  adminUpdatePolicy,
+  adminDeletePolicy
+};
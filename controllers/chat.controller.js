@@ -1,6 +1,7 @@
 import { ChatRoom, Message } from '../models/chat.model.js';
 import Guest from '../models/guest.model.js';
 import User from '../models/user.model.js';
+import { notifyUsers } from '../services/notification.service.js';
 
 // Create support chat (for guests and registered users)
 export const createSupportChat = async (req, res) => {
@@ -339,6 +340,16 @@ export const sendMessage = async (req, res) => {
     // Populate sender info for response
     await message.populate('sender', 'fullName name profilePhoto');
 
+    // Let the other participants know (guests have no inbox and are skipped)
+    const preview = message.content.length > 100 ? `${message.content.slice(0, 100)}…` : message.content;
+    notifyUsers(room.participants.filter(p => p.isActive).map(p => p.user), {
+      type: 'chat',
+      title: `New message from ${sender.fullName || sender.name || 'a user'}`,
+      message: preview,
+      booking: room.booking,
+      roomId
+    }, { except: sender._id });
+
     res.status(201).json({
       success: true,
       message: 'Message sent successfully',
@@ -0,0 +1,173 @@
+import mongoose from "mongoose";
+import CommissionRule from "../models/commissionRule.model.js";
+import User, { MECHANIC_TIERS } from "../models/user.model.js";
+import config from "../config/env.js";
+import { recordAudit } from "../services/audit.service.js";
+
+const EDITABLE_FIELDS = ['name', 'category', 'mechanicTier', 'percent', 'minimumAmount', 'isActive'];
+
+const pick = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Helper function to report validation and duplicate-rule errors
+const sendRuleError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'An active rule already exists for this category and tier. Deactivate it first.'
+    });
+  }
+  const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+  res.status(status).json({ status: 'error', message: fallbackMessage, error: error.message });
+};
+
+// Admin: list rules (?category=&mechanicTier=&isActive=)
+export const adminGetRules = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.mechanicTier) filter.mechanicTier = req.query.mechanicTier;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const rules = await CommissionRule.find(filter).sort({ category: 1, mechanicTier: 1, updatedAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: rules.length,
+      data: {
+        rules,
+        // Used when no active rule matches a booking
+        defaultPercent: config.PLATFORM_COMMISSION_PERCENT,
+        mechanicTiers: MECHANIC_TIERS
+      }
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error fetching commission rules');
+  }
+};
+
+// Admin: create a rule for a category, a mechanic tier, both or neither
+export const adminCreateRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.create({
+      ...pick(req.body, EDITABLE_FIELDS),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    await recordAudit({
+      req,
+      action: 'admin.commission_rule.created',
+      targetType: 'CommissionRule',
+      targetId: rule._id,
+      metadata: { category: rule.category, mechanicTier: rule.mechanicTier, percent: rule.percent }
+    });
+
+    res.status(201).json({ status: 'success', data: { rule } });
+  } catch (error) {
+    sendRuleError(res, error, 'Error creating commission rule');
+  }
+};
+
+// Admin: update a rule. Earnings already posted keep the commission they
+// were split with.
+export const adminUpdateRule = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid rule ID' });
+    }
+    const rule = await CommissionRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ status: 'error', message: 'Commission rule not found' });
+    }
+
+    const changes = pick(req.body, EDITABLE_FIELDS);
+    Object.assign(rule, changes, { updatedBy: req.user._id });
+    await rule.save();
+
+    await recordAudit({
+      req,
+      action: 'admin.commission_rule.updated',
+      targetType: 'CommissionRule',
+      targetId: rule._id,
+      metadata: { changes }
+    });
+
+    res.status(200).json({ status: 'success', data: { rule } });
+  } catch (error) {
+    sendRuleError(res, error, 'Error updating commission rule');
+  }
+};
+
+export const adminDeleteRule = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid rule ID' });
+    }
+    const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ status: 'error', message: 'Commission rule not found' });
+    }
+
+    await recordAudit({
+      req,
+      action: 'admin.commission_rule.deleted',
+      targetType: 'CommissionRule',
+      targetId: rule._id,
+      metadata: { name: rule.name, category: rule.category, mechanicTier: rule.mechanicTier, percent: rule.percent }
+    });
+
+    res.status(200).json({ status: 'success', message: 'Commission rule deleted' });
+  } catch (error) {
+    sendRuleError(res, error, 'Error deleting commission rule');
+  }
+};
+
+// Admin: move a mechanic to another commission tier
+export const adminSetMechanicTier = async (req, res) => {
+  try {
+    const { tier } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid mechanic ID' });
+    }
+    if (!MECHANIC_TIERS.includes(tier)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Tier must be one of: ${MECHANIC_TIERS.join(', ')}`
+      });
+    }
+
+    const mechanic = await User.findOne({ _id: req.params.id, role: 'mechanic' });
+    if (!mechanic) {
+      return res.status(404).json({ status: 'error', message: 'Mechanic not found' });
+    }
+
+    const previousTier = mechanic.mechanicTier;
+    mechanic.mechanicTier = tier;
+    await mechanic.save({ validateBeforeSave: false });
+
+    await recordAudit({
+      req,
+      action: 'admin.mechanic.tier_changed',
+      targetType: 'User',
+      targetId: mechanic._id,
+      metadata: { from: previousTier, to: tier }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { mechanic: { _id: mechanic._id, fullName: mechanic.fullName, mechanicTier: mechanic.mechanicTier } }
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Error updating mechanic tier');
+  }
+};
+
+export default {
+  adminGetRules,
+  adminCreateRule,
+  adminUpdateRule,
+  adminDeleteRule,
+  adminSetMechanicTier
+};
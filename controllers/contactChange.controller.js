@@ -0,0 +1,231 @@
+import User from "../models/user.model.js";
+import config from "../config/env.js";
+import { sendOTP as deliverOTP, verifyOTP as checkOTP, consumeOTP } from "../services/otp.service.js";
+import { revokeUserSessions } from "../services/session.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { isValidBDPhone, toLocalPhone, maskPhone } from "../utils/phone.js";
+import { maskEmail } from "../utils/email.js";
+
+const EMAIL_REGEX = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+// How each contact field is validated and where its codes are sent.
+// The current-contact code for an email change goes to the phone number
+// when the account has no email yet.
+const CONTACT_FIELDS = {
+  phoneNumber: {
+    label: 'phone number',
+    bodyKey: 'newPhoneNumber',
+    purpose: 'phone_change',
+    isValid: isValidBDPhone,
+    normalize: toLocalPhone,
+    mask: maskPhone,
+    currentContact: (user) => ({ phoneNumber: user.phoneNumber }),
+    newContact: (value) => ({ phoneNumber: value })
+  },
+  email: {
+    label: 'email',
+    bodyKey: 'newEmail',
+    purpose: 'email_change',
+    isValid: (value) => typeof value === 'string' && EMAIL_REGEX.test(value.trim().toLowerCase()),
+    normalize: (value) => value.trim().toLowerCase(),
+    mask: maskEmail,
+    currentContact: (user) => (user.email ? { email: user.email } : { phoneNumber: user.phoneNumber }),
+    newContact: (value) => ({ email: value })
+  }
+};
+
+// Helper function to send service errors (OTP cooldowns, wrong codes, ...)
+const sendChangeError = (res, error) => {
+  if (error.details?.retryAfter) {
+    res.set('Retry-After', String(error.details.retryAfter));
+  }
+  res.status(error.statusCode || 400).json({
+    status: 'error',
+    message: error.message,
+    ...error.details
+  });
+};
+
+// Start a phone/email change: check the password and uniqueness, then send
+// one code to the current contact and one to the new contact
+const requestContactChange = (field) => async (req, res) => {
+  const spec = CONTACT_FIELDS[field];
+
+  try {
+    const { currentPassword } = req.body;
+    const requested = req.body[spec.bodyKey];
+
+    if (!requested || !currentPassword) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Please provide ${spec.bodyKey} and currentPassword`
+      });
+    }
+
+    if (!spec.isValid(requested)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Please enter a valid ${spec.label}`
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!(await user.correctPassword(currentPassword, user.password))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const value = spec.normalize(requested);
+    if (user[field] && spec.normalize(user[field]) === value) {
+      return res.status(400).json({
+        status: 'error',
+        message: `This is already your ${spec.label}`
+      });
+    }
+
+    if (await User.exists({ [field]: value })) {
+      return res.status(409).json({
+        status: 'error',
+        message: `This ${spec.label} is already in use by another account`
+      });
+    }
+
+    await deliverOTP({ ...spec.currentContact(user), purpose: spec.purpose, user: user._id });
+    await deliverOTP({ ...spec.newContact(value), purpose: spec.purpose, user: user._id });
+
+    const expiresAt = new Date(Date.now() + config.CONTACT_CHANGE_EXPIRES_MINUTES * 60 * 1000);
+    user.pendingContactChange = { field, value, requestedAt: new Date(), expiresAt };
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit({
+      req,
+      action: 'account.contact_change_requested',
+      targetUser: user._id,
+      metadata: { field, newValue: spec.mask(value) }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Verification codes sent to your current contact and your new ${spec.label}`,
+      data: {
+        field,
+        newValue: spec.mask(value),
+        expiresAt
+      }
+    });
+  } catch (error) {
+    sendChangeError(res, error);
+  }
+};
+
+// Apply a pending change once both codes are confirmed
+const confirmContactChange = (field) => async (req, res) => {
+  const spec = CONTACT_FIELDS[field];
+
+  try {
+    const { currentCode, newCode } = req.body;
+    if (!currentCode || !newCode) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide currentCode and newCode'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const pending = user.pendingContactChange;
+
+    if (!pending || pending.field !== field || !pending.expiresAt || pending.expiresAt < new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: `No pending ${spec.label} change. Please request a new one.`
+      });
+    }
+
+    // Check both codes before using either, so a typo in one doesn't waste the other
+    const currentOtp = await checkOTP({ ...spec.currentContact(user), purpose: spec.purpose, code: currentCode, consume: false });
+    const newOtp = await checkOTP({ ...spec.newContact(pending.value), purpose: spec.purpose, code: newCode, consume: false });
+
+    // Another account may have claimed the value while the codes were pending
+    if (await User.exists({ [field]: pending.value, _id: { $ne: user._id } })) {
+      return res.status(409).json({
+        status: 'error',
+        message: `This ${spec.label} is already in use by another account`
+      });
+    }
+
+    // Use both codes before applying the change; a parallel confirmation fails here
+    await consumeOTP(currentOtp);
+    await consumeOTP(newOtp);
+
+    const previous = user[field];
+    user[field] = pending.value;
+    user.pendingContactChange = undefined;
+    await user.save();
+
+    // The phone number is the login identifier: sign out every other device
+    let revokedSessions = 0;
+    if (field === 'phoneNumber') {
+      revokedSessions = await revokeUserSessions(user._id, { except: req.session?._id, reason: 'contact_changed' });
+    }
+
+    await recordAudit({
+      req,
+      action: field === 'phoneNumber' ? 'account.phone_changed' : 'account.email_changed',
+      targetUser: user._id,
+      metadata: {
+        previousValue: previous ? spec.mask(previous) : null,
+        newValue: spec.mask(pending.value),
+        revokedSessions
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Your ${spec.label} has been updated`,
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: `This ${spec.label} is already in use by another account`
+      });
+    }
+    sendChangeError(res, error);
+  }
+};
+
+export const requestPhoneChange = requestContactChange('phoneNumber');
+export const confirmPhoneChange = confirmContactChange('phoneNumber');
+export const requestEmailChange = requestContactChange('email');
+export const confirmEmailChange = confirmContactChange('email');
+
+// Cancel a pending phone/email change
+export const cancelContactChange = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { pendingContactChange: 1 } });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Pending contact change cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error cancelling contact change',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  requestPhoneChange,
+  confirmPhoneChange,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelContactChange
+};
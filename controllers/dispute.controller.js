@@ -0,0 +1,201 @@
+import mongoose from "mongoose";
+import Dispute from "../models/dispute.model.js";
+import Booking from "../models/booking.model.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import {
+  withEvidenceUrls,
+  isDisputeParty,
+  openDispute,
+  addDisputeEvidence,
+  startDisputeReview,
+  resolveDispute,
+} from "../services/dispute.service.js";
+
+// Helper function to send service errors
+const sendDisputeError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message, ...error.details });
+  }
+  const status = error.name === 'ValidationError' ? 400 : 500;
+  res.status(status).json({ status: 'error', message: fallbackMessage, error: error.message });
+};
+
+// Helper function to load a dispute from the :id param
+const findDispute = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ status: 'error', message: 'Invalid dispute ID' });
+    return null;
+  }
+  const dispute = await Dispute.findById(req.params.id);
+  if (!dispute) {
+    res.status(404).json({ status: 'error', message: 'Dispute not found' });
+    return null;
+  }
+  return dispute;
+};
+
+// Customer or mechanic: open a dispute on a booking (multipart, "evidence" files)
+export const createDispute = async (req, res) => {
+  try {
+    const { bookingId, reason, description } = req.body;
+
+    if (!bookingId || !mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({ status: 'error', message: 'A valid bookingId is required' });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({ status: 'error', message: 'Booking not found' });
+    }
+
+    const dispute = await openDispute({
+      booking,
+      user: req.user,
+      reason,
+      description,
+      files: req.files || []
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Dispute opened. Our team will review it shortly.',
+      data: { dispute: withEvidenceUrls(dispute) }
+    });
+  } catch (error) {
+    sendDisputeError(res, error, 'Error opening dispute');
+  }
+};
+
+// Customer or mechanic: disputes on their own bookings
+export const getMyDisputes = async (req, res) => {
+  try {
+    const disputes = await Dispute.find({ $or: [{ customer: req.user._id }, { mechanic: req.user._id }] })
+      .select('-evidence')
+      .populate('booking', 'bookingNumber scheduledDate status')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ status: 'success', results: disputes.length, data: { disputes } });
+  } catch (error) {
+    sendDisputeError(res, error, 'Error fetching disputes');
+  }
+};
+
+// Parties and dispute staff: one dispute with evidence URLs
+export const getDispute = async (req, res) => {
+  try {
+    const dispute = await findDispute(req, res);
+    if (!dispute) return;
+
+    if (!isDisputeParty(dispute, req.user) && !hasPermission(req.user.role, PERMISSIONS.DISPUTES_MANAGE)) {
+      return res.status(403).json({ status: 'error', message: 'You do not have access to this dispute' });
+    }
+
+    await dispute.populate([
+      { path: 'booking', select: 'bookingNumber scheduledDate scheduledTime status totalAmount paymentStatus' },
+      { path: 'customer', select: 'fullName' },
+      { path: 'mechanic', select: 'fullName' },
+      { path: 'assignedTo', select: 'fullName' },
+      { path: 'resolution.payment', select: 'paymentId amount status refund' }
+    ]);
+
+    res.status(200).json({ status: 'success', data: { dispute: withEvidenceUrls(dispute) } });
+  } catch (error) {
+    sendDisputeError(res, error, 'Error fetching dispute');
+  }
+};
+
+// Parties: add more evidence while the dispute is open
+export const addEvidence = async (req, res) => {
+  try {
+    const dispute = await findDispute(req, res);
+    if (!dispute) return;
+
+    if (!isDisputeParty(dispute, req.user)) {
+      return res.status(403).json({ status: 'error', message: 'Only the booking parties can add evidence' });
+    }
+
+    await addDisputeEvidence(dispute, { user: req.user, files: req.files || [], note: req.body.note });
+
+    res.status(200).json({ status: 'success', data: { dispute: withEvidenceUrls(dispute) } });
+  } catch (error) {
+    sendDisputeError(res, error, 'Error adding evidence');
+  }
+};
+
+// Admin: dispute queue, oldest first (?status=opened|under_review|resolved)
+export const adminGetDisputes = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    else filter.status = { $ne: 'resolved' };
+    if (req.query.assignedTo === 'me') filter.assignedTo = req.user._id;
+
+    const disputes = await Dispute.find(filter)
+      .select('-evidence')
+      .populate('booking', 'bookingNumber status totalAmount')
+      .populate('customer', 'fullName')
+      .populate('mechanic', 'fullName')
+      .populate('assignedTo', 'fullName')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Dispute.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      results: disputes.length,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      },
+      data: { disputes }
+    });
+  } catch (error) {
+    sendDisputeError(res, error, 'Error fetching disputes');
+  }
+};
+
+// Admin: take an opened dispute under review
+export const adminReviewDispute = async (req, res) => {
+  try {
+    const dispute = await findDispute(req, res);
+    if (!dispute) return;
+
+    await startDisputeReview(dispute, { user: req.user, note: req.body.note, req });
+
+    res.status(200).json({ status: 'success', message: 'Dispute is under review', data: { dispute } });
+  } catch (error) {
+    sendDisputeError(res, error, 'Error updating dispute');
+  }
+};
+
+// Admin: resolve with full_refund, partial_refund (refundAmount) or no_action
+export const adminResolveDispute = async (req, res) => {
+  try {
+    const dispute = await findDispute(req, res);
+    if (!dispute) return;
+
+    const { outcome, refundAmount, note } = req.body;
+    await resolveDispute(dispute, { user: req.user, outcome, refundAmount, note, req });
+
+    res.status(200).json({ status: 'success', message: 'Dispute resolved', data: { dispute } });
+  } catch (error) {
+    sendDisputeError(res, error, 'Error resolving dispute');
+  }
+};
+
+export default {
+  createDispute,
+  getMyDisputes,
+  getDispute,
+  addEvidence,
+  adminGetDisputes,
+  adminReviewDispute,
+  adminResolveDispute
+};
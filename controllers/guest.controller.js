@@ -2,6 +2,7 @@ import Guest from '../models/guest.model.js';
 import { ChatRoom } from '../models/chat.model.js';
 import crypto from 'crypto';
 import rateLimit from 'express-rate-limit';
+import { getClientIP } from '../utils/request.js';
 
 // Rate limiting for guest creation
 export const guestCreationLimiter = rateLimit({
@@ -26,14 +27,6 @@ const generateSessionId = () => {
   return crypto.randomBytes(32).toString('hex');
 };
 
-// Get client IP address
-const getClientIP = (req) => {
-  return req.headers['x-forwarded-for'] || 
-         req.connection.remoteAddress || 
-         req.socket.remoteAddress ||
-         (req.connection.socket ? req.connection.socket.remoteAddress : null) ||
-         req.ip;
-};
 
 // Create or get guest session
 export const createGuestSession = async (req, res) => {
@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+import LedgerTransaction, { LEDGER_ACCOUNTS, LEDGER_TRANSACTION_TYPES } from "../models/ledgerTransaction.model.js";
+import { getAccountBalances, getAccountStatement } from "../services/ledger.service.js";
+
+// ?from= / ?to= as dates; undefined when absent, null when invalid
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Admin: balances per account (?account=, ?party=, ?byParty=true for sub-ledgers)
+export const adminGetBalances = async (req, res) => {
+  try {
+    const { account, party, byParty } = req.query;
+    const result = await getAccountBalances({ account, party, byParty: byParty === 'true' });
+
+    res.status(200).json({
+      status: 'success',
+      data: { accounts: Object.keys(LEDGER_ACCOUNTS), ...result }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.statusCode ? error.message : 'Error fetching ledger balances',
+      error: error.message
+    });
+  }
+};
+
+// Admin: statement for one account (and party) with running balances
+export const adminGetStatement = async (req, res) => {
+  try {
+    const { account, party } = req.query;
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ status: 'error', message: 'from and to must be valid dates' });
+    }
+    if (!account) {
+      return res.status(400).json({ status: 'error', message: 'account is required' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const { total, ...statement } = await getAccountStatement({ account, party, from, to, page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      results: statement.entries.length,
+      data: {
+        ...statement,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.statusCode ? error.message : 'Error fetching ledger statement',
+      error: error.message
+    });
+  }
+};
+
+// Admin: list transactions (?type=, ?booking=, ?payment=, ?party=)
+export const adminGetTransactions = async (req, res) => {
+  try {
+    const { type, booking, payment, party } = req.query;
+    const filter = {};
+
+    if (type) {
+      if (!LEDGER_TRANSACTION_TYPES.includes(type)) {
+        return res.status(400).json({ status: 'error', message: `type must be one of: ${LEDGER_TRANSACTION_TYPES.join(', ')}` });
+      }
+      filter.type = type;
+    }
+    for (const [field, value] of [['booking', booking], ['payment', payment], ['entries.party', party]]) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ status: 'error', message: `Invalid ${field.replace('entries.', '')} ID` });
+      }
+      filter[field] = value;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const [transactions, total] = await Promise.all([
+      LedgerTransaction.find(filter)
+        .sort({ postedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LedgerTransaction.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: transactions.length,
+      data: {
+        transactions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: 'Error fetching ledger transactions', error: error.message });
+  }
+};
+
+// Admin: one transaction
+export const adminGetTransaction = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid transaction ID' });
+    }
+
+    const transaction = await LedgerTransaction.findById(req.params.id)
+      .populate('entries.party', 'fullName role')
+      .populate('postedBy', 'fullName role');
+    if (!transaction) {
+      return res.status(404).json({ status: 'error', message: 'Transaction not found' });
+    }
+
+    res.status(200).json({ status: 'success', data: { transaction } });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: 'Error fetching ledger transaction', error: error.message });
+  }
+};
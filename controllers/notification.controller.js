@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import { NOTIFICATION_CHANNELS } from "../models/notification.model.js";
+import { listNotifications, countUnread, markRead } from "../services/notification.service.js";
+
+// Get the user's notifications (?unread=true for unread only)
+export const getNotifications = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { notifications, total, unread } = await listNotifications(req.user._id, {
+      unreadOnly: req.query.unread === 'true',
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: notifications.length,
+      data: {
+        notifications,
+        unread,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: 'Error fetching notifications', error: error.message });
+  }
+};
+
+export const getUnreadCount = async (req, res) => {
+  try {
+    const unread = await countUnread(req.user._id);
+    res.status(200).json({ status: 'success', data: { unread } });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: 'Error counting notifications', error: error.message });
+  }
+};
+
+// Mark one notification read
+export const markNotificationRead = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid notification ID' });
+    }
+    const result = await markRead(req.user._id, req.params.id);
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: 'Error updating notification', error: error.message });
+  }
+};
+
+// Mark every notification read
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await markRead(req.user._id);
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: 'Error updating notifications', error: error.message });
+  }
+};
+
+export const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    res.status(200).json({ status: 'success', data: { preferences: user.notificationPreferences } });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: 'Error fetching preferences', error: error.message });
+  }
+};
+
+// Turn channels on or off. Body: { in_app: true, sms: false, email: true }
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const update = {};
+    for (const [channel, enabled] of Object.entries(req.body || {})) {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Unknown channel "${channel}". Channels: ${NOTIFICATION_CHANNELS.join(', ')}`
+        });
+      }
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ status: 'error', message: `"${channel}" must be true or false` });
+      }
+      update[`notificationPreferences.${channel}`] = enabled;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+      .select('notificationPreferences');
+
+    res.status(200).json({ status: 'success', data: { preferences: user.notificationPreferences } });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: 'Error updating preferences', error: error.message });
+  }
+};
+
+export default {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+};
@@ -1,11 +1,25 @@
 import Payment from '../models/payment.model.js';
 import Booking from '../models/booking.model.js';
 import User from '../models/user.model.js';
+import { PERMISSIONS, hasPermission, participantScope } from '../config/permissions.js';
+import config from '../config/env.js';
+import { refundPayment } from '../services/refund.service.js';
+import {
+  isGatewayMethod,
+  hasPaymentGateway,
+  startGatewayPayment,
+  amountDue,
+  confirmGatewayPayment,
+  markPaymentCompleted,
+  cancelPayment,
+  handleGatewayCallback
+} from '../services/payment.service.js';
+import { handlePaymentWebhook } from '../services/paymentWebhook.service.js';
 
 // Create a new payment
 export const createPayment = async (req, res) => {
   try {
-    const { bookingId, amount, paymentMethod, paymentDetails } = req.body;
+    const { bookingId, amount, paymentMethod, mfsDetails, notes } = req.body;
     
     // Verify booking exists and belongs to user
     const booking = await Booking.findById(bookingId);
@@ -23,8 +37,30 @@ export const createPayment = async (req, res) => {
       });
     }
     
-    // Check if payment already exists for this booking
-    const existingPayment = await Payment.findOne({ booking: bookingId });
+    // The amount is what the booking still owes (for a cancelled booking, its
+    // cancellation fee); a client-sent amount must agree with it
+    const due = await amountDue(booking);
+    if (due <= 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: booking.status === 'cancelled'
+          ? 'This booking was cancelled and has nothing to pay'
+          : 'Nothing is due for this booking'
+      });
+    }
+    if (amount !== undefined && amount !== null && amount !== '' && Math.abs(Number(amount) - due) > 0.009) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${due} BDT is due for this booking`
+      });
+    }
+    
+    // One open payment at a time. Earlier completed payments don't block a
+    // new one once an accepted quote has left part of the total due again.
+    const existingPayment = await Payment.findOne({
+      booking: bookingId,
+      status: booking.paymentStatus === 'paid' ? { $in: ['pending', 'completed', 'refunded'] } : 'pending'
+    });
     if (existingPayment) {
       return res.status(400).json({
         status: 'error',
@@ -36,12 +72,18 @@ export const createPayment = async (req, res) => {
       booking: bookingId,
       customer: req.user.id,
       mechanic: booking.mechanic,
-      amount,
+      amount: due,
       paymentMethod,
-      paymentDetails,
+      mfsDetails,
+      notes,
       status: 'pending'
     });
     
+    // Online methods get a gateway checkout the customer is sent to
+    if (isGatewayMethod(paymentMethod)) {
+      await startGatewayPayment(payment, { customer: req.user });
+    }
+    
     await payment.populate([
       { path: 'booking', select: 'bookingNumber serviceLocation' },
       { path: 'customer', select: 'fullName' },
@@ -50,12 +92,12 @@ export const createPayment = async (req, res) => {
     
     res.status(201).json({
       status: 'success',
-      data: { payment }
+      data: { payment, checkoutUrl: payment.paymentDetails?.checkoutUrl }
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       status: 'error',
-      message: 'Error creating payment',
+      message: error.statusCode ? error.message : 'Error creating payment',
       error: error.message
     });
   }
@@ -67,13 +109,15 @@ export const getPayments = async (req, res) => {
     const { status, paymentMethod, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
     
-    const filter = {};
-    if (req.user.role === 'customer') {
-      filter.customer = req.user.id;
-    } else if (req.user.role === 'mechanic') {
-      filter.mechanic = req.user.id;
+    const scope = participantScope(req.user, PERMISSIONS.PAYMENTS_READ_ALL);
+    if (!scope) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to view payments'
+      });
     }
-    
+
+    const filter = { ...scope };
     if (status) filter.status = status;
     if (paymentMethod) filter.paymentMethod = paymentMethod;
     
@@ -122,7 +166,7 @@ export const getPayment = async (req, res) => {
     }
     
     // Check access permissions
-    if (req.user.role !== 'admin' && 
+    if (!hasPermission(req.user.role, PERMISSIONS.PAYMENTS_READ_ALL) && 
         payment.customer._id.toString() !== req.user.id && 
         payment.mechanic._id.toString() !== req.user.id) {
       return res.status(403).json({
@@ -149,7 +193,7 @@ export const updatePayment = async (req, res) => {
   try {
     const { status, paymentDetails } = req.body;
     
-    const payment = await Payment.findById(req.params.id);
+    let payment = await Payment.findById(req.params.id);
     
     if (!payment) {
       return res.status(404).json({
@@ -159,18 +203,36 @@ export const updatePayment = async (req, res) => {
     }
     
     // Check permissions
-    if (req.user.role !== 'admin' && 
-        payment.customer.toString() !== req.user.id) {
+    const canManage = hasPermission(req.user.role, PERMISSIONS.PAYMENTS_MANAGE);
+    if (!canManage && payment.customer.toString() !== req.user.id) {
       return res.status(403).json({
         status: 'error',
         message: 'You can only update your own payments'
       });
     }
     
-    if (status) payment.status = status;
-    if (paymentDetails) payment.paymentDetails = paymentDetails;
+    // The only status change here is cancelling a pending payment. Completion
+    // goes through processing or the gateway, refunds through the refund
+    // endpoints, so the booking and the ledger follow.
+    if (status && status !== 'cancelled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Use the process or refund endpoints to change a payment\'s status'
+      });
+    }
+    
+    if (paymentDetails && !canManage) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Payment details are recorded by the payment gateway'
+      });
+    }
     
-    await payment.save();
+    if (status === 'cancelled') payment = await cancelPayment(payment);
+    if (paymentDetails) {
+      payment.set('paymentDetails', paymentDetails, { merge: true });
+      await payment.save();
+    }
     
     await payment.populate([
       { path: 'booking', select: 'bookingNumber serviceLocation' },
@@ -183,9 +245,9 @@ export const updatePayment = async (req, res) => {
       data: { payment }
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       status: 'error',
-      message: 'Error updating payment',
+      message: error.statusCode ? error.message : 'Error updating payment',
       error: error.message
     });
   }
@@ -203,11 +265,11 @@ export const deletePayment = async (req, res) => {
       });
     }
     
-    // Only admin can delete payments
-    if (req.user.role !== 'admin') {
+    // Only payment managers can delete payments
+    if (!hasPermission(req.user.role, PERMISSIONS.PAYMENTS_MANAGE)) {
       return res.status(403).json({
         status: 'error',
-        message: 'Only admins can delete payments'
+        message: 'You do not have permission to delete payments'
       });
     }
     
@@ -226,11 +288,10 @@ export const deletePayment = async (req, res) => {
   }
 };
 
-// Process payment
+// Process payment. Online payments are confirmed with the gateway; cash is
+// confirmed by the mechanic who collected it, bank transfers by finance.
 export const processPayment = async (req, res) => {
   try {
-    const { transactionId, gateway } = req.body;
-    
     const payment = await Payment.findById(req.params.id);
     
     if (!payment) {
@@ -240,23 +301,64 @@ export const processPayment = async (req, res) => {
       });
     }
     
-    // Update payment status
-    payment.status = 'completed';
-    payment.paymentDetails = {
-      ...payment.paymentDetails,
-      transactionId,
-      gateway,
-      paymentDate: new Date()
-    };
-    
-    await payment.save();
-    
-    // Update booking payment status
-    await Booking.findByIdAndUpdate(payment.booking, {
-      paymentStatus: 'paid',
-      isPaid: true,
-      paidAt: new Date()
-    });
+    const canManage = hasPermission(req.user.role, PERMISSIONS.PAYMENTS_MANAGE);
+    const isCustomer = payment.customer.toString() === req.user.id;
+    const isMechanic = payment.mechanic.toString() === req.user.id;
+    
+    if (payment.status === 'expired' || (payment.status === 'pending' && payment.isExpired())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This payment has expired. Please start a new payment.'
+      });
+    }
+    
+    if (payment.status !== 'pending') {
+      return res.status(400).json({
+        status: 'error',
+        message: `This payment is already ${payment.status}`
+      });
+    }
+    
+    if (isGatewayMethod(payment.paymentMethod)) {
+      if (!isCustomer && !canManage) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'You do not have access to this payment'
+        });
+      }
+      
+      await confirmGatewayPayment(payment, { params: req.body });
+      
+      if (payment.status === 'pending') {
+        return res.status(202).json({
+          status: 'success',
+          message: 'The payment gateway has not confirmed this payment yet',
+          data: { payment }
+        });
+      }
+      if (payment.status !== 'completed') {
+        return res.status(400).json({
+          status: 'error',
+          message: `The payment gateway reported this payment as ${payment.status}`,
+          data: { payment }
+        });
+      }
+    } else {
+      const canConfirm = canManage || (payment.paymentMethod === 'cash' && isMechanic);
+      if (!canConfirm) {
+        return res.status(403).json({
+          status: 'error',
+          message: payment.paymentMethod === 'cash'
+            ? 'Only the mechanic who collected the cash can confirm this payment'
+            : 'Only finance staff can confirm this payment'
+        });
+      }
+      
+      await markPaymentCompleted(payment, {
+        transactionId: req.body.transactionId,
+        gateway: payment.paymentMethod
+      });
+    }
     
     await payment.populate([
       { path: 'booking', select: 'bookingNumber serviceLocation' },
@@ -270,9 +372,54 @@ export const processPayment = async (req, res) => {
       data: { payment }
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
+      status: 'error',
+      message: error.statusCode ? error.message : 'Error processing payment',
+      error: error.message
+    });
+  }
+};
+
+// Gateway callback: the customer's browser returns here from the checkout.
+// The payment is confirmed server-side and the customer is sent on to the app.
+export const gatewayCallback = async (req, res) => {
+  const params = { ...req.query, ...(req.body || {}) };
+  
+  if (!hasPaymentGateway(req.params.gateway)) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Unknown payment gateway'
+    });
+  }
+  
+  try {
+    const payment = await handleGatewayCallback(req.params.gateway, params);
+    res.redirect(`${config.FRONTEND_URL}/payments/${payment._id}?status=${payment.status}`);
+  } catch (error) {
+    console.error(`Payment callback from ${req.params.gateway} failed:`, error.message);
+    const message = error.statusCode ? error.message : 'We could not confirm your payment';
+    res.redirect(`${config.FRONTEND_URL}/payments/result?status=error&message=${encodeURIComponent(message)}`);
+  }
+};
+
+// Gateway webhook: a signed server-to-server event from the payment provider
+export const paymentWebhook = async (req, res) => {
+  try {
+    const { event, payment, duplicate } = await handlePaymentWebhook(req.params.gateway, {
+      rawBody: req.rawBody,
+      headers: req.headers,
+      body: req.body
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      message: duplicate ? 'Event already received' : 'Event processed',
+      data: { eventId: event.eventId, paymentStatus: payment?.status }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       status: 'error',
-      message: 'Error processing payment',
+      message: error.statusCode ? error.message : 'Error processing webhook',
       error: error.message
     });
   }
@@ -281,11 +428,12 @@ export const processPayment = async (req, res) => {
 // Get payment statistics
 export const getPaymentStats = async (req, res) => {
   try {
-    const filter = {};
-    if (req.user.role === 'customer') {
-      filter.customer = req.user.id;
-    } else if (req.user.role === 'mechanic') {
-      filter.mechanic = req.user.id;
+    const filter = participantScope(req.user, PERMISSIONS.PAYMENTS_READ_ALL);
+    if (!filter) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to view payment statistics'
+      });
     }
     
     const stats = await Payment.aggregate([
@@ -380,34 +528,14 @@ export const adminProcessRefund = async (req, res) => {
       });
     }
     
-    if (payment.status !== 'completed') {
+    if (!payment.canRefund()) {
       return res.status(400).json({
         status: 'error',
-        message: 'Only completed payments can be refunded'
+        message: 'Only completed payments, or payments held for review, can be refunded'
       });
     }
     
-    payment.status = 'refunded';
-    payment.refund = {
-      isRefunded: true,
-      refundAmount: refundAmount || payment.amount,
-      refundReason,
-      refundStatus: 'processed',
-      refundedAt: new Date(),
-      refundedBy: req.user.id
-    };
-    
-    await payment.save();
-    
-    // Update booking refund status
-    await Booking.findByIdAndUpdate(payment.booking, {
-      'refund.isRefunded': true,
-      'refund.refundAmount': refundAmount || payment.amount,
-      'refund.refundReason': refundReason,
-      'refund.refundStatus': 'processed',
-      'refund.refundedAt': new Date(),
-      'refund.refundedBy': req.user.id
-    });
+    await refundPayment(payment, { amount: refundAmount, reason: refundReason, refundedBy: req.user.id });
     
     await payment.populate([
       { path: 'booking', select: 'bookingNumber serviceLocation' },
@@ -421,9 +549,9 @@ export const adminProcessRefund = async (req, res) => {
       data: { payment }
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       status: 'error',
-      message: 'Error processing refund',
+      message: error.statusCode ? error.message : 'Error processing refund',
       error: error.message
     });
   }
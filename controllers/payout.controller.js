@@ -0,0 +1,467 @@
+import mongoose from "mongoose";
+import Payout, { PAYOUT_STATUSES } from "../models/payout.model.js";
+import PayoutBatch, { PAYOUT_BATCH_STATUSES } from "../models/payoutBatch.model.js";
+import User, { PAYOUT_METHODS } from "../models/user.model.js";
+import { isValidBDPhone, toLocalPhone } from "../utils/phone.js";
+import { recordAudit } from "../services/audit.service.js";
+import { sendOTP, verifyOTP } from "../services/otp.service.js";
+import {
+  maskAccountNumber,
+  getMechanicEarnings,
+  requestPayout,
+  cancelPayout,
+  approvePayout,
+  rejectPayout,
+  createPayoutBatch,
+  recordPayoutResult,
+} from "../services/payout.service.js";
+
+const MFS_METHODS = ['bkash', 'nagad', 'rocket'];
+
+// Helper function to send service errors
+const sendPayoutError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message, ...error.details });
+  }
+  const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+  res.status(status).json({ status: 'error', message: fallbackMessage, error: error.message });
+};
+
+// Helper function to load a payout from the :id param (optionally the
+// caller's own)
+const findPayout = async (req, res, { own = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ status: 'error', message: 'Invalid payout ID' });
+    return null;
+  }
+  const filter = { _id: req.params.id };
+  if (own) filter.mechanic = req.user._id;
+
+  const payout = await Payout.findOne(filter);
+  if (!payout) {
+    res.status(404).json({ status: 'error', message: 'Payout not found' });
+    return null;
+  }
+  return payout;
+};
+
+// Mechanics only ever see the last digits of their account number
+const withMaskedAccount = (payout) => {
+  const data = payout.toObject();
+  data.account.accountNumber = maskAccountNumber(data.account.accountNumber);
+  return data;
+};
+
+const pagination = (req) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Mechanic: earnings dashboard (balance, totals, recent jobs and payouts)
+export const getMyEarnings = async (req, res) => {
+  try {
+    const earnings = await getMechanicEarnings(req.user._id);
+    earnings.payouts = earnings.payouts.map(withMaskedAccount);
+
+    res.status(200).json({ status: 'success', data: { earnings } });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error fetching earnings');
+  }
+};
+
+// Mechanic: the account payouts are sent to
+export const getPayoutAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('payoutAccount');
+    const { payoutAccount } = user.toObject();
+
+    res.status(200).json({ status: 'success', data: { payoutAccount: payoutAccount?.method ? payoutAccount : null } });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error fetching payout account');
+  }
+};
+
+// Mechanic: send the code that confirms a payout account change to the
+// account's phone, so a stolen session can't redirect payouts
+export const sendPayoutAccountOtp = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('phoneNumber');
+    await sendOTP({ phoneNumber: user.phoneNumber, purpose: 'payout_account', user: user._id });
+
+    res.status(200).json({ status: 'success', message: 'Enter the code sent to your phone to change your payout account' });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error sending code');
+  }
+};
+
+// Mechanic: set a bKash/Nagad/Rocket wallet or bank account, confirmed with
+// the code from sendPayoutAccountOtp. Payouts already requested keep the
+// account they were requested with.
+export const updatePayoutAccount = async (req, res) => {
+  try {
+    const { method, accountName, accountNumber, bankName, branchName, routingNumber, otp } = req.body;
+
+    if (!PAYOUT_METHODS.includes(method)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Payout method must be one of: ${PAYOUT_METHODS.join(', ')}`
+      });
+    }
+    if (!accountName || !accountNumber) {
+      return res.status(400).json({ status: 'error', message: 'Account name and number are required' });
+    }
+
+    let payoutAccount;
+    if (MFS_METHODS.includes(method)) {
+      if (!isValidBDPhone(accountNumber)) {
+        return res.status(400).json({ status: 'error', message: 'Please provide a valid wallet number' });
+      }
+      payoutAccount = { method, accountName, accountNumber: toLocalPhone(accountNumber) };
+    } else {
+      if (!bankName || !branchName || !/^\d{9}$/.test(String(routingNumber || ''))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Bank name, branch and a 9-digit routing number are required for bank payouts'
+        });
+      }
+      if (!/^\d{8,20}$/.test(String(accountNumber))) {
+        return res.status(400).json({ status: 'error', message: 'Please provide a valid bank account number' });
+      }
+      payoutAccount = { method, accountName, accountNumber: String(accountNumber), bankName, branchName, routingNumber: String(routingNumber) };
+    }
+
+    if (!otp) {
+      return res.status(400).json({ status: 'error', message: 'Enter the code sent to your phone to confirm this change' });
+    }
+    const user = await User.findById(req.user._id);
+    await verifyOTP({ phoneNumber: user.phoneNumber, purpose: 'payout_account', code: otp });
+
+    user.payoutAccount = payoutAccount;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit({
+      req,
+      action: 'payout.account_updated',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { method, accountNumber: maskAccountNumber(payoutAccount.accountNumber) }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Payout account updated',
+      data: { payoutAccount: user.toObject().payoutAccount }
+    });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error updating payout account');
+  }
+};
+
+// Mechanic: request a payout of the available balance
+export const createPayoutRequest = async (req, res) => {
+  try {
+    const payout = await requestPayout(req.user._id, { amount: req.body.amount, note: req.body.note });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Payout requested. Our finance team will review it shortly.',
+      data: { payout: withMaskedAccount(payout) }
+    });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error requesting payout');
+  }
+};
+
+// Mechanic: own payouts (?status=)
+export const getMyPayouts = async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req);
+    const filter = { mechanic: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(filter).select('-history').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Payout.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: payouts.length,
+      data: {
+        payouts: payouts.map(withMaskedAccount),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error fetching payouts');
+  }
+};
+
+export const getMyPayout = async (req, res) => {
+  try {
+    const payout = await findPayout(req, res, { own: true });
+    if (!payout) return;
+
+    res.status(200).json({ status: 'success', data: { payout: withMaskedAccount(payout) } });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error fetching payout');
+  }
+};
+
+export const cancelMyPayout = async (req, res) => {
+  try {
+    const payout = await findPayout(req, res, { own: true });
+    if (!payout) return;
+
+    await cancelPayout(payout, { user: req.user });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Payout request cancelled',
+      data: { payout: withMaskedAccount(payout) }
+    });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error cancelling payout');
+  }
+};
+
+// Admin: payout requests (?status=&method=&mechanic=)
+export const adminGetPayouts = async (req, res) => {
+  try {
+    const { status, method, mechanic } = req.query;
+    if (status && !PAYOUT_STATUSES.includes(status)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid payout status' });
+    }
+    if (mechanic && !mongoose.Types.ObjectId.isValid(mechanic)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid mechanic ID' });
+    }
+
+    const { page, limit, skip } = pagination(req);
+    const filter = {};
+    if (status) filter.status = status;
+    if (method) filter['account.method'] = method;
+    if (mechanic) filter.mechanic = mechanic;
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(filter)
+        .populate('mechanic', 'fullName phoneNumber mechanicTier')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Payout.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: payouts.length,
+      data: {
+        payouts,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error fetching payouts');
+  }
+};
+
+// Admin: a mechanic's earnings dashboard
+export const adminGetMechanicEarnings = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid mechanic ID' });
+    }
+    const mechanic = await User.findOne({ _id: req.params.id, role: 'mechanic' })
+      .select('fullName phoneNumber mechanicTier payoutAccount');
+    if (!mechanic) {
+      return res.status(404).json({ status: 'error', message: 'Mechanic not found' });
+    }
+
+    const earnings = await getMechanicEarnings(mechanic._id);
+
+    res.status(200).json({ status: 'success', data: { mechanic, earnings } });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error fetching mechanic earnings');
+  }
+};
+
+export const adminApprovePayout = async (req, res) => {
+  try {
+    const payout = await findPayout(req, res);
+    if (!payout) return;
+
+    await approvePayout(payout, { user: req.user, note: req.body.note });
+
+    await recordAudit({
+      req,
+      action: 'admin.payout.approved',
+      targetUser: payout.mechanic,
+      targetType: 'Payout',
+      targetId: payout._id,
+      metadata: { amount: payout.amount }
+    });
+
+    res.status(200).json({ status: 'success', message: 'Payout approved', data: { payout } });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error approving payout');
+  }
+};
+
+export const adminRejectPayout = async (req, res) => {
+  try {
+    const payout = await findPayout(req, res);
+    if (!payout) return;
+
+    await rejectPayout(payout, { user: req.user, reason: req.body.reason });
+
+    await recordAudit({
+      req,
+      action: 'admin.payout.rejected',
+      targetUser: payout.mechanic,
+      targetType: 'Payout',
+      targetId: payout._id,
+      reason: req.body.reason,
+      metadata: { amount: payout.amount }
+    });
+
+    res.status(200).json({ status: 'success', message: 'Payout rejected', data: { payout } });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error rejecting payout');
+  }
+};
+
+// Admin: start a payout run from approved payouts (optionally one method's
+// or the listed payoutIds)
+export const adminCreateBatch = async (req, res) => {
+  try {
+    const { method, payoutIds, note } = req.body;
+    if (method && !PAYOUT_METHODS.includes(method)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Payout method must be one of: ${PAYOUT_METHODS.join(', ')}`
+      });
+    }
+    if (payoutIds !== undefined && (!Array.isArray(payoutIds) || !payoutIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({ status: 'error', message: 'payoutIds must be a list of payout IDs' });
+    }
+
+    const batch = await createPayoutBatch({ user: req.user, method, payoutIds, note });
+
+    await recordAudit({
+      req,
+      action: 'admin.payout_batch.created',
+      targetType: 'PayoutBatch',
+      targetId: batch._id,
+      metadata: { method, payouts: batch.payouts.length, totalAmount: batch.totalAmount }
+    });
+
+    await batch.populate({ path: 'payouts', populate: { path: 'mechanic', select: 'fullName phoneNumber' } });
+
+    res.status(201).json({ status: 'success', data: { batch } });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error creating payout batch');
+  }
+};
+
+// Admin: payout runs (?status=)
+export const adminGetBatches = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !PAYOUT_BATCH_STATUSES.includes(status)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid batch status' });
+    }
+
+    const { page, limit, skip } = pagination(req);
+    const filter = status ? { status } : {};
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(filter)
+        .populate('createdBy', 'fullName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PayoutBatch.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: batches.length,
+      data: {
+        batches,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error fetching payout batches');
+  }
+};
+
+export const adminGetBatch = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid batch ID' });
+    }
+    const batch = await PayoutBatch.findById(req.params.id)
+      .populate('createdBy', 'fullName')
+      .populate({ path: 'payouts', populate: { path: 'mechanic', select: 'fullName phoneNumber' } });
+    if (!batch) {
+      return res.status(404).json({ status: 'error', message: 'Payout batch not found' });
+    }
+
+    res.status(200).json({ status: 'success', data: { batch } });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error fetching payout batch');
+  }
+};
+
+// Admin: record the outcome of one transfer in a batch
+// (status paid with transactionReference, or failed with failureReason)
+export const adminRecordPayoutResult = async (req, res) => {
+  try {
+    const { id, payoutId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(payoutId)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid batch or payout ID' });
+    }
+
+    const [batch, payout] = await Promise.all([PayoutBatch.findById(id), Payout.findById(payoutId)]);
+    if (!batch || !payout) {
+      return res.status(404).json({ status: 'error', message: 'Payout batch or payout not found' });
+    }
+
+    const { status, transactionReference, failureReason } = req.body;
+    await recordPayoutResult(batch, payout, { user: req.user, status, transactionReference, failureReason });
+
+    await recordAudit({
+      req,
+      action: `admin.payout.${status}`,
+      targetUser: payout.mechanic,
+      targetType: 'Payout',
+      targetId: payout._id,
+      reason: failureReason,
+      metadata: { batch: batch._id, amount: payout.amount, transactionReference }
+    });
+
+    res.status(200).json({ status: 'success', data: { payout, batch } });
+  } catch (error) {
+    sendPayoutError(res, error, 'Error recording payout result');
+  }
+};
+
+export default {
+  getMyEarnings,
+  getPayoutAccount,
+  sendPayoutAccountOtp,
+  updatePayoutAccount,
+  createPayoutRequest,
+  getMyPayouts,
+  getMyPayout,
+  cancelMyPayout,
+  adminGetPayouts,
+  adminGetMechanicEarnings,
+  adminApprovePayout,
+  adminRejectPayout,
+  adminCreateBatch,
+  adminGetBatches,
+  adminGetBatch,
+  adminRecordPayoutResult
+};
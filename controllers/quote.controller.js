@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+import Booking from "../models/booking.model.js";
+import Quote from "../models/quote.model.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import { sendQuote, acceptQuote, rejectQuote, withdrawQuote } from "../services/quote.service.js";
+
+// Helper function to send service and validation errors
+const sendQuoteError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message });
+  }
+  const status = error.name === 'ValidationError' ? 400 : 500;
+  res.status(status).json({ status: 'error', message: fallbackMessage, error: error.message });
+};
+
+// Helper function to load the booking (and quote) from the route params
+const loadBooking = async (req, res, { withQuote = false } = {}) => {
+  const { id, quoteId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id) || (withQuote && !mongoose.Types.ObjectId.isValid(quoteId))) {
+    res.status(400).json({ status: 'error', message: 'Invalid booking or quote ID' });
+    return {};
+  }
+
+  const booking = await Booking.findById(id);
+  if (!booking) {
+    res.status(404).json({ status: 'error', message: 'Booking not found' });
+    return {};
+  }
+  if (!withQuote) return { booking };
+
+  const quote = await Quote.findOne({ _id: quoteId, booking: booking._id });
+  if (!quote) {
+    res.status(404).json({ status: 'error', message: 'Quote not found' });
+    return {};
+  }
+  return { booking, quote };
+};
+
+// Parties and staff: all quotes on a booking, newest first
+export const getBookingQuotes = async (req, res) => {
+  try {
+    const { booking } = await loadBooking(req, res);
+    if (!booking) return;
+
+    if (!hasPermission(req.user.role, PERMISSIONS.BOOKINGS_READ_ALL) &&
+        booking.customer.toString() !== req.user.id &&
+        booking.mechanic.toString() !== req.user.id) {
+      return res.status(403).json({ status: 'error', message: 'You do not have access to this booking' });
+    }
+
+    const quotes = await Quote.find({ booking: booking._id }).sort({ version: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: quotes.length,
+      data: {
+        quotes,
+        quoteStatus: booking.quoteStatus,
+        totalAmount: booking.totalAmount
+      }
+    });
+  } catch (error) {
+    sendQuoteError(res, error, 'Error fetching quotes');
+  }
+};
+
+// Mechanic: send an itemized estimate or change order
+// Body: { kind: 'estimate'|'change_order', items: [{ type, description, quantity, unitPrice }], note, validUntil }
+export const createQuote = async (req, res) => {
+  try {
+    const { booking } = await loadBooking(req, res);
+    if (!booking) return;
+
+    if (booking.mechanic.toString() !== req.user.id) {
+      return res.status(403).json({ status: 'error', message: 'Only the assigned mechanic can send quotes' });
+    }
+
+    const { kind, items, note, validUntil } = req.body;
+    const quote = await sendQuote(booking, { mechanicId: req.user._id, kind, items, note, validUntil });
+
+    res.status(201).json({
+      status: 'success',
+      message: kind === 'estimate' ? 'Estimate sent to the customer' : 'Change order sent to the customer for approval',
+      data: { quote }
+    });
+  } catch (error) {
+    sendQuoteError(res, error, 'Error sending quote');
+  }
+};
+
+// Customer: accept a pending quote
+export const acceptBookingQuote = async (req, res) => {
+  try {
+    const { booking, quote } = await loadBooking(req, res, { withQuote: true });
+    if (!quote) return;
+
+    if (booking.customer.toString() !== req.user.id) {
+      return res.status(403).json({ status: 'error', message: 'Only the customer can accept quotes' });
+    }
+
+    const accepted = await acceptQuote(booking, quote, { note: req.body.note });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Quote accepted. The booking total is now ${booking.totalAmount} BDT.`,
+      data: { quote: accepted, booking }
+    });
+  } catch (error) {
+    sendQuoteError(res, error, 'Error accepting quote');
+  }
+};
+
+// Customer: reject a pending quote
+export const rejectBookingQuote = async (req, res) => {
+  try {
+    const { booking, quote } = await loadBooking(req, res, { withQuote: true });
+    if (!quote) return;
+
+    if (booking.customer.toString() !== req.user.id) {
+      return res.status(403).json({ status: 'error', message: 'Only the customer can reject quotes' });
+    }
+
+    const rejected = await rejectQuote(booking, quote, { note: req.body.note });
+
+    res.status(200).json({ status: 'success', message: 'Quote rejected', data: { quote: rejected, booking } });
+  } catch (error) {
+    sendQuoteError(res, error, 'Error rejecting quote');
+  }
+};
+
+// Mechanic: withdraw a quote the customer hasn't answered yet
+export const withdrawBookingQuote = async (req, res) => {
+  try {
+    const { booking, quote } = await loadBooking(req, res, { withQuote: true });
+    if (!quote) return;
+
+    if (booking.mechanic.toString() !== req.user.id) {
+      return res.status(403).json({ status: 'error', message: 'Only the assigned mechanic can withdraw quotes' });
+    }
+
+    const withdrawn = await withdrawQuote(booking, quote);
+
+    res.status(200).json({ status: 'success', message: 'Quote withdrawn', data: { quote: withdrawn } });
+  } catch (error) {
+    sendQuoteError(res, error, 'Error withdrawing quote');
+  }
+};
+
+export default {
+  getBookingQuotes,
+  createQuote,
+  acceptBookingQuote,
+  rejectBookingQuote,
+  withdrawBookingQuote
+};
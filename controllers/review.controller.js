@@ -1,6 +1,7 @@
 import Review from '../models/review.model.js';
 import User from '../models/user.model.js';
 import Service from '../models/service.model.js';
+import { PERMISSIONS, hasPermission } from '../config/permissions.js';
 
 // Create a new review
 export const createReview = async (req, res) => {
@@ -174,8 +175,8 @@ export const deleteReview = async (req, res) => {
       });
     }
     
-    // Check if user owns this review or is admin
-    if (review.customer.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns this review or moderates reviews
+    if (review.customer.toString() !== req.user.id && !hasPermission(req.user.role, PERMISSIONS.REVIEWS_MODERATE)) {
       return res.status(403).json({
         status: 'error',
         message: 'You can only delete your own reviews'
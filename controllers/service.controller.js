@@ -1,6 +1,9 @@
 import Service from "../models/service.model.js";
 import User from "../models/user.model.js";
 import mongoose from "mongoose";
+import { getAvailableSlots } from "../services/availability.service.js";
+import { getServicePolicy } from "../services/cancellation.service.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
 
 // Helper function to create filter object
 const createFilter = (query) => {
@@ -99,7 +102,8 @@ export const getService = async (req, res) => {
     res.status(200).json({
       status: 'success',
       data: {
-        service
+        service,
+        cancellationPolicy: await getServicePolicy(service)
       }
     });
   } catch (error) {
@@ -112,6 +116,85 @@ export const getService = async (req, res) => {
   }
 };
 
+// Get bookable time slots for a service (?from=YYYY-MM-DD&to=YYYY-MM-DD, Dhaka dates)
+export const getServiceSlots = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid service ID format'
+      });
+    }
+
+    const service = await Service.findById(id)
+      .select('mechanic isActive isAvailable estimatedDuration availability');
+    if (!service) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Service not found'
+      });
+    }
+
+    const slots = await getAvailableSlots(service, { from: req.query.from, to: req.query.to });
+
+    res.status(200).json({
+      status: 'success',
+      data: slots
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Error in getServiceSlots:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching available slots',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the cancellation policy that applies to bookings of a service
+export const getServiceCancellationPolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid service ID format'
+      });
+    }
+
+    const service = await Service.findById(id).select('category');
+    if (!service) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Service not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        cancellationPolicy: await getServicePolicy(service)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getServiceCancellationPolicy:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Create new service (for mechanics and admins)
 export const createService = async (req, res) => {
   try {
@@ -124,10 +207,10 @@ export const createService = async (req, res) => {
     console.log('createService called. req.user:', req.user);
     // Debug log for request body
     console.log('createService req.body:', req.body);
-    // Verify the user is a mechanic or admin
+    // Verify the user may still list services
     const mechanic = await User.findById(req.user.id);
     console.log('createService mechanic:', mechanic);
-    if (!mechanic || (mechanic.role !== 'mechanic' && mechanic.role !== 'admin')) {
+    if (!mechanic || !hasPermission(mechanic.role, PERMISSIONS.SERVICES_WRITE)) {
       return res.status(403).json({
         status: 'error',
         message: 'Only mechanics and admins can create services'
@@ -185,8 +268,8 @@ export const updateService = async (req, res) => {
       });
     }
     
-    // Check if user owns the service or is admin
-    if (service.mechanic.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns the service or moderates services
+    if (service.mechanic.toString() !== req.user.id && !hasPermission(req.user.role, PERMISSIONS.SERVICES_MODERATE)) {
       return res.status(403).json({
         status: 'error',
         message: 'You can only update your own services'
@@ -226,8 +309,8 @@ export const deleteService = async (req, res) => {
       });
     }
     
-    // Check if user owns the service or is admin
-    if (service.mechanic.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns the service or moderates services
+    if (service.mechanic.toString() !== req.user.id && !hasPermission(req.user.role, PERMISSIONS.SERVICES_MODERATE)) {
       return res.status(403).json({
         status: 'error',
         message: 'You can only delete your own services'
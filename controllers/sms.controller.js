@@ -0,0 +1,72 @@
+import SmsLog from "../models/smsLog.model.js";
+import { toMsisdn } from "../utils/phone.js";
+
+// Admin/support: SMS delivery history, e.g. to check whether a customer got their OTP
+export const adminGetSmsLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.phoneNumber) filter.recipient = toMsisdn(req.query.phoneNumber);
+    if (req.query.user) filter.user = req.query.user;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.purpose) filter.purpose = req.query.purpose;
+
+    const logs = await SmsLog.find(filter)
+      .select('-attempts.rawResponse')
+      .populate('user', 'fullName role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await SmsLog.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      results: logs.length,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      },
+      data: {
+        logs
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching SMS logs',
+      error: error.message
+    });
+  }
+};
+
+// Admin/support: single SMS log including raw provider responses
+export const adminGetSmsLog = async (req, res) => {
+  try {
+    const log = await SmsLog.findById(req.params.id).populate('user', 'fullName role');
+
+    if (!log) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'SMS log not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        log
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching SMS log',
+      error: error.message
+    });
+  }
+};
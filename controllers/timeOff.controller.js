@@ -0,0 +1,152 @@
+import mongoose from "mongoose";
+import TimeOff from "../models/timeOff.model.js";
+import { createTimeOff, removeTimeOff } from "../services/timeOff.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+// Helper function to send service and validation errors
+const sendTimeOffError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message, ...error.details });
+  }
+  const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+  res.status(status).json({ status: 'error', message: fallbackMessage, error: error.message });
+};
+
+// Blocks that are still relevant: one-off blocks not yet over and recurring
+// blocks without an end date or ending in the future
+const currentFilter = (now = new Date()) => ({
+  isActive: true,
+  $or: [
+    { type: 'one_off', endAt: { $gt: now } },
+    { type: 'recurring', validUntil: { $not: { $lt: now } } }
+  ]
+});
+
+// --- Mechanic time off ---
+
+export const getMyTimeOff = async (req, res) => {
+  try {
+    const timeOff = await TimeOff.find({ ...currentFilter(), mechanic: req.user._id })
+      .sort({ startAt: 1, createdAt: 1 });
+    res.status(200).json({ status: 'success', results: timeOff.length, data: { timeOff } });
+  } catch (error) {
+    sendTimeOffError(res, error, 'Error fetching time off');
+  }
+};
+
+export const createMyTimeOff = async (req, res) => {
+  try {
+    const { timeOff, flaggedBookings } = await createTimeOff({
+      ...req.body,
+      scope: 'mechanic',
+      mechanic: req.user._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: flaggedBookings.length
+        ? `Time off added. ${flaggedBookings.length} booking(s) need to be rescheduled.`
+        : 'Time off added',
+      data: { timeOff, flaggedBookings }
+    });
+  } catch (error) {
+    sendTimeOffError(res, error, 'Error adding time off');
+  }
+};
+
+export const deleteMyTimeOff = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid time off ID' });
+    }
+    const timeOff = await TimeOff.findOne({ _id: req.params.id, scope: 'mechanic', mechanic: req.user._id });
+    if (!timeOff) {
+      return res.status(404).json({ status: 'error', message: 'Time off not found' });
+    }
+
+    const result = await removeTimeOff(timeOff);
+    res.status(200).json({ status: 'success', message: 'Time off removed', data: result });
+  } catch (error) {
+    sendTimeOffError(res, error, 'Error removing time off');
+  }
+};
+
+// --- Platform holidays ---
+
+// Upcoming public holidays; open to everyone so apps can grey out the dates
+export const getHolidays = async (req, res) => {
+  try {
+    const holidays = await TimeOff.find({ ...currentFilter(), scope: 'platform' })
+      .select('title type startAt endAt weekdays startTime endTime validFrom validUntil')
+      .sort({ startAt: 1 });
+    res.status(200).json({ status: 'success', results: holidays.length, data: { holidays } });
+  } catch (error) {
+    sendTimeOffError(res, error, 'Error fetching holidays');
+  }
+};
+
+export const adminCreateHoliday = async (req, res) => {
+  try {
+    if (!req.body.title) {
+      return res.status(400).json({ status: 'error', message: 'Holiday title is required' });
+    }
+
+    const { timeOff, flaggedBookings } = await createTimeOff({
+      ...req.body,
+      scope: 'platform',
+      createdBy: req.user._id
+    });
+
+    await recordAudit({
+      req,
+      action: 'admin.holiday.created',
+      targetType: 'TimeOff',
+      targetId: timeOff._id,
+      metadata: { title: timeOff.title, flaggedBookings: flaggedBookings.length }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Holiday added. ${flaggedBookings.length} booking(s) flagged for rescheduling.`,
+      data: { holiday: timeOff, flaggedBookings }
+    });
+  } catch (error) {
+    sendTimeOffError(res, error, 'Error adding holiday');
+  }
+};
+
+export const adminDeleteHoliday = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid holiday ID' });
+    }
+    const holiday = await TimeOff.findOne({ _id: req.params.id, scope: 'platform' });
+    if (!holiday) {
+      return res.status(404).json({ status: 'error', message: 'Holiday not found' });
+    }
+
+    const result = await removeTimeOff(holiday);
+
+    await recordAudit({
+      req,
+      action: 'admin.holiday.deleted',
+      targetType: 'TimeOff',
+      targetId: holiday._id,
+      metadata: { title: holiday.title }
+    });
+
+    res.status(200).json({ status: 'success', message: 'Holiday removed', data: result });
+  } catch (error) {
+    sendTimeOffError(res, error, 'Error removing holiday');
+  }
+};
+
+export default {
+  getMyTimeOff,
+  createMyTimeOff,
+  deleteMyTimeOff,
+  getHolidays,
+  adminCreateHoliday,
+  adminDeleteHoliday
+};
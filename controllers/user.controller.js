@@ -1,6 +1,20 @@
 import User from "../models/user.model.js";
 import Booking from "../models/booking.model.js";
 import Service from "../models/service.model.js";
+import { recordAudit } from "../services/audit.service.js";
+import { revokeUserSessions } from "../services/session.service.js";
+import { isValidBDPhone } from "../utils/phone.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+
+// Profile fields users may edit on their own record. Everything else
+// (KYC, payout account, tier, lockout, deletion) has its own flow.
+const PROFILE_FIELDS = ['fullName', 'profilePhoto', 'address', 'bio', 'skills', 'experience', 'hourlyRate', 'isAvailable'];
+// Staff with users:manage may also change these
+const MANAGED_FIELDS = ['email', 'phoneNumber', 'isVerified'];
+
+const pick = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
 
 // Helper function to create filter object
 const createUserFilter = (query) => {
@@ -10,11 +24,11 @@ const createUserFilter = (query) => {
   if (query.isActive !== undefined) filter.isActive = query.isActive === 'true';
   if (query.isVerified !== undefined) filter.isVerified = query.isVerified === 'true';
   if (query.search) {
-    filter.$or = [
-      { fullName: { $regex: query.search, $options: 'i' } },
-      { phoneNumber: { $regex: query.search, $options: 'i' } },
-      { email: { $regex: query.search, $options: 'i' } }
-    ];
+    // Phone and email are encrypted, so they only match exactly
+    const search = query.search.trim();
+    filter.$or = [{ fullName: { $regex: search, $options: 'i' } }];
+    if (isValidBDPhone(search)) filter.$or.push({ phoneNumber: search });
+    if (search.includes('@')) filter.$or.push({ email: search });
   }
   
   return filter;
@@ -83,7 +97,7 @@ export const getUser = async (req, res) => {
     }
     
     // Check if user has access to this profile
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    if (!hasPermission(req.user.role, PERMISSIONS.USERS_READ) && req.user.id !== req.params.id) {
       return res.status(403).json({
         status: 'error',
         message: 'You do not have access to this user profile'
@@ -118,29 +132,39 @@ export const updateUser = async (req, res) => {
     }
     
     // Check if user can update this profile
-    if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    const canManageUsers = hasPermission(req.user.role, PERMISSIONS.USERS_MANAGE);
+    if (!canManageUsers && req.user.id !== req.params.id) {
       return res.status(403).json({
         status: 'error',
         message: 'You can only update your own profile'
       });
     }
     
-    // Prevent role change unless admin
-    if (req.body.role && req.user.role !== 'admin') {
-      delete req.body.role;
-    }
-    
-    // Prevent email/phone change for non-admin users
-    if (!req.user.role === 'admin') {
-      delete req.body.email;
-      delete req.body.phoneNumber;
-    }
+    // Users change their own phone/email through the re-verification flow,
+    // and the role only changes with the role management permission
+    const fields = [
+      ...PROFILE_FIELDS,
+      ...(canManageUsers ? MANAGED_FIELDS : []),
+      ...(hasPermission(req.user.role, PERMISSIONS.USERS_MANAGE_ROLES) ? ['role'] : [])
+    ];
+    const changes = pick(req.body, fields);
     
     const updatedUser = await User.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      changes,
       { new: true, runValidators: true }
     ).select('-password -otp -passwordResetToken -passwordResetExpires');
+
+    // Access tokens carry the role: sign the user out so the new one applies
+    if (changes.role && changes.role !== user.role) {
+      await revokeUserSessions(user._id, { reason: 'admin' });
+      await recordAudit({
+        req,
+        action: 'admin.user.role_changed',
+        targetUser: user._id,
+        metadata: { from: user.role, to: changes.role }
+      });
+    }
     
     res.status(200).json({
       status: 'success',
@@ -195,6 +219,14 @@ export const deleteUser = async (req, res) => {
     // Soft delete - set isActive to false
     user.isActive = false;
     await user.save();
+    await revokeUserSessions(user._id, { reason: 'admin' });
+
+    await recordAudit({
+      req,
+      action: 'admin.user.deleted',
+      targetUser: user._id,
+      reason: req.body?.reason
+    });
     
     res.status(200).json({
       status: 'success',
@@ -229,8 +261,30 @@ export const toggleUserStatus = async (req, res) => {
       });
     }
     
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : undefined;
+
+    // Deactivating is a suspension: record who did it and why
     user.isActive = !user.isActive;
+    if (user.isActive) {
+      user.suspendedAt = undefined;
+      user.suspensionReason = undefined;
+      user.suspendedBy = undefined;
+    } else {
+      user.suspendedAt = new Date();
+      user.suspensionReason = reason || undefined;
+      user.suspendedBy = req.user._id;
+    }
     await user.save();
+    if (!user.isActive) {
+      await revokeUserSessions(user._id, { reason: 'admin' });
+    }
+
+    await recordAudit({
+      req,
+      action: user.isActive ? 'admin.user.activated' : 'admin.user.deactivated',
+      targetUser: user._id,
+      reason
+    });
     
     res.status(200).json({
       status: 'success',
@@ -238,7 +292,9 @@ export const toggleUserStatus = async (req, res) => {
         user: {
           _id: user._id,
           fullName: user.fullName,
-          isActive: user.isActive
+          isActive: user.isActive,
+          suspendedAt: user.suspendedAt,
+          suspensionReason: user.suspensionReason
         }
       }
     });
@@ -257,7 +313,7 @@ export const getUserStats = async (req, res) => {
     const userId = req.params.id || req.user.id;
     
     // Check if user has access
-    if (req.user.role !== 'admin' && req.user.id !== userId) {
+    if (!hasPermission(req.user.role, PERMISSIONS.USERS_READ) && req.user.id !== userId) {
       return res.status(403).json({
         status: 'error',
         message: 'You do not have access to this user statistics'
@@ -360,7 +416,7 @@ export const getUserBookings = async (req, res) => {
     const skip = (page - 1) * limit;
     
     // Check if user has access
-    if (req.user.role !== 'admin' && req.user.id !== userId) {
+    if (!hasPermission(req.user.role, PERMISSIONS.USERS_READ) && req.user.id !== userId) {
       return res.status(403).json({
         status: 'error',
         message: 'You do not have access to this user bookings'
@@ -424,7 +480,7 @@ export const getUserServices = async (req, res) => {
     const skip = (page - 1) * limit;
     
     // Check if user has access
-    if (req.user.role !== 'admin' && req.user.id !== userId) {
+    if (!hasPermission(req.user.role, PERMISSIONS.USERS_READ) && req.user.id !== userId) {
       return res.status(403).json({
         status: 'error',
         message: 'You do not have access to this user services'
@@ -575,7 +631,7 @@ export const adminGetDashboardStats = async (req, res) => {
           totalCustomers: { $sum: { $cond: [{ $eq: ['$role', 'customer'] }, 1, 0] } },
           totalMechanics: { $sum: { $cond: [{ $eq: ['$role', 'mechanic'] }, 1, 0] } },
           activeUsers: { $sum: { $cond: ['$isActive', 1, 0] } },
-          pendingMechanics: { $sum: { $cond: [{ $and: [{ $eq: ['$role', 'mechanic'] }, { $eq: ['$isVerified', false] }] }, 1, 0] } }
+          pendingMechanics: { $sum: { $cond: [{ $and: [{ $eq: ['$role', 'mechanic'] }, { $eq: ['$kycStatus', 'pending'] }] }, 1, 0] } }
         }
       }
     ]);
@@ -661,7 +717,7 @@ export const adminGetDashboardStats = async (req, res) => {
 // Mechanic: Update availability (pause/resume all services)
 export const updateAvailability = async (req, res) => {
   try {
-    if (req.user.role !== 'mechanic') {
+    if (!hasPermission(req.user.role, PERMISSIONS.SERVICES_WRITE)) {
       return res.status(403).json({
         status: 'error',
         message: 'Only mechanics can update availability.'
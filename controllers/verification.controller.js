@@ -0,0 +1,305 @@
+import Verification from "../models/verification.model.js";
+import User from "../models/user.model.js";
+import { uploadPrivateFile, getPrivateFileUrl } from "../services/upload.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+
+const REQUIRED_DOCUMENTS = ['nidFront', 'nidBack', 'selfie'];
+
+// Helper function to add signed URLs to a verification's documents
+const withDocumentUrls = (verification) => {
+  const obj = verification.toObject();
+  const { nidFront, nidBack, selfie, certificates = [] } = obj.documents || {};
+  obj.documents = {
+    nidFront: nidFront && { ...nidFront, url: getPrivateFileUrl(nidFront) },
+    nidBack: nidBack && { ...nidBack, url: getPrivateFileUrl(nidBack) },
+    selfie: selfie && { ...selfie, url: getPrivateFileUrl(selfie) },
+    certificates: certificates.map(doc => ({ ...doc, url: getPrivateFileUrl(doc) }))
+  };
+  return obj;
+};
+
+// Helper function to upload the files of a submission
+const uploadSubmissionFiles = async (files = {}, mechanicId) => {
+  const folder = `kyc/${mechanicId}`;
+  const uploaded = {};
+
+  for (const field of REQUIRED_DOCUMENTS) {
+    if (files[field]?.[0]) {
+      uploaded[field] = await uploadPrivateFile(files[field][0], { folder });
+    }
+  }
+
+  if (files.certificates?.length) {
+    uploaded.certificates = [];
+    for (const file of files.certificates) {
+      const doc = await uploadPrivateFile(file, { folder });
+      doc.label = file.originalname;
+      uploaded.certificates.push(doc);
+    }
+  }
+
+  return uploaded;
+};
+
+// Middleware: users who submit KYC must have an approved review to
+// continue. Staff who review KYC themselves are exempt.
+export const requireVerifiedMechanic = (req, res, next) => {
+  const needsKyc = hasPermission(req.user.role, PERMISSIONS.KYC_SUBMIT) &&
+    !hasPermission(req.user.role, PERMISSIONS.KYC_REVIEW);
+  if (needsKyc && req.user.kycStatus !== 'approved') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Your identity verification must be approved before you can do this.',
+      kycStatus: req.user.kycStatus
+    });
+  }
+  next();
+};
+
+// Mechanic: Submit (or resubmit) verification documents
+export const submitVerification = async (req, res) => {
+  try {
+    const { nidNumber } = req.body;
+    const files = req.files || {};
+
+    const latest = await Verification.findOne({ mechanic: req.user._id }).sort({ createdAt: -1 });
+
+    if (latest && ['pending', 'approved'].includes(latest.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: latest.status === 'approved'
+          ? 'Your identity is already verified'
+          : 'Your verification is already under review'
+      });
+    }
+
+    // Requests needing more info are updated in place; otherwise start a new one
+    const resubmitting = latest && latest.status === 'more_info_required';
+
+    if (!resubmitting) {
+      const missing = REQUIRED_DOCUMENTS.filter(field => !files[field]?.[0]);
+      if (!nidNumber || missing.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'NID number, NID front, NID back and a selfie are required',
+          missing: [...(!nidNumber ? ['nidNumber'] : []), ...missing]
+        });
+      }
+    }
+
+    const uploaded = await uploadSubmissionFiles(files, req.user._id);
+
+    let verification;
+    if (resubmitting) {
+      verification = latest;
+      if (nidNumber) verification.nidNumber = nidNumber;
+      for (const field of REQUIRED_DOCUMENTS) {
+        if (uploaded[field]) verification.documents[field] = uploaded[field];
+      }
+      if (uploaded.certificates) {
+        verification.documents.certificates.push(...uploaded.certificates);
+      }
+      verification.status = 'pending';
+      verification.submissionCount += 1;
+      verification.submittedAt = new Date();
+    } else {
+      verification = new Verification({
+        mechanic: req.user._id,
+        nidNumber,
+        documents: {
+          nidFront: uploaded.nidFront,
+          nidBack: uploaded.nidBack,
+          selfie: uploaded.selfie,
+          certificates: uploaded.certificates || []
+        }
+      });
+    }
+
+    verification.history.push({ status: 'pending', note: resubmitting ? 'Resubmitted' : 'Submitted', by: req.user._id });
+    await verification.save();
+
+    await User.findByIdAndUpdate(req.user._id, { kycStatus: 'pending' });
+
+    res.status(resubmitting ? 200 : 201).json({
+      status: 'success',
+      message: 'Verification submitted. We will review it shortly.',
+      data: {
+        verification: withDocumentUrls(verification)
+      }
+    });
+  } catch (error) {
+    console.error('Submit verification error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: 'Error submitting verification',
+      error: error.message
+    });
+  }
+};
+
+// Mechanic: Get own latest verification request
+export const getMyVerification = async (req, res) => {
+  try {
+    const verification = await Verification.findOne({ mechanic: req.user._id })
+      .select('-history.by')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        kycStatus: req.user.kycStatus,
+        verification: verification ? withDocumentUrls(verification) : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching verification',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Review queue (oldest submissions first)
+export const adminGetVerificationQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { status: req.query.status || 'pending' };
+
+    const verifications = await Verification.find(filter)
+      .select('-documents')
+      .populate('mechanic', 'fullName phoneNumber skills experience kycStatus')
+      .sort({ submittedAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Verification.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      results: verifications.length,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      },
+      data: {
+        verifications
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching verification queue',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Get a verification request with document URLs
+export const adminGetVerification = async (req, res) => {
+  try {
+    const verification = await Verification.findById(req.params.id)
+      .populate('mechanic', 'fullName phoneNumber email skills experience kycStatus createdAt')
+      .populate('reviewedBy', 'fullName')
+      .populate('history.by', 'fullName role');
+
+    if (!verification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Verification request not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        verification: withDocumentUrls(verification)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching verification request',
+      error: error.message
+    });
+  }
+};
+
+// Helper function shared by the admin review actions
+const reviewVerification = (decision) => async (req, res) => {
+  try {
+    const note = req.body.note || req.body.reason;
+
+    if (decision !== 'approved' && (!note || !note.trim())) {
+      return res.status(400).json({
+        status: 'error',
+        message: decision === 'rejected'
+          ? 'A reason is required to reject a verification'
+          : 'Please describe what additional information is needed'
+      });
+    }
+
+    const verification = await Verification.findById(req.params.id);
+
+    if (!verification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Verification request not found'
+      });
+    }
+
+    if (verification.status !== 'pending') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Only pending requests can be reviewed (current status: ${verification.status})`
+      });
+    }
+
+    verification.status = decision;
+    verification.reviewNote = note;
+    verification.reviewedBy = req.user._id;
+    verification.reviewedAt = new Date();
+    verification.history.push({ status: decision, note, by: req.user._id });
+    await verification.save();
+
+    const userUpdate = { kycStatus: decision };
+    if (decision === 'approved') {
+      userUpdate.kycVerifiedAt = new Date();
+      userUpdate.nidNumber = verification.nidNumber;
+      userUpdate.nidPhoto = verification.documents.nidFront.publicId; // private file reference, not a public URL
+    }
+    await User.findByIdAndUpdate(verification.mechanic, userUpdate);
+
+    await recordAudit({
+      req,
+      action: `admin.kyc.${decision}`,
+      targetUser: verification.mechanic,
+      targetType: 'Verification',
+      targetId: verification._id,
+      reason: note
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        verification
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Error reviewing verification',
+      error: error.message
+    });
+  }
+};
+
+// Admin: Approve / reject / request more information
+export const adminApproveVerification = reviewVerification('approved');
+export const adminRejectVerification = reviewVerification('rejected');
+export const adminRequestMoreInfo = reviewVerification('more_info_required');
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  // Who performed the action (empty for system actions)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  actorRole: String,
+
+  // Dotted action name, e.g. "account.locked" or "admin.user.suspended"
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+
+  // User the action was performed on, if any
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Other affected entity, e.g. { targetType: 'Booking', targetId }
+  targetType: String,
+  targetId: mongoose.Schema.Types.ObjectId,
+
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  metadata: mongoose.Schema.Types.Mixed,
+
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Audit entries are append-only
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import config from '../config/env.js';
+import { parseTimeOfDay, dhakaDateTime, addMinutes } from '../utils/time.js';
+import AppError from '../utils/appError.js';
 
 console.log('Booking model file loaded');
 
@@ -43,6 +46,11 @@ const bookingSchema = new mongoose.Schema({
     type: Number, // in minutes
   },
 
+  // Instants the job starts and ends, derived from the Dhaka date/time and
+  // duration above; used for conflict checks
+  scheduledStart: Date,
+  scheduledEnd: Date,
+
   // Location
   serviceLocation: {
     address: {
@@ -73,9 +81,11 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Base price is required']
   },
 
+  // Added by customer-approved change orders
   additionalCharges: [{
     description: String,
-    amount: Number
+    amount: Number,
+    quote: { type: mongoose.Schema.Types.ObjectId, ref: 'Quote' }
   }],
 
   totalAmount: {
@@ -83,6 +93,22 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Total amount is required']
   },
 
+  // Quotes (see services/quote.service.js): negotiable and hourly services
+  // wait for an accepted estimate; 'pending' while any quote awaits the customer
+  estimateRequired: {
+    type: Boolean,
+    default: false
+  },
+  quoteStatus: {
+    type: String,
+    enum: ['not_required', 'awaiting_estimate', 'pending', 'accepted', 'rejected'],
+    default: 'not_required'
+  },
+  acceptedEstimate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+
   // Status and Lifecycle
   status: {
     type: String,
@@ -147,13 +173,38 @@ const bookingSchema = new mongoose.Schema({
   // Cancellation
   cancellationReason: String,
   cancellationFee: Number,
+  // 'deducted' from a refund, 'due' when the booking was unpaid, later 'paid' or 'waived'
+  cancellationFeeStatus: {
+    type: String,
+    enum: ['none', 'due', 'paid', 'deducted', 'waived'],
+    default: 'none'
+  },
+  // Penalty against the mechanic when they cancel late
+  mechanicPenalty: Number,
   cancelledBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  cancelledByRole: {
+    type: String,
+    enum: ['customer', 'mechanic', 'staff', 'system']
+  },
   cancelledAt: Date,
+  // Cancellation policy in force when the booking was made (see services/cancellation.service.js)
+  cancellationTerms: {
+    policy: { type: mongoose.Schema.Types.ObjectId, ref: 'CancellationPolicy' },
+    name: String,
+    customerTiers: [{ _id: false, hoursBefore: Number, feePercent: Number }],
+    minimumFee: Number,
+    maximumFee: Number,
+    mechanicTiers: [{ _id: false, hoursBefore: Number, feePercent: Number }]
+  },
 
-  // Dispute
+  // Dispute (details and evidence live on the Dispute record)
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
   disputeReason: String,
   disputeStatus: {
     type: String,
@@ -210,6 +261,34 @@ const bookingSchema = new mongoose.Schema({
     }
   }],
 
+  // Occurrence of a recurring series (1-based)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  occurrence: Number,
+
+  // Set when time off or a holiday is added over this booking; cleared
+  // once a reschedule is accepted
+  needsReschedule: {
+    type: Boolean,
+    default: false
+  },
+  rescheduleFlag: {
+    reason: String,
+    timeOff: { type: mongoose.Schema.Types.ObjectId, ref: 'TimeOff' },
+    flaggedAt: Date
+  },
+
+  // Reminder SMS sent for the current schedule (cleared on reschedule)
+  reminders: {
+    daySentAt: Date,
+    hourSentAt: Date
+  },
+
+  // Set by the scheduler when the job didn't start on time
+  overdueAt: Date,
+
   // Rescheduling
   reschedule: {
     requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -254,6 +333,23 @@ bookingSchema.index({ status: 1 });
 bookingSchema.index({ scheduledDate: 1 });
 bookingSchema.index({ paymentStatus: 1 });
 bookingSchema.index({ createdAt: -1 });
+bookingSchema.index({ mechanic: 1, scheduledStart: 1 });
+bookingSchema.index({ status: 1, scheduledStart: 1 });
+bookingSchema.index({ series: 1, occurrence: 1 }, { unique: true, partialFilterExpression: { series: { $exists: true } } });
+bookingSchema.index({ needsReschedule: 1 }, { partialFilterExpression: { needsReschedule: true } });
+
+// Keep scheduledStart/scheduledEnd in step with the date, time and duration
+bookingSchema.pre('validate', function (next) {
+  if (this.isNew || this.isModified('scheduledDate') || this.isModified('scheduledTime') || this.isModified('estimatedDuration')) {
+    const minutes = parseTimeOfDay(this.scheduledTime);
+    const start = minutes === null || !this.scheduledDate ? null : dhakaDateTime(this.scheduledDate, minutes);
+    this.scheduledStart = start || undefined;
+    this.scheduledEnd = start
+      ? addMinutes(start, this.estimatedDuration || config.BOOKING_DEFAULT_DURATION_MINUTES)
+      : undefined;
+  }
+  next();
+});
 
 // Generate booking number before saving
 bookingSchema.pre('save', async function (next) {
@@ -287,18 +383,50 @@ bookingSchema.pre('save', async function (next) {
     this.bookingNumber = bookingNumber;
   }
 
-  // Add status to history when status changes
-  if (this.isModified('status')) {
-    this.statusHistory.push({
-      status: this.status,
-      timestamp: new Date(),
-      updatedBy: this.status === 'pending' ? this.customer : this.mechanic
-    });
+  // New bookings start their history as created by the customer. Later
+  // changes are recorded by the state machine (services/bookingState.service.js);
+  // a status set any other way has no matching history entry and is refused.
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ status: this.status, timestamp: new Date(), updatedBy: this.customer });
+    }
+  } else if (this.isModified('status') && this.statusHistory[this.statusHistory.length - 1]?.status !== this.status) {
+    return next(new Error('Booking status must be changed through the booking state machine'));
   }
 
   next();
 });
 
+// The state machine makes a transition's save conditional on the status the
+// booking was loaded with (doc.$where). Drop that condition once saved, and
+// report a lost race as a conflict rather than a missing document.
+bookingSchema.post('save', function () {
+  if (this.$where?.status !== undefined) {
+    const { status, ...rest } = this.$where;
+    this.$where = rest;
+  }
+});
+
+bookingSchema.post('save', function (error, doc, next) {
+  if (error instanceof mongoose.Error.DocumentNotFoundError) {
+    return next(new AppError('This booking was changed by someone else. Please reload and try again.', 409));
+  }
+  next(error);
+});
+
+// Query updates skip the save guard above, so they may not touch status at all
+const STATUS_OPERATORS = ['$set', '$setOnInsert', '$unset', '$rename'];
+bookingSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  const update = this.getUpdate() || {};
+  const setsStatus = Array.isArray(update)
+    || 'status' in update
+    || STATUS_OPERATORS.some(op => update[op] && 'status' in update[op]);
+  if (setsStatus) {
+    return next(new Error('Booking status must be changed through the booking state machine'));
+  }
+  next();
+});
+
 // Virtual for additional charges total
 bookingSchema.virtual('additionalChargesTotal').get(function () {
   return this.additionalCharges.reduce((sum, charge) => sum + charge.amount, 0);
@@ -307,10 +435,9 @@ bookingSchema.virtual('additionalChargesTotal').get(function () {
 // Virtual for isOverdue
 bookingSchema.virtual('isOverdue').get(function () {
   if (this.status === 'completed' || this.status === 'cancelled') return false;
-  const scheduledDateTime = new Date(this.scheduledDate);
-  scheduledDateTime.setHours(parseInt(this.scheduledTime.split(':')[0]));
-  scheduledDateTime.setMinutes(parseInt(this.scheduledTime.split(':')[1]));
-  return new Date() > scheduledDateTime;
+  const minutes = parseTimeOfDay(this.scheduledTime);
+  const start = this.scheduledStart || (minutes === null ? null : dhakaDateTime(this.scheduledDate, minutes));
+  return start ? new Date() > start : false;
 });
 
 // Ensure virtual fields are serialized
@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+import { parseTimeOfDay } from '../utils/time.js';
+
+export const SERIES_FREQUENCIES = ['weekly', 'monthly'];
+
+// Suggested spacing of maintenance visits per service category, used when
+// the customer doesn't choose one (HVAC servicing every 3 months, etc.)
+export const CATEGORY_DEFAULT_RECURRENCE = {
+  HVAC: { frequency: 'monthly', interval: 3 },
+  Plumbing: { frequency: 'monthly', interval: 6 },
+  Electrical: { frequency: 'monthly', interval: 6 },
+  Appliances: { frequency: 'monthly', interval: 6 },
+  Cleaning: { frequency: 'monthly', interval: 1 }
+};
+
+// A recurring booking (maintenance plan). Each occurrence becomes a normal
+// Booking some time ahead, generated and conflict-checked one by one.
+const bookingSeriesSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer is required']
+  },
+  mechanic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Mechanic is required']
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service is required']
+  },
+
+  serviceLocation: {
+    address: {
+      type: String,
+      required: [true, 'Service address is required']
+    }
+  },
+  customerNotes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  serviceRequirements: [String],
+
+  // First occurrence ("YYYY-MM-DD", Dhaka) and the wall-clock time of every occurrence
+  startDate: {
+    type: String,
+    required: [true, 'Start date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Start date must be YYYY-MM-DD']
+  },
+  scheduledTime: {
+    type: String,
+    required: [true, 'Scheduled time is required']
+  },
+
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: SERIES_FREQUENCIES,
+      required: [true, 'Recurrence frequency is required']
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, 'Interval must be at least 1'],
+      max: [12, 'Interval cannot exceed 12']
+    }
+  },
+
+  // Ends on a date or after a number of occurrences; open-ended otherwise
+  endDate: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'End date must be YYYY-MM-DD']
+  },
+  occurrences: {
+    type: Number,
+    min: [1, 'At least one occurrence is required'],
+    max: [104, 'A series cannot exceed 104 occurrences']
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'cancelled', 'completed'],
+    default: 'active'
+  },
+
+  // Occurrence numbers the customer skipped before they were booked
+  skippedOccurrences: [Number],
+
+  // Next occurrence number to generate (all before it were booked, skipped or conflicted)
+  nextOccurrence: {
+    type: Number,
+    default: 1
+  },
+
+  // Occurrences that couldn't be booked because the slot was taken
+  conflicts: [{
+    _id: false,
+    occurrence: Number,
+    date: String,
+    reason: String,
+    recordedAt: { type: Date, default: Date.now }
+  }],
+
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: String
+}, {
+  timestamps: true
+});
+
+bookingSeriesSchema.index({ customer: 1, status: 1 });
+bookingSeriesSchema.index({ mechanic: 1, status: 1 });
+bookingSeriesSchema.index({ status: 1 });
+
+bookingSeriesSchema.pre('validate', function (next) {
+  if (this.scheduledTime && parseTimeOfDay(this.scheduledTime) === null) {
+    this.invalidate('scheduledTime', 'Scheduled time must look like "14:30" or "2:30 PM"');
+  }
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+
+export default BookingSeries;
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// "Cancelling less than `hoursBefore` hours before the job costs `feePercent`
+// of the booking total." The highest matching tier applies.
+const tierSchema = new mongoose.Schema({
+  hoursBefore: {
+    type: Number,
+    required: [true, 'hoursBefore is required'],
+    min: [0, 'hoursBefore cannot be negative']
+  },
+  feePercent: {
+    type: Number,
+    required: [true, 'feePercent is required'],
+    min: [0, 'feePercent cannot be negative'],
+    max: [100, 'feePercent cannot exceed 100']
+  }
+}, { _id: false });
+
+// Cancellation fee rules. The most specific active policy wins:
+// service, then category, then the platform default.
+const cancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  scope: {
+    type: String,
+    enum: ['default', 'category', 'service'],
+    required: [true, 'Scope is required']
+  },
+
+  category: {
+    type: String,
+    required: [function () { return this.scope === 'category'; }, 'Category is required']
+  },
+
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [function () { return this.scope === 'service'; }, 'Service is required']
+  },
+
+  // Fee charged to the customer when they cancel
+  customerTiers: [tierSchema],
+  minimumFee: {
+    type: Number,
+    min: 0
+  },
+  maximumFee: {
+    type: Number,
+    min: 0
+  },
+
+  // Penalty recorded against the mechanic when they cancel; the customer
+  // is never charged in that case
+  mechanicTiers: [tierSchema],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One active policy per service, per category and for the default
+cancellationPolicySchema.index(
+  { scope: 1, category: 1, service: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+const CancellationPolicy = mongoose.model('CancellationPolicy', cancellationPolicySchema);
+
+export default CancellationPolicy;
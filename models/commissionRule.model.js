@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { MECHANIC_TIERS } from './user.model.js';
+
+const SERVICE_CATEGORIES = ['HVAC', 'Electrical', 'Plumbing', 'Appliances', 'Carpentry', 'Painting', 'Cleaning', 'Other'];
+
+// Platform commission on completed bookings. A rule can target a service
+// category, a mechanic tier, both or neither (the default); the most
+// specific active rule wins (see services/commission.service.js).
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+
+  // Left empty to match any category / tier
+  category: {
+    type: String,
+    enum: SERVICE_CATEGORIES
+  },
+  mechanicTier: {
+    type: String,
+    enum: MECHANIC_TIERS
+  },
+
+  percent: {
+    type: Number,
+    required: [true, 'Commission percent is required'],
+    min: [0, 'Commission cannot be negative'],
+    max: [100, 'Commission cannot exceed 100%']
+  },
+  // Floor in BDT, so small jobs still cover the platform's costs
+  minimumAmount: {
+    type: Number,
+    min: [0, 'Minimum commission cannot be negative'],
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One active rule per category/tier combination
+commissionRuleSchema.index(
+  { category: 1, mechanicTier: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+const CommissionRule = mongoose.model('CommissionRule', commissionRuleSchema);
+
+export default CommissionRule;
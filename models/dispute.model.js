@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import { documentSchema } from './verification.model.js';
+
+export const DISPUTE_OUTCOMES = ['full_refund', 'partial_refund', 'no_action'];
+
+// A disagreement about a booking, raised by its customer or mechanic and
+// settled by staff: opened -> under_review -> resolved ('resolving' while a
+// resolution is being carried out)
+const disputeSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+
+  // Copied from the booking so either party can list their disputes
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mechanic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedByRole: {
+    type: String,
+    enum: ['customer', 'mechanic'],
+    required: true
+  },
+
+  // Booking status when the dispute was opened
+  bookingStatus: String,
+
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+
+  evidence: [{
+    file: documentSchema,
+    note: {
+      type: String,
+      maxlength: [500, 'Evidence note cannot exceed 500 characters']
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: ['opened', 'under_review', 'resolving', 'resolved'],
+    default: 'opened'
+  },
+
+  // Staff member handling the dispute
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  resolution: {
+    outcome: {
+      type: String,
+      enum: DISPUTE_OUTCOMES
+    },
+    refundAmount: Number,
+    note: {
+      type: String,
+      maxlength: [1000, 'Resolution note cannot exceed 1000 characters']
+    },
+    // Status the booking was settled with
+    bookingStatus: String,
+    // Payment the refund was made against
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+
+  history: [{
+    status: String,
+    note: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ booking: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, createdAt: 1 });
+disputeSchema.index({ customer: 1 });
+disputeSchema.index({ mechanic: 1 });
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+export default Dispute;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { encryptedFields } from '../utils/fieldEncryption.js';
+import { toLocalPhone } from '../utils/phone.js';
 
 const guestSchema = new mongoose.Schema({
   sessionId: {
@@ -73,6 +75,14 @@ guestSchema.index({ sessionId: 1 });
 guestSchema.index({ lastActivity: 1 });
 guestSchema.index({ isActive: 1 });
 
+// Encrypt guest contact details at rest
+guestSchema.plugin(encryptedFields, {
+  fields: ['phoneNumber', 'email'],
+  blindIndexes: {
+    phoneNumber: { field: 'phoneNumberIndex', normalize: toLocalPhone }
+  }
+});
+
 // Method to update last activity
 guestSchema.methods.updateActivity = function() {
   this.lastActivity = new Date();
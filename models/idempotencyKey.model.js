@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// A client's Idempotency-Key and the response it got, so a retried request
+// is answered from here instead of running twice. See services/idempotency.service.js.
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    maxlength: [255, 'Key cannot exceed 255 characters']
+  },
+
+  // The request the key was first used with
+  method: String,
+  path: String,
+  requestHash: {
+    type: String,
+    required: [true, 'Request hash is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  // A request that dies mid-way releases its key after this
+  lockedUntil: Date,
+
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
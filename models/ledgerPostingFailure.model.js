@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// A ledger posting that failed after the money had already moved. The
+// scheduler retries it (services/ledger.service.js, retryFailedPostings)
+// until it goes through or runs out of attempts and needs finance.
+const ledgerPostingFailureSchema = new mongoose.Schema({
+  // Which posting, e.g. 'payment' or 'refund'
+  posting: {
+    type: String,
+    required: [true, 'Posting is required']
+  },
+  // The payment, booking or payout it was posted for, and the options it was called with
+  subjectModel: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  options: mongoose.Schema.Types.Mixed,
+
+  error: String,
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+ledgerPostingFailureSchema.index({ resolvedAt: 1, attempts: 1 });
+
+const LedgerPostingFailure = mongoose.model('LedgerPostingFailure', ledgerPostingFailureSchema);
+
+export default LedgerPostingFailure;
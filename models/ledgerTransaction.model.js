@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+// Chart of accounts. `normal` is the side that increases the account;
+// balances are reported on that side. Accounts with a party keep one
+// sub-ledger per user (customer or mechanic).
+export const LEDGER_ACCOUNTS = {
+  // Money the platform holds at gateways and in the bank
+  platform_cash: { normal: 'debit', party: false },
+  // Owed by a customer for work and fees; a credit balance is prepaid money
+  customer_receivable: { normal: 'debit', party: true },
+  // Owed to a mechanic for completed work, less commission and penalties
+  mechanic_payable: { normal: 'credit', party: true },
+  platform_commission: { normal: 'credit', party: false },
+  cancellation_fees: { normal: 'credit', party: false },
+  mechanic_penalties: { normal: 'credit', party: false },
+  // The platform's share of money given back after the work was booked as earned
+  refunds: { normal: 'debit', party: false }
+};
+
+export const LEDGER_TRANSACTION_TYPES = [
+  'payment', 'service_earnings', 'refund', 'cancellation_fee', 'mechanic_penalty', 'payout'
+];
+
+const toCents = (amount) => Math.round((amount || 0) * 100);
+
+const entrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: Object.keys(LEDGER_ACCOUNTS),
+    required: [true, 'Account is required']
+  },
+  party: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  debit: { type: Number, default: 0, min: [0, 'Debit cannot be negative'] },
+  credit: { type: Number, default: 0, min: [0, 'Credit cannot be negative'] }
+}, { _id: false });
+
+// One balanced posting. Transactions are never changed or removed: a
+// mistake is corrected by posting a reversing transaction.
+const ledgerTransactionSchema = new mongoose.Schema({
+  // Identifies the business event, so posting it twice is a no-op
+  key: {
+    type: String,
+    required: [true, 'Key is required']
+  },
+  type: {
+    type: String,
+    enum: LEDGER_TRANSACTION_TYPES,
+    required: [true, 'Transaction type is required']
+  },
+  description: String,
+
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  payout: { type: mongoose.Schema.Types.ObjectId, ref: 'Payout' },
+
+  entries: {
+    type: [entrySchema],
+    validate: {
+      validator: (entries) => entries.length >= 2,
+      message: 'A transaction needs at least two entries'
+    }
+  },
+
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: { createdAt: 'postedAt', updatedAt: false }
+});
+
+ledgerTransactionSchema.index({ key: 1 }, { unique: true });
+ledgerTransactionSchema.index({ 'entries.account': 1, 'entries.party': 1, postedAt: 1 });
+ledgerTransactionSchema.index({ booking: 1 });
+ledgerTransactionSchema.index({ payment: 1 });
+ledgerTransactionSchema.index({ type: 1, postedAt: -1 });
+
+// Debits equal credits, every entry is one-sided and party accounts name their party
+ledgerTransactionSchema.pre('validate', function(next) {
+  let debits = 0;
+  let credits = 0;
+
+  for (const entry of this.entries) {
+    const debit = toCents(entry.debit);
+    const credit = toCents(entry.credit);
+    if ((debit > 0) === (credit > 0)) {
+      return next(new Error(`Each ${entry.account} entry must be either a debit or a credit`));
+    }
+    if (LEDGER_ACCOUNTS[entry.account]?.party && !entry.party) {
+      return next(new Error(`${entry.account} entries need a party`));
+    }
+    debits += debit;
+    credits += credit;
+  }
+
+  if (debits !== credits) {
+    return next(new Error(`Transaction is not balanced: debits ${debits / 100}, credits ${credits / 100}`));
+  }
+  next();
+});
+
+// Append-only
+const refuseChange = function(next) {
+  next(new Error('Ledger transactions are append-only; post a reversing transaction instead'));
+};
+
+ledgerTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => ledgerTransactionSchema.pre(operation, refuseChange));
+
+const LedgerTransaction = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
+
+export default LedgerTransaction;
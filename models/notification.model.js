@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = [
+  'booking_status', 'booking_reminder', 'reschedule', 'quote', 'payment', 'refund', 'payout', 'dispute', 'chat', 'system'
+];
+export const NOTIFICATION_CHANNELS = ['in_app', 'sms', 'email'];
+
+// A user's inbox entry. SMS and email copies are sent at the same time
+// (see services/notification.service.js) and only recorded here.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: [true, 'Notification type is required']
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    maxlength: [120, 'Title cannot exceed 120 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+
+  // What the notification is about, for linking in the app
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  dispute: { type: mongoose.Schema.Types.ObjectId, ref: 'Dispute' },
+  roomId: String,
+
+  // Channels it was delivered on besides the inbox
+  deliveredVia: [{
+    type: String,
+    enum: NOTIFICATION_CHANNELS
+  }],
+
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
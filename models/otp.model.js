@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+export const OTP_PURPOSES = ['registration', 'password_reset', 'phone_change', 'email_change', 'login_challenge', 'payout_account'];
+
+const otpSchema = new mongoose.Schema({
+  // Phone number (local form) or lowercased email address the code was sent to
+  recipient: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true
+  },
+
+  channel: {
+    type: String,
+    enum: ['sms', 'email'],
+    default: 'sms'
+  },
+
+  purpose: {
+    type: String,
+    enum: OTP_PURPOSES,
+    required: [true, 'OTP purpose is required']
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // HMAC of the code; the plain code is never stored
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+
+  consumedAt: Date,
+  burnedAt: Date, // too many wrong attempts
+  supersededAt: Date, // a newer code was issued
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60 // Kept for a day so the daily cap can be enforced
+  }
+});
+
+otpSchema.index({ recipient: 1, purpose: 1, createdAt: -1 });
+
+// Whether the code can still be used
+otpSchema.methods.isUsable = function() {
+  return !this.consumedAt && !this.burnedAt && !this.supersededAt && this.expiresAt > new Date();
+};
+
+const Otp = mongoose.model('Otp', otpSchema);
+
+export default Otp;
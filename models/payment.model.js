@@ -40,13 +40,23 @@ const paymentSchema = new mongoose.Schema({
     required: [true, 'Payment method is required']
   },
 
-  // Payment status
+  // Payment status. 'needs_review': the gateway took money that can't be
+  // applied to the booking (see review) and finance has to refund it.
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded', 'expired', 'needs_review'],
     default: 'pending'
   },
 
+  review: {
+    reason: {
+      type: String,
+      enum: ['amount_mismatch', 'not_due']
+    },
+    amountReceived: Number,
+    flaggedAt: Date
+  },
+
   // Payment timing (Arogga-style)
   paymentTiming: {
     type: String,
@@ -73,6 +83,9 @@ const paymentSchema = new mongoose.Schema({
     transactionId: String,
     paymentDate: Date,
     gateway: String,
+    // The gateway's own id for the checkout and where the customer pays
+    gatewayPaymentId: String,
+    checkoutUrl: String,
     gatewayResponse: {
       success: Boolean,
       message: String,
@@ -104,10 +117,11 @@ const paymentSchema = new mongoose.Schema({
     refundReason: String,
     refundStatus: {
       type: String,
-      enum: ['none', 'requested', 'approved', 'rejected', 'processed'],
+      enum: ['none', 'requested', 'approved', 'rejected', 'processing', 'processed'],
       default: 'none'
     },
     refundedAt: Date,
+    gatewayRefundId: String,
     refundedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -134,7 +148,9 @@ paymentSchema.index({ customer: 1 });
 paymentSchema.index({ mechanic: 1 });
 paymentSchema.index({ booking: 1 });
 paymentSchema.index({ status: 1 });
+paymentSchema.index({ status: 1, expiresAt: 1 });
 paymentSchema.index({ paymentMethod: 1 });
+paymentSchema.index({ 'paymentDetails.gatewayPaymentId': 1 }, { sparse: true });
 paymentSchema.index({ createdAt: -1 });
 paymentSchema.index({ paymentId: 1 }, { unique: true });
 
@@ -145,11 +161,16 @@ paymentSchema.methods.isExpired = function() {
 
 // Instance method to check if payment can be refunded
 paymentSchema.methods.canRefund = function() {
-  return this.status === 'completed' && !this.refund.isRefunded;
+  return ['completed', 'needs_review'].includes(this.status) && !this.refund.isRefunded;
+};
+
+// What the customer actually paid: the gateway's figure for a payment held for review
+paymentSchema.methods.receivedAmount = function() {
+  return this.review?.amountReceived ?? this.amount;
 };
 
-// Pre-save middleware to generate payment ID
-paymentSchema.pre('save', function(next) {
+// Generate the payment ID before validation so the required check passes
+paymentSchema.pre('validate', function(next) {
   if (this.isNew && !this.paymentId) {
     this.paymentId = `PAY${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
   }
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import { encryptedFields } from '../utils/fieldEncryption.js';
+import { PAYOUT_METHODS } from './user.model.js';
+
+export const PAYOUT_STATUSES = ['requested', 'approved', 'rejected', 'cancelled', 'processing', 'paid', 'failed'];
+// Statuses that still hold part of the mechanic's balance
+export const OPEN_PAYOUT_STATUSES = ['requested', 'approved', 'processing'];
+
+// A mechanic's request to be paid their balance. Finance approves it,
+// includes it in a payout batch and records the transfer's outcome.
+const payoutSchema = new mongoose.Schema({
+  payoutNumber: {
+    type: String,
+    unique: true
+  },
+
+  mechanic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Mechanic is required']
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be positive']
+  },
+
+  // The mechanic's payout account when the request was made
+  account: {
+    method: {
+      type: String,
+      enum: PAYOUT_METHODS,
+      required: [true, 'Payout method is required']
+    },
+    accountName: String,
+    accountNumber: {
+      type: String,
+      required: [true, 'Account number is required']
+    },
+    bankName: String,
+    branchName: String,
+    routingNumber: String
+  },
+
+  status: {
+    type: String,
+    enum: PAYOUT_STATUSES,
+    default: 'requested'
+  },
+  // Set while the payout holds balance; one open payout per mechanic
+  open: {
+    type: Boolean,
+    default: true
+  },
+
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: Date,
+  rejectionReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutBatch' },
+
+  // Outcome of the transfer
+  transactionReference: String,
+  paidAt: Date,
+  failureReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  ledgerTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'LedgerTransaction' },
+
+  history: [{
+    _id: false,
+    status: { type: String, enum: PAYOUT_STATUSES },
+    note: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ mechanic: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: 1 });
+payoutSchema.index({ batch: 1 });
+payoutSchema.index({ mechanic: 1 }, { unique: true, partialFilterExpression: { open: true } });
+
+payoutSchema.pre('validate', function(next) {
+  if (this.isNew && !this.payoutNumber) {
+    this.payoutNumber = `PO${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+  }
+  this.open = OPEN_PAYOUT_STATUSES.includes(this.status);
+  next();
+});
+
+payoutSchema.plugin(encryptedFields, { fields: ['account.accountNumber'] });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+export default Payout;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+export const PAYOUT_BATCH_STATUSES = ['processing', 'completed', 'partially_failed', 'failed'];
+
+// One payout run: approved payouts sent together, usually per method. The
+// batch is done once every payout in it is paid or failed.
+const payoutBatchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: PAYOUT_BATCH_STATUSES,
+    default: 'processing'
+  },
+
+  // Restricts the run to one payout method, if set
+  method: String,
+
+  payouts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  }],
+
+  totalAmount: { type: Number, default: 0 },
+  paidCount: { type: Number, default: 0 },
+  paidAmount: { type: Number, default: 0 },
+  failedCount: { type: Number, default: 0 },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+
+payoutBatchSchema.pre('validate', function(next) {
+  if (this.isNew && !this.batchNumber) {
+    this.batchNumber = `PB${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+  }
+  next();
+});
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+export default PayoutBatch;
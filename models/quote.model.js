@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+export const QUOTE_ITEM_TYPES = ['labour', 'parts', 'visit_fee', 'other'];
+
+// Itemized price proposal from the mechanic. An 'estimate' sets the booking
+// total before the job; a 'change_order' adds to it during the job. Neither
+// changes the booking until the customer accepts it.
+const quoteSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  mechanic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  kind: {
+    type: String,
+    enum: ['estimate', 'change_order'],
+    required: [true, 'Quote kind is required']
+  },
+
+  // Per booking, counting up from 1
+  version: {
+    type: Number,
+    default: 1
+  },
+
+  items: {
+    type: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: QUOTE_ITEM_TYPES,
+        default: 'other'
+      },
+      description: {
+        type: String,
+        required: [true, 'Item description is required'],
+        trim: true,
+        maxlength: [200, 'Item description cannot exceed 200 characters']
+      },
+      quantity: {
+        type: Number,
+        default: 1,
+        min: [0.01, 'Quantity must be positive']
+      },
+      unitPrice: {
+        type: Number,
+        required: [true, 'Unit price is required'],
+        min: [0, 'Unit price cannot be negative']
+      },
+      amount: Number
+    }],
+    validate: [items => items.length > 0, 'A quote needs at least one item']
+  },
+
+  total: {
+    type: Number,
+    min: 0
+  },
+
+  note: {
+    type: String,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+
+  // Estimates can't be accepted after this
+  validUntil: Date,
+
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'withdrawn', 'superseded'],
+    default: 'pending'
+  },
+
+  respondedAt: Date,
+  responseNote: {
+    type: String,
+    maxlength: [500, 'Response note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+quoteSchema.index({ booking: 1, createdAt: -1 });
+quoteSchema.index({ booking: 1, status: 1 });
+
+// Line amounts and total are always computed here, never taken from input
+quoteSchema.pre('validate', function (next) {
+  let total = 0;
+  this.items.forEach((item) => {
+    item.amount = Math.round((item.quantity ?? 1) * item.unitPrice * 100) / 100;
+    total += item.amount;
+  });
+  this.total = Math.round(total * 100) / 100;
+  next();
+});
+
+quoteSchema.methods.isExpired = function () {
+  return !!this.validUntil && new Date() > this.validUntil;
+};
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+export default Quote;
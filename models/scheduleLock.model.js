@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Short-lived mutex used to serialize booking writes per mechanic, so two
+// requests can't both pass the conflict check and double-book a slot.
+const scheduleLockSchema = new mongoose.Schema({
+  // Lock key, e.g. "mechanic:<id>"
+  _id: {
+    type: String
+  },
+
+  // Random token of the holder; only the holder may release the lock
+  owner: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Let MongoDB clean up locks left behind by crashed processes
+scheduleLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 });
+
+const ScheduleLock = mongoose.model('ScheduleLock', scheduleLockSchema);
+
+export default ScheduleLock;
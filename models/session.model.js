@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  // Hash of the current refresh token; rotated on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Hash of the token it replaced, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+
+  // Device information
+  deviceId: {
+    type: String,
+    trim: true
+  },
+  // Hash of the server-issued device token; a login presenting it counts
+  // as coming from a known device
+  deviceTokenHash: {
+    type: String,
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  userAgent: String,
+  ipAddress: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'password_changed', 'contact_changed', 'account_deleted', 'token_reuse', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ user: 1, deviceTokenHash: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // Purge a week after expiry
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
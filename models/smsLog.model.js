@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+const smsLogSchema = new mongoose.Schema({
+  // Recipient in MSISDN form (8801XXXXXXXXX)
+  recipient: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // What the message was sent for
+  purpose: {
+    type: String,
+    enum: ['otp', 'notification', 'other'],
+    default: 'other'
+  },
+
+  // Message body as logged (OTP codes are masked)
+  message: {
+    type: String,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+
+  // One entry per delivery attempt
+  attempts: [{
+    provider: String,
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    success: Boolean,
+    providerMessageId: String,
+    error: String,
+    rawResponse: mongoose.Schema.Types.Mixed
+  }],
+
+  providerMessageId: String,
+  lastError: String,
+  sentAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for support lookups
+smsLogSchema.index({ recipient: 1, createdAt: -1 });
+smsLogSchema.index({ user: 1, createdAt: -1 });
+smsLogSchema.index({ status: 1 });
+smsLogSchema.index({ createdAt: -1 });
+
+const SmsLog = mongoose.model('SmsLog', smsLogSchema);
+
+export default SmsLog;
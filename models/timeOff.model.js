@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import { parseTimeOfDay, toDhakaDateString, dhakaDateTime, dhakaWeekday, addDays } from '../utils/time.js';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DAY_MINUTES = 24 * 60;
+
+// Blocks of time when bookings can't be taken: a mechanic's own time off,
+// or a platform-wide public holiday (Eid and similar) that applies to everyone.
+const timeOffSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['mechanic', 'platform'],
+    default: 'mechanic'
+  },
+
+  mechanic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function () { return this.scope === 'mechanic'; }, 'Mechanic is required']
+  },
+
+  type: {
+    type: String,
+    enum: ['one_off', 'recurring'],
+    default: 'one_off'
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+
+  // One-off blocks: exact start and end instants
+  startAt: {
+    type: Date,
+    required: [function () { return this.type === 'one_off'; }, 'Start is required']
+  },
+  endAt: {
+    type: Date,
+    required: [function () { return this.type === 'one_off'; }, 'End is required']
+  },
+
+  // Recurring blocks: weekdays and Dhaka wall-clock hours ("13:00"-"14:30");
+  // without hours the whole day is blocked
+  weekdays: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  startTime: String,
+  endTime: String,
+  validFrom: Date,
+  validUntil: Date,
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+timeOffSchema.index({ mechanic: 1, isActive: 1 });
+timeOffSchema.index({ scope: 1, isActive: 1 });
+
+timeOffSchema.pre('validate', function (next) {
+  if (this.type === 'one_off' && this.startAt && this.endAt && this.endAt <= this.startAt) {
+    this.invalidate('endAt', 'End must be after start');
+  }
+  if (this.type === 'recurring') {
+    if (!this.weekdays || this.weekdays.length === 0) {
+      this.invalidate('weekdays', 'At least one weekday is required');
+    }
+    const start = this.startTime ? parseTimeOfDay(this.startTime) : 0;
+    const end = this.endTime ? parseTimeOfDay(this.endTime, { endOfDay: true }) : DAY_MINUTES;
+    if (start === null || end === null || end <= start) {
+      this.invalidate('endTime', 'Recurring hours must be valid and end after they start');
+    }
+  }
+  next();
+});
+
+// Concrete {start, end} windows of this block that touch [from, to)
+timeOffSchema.methods.windowsBetween = function (from, to) {
+  if (this.type === 'one_off') {
+    return this.startAt < to && this.endAt > from ? [{ start: this.startAt, end: this.endAt }] : [];
+  }
+
+  const startMinutes = this.startTime ? parseTimeOfDay(this.startTime) : 0;
+  const endMinutes = this.endTime ? parseTimeOfDay(this.endTime, { endOfDay: true }) : DAY_MINUTES;
+  const firstDay = toDhakaDateString(this.validFrom && this.validFrom > from ? this.validFrom : from);
+  const lastDay = toDhakaDateString(this.validUntil && this.validUntil < to ? this.validUntil : to);
+  const windows = [];
+
+  for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) {
+    if (!this.weekdays.includes(dhakaWeekday(day))) continue;
+    const window = { start: dhakaDateTime(day, startMinutes), end: dhakaDateTime(day, endMinutes) };
+    if (window.start < to && window.end > from) windows.push(window);
+  }
+  return windows;
+};
+
+// Active blocks that apply to a mechanic (their own plus platform holidays)
+// and may fall inside [from, to)
+timeOffSchema.statics.findApplicable = function (mechanicId, from, to) {
+  return this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ scope: 'platform' }, { mechanic: mechanicId }] },
+      {
+        $or: [
+          { type: 'one_off', startAt: { $lt: to }, endAt: { $gt: from } },
+          {
+            type: 'recurring',
+            validFrom: { $not: { $gt: to } },
+            validUntil: { $not: { $lt: from } }
+          }
+        ]
+      }
+    ]
+  });
+};
+
+const TimeOff = mongoose.model('TimeOff', timeOffSchema);
+
+export { WEEKDAYS };
+export default TimeOff;
@@ -1,5 +1,11 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { encryptedFields } from '../utils/fieldEncryption.js';
+import { toLocalPhone } from '../utils/phone.js';
+import { ROLES } from '../config/permissions.js';
+
+export const MECHANIC_TIERS = ['standard', 'silver', 'gold', 'platinum'];
+export const PAYOUT_METHODS = ['bkash', 'nagad', 'rocket', 'bank'];
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -13,7 +19,8 @@ const userSchema = new mongoose.Schema({
   // Authentication
   phoneNumber: {
     type: String,
-    required: [true, 'Phone number is required'],
+    // Removed when a deleted account is anonymized
+    required: [function() { return !this.deletedAt; }, 'Phone number is required'],
     trim: true,
     match: [/^(\+880|880|0)?1[3-9]\d{8}$/, 'Please enter a valid Bangladeshi phone number']
   },
@@ -35,7 +42,7 @@ const userSchema = new mongoose.Schema({
   // Role and Status
   role: {
     type: String,
-    enum: ['customer', 'mechanic', 'admin'],
+    enum: ROLES, // see config/permissions.js
     default: 'customer'
   },
   
@@ -44,6 +51,19 @@ const userSchema = new mongoose.Schema({
     default: true
   },
   
+  // Suspension details (set when an admin deactivates the account)
+  suspendedAt: Date,
+
+  suspensionReason: {
+    type: String,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+  },
+
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
   isAvailable: {
     type: Boolean,
     default: true
@@ -102,11 +122,53 @@ const userSchema = new mongoose.Schema({
   nidPhoto: {
     type: String
   },
+
+  // Mechanic identity (KYC) review status
+  kycStatus: {
+    type: String,
+    enum: ['not_submitted', 'pending', 'approved', 'rejected', 'more_info_required'],
+    default: 'not_submitted'
+  },
+
+  kycVerifiedAt: Date,
+
+  // Mechanic tier, set by finance; commission rules can differ per tier
+  mechanicTier: {
+    type: String,
+    enum: MECHANIC_TIERS,
+    default: 'standard'
+  },
+
+  // Where a mechanic's payouts are sent
+  payoutAccount: {
+    method: {
+      type: String,
+      enum: PAYOUT_METHODS
+    },
+    accountName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Account name cannot exceed 100 characters']
+    },
+    // Wallet number for MFS, account number for banks
+    accountNumber: String,
+    bankName: String,
+    branchName: String,
+    routingNumber: String
+  },
   
-  // OTP for phone verification
-  otp: {
-    code: String,
-    expiresAt: Date
+  // Login protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+
+  lockUntil: Date,
+
+  // Consecutive lockouts; each one doubles the lock duration
+  lockoutCount: {
+    type: Number,
+    default: 0
   },
   
   // Timestamps
@@ -114,6 +176,33 @@ const userSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Phone/email change waiting for the codes sent to the old and new contact
+  pendingContactChange: {
+    field: {
+      type: String,
+      enum: ['phoneNumber', 'email']
+    },
+    value: String,
+    requestedAt: Date,
+    expiresAt: Date
+  },
+  
+  // Channels the user wants notifications on (the inbox itself is in_app)
+  notificationPreferences: {
+    in_app: { type: Boolean, default: true },
+    sms: { type: Boolean, default: true },
+    email: { type: Boolean, default: true }
+  },
+
+  // Self-service account deletion (anonymized once the grace period ends)
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  deletionReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  deletedAt: Date,
+  
   passwordChangedAt: Date,
   
   passwordResetToken: String,
@@ -123,10 +212,25 @@ const userSchema = new mongoose.Schema({
 });
 
 // Index for better query performance
-userSchema.index({ phoneNumber: 1 });
-userSchema.index({ email: 1 });
+// (phone and email are looked up through their blind indexes)
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ role: 1, kycStatus: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
+// Encrypt personal data at rest; phone and email stay searchable by exact match
+userSchema.plugin(encryptedFields, {
+  fields: [
+    'phoneNumber', 'email', 'nidNumber', 'pendingContactChange.value',
+    'address.street', 'address.city', 'address.district', 'address.postalCode',
+    'payoutAccount.accountNumber'
+  ],
+  blindIndexes: {
+    // Unique: one account per phone number / email address
+    phoneNumber: { field: 'phoneNumberIndex', normalize: toLocalPhone, unique: true },
+    email: { field: 'emailIndex', normalize: (email) => email.trim().toLowerCase(), unique: true }
+  }
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -164,32 +268,42 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
-// Generate OTP
-userSchema.methods.generateOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
-  this.otp = {
-    code: otp,
-    expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
-  };
-  return otp;
+// Instance method to check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
 };
 
-// Verify OTP
-userSchema.methods.verifyOTP = function(otpCode) {
-  if (!this.otp || !this.otp.code || !this.otp.expiresAt) {
-    return false;
-  }
-  
-  if (this.otp.expiresAt < new Date()) {
-    return false; // OTP expired
-  }
-  
-  return this.otp.code === otpCode;
+// Record a failed login; locks the account once the limit is reached.
+// Lock duration doubles with every consecutive lockout, up to the maximum.
+// Both steps are atomic, so parallel wrong guesses can't overwrite each
+// other's count. Resolves with the updated user and whether this attempt
+// caused the lockout.
+userSchema.statics.registerFailedLogin = async function(userId, { maxAttempts, baseLockMinutes, maxLockMinutes }) {
+  const user = await this.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!user || user.failedLoginAttempts < maxAttempts) return { user, locked: false };
+
+  // Only the attempt that still sees the full count applies the lock
+  const lockMinutes = Math.min(baseLockMinutes * 2 ** (user.lockoutCount || 0), maxLockMinutes);
+  const locked = await this.findOneAndUpdate(
+    { _id: userId, failedLoginAttempts: { $gte: maxAttempts } },
+    {
+      $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000) },
+      $inc: { lockoutCount: 1 }
+    },
+    { new: true }
+  );
+  return { user: locked || user, locked: !!locked };
 };
 
-// Clear OTP after verification
-userSchema.methods.clearOTP = function() {
-  this.otp = undefined;
+// Clear failed attempts and lock state after a successful login or admin unlock
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lockoutCount = 0;
 };
 
 const User = mongoose.model('User', userSchema);
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import { encryptedFields } from '../utils/fieldEncryption.js';
+
+// Reference to a privately stored file (see services/upload.service.js).
+// Also used for dispute evidence.
+export const documentSchema = new mongoose.Schema({
+  storage: {
+    type: String,
+    enum: ['cloudinary', 'local'],
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true
+  },
+  resourceType: String,
+  format: String,
+  mimeType: String,
+  size: Number,
+  label: String,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const verificationSchema = new mongoose.Schema({
+  mechanic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Mechanic is required']
+  },
+
+  nidNumber: {
+    type: String,
+    required: [true, 'NID number is required'],
+    trim: true,
+    match: [/^(\d{10}|\d{13}|\d{17})$/, 'NID number must be 10, 13 or 17 digits']
+  },
+
+  documents: {
+    nidFront: documentSchema,
+    nidBack: documentSchema,
+    selfie: documentSchema,
+    certificates: [documentSchema]
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'more_info_required'],
+    default: 'pending'
+  },
+
+  // Times the mechanic has (re)submitted this request
+  submissionCount: {
+    type: Number,
+    default: 1
+  },
+
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Review
+  reviewNote: {
+    type: String,
+    maxlength: [1000, 'Review note cannot exceed 1000 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+
+  history: [{
+    status: String,
+    note: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+verificationSchema.index({ mechanic: 1, createdAt: -1 });
+verificationSchema.index({ status: 1, submittedAt: 1 });
+
+// NID numbers are encrypted at rest like the copy on the user profile
+verificationSchema.plugin(encryptedFields, { fields: ['nidNumber'] });
+
+const Verification = mongoose.model('Verification', verificationSchema);
+
+export default Verification;
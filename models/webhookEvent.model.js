@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENT_STATUSES = ['received', 'processed', 'ignored', 'failed'];
+
+// How long received events are kept; older replays are refused by their
+// signed timestamp instead
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// One payment provider webhook delivery. The unique (gateway, eventId)
+// index is what makes a redelivered event a no-op.
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: [true, 'Gateway is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  eventType: String,
+  occurredAt: Date,
+
+  status: {
+    type: String,
+    enum: WEBHOOK_EVENT_STATUSES,
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+
+  // Exactly what the provider sent, for audits and disputes
+  rawBody: String,
+  payload: mongoose.Schema.Types.Mixed,
+
+  error: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ payment: 1 });
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  exportMyData,
+  getDeletionStatus,
+  requestDeletion,
+  cancelDeletion,
+  adminProcessDeletions,
+} from "../controllers/account.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const accountRouter = Router();
+
+// All account routes require authentication
+accountRouter.use(protect);
+
+// Admin routes
+accountRouter.post("/admin/deletions/process", requirePermission(PERMISSIONS.USERS_DELETE), adminProcessDeletions);
+
+// Personal data export
+accountRouter.get("/export", exportMyData);
+
+// Account deletion with grace period
+accountRouter.get("/deletion", getDeletionStatus);
+accountRouter.post("/deletion", requestDeletion);
+accountRouter.delete("/deletion", cancelDeletion);
+
+export default accountRouter;
@@ -0,0 +1,37 @@
+import { Router } from "express";
+import {
+  adminListUsers,
+  adminGetUser,
+  adminChangeRole,
+  adminSuspendUser,
+  adminReactivateUser,
+  adminForceLogout,
+  adminTriggerPasswordReset,
+  adminGetUserAuditTrail,
+  adminGetAuditLogs,
+} from "../controllers/adminUser.controller.js";
+import { deleteUser, toggleUserStatus } from "../controllers/user.controller.js";
+import { adminUnlockUser, protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+// Mounted at /api/auth/admin/users
+const adminUserRouter = Router();
+
+// All admin user routes require authentication; each route checks its own permission
+adminUserRouter.use(protect);
+
+adminUserRouter.get("/", requirePermission(PERMISSIONS.USERS_READ), adminListUsers);
+adminUserRouter.get("/audit-logs", requirePermission(PERMISSIONS.AUDIT_READ), adminGetAuditLogs);
+
+adminUserRouter.get("/:id", requirePermission(PERMISSIONS.USERS_READ), adminGetUser);
+adminUserRouter.get("/:id/audit-trail", requirePermission(PERMISSIONS.AUDIT_READ), adminGetUserAuditTrail);
+adminUserRouter.patch("/:id/role", requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), adminChangeRole);
+adminUserRouter.patch("/:id/suspend", requirePermission(PERMISSIONS.USERS_MANAGE), adminSuspendUser);
+adminUserRouter.patch("/:id/reactivate", requirePermission(PERMISSIONS.USERS_MANAGE), adminReactivateUser);
+adminUserRouter.patch("/:id/toggle-status", requirePermission(PERMISSIONS.USERS_MANAGE), toggleUserStatus);
+adminUserRouter.patch("/:id/unlock", requirePermission(PERMISSIONS.USERS_MANAGE), adminUnlockUser);
+adminUserRouter.post("/:id/force-logout", requirePermission(PERMISSIONS.USERS_MANAGE), adminForceLogout);
+adminUserRouter.post("/:id/password-reset", requirePermission(PERMISSIONS.USERS_MANAGE), adminTriggerPasswordReset);
+adminUserRouter.delete("/:id", requirePermission(PERMISSIONS.USERS_DELETE), deleteUser);
+
+export default adminUserRouter;
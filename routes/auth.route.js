@@ -2,6 +2,7 @@ import express, { Router } from "express";
 import {
   register,
   login,
+  verifyLoginChallenge,
   sendOTP,
   verifyOTP,
   forgotPassword,
@@ -9,31 +10,61 @@ import {
   getMe,
   updateProfile,
   updatePassword,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  adminGetSecurityEvents,
+  adminGetLockedUsers,
   protect,
-  restrictTo,
+  requirePermission,
+  adminGetPermissions,
 } from "../controllers/auth.controller.js";
+import {
+  requestPhoneChange,
+  confirmPhoneChange,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelContactChange,
+} from "../controllers/contactChange.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const authRouter = Router(); 
 
 // Public routes
 authRouter.post("/register", register);
 authRouter.post("/login", login);
+authRouter.post("/login/challenge", verifyLoginChallenge);
 authRouter.post("/send-otp", sendOTP);
 authRouter.post("/verify-otp", verifyOTP);
 authRouter.post("/forgot-password", forgotPassword);
 authRouter.patch("/reset-password", resetPassword);
+authRouter.post("/refresh-token", refreshToken);
 
 // Protected routes
 authRouter.get("/me", protect, getMe);
 authRouter.patch("/update-profile", protect, updateProfile);
 authRouter.patch("/update-password", protect, updatePassword);
+authRouter.post("/logout", protect, logout);
+
+// Phone/email changes (confirmed with codes sent to the old and new contact)
+authRouter.post("/change-phone", protect, requestPhoneChange);
+authRouter.post("/change-phone/confirm", protect, confirmPhoneChange);
+authRouter.post("/change-email", protect, requestEmailChange);
+authRouter.post("/change-email/confirm", protect, confirmEmailChange);
+authRouter.delete("/contact-change", protect, cancelContactChange);
+
+// Session management
+authRouter.get("/sessions", protect, getSessions);
+authRouter.delete("/sessions", protect, revokeOtherSessions);
+authRouter.delete("/sessions/:id", protect, revokeSessionById);
 
 // Admin only routes
-authRouter.get("/admin/users", protect, restrictTo("admin"), (req, res) => {
-  res.status(200).json({
-    status: "success",
-    message: "Admin users route - to be implemented",
-  });
-});
+authRouter.get("/admin/security-events", protect, requirePermission(PERMISSIONS.SECURITY_READ), adminGetSecurityEvents);
+authRouter.get("/admin/locked-users", protect, requirePermission(PERMISSIONS.SECURITY_READ), adminGetLockedUsers);
+authRouter.get("/admin/permissions", protect, requirePermission(PERMISSIONS.PERMISSIONS_READ), adminGetPermissions);
+
+// Admin user management is mounted at /admin/users from routes/index.js
 
 export default authRouter;
\ No newline at end of file
@@ -0,0 +1,26 @@
+import { Router } from "express";
+import {
+  createBookingSeries,
+  getBookingSeriesList,
+  getBookingSeries,
+  skipSeriesOccurrence,
+  cancelBookingSeries,
+  adminGenerateOccurrences,
+} from "../controllers/bookingSeries.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { idempotency } from "../services/idempotency.service.js";
+
+const bookingSeriesRouter = Router();
+
+// Admin routes (before /:id)
+bookingSeriesRouter.post("/admin/generate", protect, requirePermission(PERMISSIONS.BOOKINGS_MANAGE), adminGenerateOccurrences);
+
+// Customer, mechanic and staff routes
+bookingSeriesRouter.post("/", protect, idempotency, requirePermission(PERMISSIONS.BOOKINGS_CREATE), createBookingSeries);
+bookingSeriesRouter.get("/", protect, getBookingSeriesList);
+bookingSeriesRouter.get("/:id", protect, getBookingSeries);
+bookingSeriesRouter.post("/:id/skip", protect, skipSeriesOccurrence);
+bookingSeriesRouter.patch("/:id/cancel", protect, cancelBookingSeries);
+
+export default bookingSeriesRouter;
@@ -5,6 +5,7 @@ import {
   getBooking,
   updateBookingStatus,
   cancelBooking,
+  getCancellationQuote,
   addReview,
   getBookingStats,
   adminGetAllBookings,
@@ -17,39 +18,59 @@ import {
   deleteBooking,
   getMechanicBookings,
 } from "../controllers/booking.controller.js";
-import { protect, restrictTo } from "../controllers/auth.controller.js";
+import {
+  getBookingQuotes,
+  createQuote,
+  acceptBookingQuote,
+  rejectBookingQuote,
+  withdrawBookingQuote,
+} from "../controllers/quote.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { idempotency } from "../services/idempotency.service.js";
 
 const bookingRouter = Router();
 
 // All booking routes require authentication
 bookingRouter.use(protect);
 
+// Retried writes with the same Idempotency-Key get the first response back
+bookingRouter.use(idempotency);
+
 // Customer and Mechanic routes
-bookingRouter.post("/", restrictTo("customer"), createBooking);
+bookingRouter.post("/", requirePermission(PERMISSIONS.BOOKINGS_CREATE), createBooking);
 bookingRouter.get("/", getAllBookings);
 bookingRouter.get("/stats", getBookingStats);
 
 // --- Place this BEFORE any route with /:id ---
-bookingRouter.get("/mechanic", restrictTo("mechanic"), getMechanicBookings);
+bookingRouter.get("/mechanic", requirePermission(PERMISSIONS.BOOKINGS_FULFIL), getMechanicBookings);
 
 // Routes with :id (must come after /mechanic)
 bookingRouter.get("/:id", getBooking);
 bookingRouter.patch("/:id/status", updateBookingStatus);
+bookingRouter.get("/:id/cancellation-quote", getCancellationQuote);
 bookingRouter.patch("/:id/cancel", cancelBooking);
 bookingRouter.patch("/:id/complete", completeService);
-bookingRouter.post("/:id/review", restrictTo("customer"), addReview);
+bookingRouter.post("/:id/review", requirePermission(PERMISSIONS.REVIEWS_WRITE), addReview);
 bookingRouter.delete('/:id', deleteBooking);
 
 // Refund routes
-bookingRouter.post('/:id/refund', restrictTo('customer'), requestRefund);
-bookingRouter.patch('/:id/refund', restrictTo('admin'), adminHandleRefund);
+bookingRouter.post('/:id/refund', requirePermission(PERMISSIONS.REFUNDS_REQUEST), requestRefund);
+bookingRouter.patch('/:id/refund', requirePermission(PERMISSIONS.REFUNDS_MANAGE), adminHandleRefund);
+
+// Quote routes: estimates and change orders
+bookingRouter.get('/:id/quotes', getBookingQuotes);
+bookingRouter.post('/:id/quotes', requirePermission(PERMISSIONS.BOOKINGS_FULFIL), createQuote);
+bookingRouter.patch('/:id/quotes/:quoteId/accept', requirePermission(PERMISSIONS.BOOKINGS_CREATE), acceptBookingQuote);
+bookingRouter.patch('/:id/quotes/:quoteId/reject', requirePermission(PERMISSIONS.BOOKINGS_CREATE), rejectBookingQuote);
+bookingRouter.patch('/:id/quotes/:quoteId/withdraw', requirePermission(PERMISSIONS.BOOKINGS_FULFIL), withdrawBookingQuote);
 
 // Reschedule routes
 bookingRouter.post('/:id/reschedule', requestReschedule); // customer or mechanic
 bookingRouter.patch('/:id/reschedule', respondReschedule); // other party responds
 
 // Admin routes
-bookingRouter.get("/admin/all", restrictTo("admin"), adminGetAllBookings);
-bookingRouter.get("/admin/stats", restrictTo("admin"), adminGetBookingStats);
+bookingRouter.get("/admin/all", requirePermission(PERMISSIONS.BOOKINGS_READ_ALL), adminGetAllBookings);
+bookingRouter.get("/admin/stats", requirePermission(PERMISSIONS.BOOKINGS_READ_ALL), adminGetBookingStats);
 
 export default bookingRouter; 
\ No newline at end of file
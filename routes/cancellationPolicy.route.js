@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+  adminGetPolicies,
+  adminCreatePolicy,
+  adminUpdatePolicy,
+  adminDeletePolicy,
+} from "../controllers/cancellationPolicy.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const cancellationPolicyRouter = Router();
+
+// Customers see policies through GET /api/services/:id/cancellation-policy
+
+// Admin routes
+cancellationPolicyRouter.get("/admin", protect, requirePermission(PERMISSIONS.POLICIES_MANAGE), adminGetPolicies);
+cancellationPolicyRouter.post("/admin", protect, requirePermission(PERMISSIONS.POLICIES_MANAGE), adminCreatePolicy);
+cancellationPolicyRouter.patch("/admin/:id", protect, requirePermission(PERMISSIONS.POLICIES_MANAGE), adminUpdatePolicy);
+cancellationPolicyRouter.delete("/admin/:id", protect, requirePermission(PERMISSIONS.POLICIES_MANAGE), adminDeletePolicy);
+
+export default cancellationPolicyRouter;
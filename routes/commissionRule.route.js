@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+  adminGetRules,
+  adminCreateRule,
+  adminUpdateRule,
+  adminDeleteRule,
+  adminSetMechanicTier,
+} from "../controllers/commissionRule.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const commissionRuleRouter = Router();
+
+// Admin routes
+commissionRuleRouter.get("/admin", protect, requirePermission(PERMISSIONS.COMMISSION_MANAGE), adminGetRules);
+commissionRuleRouter.post("/admin", protect, requirePermission(PERMISSIONS.COMMISSION_MANAGE), adminCreateRule);
+commissionRuleRouter.patch("/admin/mechanics/:id/tier", protect, requirePermission(PERMISSIONS.COMMISSION_MANAGE), adminSetMechanicTier);
+commissionRuleRouter.patch("/admin/:id", protect, requirePermission(PERMISSIONS.COMMISSION_MANAGE), adminUpdateRule);
+commissionRuleRouter.delete("/admin/:id", protect, requirePermission(PERMISSIONS.COMMISSION_MANAGE), adminDeleteRule);
+
+export default commissionRuleRouter;
@@ -0,0 +1,33 @@
+import { Router } from "express";
+import {
+  createDispute,
+  getMyDisputes,
+  getDispute,
+  addEvidence,
+  adminGetDisputes,
+  adminReviewDispute,
+  adminResolveDispute,
+} from "../controllers/dispute.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { documentUpload, handleUpload } from "../services/upload.service.js";
+
+const disputeRouter = Router();
+
+// All dispute routes require authentication
+disputeRouter.use(protect);
+
+const evidenceFiles = handleUpload(documentUpload.array('evidence', 5));
+
+// Admin routes (must come before parameterized routes)
+disputeRouter.get("/admin", requirePermission(PERMISSIONS.DISPUTES_MANAGE), adminGetDisputes);
+disputeRouter.patch("/admin/:id/review", requirePermission(PERMISSIONS.DISPUTES_MANAGE), adminReviewDispute);
+disputeRouter.patch("/admin/:id/resolve", requirePermission(PERMISSIONS.DISPUTES_MANAGE), adminResolveDispute);
+
+// Customer and mechanic routes
+disputeRouter.post("/", requirePermission(PERMISSIONS.DISPUTES_OPEN), evidenceFiles, createDispute);
+disputeRouter.get("/", requirePermission(PERMISSIONS.DISPUTES_OPEN), getMyDisputes);
+disputeRouter.get("/:id", getDispute);
+disputeRouter.post("/:id/evidence", requirePermission(PERMISSIONS.DISPUTES_OPEN), evidenceFiles, addEvidence);
+
+export default disputeRouter;
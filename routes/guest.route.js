@@ -9,7 +9,8 @@ import {
   guestCreationLimiter,
   guestMessageLimiter
 } from '../controllers/guest.controller.js';
-import { restrictTo } from '../controllers/auth.controller.js';
+import { protect, requirePermission } from '../controllers/auth.controller.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
@@ -22,7 +23,7 @@ router.delete('/session/:sessionId', deactivateGuestSession);
 // Guest chat rooms
 router.get('/session/:sessionId/rooms', getGuestChatRooms);
 
-// Admin only - guest statistics
-router.get('/stats', restrictTo(['admin']), getGuestStats);
+// Staff only - guest statistics
+router.get('/stats', protect, requirePermission(PERMISSIONS.GUESTS_READ), getGuestStats);
 
 export default router; 
\ No newline at end of file
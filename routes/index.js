@@ -0,0 +1,47 @@
+import authRoutes from './auth.route.js';
+import adminUserRoutes from './adminUsers.route.js';
+import userRoutes from './users.route.js';
+import serviceRoutes from './services.route.js';
+import bookingRoutes from './bookings.route.js';
+import paymentRoutes from './payments.route.js';
+import reviewRoutes from './reviews.route.js';
+import chatRoutes from './chat.route.js';
+import guestRoutes from './guest.route.js';
+import healthRoutes from './health.route.js';
+import verificationRoutes from './verification.route.js';
+import accountRoutes from './account.route.js';
+import timeOffRoutes from './timeOff.route.js';
+import disputeRoutes from './dispute.route.js';
+import cancellationPolicyRoutes from './cancellationPolicy.route.js';
+import bookingSeriesRoutes from './bookingSeries.route.js';
+import notificationRoutes from './notification.route.js';
+import ledgerRoutes from './ledger.route.js';
+import payoutRoutes from './payout.route.js';
+import commissionRuleRoutes from './commissionRule.route.js';
+
+// Route manifest: every API router and where it is mounted.
+// server.js mounts these in order and checks them at startup (utils/routeManifest.js).
+export const routeMounts = [
+  { path: '/api/auth', router: authRoutes },
+  { path: '/api/auth/admin/users', router: adminUserRoutes },
+  { path: '/api/users', router: userRoutes },
+  { path: '/api/services', router: serviceRoutes },
+  { path: '/api/bookings', router: bookingRoutes },
+  { path: '/api/payments', router: paymentRoutes },
+  { path: '/api/reviews', router: reviewRoutes },
+  { path: '/api/chat', router: chatRoutes },
+  { path: '/api/guest', router: guestRoutes },
+  { path: '/api/health', router: healthRoutes },
+  { path: '/api/verification', router: verificationRoutes },
+  { path: '/api/account', router: accountRoutes },
+  { path: '/api/time-off', router: timeOffRoutes },
+  { path: '/api/disputes', router: disputeRoutes },
+  { path: '/api/cancellation-policies', router: cancellationPolicyRoutes },
+  { path: '/api/booking-series', router: bookingSeriesRoutes },
+  { path: '/api/notifications', router: notificationRoutes },
+  { path: '/api/ledger', router: ledgerRoutes },
+  { path: '/api/payouts', router: payoutRoutes },
+  { path: '/api/commission-rules', router: commissionRuleRoutes },
+];
+
+export default routeMounts;
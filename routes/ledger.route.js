@@ -0,0 +1,19 @@
+import { Router } from "express";
+import {
+  adminGetBalances,
+  adminGetStatement,
+  adminGetTransactions,
+  adminGetTransaction,
+} from "../controllers/ledger.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const ledgerRouter = Router();
+
+// Admin routes
+ledgerRouter.get("/admin/balances", protect, requirePermission(PERMISSIONS.LEDGER_READ), adminGetBalances);
+ledgerRouter.get("/admin/statement", protect, requirePermission(PERMISSIONS.LEDGER_READ), adminGetStatement);
+ledgerRouter.get("/admin/transactions", protect, requirePermission(PERMISSIONS.LEDGER_READ), adminGetTransactions);
+ledgerRouter.get("/admin/transactions/:id", protect, requirePermission(PERMISSIONS.LEDGER_READ), adminGetTransaction);
+
+export default ledgerRouter;
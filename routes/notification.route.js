@@ -0,0 +1,24 @@
+import { Router } from "express";
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from "../controllers/notification.controller.js";
+import { protect } from "../controllers/auth.controller.js";
+
+const notificationRouter = Router();
+
+// Every user has their own inbox
+notificationRouter.use(protect);
+
+notificationRouter.get("/", getNotifications);
+notificationRouter.get("/unread-count", getUnreadCount);
+notificationRouter.patch("/read-all", markAllNotificationsRead);
+notificationRouter.get("/preferences", getNotificationPreferences);
+notificationRouter.patch("/preferences", updateNotificationPreferences);
+notificationRouter.patch("/:id/read", markNotificationRead);
+
+export default notificationRouter;
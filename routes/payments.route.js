@@ -8,17 +8,40 @@ import {
   processPayment,
   getPaymentStats,
   adminGetAllPayments,
-  adminProcessRefund
+  adminProcessRefund,
+  gatewayCallback,
+  paymentWebhook
 } from '../controllers/payment.controller.js';
-import { protect, restrictTo } from '../controllers/auth.controller.js';
+import { protect, requirePermission } from '../controllers/auth.controller.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { captureRawBody } from '../utils/request.js';
+import { idempotency } from '../services/idempotency.service.js';
 
 const paymentRouter = Router();
 
+// Gateway callbacks (public: the customer's browser returns here from checkout)
+paymentRouter.get('/gateway/:gateway/callback', gatewayCallback);
+paymentRouter.post('/gateway/:gateway/callback', gatewayCallback);
+
+// Gateway webhooks (public: authenticated by the provider's signature).
+// bKash's SNS deliveries arrive as text/plain, other gateways post JSON or
+// form data; all keep the raw body for the signature check.
+paymentRouter.post(
+  '/webhooks/:gateway',
+  express.text({ type: 'text/plain', limit: '1mb', verify: captureRawBody }),
+  express.json({ limit: '1mb', verify: captureRawBody }),
+  express.urlencoded({ extended: true, limit: '1mb', verify: captureRawBody }),
+  paymentWebhook
+);
+
 // Protected routes
 paymentRouter.use(protect);
 
+// Retried writes with the same Idempotency-Key get the first response back
+paymentRouter.use(idempotency);
+
 // Customer and Mechanic routes
-paymentRouter.post('/', restrictTo('customer'), createPayment);
+paymentRouter.post('/', requirePermission(PERMISSIONS.PAYMENTS_CREATE), createPayment);
 paymentRouter.get('/', getPayments);
 paymentRouter.get('/stats', getPaymentStats);
 paymentRouter.get('/:id', getPayment);
@@ -26,7 +49,7 @@ paymentRouter.patch('/:id', updatePayment);
 paymentRouter.post('/:id/process', processPayment);
 
 // Admin routes
-paymentRouter.get('/admin/all', restrictTo('admin'), adminGetAllPayments);
-paymentRouter.post('/admin/:id/refund', restrictTo('admin'), adminProcessRefund);
+paymentRouter.get('/admin/all', requirePermission(PERMISSIONS.PAYMENTS_READ_ALL), adminGetAllPayments);
+paymentRouter.post('/admin/:id/refund', requirePermission(PERMISSIONS.REFUNDS_MANAGE), adminProcessRefund);
 
 export default paymentRouter; 
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { Router } from "express";
+import {
+  getMyEarnings,
+  getPayoutAccount,
+  sendPayoutAccountOtp,
+  updatePayoutAccount,
+  createPayoutRequest,
+  getMyPayouts,
+  getMyPayout,
+  cancelMyPayout,
+  adminGetPayouts,
+  adminGetMechanicEarnings,
+  adminApprovePayout,
+  adminRejectPayout,
+  adminCreateBatch,
+  adminGetBatches,
+  adminGetBatch,
+  adminRecordPayoutResult,
+} from "../controllers/payout.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { requireVerifiedMechanic } from "../controllers/verification.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const payoutRouter = Router();
+
+// All payout routes require authentication
+payoutRouter.use(protect);
+
+const manage = requirePermission(PERMISSIONS.PAYOUTS_MANAGE);
+const request = requirePermission(PERMISSIONS.PAYOUTS_REQUEST);
+
+// Admin routes (must come before parameterized routes)
+payoutRouter.get("/admin", manage, adminGetPayouts);
+payoutRouter.get("/admin/mechanics/:id/earnings", manage, adminGetMechanicEarnings);
+payoutRouter.post("/admin/batches", manage, adminCreateBatch);
+payoutRouter.get("/admin/batches", manage, adminGetBatches);
+payoutRouter.get("/admin/batches/:id", manage, adminGetBatch);
+payoutRouter.patch("/admin/batches/:id/payouts/:payoutId", manage, adminRecordPayoutResult);
+payoutRouter.patch("/admin/:id/approve", manage, adminApprovePayout);
+payoutRouter.patch("/admin/:id/reject", manage, adminRejectPayout);
+
+// Mechanic routes
+payoutRouter.get("/earnings", request, getMyEarnings);
+payoutRouter.get("/account", request, getPayoutAccount);
+payoutRouter.post("/account/otp", request, sendPayoutAccountOtp);
+payoutRouter.put("/account", request, updatePayoutAccount);
+payoutRouter.post("/", request, requireVerifiedMechanic, createPayoutRequest);
+payoutRouter.get("/", request, getMyPayouts);
+payoutRouter.get("/:id", request, getMyPayout);
+payoutRouter.patch("/:id/cancel", request, cancelMyPayout);
+
+export default payoutRouter;
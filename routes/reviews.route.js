@@ -9,7 +9,8 @@ import {
   adminGetAllReviews,
   adminDeleteReview
 } from '../controllers/review.controller.js';
-import { protect, restrictTo } from '../controllers/auth.controller.js';
+import { protect, requirePermission } from '../controllers/auth.controller.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const reviewRouter = Router();
 
@@ -21,13 +22,13 @@ reviewRouter.get('/stats', getReviewStats);
 reviewRouter.use(protect);
 
 // Customer and Mechanic routes
-reviewRouter.post('/', restrictTo('customer'), createReview);
+reviewRouter.post('/', requirePermission(PERMISSIONS.REVIEWS_WRITE), createReview);
 reviewRouter.get('/:id', getReview);
-reviewRouter.patch('/:id', restrictTo('customer'), updateReview);
-reviewRouter.delete('/:id', restrictTo('customer'), deleteReview);
+reviewRouter.patch('/:id', requirePermission(PERMISSIONS.REVIEWS_WRITE), updateReview);
+reviewRouter.delete('/:id', requirePermission(PERMISSIONS.REVIEWS_WRITE), deleteReview);
 
 // Admin routes
-reviewRouter.get('/admin/all', restrictTo('admin'), adminGetAllReviews);
-reviewRouter.delete('/admin/:id', restrictTo('admin'), adminDeleteReview);
+reviewRouter.get('/admin/all', requirePermission(PERMISSIONS.REVIEWS_MODERATE), adminGetAllReviews);
+reviewRouter.delete('/admin/:id', requirePermission(PERMISSIONS.REVIEWS_MODERATE), adminDeleteReview);
 
 export default reviewRouter; 
\ No newline at end of file
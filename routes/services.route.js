@@ -2,6 +2,8 @@ import express, { Router } from "express";
 import {
   getAllServices,
   getService,
+  getServiceSlots,
+  getServiceCancellationPolicy,
   createService,
   updateService,
   deleteService,
@@ -15,7 +17,9 @@ import {
   getSearchSuggestions,
   getSearchAnalytics,
 } from "../controllers/service.controller.js";
-import { protect, restrictTo } from "../controllers/auth.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { requireVerifiedMechanic } from "../controllers/verification.controller.js";
 
 const serviceRouter = Router();
 
@@ -27,18 +31,20 @@ serviceRouter.get("/search/analytics", getSearchAnalytics);
 serviceRouter.get("/categories", getServiceCategories);
 
 // Admin routes (must come before parameterized routes)
-serviceRouter.get("/admin", adminGetAllServices);
-serviceRouter.patch("/admin/:id/toggle", restrictTo("admin"), adminToggleServiceStatus);
-serviceRouter.patch("/admin/:id/approve", protect, restrictTo("admin"), adminApproveService);
-serviceRouter.patch("/admin/:id/reject", protect, restrictTo("admin"), adminRejectService);
+serviceRouter.get("/admin", protect, requirePermission(PERMISSIONS.SERVICES_MODERATE), adminGetAllServices);
+serviceRouter.patch("/admin/:id/toggle", protect, requirePermission(PERMISSIONS.SERVICES_MODERATE), adminToggleServiceStatus);
+serviceRouter.patch("/admin/:id/approve", protect, requirePermission(PERMISSIONS.SERVICES_MODERATE), adminApproveService);
+serviceRouter.patch("/admin/:id/reject", protect, requirePermission(PERMISSIONS.SERVICES_MODERATE), adminRejectService);
 
 // Mechanic routes
-serviceRouter.post("/", protect, restrictTo("mechanic", "admin"), createService);
-serviceRouter.get("/mechanic/my", protect, restrictTo("mechanic", "admin"), getServicesByMechanic);
+serviceRouter.post("/", protect, requirePermission(PERMISSIONS.SERVICES_WRITE), requireVerifiedMechanic, createService);
+serviceRouter.get("/mechanic/my", protect, requirePermission(PERMISSIONS.SERVICES_WRITE), getServicesByMechanic);
 
 // Parameterized routes (must come after specific routes)
 serviceRouter.get("/:id", getService);
-serviceRouter.patch("/:id", protect, restrictTo("mechanic", "admin"), updateService);
-serviceRouter.delete("/:id", protect, restrictTo("mechanic", "admin"), deleteService);
+serviceRouter.get("/:id/slots", getServiceSlots);
+serviceRouter.get("/:id/cancellation-policy", getServiceCancellationPolicy);
+serviceRouter.patch("/:id", protect, requirePermission(PERMISSIONS.SERVICES_WRITE), updateService);
+serviceRouter.delete("/:id", protect, requirePermission(PERMISSIONS.SERVICES_WRITE), deleteService);
 
 export default serviceRouter; 
\ No newline at end of file
@@ -0,0 +1,27 @@
+import { Router } from "express";
+import {
+  getMyTimeOff,
+  createMyTimeOff,
+  deleteMyTimeOff,
+  getHolidays,
+  adminCreateHoliday,
+  adminDeleteHoliday,
+} from "../controllers/timeOff.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const timeOffRouter = Router();
+
+// Public routes
+timeOffRouter.get("/holidays", getHolidays);
+
+// Admin routes
+timeOffRouter.post("/admin/holidays", protect, requirePermission(PERMISSIONS.HOLIDAYS_MANAGE), adminCreateHoliday);
+timeOffRouter.delete("/admin/holidays/:id", protect, requirePermission(PERMISSIONS.HOLIDAYS_MANAGE), adminDeleteHoliday);
+
+// Mechanic routes
+timeOffRouter.get("/", protect, requirePermission(PERMISSIONS.TIME_OFF_WRITE), getMyTimeOff);
+timeOffRouter.post("/", protect, requirePermission(PERMISSIONS.TIME_OFF_WRITE), createMyTimeOff);
+timeOffRouter.delete("/:id", protect, requirePermission(PERMISSIONS.TIME_OFF_WRITE), deleteMyTimeOff);
+
+export default timeOffRouter;
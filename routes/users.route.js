@@ -13,7 +13,9 @@ import {
   adminGetDashboardStats,
   updateAvailability,
 } from "../controllers/user.controller.js";
-import { protect, restrictTo } from "../controllers/auth.controller.js";
+import { adminGetSmsLogs, adminGetSmsLog } from "../controllers/sms.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const userRouter = Router();
 
@@ -21,12 +23,14 @@ const userRouter = Router();
 userRouter.use(protect);
 
 // Admin routes (must come before parameterized routes)
-userRouter.get("/admin/stats", restrictTo("admin"), adminGetUserStats);
-userRouter.get("/admin/dashboard-stats", restrictTo("admin"), adminGetDashboardStats);
-userRouter.get("/admin/role/:role", restrictTo("admin"), adminGetUsersByRole);
+userRouter.get("/admin/stats", requirePermission(PERMISSIONS.STATS_READ), adminGetUserStats);
+userRouter.get("/admin/dashboard-stats", requirePermission(PERMISSIONS.STATS_READ), adminGetDashboardStats);
+userRouter.get("/admin/role/:role", requirePermission(PERMISSIONS.USERS_READ), adminGetUsersByRole);
+userRouter.get("/admin/sms-logs", requirePermission(PERMISSIONS.SMS_LOGS_READ), adminGetSmsLogs);
+userRouter.get("/admin/sms-logs/:id", requirePermission(PERMISSIONS.SMS_LOGS_READ), adminGetSmsLog);
 
-// Get all users (admin only)
-userRouter.get("/", restrictTo("admin"), getAllUsers);
+// Get all users (staff only)
+userRouter.get("/", requirePermission(PERMISSIONS.USERS_READ), getAllUsers);
 
 // User profile routes (self)
 userRouter.get("/me", (req, res) => {
@@ -0,0 +1,38 @@
+import { Router } from "express";
+import {
+  submitVerification,
+  getMyVerification,
+  adminGetVerificationQueue,
+  adminGetVerification,
+  adminApproveVerification,
+  adminRejectVerification,
+  adminRequestMoreInfo,
+} from "../controllers/verification.controller.js";
+import { protect, requirePermission } from "../controllers/auth.controller.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { documentUpload, handleUpload } from "../services/upload.service.js";
+
+const verificationRouter = Router();
+
+// All verification routes require authentication
+verificationRouter.use(protect);
+
+const kycDocuments = handleUpload(documentUpload.fields([
+  { name: 'nidFront', maxCount: 1 },
+  { name: 'nidBack', maxCount: 1 },
+  { name: 'selfie', maxCount: 1 },
+  { name: 'certificates', maxCount: 5 },
+]));
+
+// Admin routes (must come before parameterized routes)
+verificationRouter.get("/admin/queue", requirePermission(PERMISSIONS.KYC_REVIEW), adminGetVerificationQueue);
+verificationRouter.get("/admin/:id", requirePermission(PERMISSIONS.KYC_REVIEW), adminGetVerification);
+verificationRouter.patch("/admin/:id/approve", requirePermission(PERMISSIONS.KYC_REVIEW), adminApproveVerification);
+verificationRouter.patch("/admin/:id/reject", requirePermission(PERMISSIONS.KYC_REVIEW), adminRejectVerification);
+verificationRouter.patch("/admin/:id/request-info", requirePermission(PERMISSIONS.KYC_REVIEW), adminRequestMoreInfo);
+
+// Mechanic routes
+verificationRouter.post("/", requirePermission(PERMISSIONS.KYC_SUBMIT), kycDocuments, submitVerification);
+verificationRouter.get("/me", requirePermission(PERMISSIONS.KYC_SUBMIT), getMyVerification);
+
+export default verificationRouter;
@@ -0,0 +1,99 @@
+// Encrypts personal data stored before field-level encryption was enabled, fills in
+// the phone/email blind indexes, and re-encrypts values under retired keys after a
+// key rotation. Safe to run repeatedly.
+//
+//   npm run migrate:encrypt-pii
+//   npm run migrate:encrypt-pii -- --dry-run
+//
+// Key rotation: add the new key in front of FIELD_ENCRYPTION_KEYS, point
+// FIELD_ENCRYPTION_ACTIVE_KEY at it, run this script, then drop the old key.
+import mongoose from 'mongoose';
+import config from '../config/env.js';
+import User from '../models/user.model.js';
+import Guest from '../models/guest.model.js';
+import Verification from '../models/verification.model.js';
+import Payout from '../models/payout.model.js';
+import { decryptValue, encryptValue, needsReEncryption, getActiveKeyId } from '../utils/fieldEncryption.js';
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Build the $set needed to bring one raw document up to date
+const buildUpdate = (doc, { fields, blindIndexes }) => {
+  const $set = {};
+
+  fields.forEach((path) => {
+    const value = getPath(doc, path);
+    if (typeof value === 'string' && needsReEncryption(value)) {
+      $set[path] = encryptValue(decryptValue(value));
+    }
+  });
+
+  blindIndexes.forEach(({ path, field, hash }) => {
+    const value = getPath(doc, path);
+    if (typeof value === 'string' && value && doc[field] !== hash(value)) {
+      $set[field] = hash(value);
+    }
+  });
+
+  return $set;
+};
+
+const migrateModel = async (Model) => {
+  const { encryption } = Model.schema;
+  const paths = [...encryption.fields, ...encryption.blindIndexes.map(({ field }) => field)];
+  const projection = Object.fromEntries(paths.map((path) => [path, 1]));
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length && !dryRun) {
+      await Model.collection.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const doc of Model.collection.find({}, { projection })) {
+    scanned++;
+    const $set = buildUpdate(doc, encryption);
+    if (Object.keys($set).length === 0) continue;
+
+    updated++;
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  // Build the (unique) blind indexes and drop indexes on the old plaintext fields.
+  // Fails if two accounts share a phone number or email; merge or fix those first.
+  if (!dryRun) {
+    try {
+      await Model.syncIndexes();
+    } catch (error) {
+      console.error(`⚠️  ${Model.modelName}: could not sync indexes (${error.message})`);
+      process.exitCode = 1;
+    }
+  }
+
+  console.log(`${Model.modelName}: ${scanned} scanned, ${updated} ${dryRun ? 'to update' : 'updated'}`);
+};
+
+const run = async () => {
+  await mongoose.connect(config.MONGO_URI || 'mongodb://localhost:27017/mechanicbd');
+  console.log(`🔐 Encrypting personal data with key "${getActiveKeyId()}"${dryRun ? ' (dry run)' : ''}`);
+
+  for (const Model of [User, Guest, Verification, Payout]) {
+    await migrateModel(Model);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ PII encryption migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
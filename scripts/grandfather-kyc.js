@@ -0,0 +1,57 @@
+// Approves identity verification (KYC) for mechanics who were already
+// taking bookings before KYC review was introduced, so they aren't locked
+// out of bookings on deploy. Only mechanics with a verified phone number who
+// never submitted documents and registered before the cutoff are approved.
+// Safe to run repeatedly.
+//
+//   npm run migrate:grandfather-kyc
+//   npm run migrate:grandfather-kyc -- --dry-run
+//   npm run migrate:grandfather-kyc -- --before=2026-01-31
+import mongoose from 'mongoose';
+import config from '../config/env.js';
+import User from '../models/user.model.js';
+import { recordAudit } from '../services/audit.service.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const beforeArg = process.argv.find(arg => arg.startsWith('--before='));
+const before = beforeArg ? new Date(beforeArg.slice('--before='.length)) : new Date();
+
+const run = async () => {
+  if (Number.isNaN(before.getTime())) {
+    throw new Error('--before must be a valid date');
+  }
+
+  await mongoose.connect(config.MONGO_URI || 'mongodb://localhost:27017/mechanicbd');
+
+  const filter = {
+    role: 'mechanic',
+    isVerified: true,
+    kycStatus: 'not_submitted',
+    createdAt: { $lt: before }
+  };
+
+  const mechanics = await User.find(filter).select('_id');
+  console.log(`🪪 ${mechanics.length} mechanic(s) registered before ${before.toISOString()} to approve${dryRun ? ' (dry run)' : ''}`);
+  if (dryRun || mechanics.length === 0) return;
+
+  const ids = mechanics.map(mechanic => mechanic._id);
+  const result = await User.updateMany(
+    { ...filter, _id: { $in: ids } },
+    { $set: { kycStatus: 'approved', kycVerifiedAt: new Date() } }
+  );
+
+  await recordAudit({
+    action: 'kyc.grandfathered',
+    targetType: 'User',
+    metadata: { approved: result.modifiedCount, before, users: ids }
+  });
+
+  console.log(`✅ ${result.modifiedCount} mechanic(s) approved`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ KYC grandfathering failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,192 @@
+// Local payment sandbox for development and tests. Stands in for bKash, Nagad
+// and SSLCommerz when PAYMENT_GATEWAY_MODE=mock (the default outside production).
+//
+//   npm run mock:gateway
+//   MOCK_GATEWAY_PORT=4010 npm run mock:gateway
+//
+// The checkout page has Approve and Decline buttons; tests can skip the page
+// with POST /payments/:id/approve or /decline. Payments live in memory only.
+// When a payment has a webhookUrl, every change is also posted there, signed
+// with MOCK_GATEWAY_WEBHOOK_SECRET.
+import http from 'http';
+import crypto from 'crypto';
+import { signWebhookPayload } from '../services/payments/webhookSignature.js';
+
+const PORT = parseInt(process.env.MOCK_GATEWAY_PORT, 10) || 4010;
+const BASE_URL = process.env.MOCK_GATEWAY_URL || `http://localhost:${PORT}`;
+const WEBHOOK_SECRET = process.env.MOCK_GATEWAY_WEBHOOK_SECRET || 'mock-webhook-secret';
+
+const payments = new Map();
+
+const newId = (prefix) => `${prefix}${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const redirect = (res, location) => {
+  res.writeHead(302, { Location: location });
+  res.end();
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', (chunk) => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch {
+      resolve(Object.fromEntries(new URLSearchParams(data)));
+    }
+  });
+});
+
+// What the gateway reports for a payment
+const view = (payment) => ({
+  paymentId: payment.id,
+  reference: payment.reference,
+  method: payment.method,
+  amount: payment.amount,
+  status: {
+    initiated: 'pending',
+    approved: 'pending',
+    declined: 'cancelled',
+    completed: 'completed'
+  }[payment.state],
+  transactionId: payment.transactionId,
+  refunded: payment.refunded
+});
+
+const callbackLocation = (payment, status) => {
+  const url = new URL(payment.callbackUrl);
+  url.searchParams.set('paymentId', payment.id);
+  url.searchParams.set('status', status);
+  return url.toString();
+};
+
+const sendWebhook = async (payment, type) => {
+  if (!payment.webhookUrl) return;
+  const body = JSON.stringify({
+    id: newId('EVT'),
+    type,
+    createdAt: new Date().toISOString(),
+    ...view(payment)
+  });
+  try {
+    const response = await fetch(payment.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Mock-Signature': signWebhookPayload(WEBHOOK_SECRET, body) },
+      body,
+      signal: AbortSignal.timeout(5000)
+    });
+    console.log(`Webhook ${type} for ${payment.id}: HTTP ${response.status}`);
+  } catch (error) {
+    console.log(`Webhook ${type} for ${payment.id} failed: ${error.message}`);
+  }
+};
+
+const checkoutPage = (payment) => `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Mock ${payment.method || 'MFS'} checkout</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 48px auto;">
+  <h2>Mock ${payment.method || 'MFS'} checkout</h2>
+  <p>Reference: <strong>${payment.reference}</strong></p>
+  <p>Amount: <strong>${payment.amount} BDT</strong></p>
+  <form method="post" action="/checkout/${payment.id}/approve" style="display:inline"><button>Approve</button></form>
+  <form method="post" action="/checkout/${payment.id}/decline" style="display:inline"><button>Decline</button></form>
+</body>
+</html>`;
+
+const decide = (payment, approved) => {
+  if (payment.state === 'initiated') {
+    payment.state = approved ? 'approved' : 'declined';
+    sendWebhook(payment, approved ? 'payment.approved' : 'payment.declined');
+  }
+};
+
+const routes = [
+  ['GET', /^\/health$/, (req, res) => sendJson(res, 200, { status: 'ok', payments: payments.size })],
+
+  ['POST', /^\/payments$/, async (req, res) => {
+    const { reference, amount, method, callbackUrl, webhookUrl } = await readBody(req);
+    if (!reference || !(Number(amount) > 0) || !callbackUrl) {
+      return sendJson(res, 400, { message: 'reference, amount and callbackUrl are required' });
+    }
+    const payment = {
+      id: newId('MOCK'),
+      reference,
+      amount: Number(amount),
+      method,
+      callbackUrl,
+      webhookUrl,
+      state: 'initiated',
+      refunded: 0
+    };
+    payments.set(payment.id, payment);
+    sendJson(res, 201, { paymentId: payment.id, redirectUrl: `${BASE_URL}/checkout/${payment.id}` });
+  }],
+
+  ['GET', /^\/checkout\/([\w-]+)$/, (req, res, payment) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(checkoutPage(payment));
+  }],
+
+  ['POST', /^\/checkout\/([\w-]+)\/(approve|decline)$/, (req, res, payment, action) => {
+    decide(payment, action === 'approve');
+    redirect(res, callbackLocation(payment, payment.state === 'declined' ? 'failure' : 'success'));
+  }],
+
+  ['POST', /^\/payments\/([\w-]+)\/(approve|decline)$/, (req, res, payment, action) => {
+    decide(payment, action === 'approve');
+    sendJson(res, 200, view(payment));
+  }],
+
+  ['POST', /^\/payments\/([\w-]+)\/execute$/, (req, res, payment) => {
+    if (payment.state === 'approved') {
+      payment.state = 'completed';
+      payment.transactionId = newId('TRX');
+      sendWebhook(payment, 'payment.completed');
+    }
+    sendJson(res, 200, view(payment));
+  }],
+
+  ['GET', /^\/payments\/([\w-]+)$/, (req, res, payment) => sendJson(res, 200, view(payment))],
+
+  ['POST', /^\/payments\/([\w-]+)\/refund$/, async (req, res, payment) => {
+    const { amount } = await readBody(req);
+    const refundAmount = Number(amount ?? payment.amount);
+    if (payment.state !== 'completed') {
+      return sendJson(res, 400, { message: 'Only completed payments can be refunded' });
+    }
+    if (!(refundAmount > 0) || payment.refunded + refundAmount > payment.amount) {
+      return sendJson(res, 400, { message: 'Refund exceeds the amount paid' });
+    }
+    payment.refunded += refundAmount;
+    sendWebhook(payment, 'payment.refunded');
+    sendJson(res, 200, { ...view(payment), refundId: newId('RFD'), refundAmount });
+  }]
+];
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, BASE_URL);
+
+  for (const [method, pattern, handler] of routes) {
+    const match = req.method === method && pathname.match(pattern);
+    if (!match) continue;
+
+    const [, id, ...rest] = match;
+    if (id) {
+      const payment = payments.get(id);
+      if (!payment) return sendJson(res, 404, { message: 'Payment not found' });
+      return handler(req, res, payment, ...rest);
+    }
+    return handler(req, res);
+  }
+
+  sendJson(res, 404, { message: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock payment gateway listening on ${BASE_URL}`);
+});
@@ -6,13 +6,18 @@ import rateLimit from 'express-rate-limit';
 import http from 'http';
 import { Server as SocketIoServer } from 'socket.io';
 import Redis from 'ioredis';
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
 dotenv.config();
+import { verifyAccessToken } from './services/session.service.js';
+import config from './config/env.js';
 
 const app = express();
 const server = http.createServer(app);
 
+// Client IPs (rate limiting, sessions, audit log) come from X-Forwarded-For
+// only for the proxies listed here
+app.set('trust proxy', config.TRUST_PROXY);
+
 // Redis configuration for Socket.io scaling (optional)
 let redis = null;
 
@@ -68,19 +73,19 @@ const io = new SocketIoServer(server, {
 // Redis adapter will be configured during server startup
 
 // Import routes
-import authRoutes from './routes/auth.route.js';
-import userRoutes from './routes/users.route.js';
-import serviceRoutes from './routes/services.route.js';
-import bookingRoutes from './routes/bookings.route.js';
-import paymentRoutes from './routes/payments.route.js';
-import reviewRoutes from './routes/reviews.route.js';
-import chatRoutes from './routes/chat.route.js';
-import guestRoutes from './routes/guest.route.js';
-import healthRoutes from './routes/health.route.js';
-
-// Middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+import { routeMounts } from './routes/index.js';
+import { protect } from './controllers/auth.controller.js';
+import { buildRouteManifest, findUnprotectedRoutes } from './utils/routeManifest.js';
+import { startScheduler } from './services/scheduler.service.js';
+import { setRealtimeServer, userRoom, sessionRoom, isPrivateRoom } from './services/realtime.service.js';
+import { assertSmsConfigured } from './services/sms.service.js';
+
+// Middleware. Payment webhooks parse their own bodies and keep the raw bytes
+// for signature checks (routes/payments.route.js).
+const isPaymentWebhook = (req) => req.path.startsWith('/api/payments/webhooks/');
+const unlessPaymentWebhook = (parser) => (req, res, next) => (isPaymentWebhook(req) ? next() : parser(req, res, next));
+app.use(unlessPaymentWebhook(express.json({ limit: '10mb' })));
+app.use(unlessPaymentWebhook(express.urlencoded({ extended: true, limit: '10mb' })));
 
 // CORS configuration
 const allowedOrigins = [
@@ -98,27 +103,43 @@ app.use(cors({
     }
     return callback(null, true);
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again later.',
+  // Webhooks have their own limit below
+  skip: isPaymentWebhook
+});
+// Payment providers send (and retry) webhooks from a few shared IPs
+const webhookLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 1000,
   message: 'Too many requests from this IP, please try again later.'
 });
+app.use('/api/payments/webhooks/', webhookLimiter);
 app.use('/api/', limiter);
 
 // Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/services', serviceRoutes);
-app.use('/api/bookings', bookingRoutes);
-app.use('/api/payments', paymentRoutes);
-app.use('/api/reviews', reviewRoutes);
-app.use('/api/chat', chatRoutes);
-app.use('/api/guest', guestRoutes);
-app.use('/api/health', healthRoutes);
+routeMounts.forEach(({ path, router }) => app.use(path, router));
+
+// Refuse to start if an admin route can be reached without authentication
+const routeManifest = buildRouteManifest(routeMounts, { authenticate: protect });
+const unprotectedRoutes = findUnprotectedRoutes(routeManifest);
+if (unprotectedRoutes.length > 0) {
+  unprotectedRoutes.forEach(({ method, path, problem }) => {
+    console.error(`❌ ${method} ${path}: ${problem}`);
+  });
+  throw new Error(`${unprotectedRoutes.length} route(s) failed the access check`);
+}
+app.set('routeManifest', routeManifest);
+
+// Refuse to start in production without a real SMS provider (OTPs would never arrive)
+assertSmsConfigured();
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -140,21 +161,31 @@ io.use(async (socket, next) => {
       return next(new Error('Authentication error: No token provided'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'SECRET_SET');
+    // Rejects expired tokens and tokens whose session has been revoked
+    const { decoded, session } = await verifyAccessToken(token);
     socket.userId = decoded.id;
     socket.userRole = decoded.role;
+    socket.sessionId = session._id.toString();
     next();
   } catch (error) {
-    next(new Error('Authentication error: Invalid token'));
+    next(new Error(`Authentication error: ${error.statusCode ? error.message : 'Invalid token'}`));
   }
 });
 
 // Socket.io event handlers
+setRealtimeServer(io);
+
 io.on('connection', (socket) => {
   console.log(`User connected: ${socket.userId}`);
 
+  // Personal room for notifications, and the session's room so revoking
+  // the session can disconnect it (services/realtime.service.js)
+  socket.join([userRoom(socket.userId), sessionRoom(socket.sessionId)]);
+
   // Join chat room
   socket.on('join_room', (roomId) => {
+    // Personal and session rooms can't be joined by anyone else
+    if (typeof roomId !== 'string' || isPrivateRoom(roomId)) return;
     socket.join(roomId);
     console.log(`User ${socket.userId} joined room ${roomId}`);
   });
@@ -237,6 +268,9 @@ const startServer = async () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Background jobs; the Redis lock keeps multiple instances from doubling up
+    startScheduler({ redis: () => redis });
   } catch (error) {
     console.error('Error starting server:', error);
     process.exit(1);
@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import User from '../models/user.model.js';
+import Booking from '../models/booking.model.js';
+import Payment from '../models/payment.model.js';
+import Review from '../models/review.model.js';
+import Service from '../models/service.model.js';
+import Guest from '../models/guest.model.js';
+import Session from '../models/session.model.js';
+import Otp from '../models/otp.model.js';
+import SmsLog from '../models/smsLog.model.js';
+import Verification from '../models/verification.model.js';
+import Notification from '../models/notification.model.js';
+import IdempotencyKey from '../models/idempotencyKey.model.js';
+import Payout from '../models/payout.model.js';
+import { Message, ChatRoom } from '../models/chat.model.js';
+import config from '../config/env.js';
+import AppError from '../utils/appError.js';
+import { toLocalPhone, toMsisdn, maskPhone } from '../utils/phone.js';
+import { createZip } from '../utils/zip.js';
+import { revokeUserSessions } from './session.service.js';
+import { deletePrivateFile } from './upload.service.js';
+import { recordAudit } from './audit.service.js';
+
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in_progress', 'disputed'];
+const DELETED_NAME = 'Deleted user';
+const REMOVED = '[removed]';
+
+const toJSONList = (docs) => docs.map(doc => doc.toJSON());
+
+// Collect everything stored about a user, grouped by collection
+export const buildDataExport = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const participantFilter = { $or: [{ customer: user._id }, { mechanic: user._id }] };
+
+  const [bookings, payments, reviews, services, messages, chatRooms, guestSessions, sessions, verifications, notifications, payouts] = await Promise.all([
+    Booking.find(participantFilter).sort({ createdAt: -1 }),
+    Payment.find(participantFilter).sort({ createdAt: -1 }),
+    Review.find(participantFilter).sort({ createdAt: -1 }),
+    Service.find({ mechanic: user._id }),
+    Message.find({ sender: user._id }).sort({ createdAt: 1 }),
+    ChatRoom.find({ 'participants.user': user._id }),
+    user.phoneNumber ? Guest.find({ phoneNumber: user.phoneNumber }) : [],
+    Session.find({ user: user._id }).sort({ createdAt: -1 }),
+    Verification.find({ mechanic: user._id }).sort({ createdAt: -1 }),
+    Notification.find({ user: user._id }).sort({ createdAt: -1 }),
+    Payout.find({ mechanic: user._id }).sort({ createdAt: -1 })
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: user.toJSON(),
+    bookings: toJSONList(bookings),
+    payments: toJSONList(payments),
+    reviews: toJSONList(reviews),
+    services: toJSONList(services),
+    messages: toJSONList(messages),
+    chatRooms: toJSONList(chatRooms),
+    guestSessions: toJSONList(guestSessions),
+    sessions: toJSONList(sessions),
+    verifications: toJSONList(verifications),
+    notifications: toJSONList(notifications),
+    payouts: toJSONList(payouts)
+  };
+};
+
+// Package an export as a ZIP with one JSON file per section
+export const buildDataExportZip = (data) => {
+  const { exportedAt, ...sections } = data;
+
+  const readme = [
+    'Mechanic BD personal data export',
+    `Generated: ${exportedAt}`,
+    '',
+    'Each JSON file holds the records linked to your account:',
+    ...Object.keys(sections).map(name => `  ${name}.json`)
+  ].join('\n');
+
+  return createZip([
+    { name: 'README.txt', data: `${readme}\n` },
+    ...Object.entries(sections).map(([name, value]) => ({
+      name: `${name}.json`,
+      data: JSON.stringify(value, null, 2)
+    }))
+  ]);
+};
+
+const countActiveBookings = (userId) => Booking.countDocuments({
+  $or: [{ customer: userId }, { mechanic: userId }],
+  status: { $in: ACTIVE_BOOKING_STATUSES }
+});
+
+// Schedule deletion after the grace period; the user can cancel until then
+export const requestAccountDeletion = async (user, { reason } = {}) => {
+  if (user.deletionScheduledFor) {
+    throw new AppError('Account deletion is already scheduled', 400, {
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  }
+
+  const activeBookings = await countActiveBookings(user._id);
+  if (activeBookings > 0) {
+    throw new AppError('Please complete or cancel your active bookings before deleting your account', 400, {
+      activeBookings
+    });
+  }
+
+  const now = new Date();
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + config.ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  user.deletionReason = reason;
+  await user.save({ validateBeforeSave: false });
+  return user;
+};
+
+export const cancelAccountDeletion = async (user) => {
+  if (!user.deletionScheduledFor) {
+    throw new AppError('No account deletion is scheduled', 400);
+  }
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  user.deletionReason = undefined;
+  await user.save({ validateBeforeSave: false });
+  return user;
+};
+
+// Remove personal data while keeping the records the business must retain.
+// Bookings, payments and reviews keep their amounts and ratings but now point
+// at an anonymized user with no name, contact details or identity documents.
+export const anonymizeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  if (user.deletedAt) return user;
+
+  const { phoneNumber, email } = user;
+  const now = new Date();
+
+  // Identity documents
+  const verifications = await Verification.find({ mechanic: user._id });
+  for (const verification of verifications) {
+    const { nidFront, nidBack, selfie, certificates = [] } = verification.documents || {};
+    for (const file of [nidFront, nidBack, selfie, ...certificates]) {
+      try {
+        await deletePrivateFile(file);
+      } catch (error) {
+        console.error(`Could not delete KYC file ${file?.publicId}:`, error.message);
+      }
+    }
+  }
+  await Verification.updateMany(
+    { mechanic: user._id },
+    { $unset: { nidNumber: 1, documents: 1, reviewNote: 1 } }
+  );
+
+  // Free-text and location details on retained records
+  await Booking.updateMany(
+    { customer: user._id },
+    {
+      $set: { 'serviceLocation.address': REMOVED, customerNotes: REMOVED },
+      $unset: { 'serviceLocation.coordinates': 1, 'serviceLocation.instructions': 1, customerReview: 1 }
+    }
+  );
+  await Booking.updateMany(
+    { 'messages.sender': user._id },
+    { $set: { 'messages.$[mine].message': REMOVED } },
+    { arrayFilters: [{ 'mine.sender': user._id }] }
+  );
+  await Payment.updateMany(
+    { customer: user._id, 'mfsDetails.senderNumber': { $exists: true } },
+    { $set: { 'mfsDetails.senderNumber': maskPhone(phoneNumber) || REMOVED } }
+  );
+  await Review.updateMany({ customer: user._id }, { $unset: { comment: 1 } });
+  await Message.updateMany({ sender: user._id }, { $set: { content: REMOVED, attachments: [] } });
+  await Service.updateMany({ mechanic: user._id }, { $set: { isActive: false } });
+  await Notification.deleteMany({ user: user._id });
+  await IdempotencyKey.deleteMany({ user: user._id });
+
+  // Contact traces outside the user document
+  if (phoneNumber) {
+    await Guest.deleteMany({ phoneNumber });
+    await Otp.deleteMany({ recipient: toLocalPhone(phoneNumber) });
+    await SmsLog.updateMany(
+      { recipient: toMsisdn(phoneNumber) },
+      { $set: { recipient: maskPhone(phoneNumber), message: REMOVED }, $unset: { attempts: 1 } }
+    );
+  }
+
+  if (email) {
+    await Otp.deleteMany({ recipient: email.toLowerCase() });
+  }
+
+  await revokeUserSessions(user._id, { reason: 'account_deleted' });
+
+  // The user document itself: keep the _id so retained records stay linked
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        fullName: DELETED_NAME,
+        password: crypto.randomBytes(32).toString('hex'),
+        isActive: false,
+        isAvailable: false,
+        deletedAt: now
+      },
+      $unset: {
+        phoneNumber: 1,
+        email: 1,
+        address: 1,
+        bio: 1,
+        profilePhoto: 1,
+        nidNumber: 1,
+        nidPhoto: 1,
+        payoutAccount: 1,
+        pendingContactChange: 1,
+        deletionReason: 1,
+        passwordResetToken: 1,
+        passwordResetExpires: 1
+      }
+    }
+  );
+
+  await recordAudit({
+    action: 'account.anonymized',
+    targetUser: user._id,
+    metadata: { requestedAt: user.deletionRequestedAt, scheduledFor: user.deletionScheduledFor }
+  });
+
+  return User.findById(user._id);
+};
+
+// Anonymize accounts whose grace period is over. Accounts that picked up
+// active bookings in the meantime are skipped until those finish.
+export const processDueAccountDeletions = async ({ limit = 50 } = {}) => {
+  const due = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: null
+  }).limit(limit);
+
+  const result = { processed: 0, skipped: 0, failed: 0 };
+
+  for (const user of due) {
+    try {
+      if (await countActiveBookings(user._id) > 0) {
+        result.skipped++;
+        continue;
+      }
+      await anonymizeUser(user._id);
+      result.processed++;
+    } catch (error) {
+      console.error(`Account deletion failed for ${user._id}:`, error.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+export default {
+  buildDataExport,
+  buildDataExportZip,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  anonymizeUser,
+  processDueAccountDeletions
+};
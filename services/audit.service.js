@@ -0,0 +1,45 @@
+import AuditLog from '../models/auditLog.model.js';
+import { getClientIP } from '../utils/request.js';
+
+// Write an audit trail entry. Failures are logged but never break the
+// request that triggered them.
+export const recordAudit = async ({ req, actor, action, targetUser, targetType, targetId, reason, metadata }) => {
+  try {
+    const actingUser = actor || req?.user;
+    return await AuditLog.create({
+      actor: actingUser?._id,
+      actorRole: actingUser?.role || (actingUser ? undefined : 'system'),
+      action,
+      targetUser,
+      targetType,
+      targetId,
+      reason,
+      metadata,
+      ipAddress: req ? getClientIP(req) : undefined,
+      userAgent: req?.headers?.['user-agent']
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry ${action}:`, error.message);
+    return null;
+  }
+};
+
+// Paginated audit entries for admin views
+export const findAuditLogs = async (filter = {}, { page = 1, limit = 20 } = {}) => {
+  const skip = (page - 1) * limit;
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', 'fullName role')
+      .populate('targetUser', 'fullName role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    AuditLog.countDocuments(filter)
+  ]);
+  return { logs, total };
+};
+
+export default {
+  recordAudit,
+  findAuditLogs
+};
@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import Booking from '../models/booking.model.js';
+import User from '../models/user.model.js';
+import ScheduleLock from '../models/scheduleLock.model.js';
+import TimeOff from '../models/timeOff.model.js';
+import config from '../config/env.js';
+import AppError from '../utils/appError.js';
+import {
+  DHAKA_TIMEZONE,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  toDhakaDateString,
+  dhakaDateTime,
+  dhakaWeekday,
+  addDays,
+  addMinutes
+} from '../utils/time.js';
+
+// Bookings in these states occupy the mechanic's time
+export const BLOCKING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+const DAY_MINUTES = 24 * 60;
+// A held lock is renewed every LOCK_RENEW_MS while its callback runs, so
+// it only lapses (and can be taken over) if the process holding it died
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RENEW_MS = 3 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start/end instants of a booking from its Dhaka date, time and duration
+export const getBookingWindow = ({ scheduledDate, scheduledTime, duration }) => {
+  const minutes = parseTimeOfDay(scheduledTime);
+  const start = minutes === null ? null : dhakaDateTime(scheduledDate, minutes);
+  if (!start) {
+    throw new AppError('Invalid scheduled date or time', 400);
+  }
+  return { start, end: addMinutes(start, duration || config.BOOKING_DEFAULT_DURATION_MINUTES) };
+};
+
+// Window of an existing booking; computed for records saved before
+// scheduledStart/scheduledEnd existed
+export const windowOf = (booking) => {
+  if (booking.scheduledStart && booking.scheduledEnd) {
+    return { start: booking.scheduledStart, end: booking.scheduledEnd };
+  }
+  try {
+    return getBookingWindow({
+      scheduledDate: booking.scheduledDate,
+      scheduledTime: booking.scheduledTime,
+      duration: booking.estimatedDuration
+    });
+  } catch {
+    return null;
+  }
+};
+
+// Two windows conflict when they overlap once the travel buffer is kept between them
+export const windowsOverlap = (a, b, bufferMinutes = config.BOOKING_TRAVEL_BUFFER_MINUTES) => {
+  return a.start < addMinutes(b.end, bufferMinutes) && b.start < addMinutes(a.end, bufferMinutes);
+};
+
+// Active bookings of a mechanic around a time range, with their windows
+export const findMechanicBookings = async (mechanicId, { from, to, excludeBookingId } = {}) => {
+  // Bookings whose window (plus the travel buffer) overlaps the range,
+  // however long they run. Records saved before scheduledStart/scheduledEnd
+  // existed only have a calendar day, so those are matched a day either side.
+  const buffer = config.BOOKING_TRAVEL_BUFFER_MINUTES;
+  const margin = DAY_MINUTES + buffer;
+  const filter = {
+    mechanic: mechanicId,
+    status: { $in: BLOCKING_STATUSES },
+    $or: [
+      { scheduledStart: { $lt: addMinutes(to, buffer) }, scheduledEnd: { $gt: addMinutes(from, -buffer) } },
+      { scheduledStart: null, scheduledDate: { $gte: addMinutes(from, -margin), $lte: addMinutes(to, margin) } }
+    ]
+  };
+  if (excludeBookingId) filter._id = { $ne: excludeBookingId };
+
+  const bookings = await Booking.find(filter)
+    .select('bookingNumber status scheduledDate scheduledTime estimatedDuration scheduledStart scheduledEnd');
+
+  return bookings
+    .map(booking => ({ booking, window: windowOf(booking) }))
+    .filter(({ window }) => window);
+};
+
+// Time-off windows (the mechanic's own and platform holidays) inside [from, to)
+export const findTimeOffWindows = async (mechanicId, from, to) => {
+  const blocks = await TimeOff.findApplicable(mechanicId, from, to);
+  return blocks.flatMap(block => block.windowsBetween(from, to).map(window => ({
+    ...window,
+    timeOff: block._id,
+    scope: block.scope,
+    title: block.title
+  })));
+};
+
+// First active booking of the mechanic that clashes with the window, if any
+export const findConflictingBooking = async ({ mechanicId, start, end, excludeBookingId }) => {
+  const bookings = await findMechanicBookings(mechanicId, { from: start, to: end, excludeBookingId });
+  return bookings.find(({ window }) => windowsOverlap(window, { start, end })) || null;
+};
+
+// Throw a 409 if the mechanic is off or busy during the window
+export const assertSlotAvailable = async ({ mechanicId, start, end, excludeBookingId }) => {
+  const [timeOff] = await findTimeOffWindows(mechanicId, start, end);
+  if (timeOff) {
+    throw new AppError(
+      timeOff.scope === 'platform'
+        ? `Bookings are closed for ${timeOff.title || 'a public holiday'} at the scheduled time`
+        : 'Mechanic is off at the scheduled time',
+      409,
+      { conflict: { start: timeOff.start, end: timeOff.end, timeOff: timeOff.timeOff } }
+    );
+  }
+
+  const conflict = await findConflictingBooking({ mechanicId, start, end, excludeBookingId });
+  if (conflict) {
+    throw new AppError('Mechanic is not available at the scheduled time', 409, {
+      conflict: {
+        start: conflict.window.start,
+        end: conflict.window.end,
+        travelBufferMinutes: config.BOOKING_TRAVEL_BUFFER_MINUTES
+      }
+    });
+  }
+};
+
+// Run `fn` while holding the mechanic's schedule lock. Check-then-write
+// sequences (conflict check + booking save) must run inside it.
+export const withMechanicScheduleLock = async (mechanicId, fn) => {
+  const key = `mechanic:${mechanicId}`;
+  const owner = crypto.randomUUID();
+  const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+  for (;;) {
+    try {
+      const now = new Date();
+      // Takes over an expired lock, or inserts a new one; a live lock makes
+      // the upsert hit the duplicate _id and we wait
+      await ScheduleLock.findOneAndUpdate(
+        { _id: key, expiresAt: { $lte: now } },
+        { $set: { owner, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+        { upsert: true }
+      );
+      break;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (Date.now() > giveUpAt) {
+        throw new AppError('This mechanic is being booked right now. Please try again.', 409);
+      }
+      await sleep(LOCK_RETRY_MS + Math.floor(Math.random() * LOCK_RETRY_MS));
+    }
+  }
+
+  const renewal = setInterval(() => {
+    ScheduleLock.updateOne(
+      { _id: key, owner },
+      { $set: { expiresAt: new Date(Date.now() + LOCK_TTL_MS) } }
+    ).catch(error => console.error(`Renewing schedule lock ${key} failed:`, error.message));
+  }, LOCK_RENEW_MS);
+  renewal.unref();
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(renewal);
+    await ScheduleLock.deleteOne({ _id: key, owner }).catch(error => {
+      console.error(`Failed to release schedule lock ${key}:`, error.message);
+    });
+  }
+};
+
+// Opening hours of a service on a Dhaka calendar day, in minutes after midnight.
+// Days without configured hours fall back to the default working day.
+const openingHours = (service, day) => {
+  const schedule = service.availability?.[dhakaWeekday(day)];
+  if (schedule && schedule.available === false) return null;
+
+  const open = parseTimeOfDay(schedule?.start) ?? parseTimeOfDay(config.BOOKING_DEFAULT_DAY_START);
+  let close = parseTimeOfDay(schedule?.end, { endOfDay: true })
+    ?? parseTimeOfDay(config.BOOKING_DEFAULT_DAY_END, { endOfDay: true });
+  if (open === null || close === null || open === close) return null;
+  // Hours such as 20:00-02:00 run past midnight
+  if (close < open) close += DAY_MINUTES;
+  return { open, close };
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Bookable start times for a service between two Dhaka dates (inclusive).
+// Combines the weekly schedule, the mechanic's availability flag, time off and
+// holidays, and their existing bookings (with travel buffer); past times are
+// never offered.
+export const getAvailableSlots = async (service, { from, to } = {}) => {
+  const today = toDhakaDateString(new Date());
+  const firstDay = from || today;
+  const lastDay = to || addDays(firstDay, 6);
+
+  if (!DATE_PATTERN.test(firstDay) || !DATE_PATTERN.test(lastDay) || !dhakaDateTime(firstDay) || !dhakaDateTime(lastDay)) {
+    throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+  }
+  if (lastDay < firstDay) {
+    throw new AppError('"to" must not be before "from"', 400);
+  }
+
+  const days = [];
+  for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) {
+    days.push(day);
+    if (days.length > config.BOOKING_SLOTS_MAX_DAYS) {
+      throw new AppError(`Slots can be listed for at most ${config.BOOKING_SLOTS_MAX_DAYS} days at a time`, 400);
+    }
+  }
+
+  const duration = service.estimatedDuration || config.BOOKING_DEFAULT_DURATION_MINUTES;
+  const step = config.BOOKING_SLOT_INTERVAL_MINUTES;
+  const result = {
+    serviceId: service._id,
+    mechanicId: service.mechanic,
+    timezone: DHAKA_TIMEZONE,
+    durationMinutes: duration,
+    from: firstDay,
+    to: lastDay,
+    days: []
+  };
+
+  const mechanic = await User.findById(service.mechanic).select('isActive isAvailable kycStatus');
+  const bookable = service.isActive && service.isAvailable &&
+    mechanic && mechanic.isActive && mechanic.isAvailable && mechanic.kycStatus === 'approved';
+
+  if (!bookable) {
+    result.days = days.map(date => ({ date, weekday: dhakaWeekday(date), slots: [] }));
+    result.unavailableReason = 'This service is not taking bookings right now';
+    return result;
+  }
+
+  const rangeStart = dhakaDateTime(firstDay);
+  const rangeEnd = dhakaDateTime(addDays(lastDay, 2));
+  const [bookings, timeOff] = await Promise.all([
+    findMechanicBookings(service.mechanic, { from: rangeStart, to: rangeEnd }),
+    findTimeOffWindows(service.mechanic, rangeStart, rangeEnd)
+  ]);
+  const busy = bookings.map(({ window }) => window);
+  const now = new Date();
+
+  result.days = days.map((date) => {
+    const hours = openingHours(service, date);
+    const entry = { date, weekday: dhakaWeekday(date), slots: [] };
+    if (!hours) return entry;
+
+    entry.open = formatTimeOfDay(hours.open);
+    entry.close = formatTimeOfDay(hours.close % DAY_MINUTES);
+
+    for (let minutes = hours.open; minutes + duration <= hours.close; minutes += step) {
+      const start = dhakaDateTime(date, minutes);
+      const window = { start, end: addMinutes(start, duration) };
+      if (start <= now) continue;
+      if (timeOff.some(off => windowsOverlap(off, window, 0))) continue;
+      if (busy.some(taken => windowsOverlap(taken, window))) continue;
+      // Book with this date/time pair; it differs from the day's date after midnight
+      entry.slots.push({
+        scheduledDate: toDhakaDateString(start),
+        scheduledTime: formatTimeOfDay(minutes % DAY_MINUTES),
+        start: window.start,
+        end: window.end
+      });
+    }
+    return entry;
+  });
+
+  return result;
+};
+
+export default {
+  BLOCKING_STATUSES,
+  getBookingWindow,
+  windowOf,
+  windowsOverlap,
+  findMechanicBookings,
+  findTimeOffWindows,
+  findConflictingBooking,
+  assertSlotAvailable,
+  withMechanicScheduleLock,
+  getAvailableSlots
+};
@@ -0,0 +1,107 @@
+import Booking from '../models/booking.model.js';
+import Service from '../models/service.model.js';
+import User from '../models/user.model.js';
+import AppError from '../utils/appError.js';
+import { getBookingWindow, assertSlotAvailable, withMechanicScheduleLock } from './availability.service.js';
+import { resolvePolicy, toTerms } from './cancellation.service.js';
+import { notify } from './notification.service.js';
+import { toDhakaDateString } from '../utils/time.js';
+
+// Accepts "address" or { address, ... } and keeps only the address
+export const normalizeServiceLocation = (serviceLocation) => {
+  if (typeof serviceLocation === 'string' && serviceLocation.trim()) {
+    return { address: serviceLocation };
+  }
+  if (serviceLocation && typeof serviceLocation === 'object' && serviceLocation.address) {
+    return { address: serviceLocation.address };
+  }
+  throw new AppError('Service location must include an address.', 400);
+};
+
+// Service that can take bookings right now, with a verified, active mechanic
+export const loadBookableService = async (serviceId) => {
+  const service = await Service.findById(serviceId);
+  if (!service) {
+    throw new AppError('Service not found', 404);
+  }
+  if (!service.isActive || !service.isAvailable) {
+    throw new AppError('Service is not available', 400);
+  }
+
+  // Only mechanics with an approved identity verification can take bookings
+  const mechanic = await User.findById(service.mechanic).select('kycStatus isActive');
+  if (!mechanic || !mechanic.isActive || mechanic.kycStatus !== 'approved') {
+    throw new AppError('This mechanic is not verified to take bookings yet', 400);
+  }
+
+  return service;
+};
+
+// Book a slot of a service. The calendar check and the save run under the
+// mechanic's schedule lock so two customers can't take the same slot at once.
+export const createServiceBooking = async ({
+  service,
+  customerId,
+  scheduledDate,
+  scheduledTime,
+  serviceLocation,
+  customerNotes,
+  serviceRequirements,
+  series,
+  occurrence
+}) => {
+  const estimatedDuration = service.estimatedDuration || null;
+  const { start, end } = getBookingWindow({ scheduledDate, scheduledTime, duration: estimatedDuration });
+  if (start <= new Date()) {
+    throw new AppError('Scheduled time must be in the future', 400);
+  }
+
+  // Negotiable and hourly services start from the base price until the
+  // customer accepts the mechanic's estimate
+  const estimateRequired = service.priceType !== 'fixed';
+
+  // The cancellation policy is fixed at booking time
+  const cancellationTerms = toTerms(await resolvePolicy(service));
+
+  const bookingData = {
+    service: service._id,
+    mechanic: service.mechanic,
+    customer: customerId,
+    scheduledDate,
+    scheduledTime,
+    estimatedDuration,
+    serviceLocation: normalizeServiceLocation(serviceLocation),
+    customerNotes,
+    serviceRequirements,
+    basePrice: service.basePrice,
+    totalAmount: service.basePrice,
+    cancellationTerms,
+    estimateRequired,
+    quoteStatus: estimateRequired ? 'awaiting_estimate' : 'not_required',
+    series,
+    occurrence,
+    status: 'confirmed',
+    paymentStatus: 'pending'
+    // bookingNumber will be auto-generated by the model
+  };
+
+  const booking = await withMechanicScheduleLock(service.mechanic, async () => {
+    await assertSlotAvailable({ mechanicId: service.mechanic, start, end });
+    return (new Booking(bookingData)).save();
+  });
+
+  notify(service.mechanic, {
+    type: 'booking_status',
+    title: 'New booking',
+    message: `New booking ${booking.bookingNumber} for ${service.title} on ${toDhakaDateString(start)} at ${scheduledTime}.`,
+    booking: booking._id
+  });
+
+  return { booking, cancellationTerms };
+};
+
+export default {
+  normalizeServiceLocation,
+  loadBookableService,
+  createServiceBooking
+};
@@ -0,0 +1,96 @@
+import Booking from '../models/booking.model.js';
+import config from '../config/env.js';
+import { notifyUsers } from './notification.service.js';
+import { toDhakaDateString, addMinutes, addDays } from '../utils/time.js';
+
+// Bookings that haven't started yet
+const UPCOMING_STATUSES = ['pending', 'confirmed'];
+const BATCH_SIZE = 100;
+
+// The day reminder goes out up to 24 hours ahead, so the job may be later
+// today or tomorrow (Dhaka dates)
+const dayLabel = (booking, now) => {
+  const day = toDhakaDateString(booking.scheduledStart);
+  const today = toDhakaDateString(now);
+  if (day === today) return 'today';
+  if (day === addDays(today, 1)) return 'tomorrow';
+  return 'coming up';
+};
+
+const REMINDERS = [
+  { field: 'daySentAt', label: dayLabel, fromMinutes: 60, toMinutes: 24 * 60 },
+  { field: 'hourSentAt', label: () => 'in about an hour', fromMinutes: 0, toMinutes: 60 }
+];
+
+const reminderText = (booking, label) => {
+  const title = booking.service?.title || 'service';
+  return `Reminder: your Mechanic BD booking ${booking.bookingNumber} (${title}) is ${label}, ` +
+    `${toDhakaDateString(booking.scheduledStart)} at ${booking.scheduledTime}.`;
+};
+
+// Send the 24-hour and 1-hour reminders to customer and mechanic. Each
+// reminder is claimed on the booking first so it goes out only once.
+export const sendBookingReminders = async (now = new Date()) => {
+  const result = { sent: 0 };
+
+  for (const { field, label, fromMinutes, toMinutes } of REMINDERS) {
+    const due = await Booking.find({
+      status: { $in: UPCOMING_STATUSES },
+      scheduledStart: { $gt: addMinutes(now, fromMinutes), $lte: addMinutes(now, toMinutes) },
+      [`reminders.${field}`]: null
+    })
+      .populate('service', 'title')
+      .limit(BATCH_SIZE);
+
+    for (const booking of due) {
+      const claimed = await Booking.updateOne(
+        { _id: booking._id, [`reminders.${field}`]: null },
+        { $set: { [`reminders.${field}`]: now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      await notifyUsers([booking.customer, booking.mechanic], {
+        type: 'booking_reminder',
+        title: 'Booking reminder',
+        message: reminderText(booking, label(booking, now)),
+        booking: booking._id
+      });
+      result.sent++;
+    }
+  }
+
+  return result;
+};
+
+// Flag bookings that should have started by now but haven't, and tell the
+// mechanic to start or reschedule them
+export const flagOverdueBookings = async (now = new Date()) => {
+  const cutoff = addMinutes(now, -config.BOOKING_OVERDUE_GRACE_MINUTES);
+  const overdue = await Booking.find({
+    status: { $in: UPCOMING_STATUSES },
+    scheduledStart: { $lte: cutoff },
+    overdueAt: null
+  }).limit(BATCH_SIZE);
+
+  let flagged = 0;
+  for (const booking of overdue) {
+    const claimed = await Booking.updateOne({ _id: booking._id, overdueAt: null }, { $set: { overdueAt: now } });
+    if (claimed.modifiedCount === 0) continue;
+
+    await notifyUsers([booking.mechanic], {
+      type: 'booking_status',
+      title: 'Booking overdue',
+      message: `Booking ${booking.bookingNumber} was due to start at ${booking.scheduledTime} ` +
+        `on ${toDhakaDateString(booking.scheduledStart)}. Start it or agree a new time with the customer.`,
+      booking: booking._id
+    });
+    flagged++;
+  }
+
+  return { flagged };
+};
+
+export default {
+  sendBookingReminders,
+  flagOverdueBookings
+};
@@ -0,0 +1,207 @@
+import BookingSeries, { CATEGORY_DEFAULT_RECURRENCE, SERIES_FREQUENCIES } from '../models/bookingSeries.model.js';
+import Booking from '../models/booking.model.js';
+import AppError from '../utils/appError.js';
+import config from '../config/env.js';
+import { toDhakaDateString, addDays, addMonths } from '../utils/time.js';
+import { loadBookableService, normalizeServiceLocation, createServiceBooking } from './booking.service.js';
+import { cancelBookingWithPolicy } from './cancellation.service.js';
+
+// Occurrences that haven't started yet and can still be called off
+const SKIPPABLE_STATUSES = ['pending', 'confirmed'];
+
+// Date ("YYYY-MM-DD") of occurrence n (1-based). Always counted from the
+// start date so a series starting on the 31st stays on month ends.
+export const occurrenceDate = (series, n) => {
+  const { frequency, interval = 1 } = series.recurrence;
+  return frequency === 'weekly'
+    ? addDays(series.startDate, (n - 1) * 7 * interval)
+    : addMonths(series.startDate, (n - 1) * interval);
+};
+
+const isPastEnd = (series, n) => {
+  if (series.occurrences && n > series.occurrences) return true;
+  return !!series.endDate && occurrenceDate(series, n) > series.endDate;
+};
+
+// Book every occurrence up to the horizon that hasn't been booked yet. A
+// taken slot is recorded as a conflict and the rest of the series goes on.
+export const generateOccurrences = async (series, { horizonDays = config.BOOKING_SERIES_HORIZON_DAYS } = {}) => {
+  const created = [];
+  const conflicts = [];
+  if (series.status !== 'active') return { created, conflicts };
+
+  const service = await loadBookableService(series.service);
+  const horizon = addDays(toDhakaDateString(new Date()), horizonDays);
+
+  let n = series.nextOccurrence;
+  while (!isPastEnd(series, n) && occurrenceDate(series, n) <= horizon) {
+    const date = occurrenceDate(series, n);
+
+    if (!series.skippedOccurrences.includes(n)) {
+      try {
+        const { booking } = await createServiceBooking({
+          service,
+          customerId: series.customer,
+          scheduledDate: date,
+          scheduledTime: series.scheduledTime,
+          serviceLocation: series.serviceLocation,
+          customerNotes: series.customerNotes,
+          serviceRequirements: series.serviceRequirements,
+          series: series._id,
+          occurrence: n
+        });
+        created.push(booking);
+      } catch (error) {
+        // Already booked by a concurrent run
+        if (error.code === 11000) {
+          n += 1;
+          continue;
+        }
+        if (!error.statusCode) throw error;
+        const conflict = { occurrence: n, date, reason: error.message };
+        series.conflicts.push(conflict);
+        conflicts.push(conflict);
+      }
+    }
+    n += 1;
+  }
+
+  series.nextOccurrence = n;
+  if (isPastEnd(series, n)) {
+    series.status = 'completed';
+  }
+  await series.save();
+
+  return { created, conflicts };
+};
+
+// Customer starts a series and the first occurrences are booked right away
+export const createSeries = async ({
+  customerId,
+  serviceId,
+  startDate,
+  scheduledTime,
+  serviceLocation,
+  customerNotes,
+  serviceRequirements,
+  recurrence,
+  endDate,
+  occurrences
+}) => {
+  if (!serviceId || !startDate || !scheduledTime || !serviceLocation) {
+    throw new AppError('Missing required series fields.', 400);
+  }
+
+  const service = await loadBookableService(serviceId);
+
+  // Without a chosen recurrence, use the category's usual maintenance interval
+  const chosen = recurrence?.frequency ? recurrence : CATEGORY_DEFAULT_RECURRENCE[service.category];
+  if (!chosen) {
+    throw new AppError(`Choose how often to repeat (${SERIES_FREQUENCIES.join(' or ')})`, 400);
+  }
+
+  const start = /^\d{4}-\d{2}-\d{2}$/.test(startDate) ? startDate : toDhakaDateString(startDate);
+  if (!start || start < toDhakaDateString(new Date())) {
+    throw new AppError('Start date must be today or later', 400);
+  }
+
+  const series = await BookingSeries.create({
+    customer: customerId,
+    mechanic: service.mechanic,
+    service: service._id,
+    serviceLocation: normalizeServiceLocation(serviceLocation),
+    customerNotes,
+    serviceRequirements,
+    startDate: start,
+    scheduledTime,
+    recurrence: { frequency: chosen.frequency, interval: chosen.interval || 1 },
+    endDate: endDate ? toDhakaDateString(endDate) : undefined,
+    occurrences
+  });
+
+  const { created, conflicts } = await generateOccurrences(series);
+  return { series, created, conflicts };
+};
+
+// Skip one occurrence. A booked one is cancelled under the cancellation
+// policy; one not booked yet simply won't be.
+export const skipOccurrence = async (series, occurrence, { user, reason } = {}) => {
+  const n = Number(occurrence);
+  if (!Number.isInteger(n) || n < 1 || isPastEnd(series, n)) {
+    throw new AppError('This series has no such occurrence', 400);
+  }
+  if (series.status === 'cancelled') {
+    throw new AppError('This series has been cancelled', 400);
+  }
+
+  const booking = await Booking.findOne({ series: series._id, occurrence: n });
+  if (booking) {
+    if (!SKIPPABLE_STATUSES.includes(booking.status)) {
+      throw new AppError(`Occurrence ${n} is already ${booking.status.replace('_', ' ')} and can't be skipped`, 400);
+    }
+    return cancelBookingWithPolicy(booking, { user, reason: reason || `Occurrence ${n} skipped` });
+  }
+
+  if (n < series.nextOccurrence || series.skippedOccurrences.includes(n)) {
+    throw new AppError(`Occurrence ${n} isn't booked`, 400);
+  }
+  series.skippedOccurrences.push(n);
+  await series.save();
+  return { booking: null, quote: null, refund: null };
+};
+
+// Stop the series and cancel every occurrence that hasn't started yet
+export const cancelSeries = async (series, { user, reason } = {}) => {
+  if (series.status === 'cancelled') {
+    throw new AppError('This series is already cancelled', 400);
+  }
+
+  series.status = 'cancelled';
+  series.cancelledAt = new Date();
+  series.cancelledBy = user?._id;
+  series.cancellationReason = reason;
+  await series.save();
+
+  const upcoming = await Booking.find({
+    series: series._id,
+    status: { $in: SKIPPABLE_STATUSES },
+    scheduledStart: { $gt: new Date() }
+  });
+
+  const cancelled = [];
+  for (const booking of upcoming) {
+    await cancelBookingWithPolicy(booking, { user, reason: reason || 'Series cancelled' });
+    cancelled.push(booking);
+  }
+
+  return { series, cancelled };
+};
+
+// Top up every active series to the horizon (run periodically)
+export const generateDueOccurrences = async () => {
+  const summary = { series: 0, created: 0, conflicts: 0, failed: 0 };
+  const active = await BookingSeries.find({ status: 'active' });
+
+  for (const series of active) {
+    summary.series += 1;
+    try {
+      const { created, conflicts } = await generateOccurrences(series);
+      summary.created += created.length;
+      summary.conflicts += conflicts.length;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`Generating occurrences for series ${series._id} failed:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  occurrenceDate,
+  generateOccurrences,
+  createSeries,
+  skipOccurrence,
+  cancelSeries,
+  generateDueOccurrences
+};
@@ -0,0 +1,208 @@
+import AppError from '../utils/appError.js';
+import { PERMISSIONS, hasPermission } from '../config/permissions.js';
+import { notifyBookingStatus } from './notification.service.js';
+import { postServiceEarnings } from './ledger.service.js';
+
+// Booking state machine. Every status change goes through transitionBooking,
+// which checks who may make the move, runs its guard, applies its side
+// effects and records the change in statusHistory.
+//
+// Actors: 'customer' and 'mechanic' are the booking's own parties, 'staff'
+// is anyone with bookings:manage, 'arbiter' anyone with disputes:manage,
+// 'system' is background work (scheduler).
+
+const MINUTE_MS = 60 * 1000;
+// A mechanic may start a job at most this long before its scheduled time
+const EARLY_START_MINUTES = 60;
+
+const requireReason = (label) => (booking, { reason }) => {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new AppError(`A reason is required to ${label}`, 400);
+  }
+};
+
+const markCancelled = (booking, { actorId, reason }) => {
+  booking.cancelledBy = actorId;
+  booking.cancelledAt = new Date();
+  if (reason) booking.cancellationReason = reason;
+};
+
+const markCompleted = (booking) => {
+  const now = new Date();
+  booking.actualEndTime = now;
+  booking.completedAt = now;
+  if (booking.actualStartTime) {
+    booking.actualDuration = Math.round((now - booking.actualStartTime) / MINUTE_MS);
+  }
+};
+
+// Disputes are opened and settled through services/dispute.service.js,
+// which passes the Dispute record along
+const requireDispute = (message) => (booking, { dispute }) => {
+  if (!dispute) throw new AppError(message, 400);
+};
+
+const openDispute = {
+  actors: ['customer', 'mechanic'],
+  guard: (booking, context) => {
+    requireDispute('Use the dispute endpoint to open a dispute')(booking, context);
+    requireReason('open a dispute')(booking, context);
+  },
+  apply: (booking, { reason, dispute }) => {
+    booking.dispute = dispute._id;
+    booking.disputeReason = reason;
+    booking.disputeStatus = 'opened';
+  }
+};
+
+const settleDispute = (settle) => ({
+  actors: ['arbiter'],
+  guard: requireDispute('Disputed bookings are settled by resolving the dispute'),
+  apply: (booking, context) => {
+    booking.disputeStatus = 'resolved';
+    booking.disputeResolution = context.dispute.resolution?.note || context.dispute.resolution?.outcome;
+    settle?.(booking, context);
+  }
+});
+
+const cancel = {
+  actors: ['customer', 'mechanic', 'staff', 'system'],
+  apply: markCancelled
+};
+
+export const TRANSITIONS = {
+  pending: {
+    confirmed: { actors: ['mechanic', 'staff'] },
+    cancelled: cancel
+  },
+  confirmed: {
+    in_progress: {
+      actors: ['mechanic'],
+      guard: (booking) => {
+        if (booking.needsReschedule) {
+          throw new AppError('This booking needs to be rescheduled before it can start', 400);
+        }
+        if (['awaiting_estimate', 'pending', 'rejected'].includes(booking.quoteStatus)) {
+          throw new AppError('The customer has to accept an estimate before the job can start', 400);
+        }
+        if (booking.scheduledStart && Date.now() < booking.scheduledStart.getTime() - EARLY_START_MINUTES * MINUTE_MS) {
+          throw new AppError(`A job can be started at most ${EARLY_START_MINUTES} minutes before its scheduled time`, 400);
+        }
+      },
+      apply: (booking) => { booking.actualStartTime = new Date(); }
+    },
+    cancelled: cancel
+  },
+  in_progress: {
+    completed: {
+      actors: ['mechanic', 'staff'],
+      guard: (booking) => {
+        if (booking.quoteStatus === 'pending') {
+          throw new AppError('A change order is waiting for the customer\'s answer', 400);
+        }
+      },
+      apply: markCompleted
+    },
+    // Once work has started only the mechanic (job can't be done) or staff can call it off
+    cancelled: { actors: ['mechanic', 'staff'], guard: requireReason('cancel a job in progress'), apply: markCancelled },
+    disputed: openDispute
+  },
+  completed: {
+    disputed: openDispute
+  },
+  // A resolved dispute returns the booking to the status it was disputed
+  // from (in progress or completed), or cancels it
+  disputed: {
+    in_progress: settleDispute(),
+    completed: settleDispute(),
+    cancelled: settleDispute(markCancelled)
+  },
+  cancelled: {}
+};
+
+export const BOOKING_STATUSES = Object.keys(TRANSITIONS);
+
+// Which actors the user counts as for this booking
+export const resolveActors = (booking, user) => {
+  if (!user) return ['system'];
+
+  const id = (user._id || user.id).toString();
+  const customerId = (booking.customer?._id || booking.customer)?.toString();
+  const mechanicId = (booking.mechanic?._id || booking.mechanic)?.toString();
+  const actors = [];
+
+  if (customerId === id) actors.push('customer');
+  if (mechanicId === id) actors.push('mechanic');
+  if (hasPermission(user.role, PERMISSIONS.BOOKINGS_MANAGE)) actors.push('staff');
+  if (hasPermission(user.role, PERMISSIONS.DISPUTES_MANAGE)) actors.push('arbiter');
+  return actors;
+};
+
+// Statuses the user may move the booking to right now (guards not evaluated)
+export const getAllowedTransitions = (booking, user) => {
+  const actors = resolveActors(booking, user);
+  return Object.entries(TRANSITIONS[booking.status] || {})
+    .filter(([, rule]) => rule.actors.some(actor => actors.includes(actor)))
+    .map(([status]) => status);
+};
+
+// Validate and apply a status change without saving. `user` is omitted for
+// system transitions. Throws AppError (403/400) when the move is not allowed;
+// the following save fails with 409 if the status changed in the meantime.
+export const applyTransition = (booking, to, { user, note, reason, dispute } = {}) => {
+  const from = booking.status;
+  if (!BOOKING_STATUSES.includes(to)) {
+    throw new AppError(`Unknown booking status "${to}"`, 400);
+  }
+
+  const rule = TRANSITIONS[from]?.[to];
+  if (!rule) {
+    throw new AppError(`Invalid status transition from ${from} to ${to}`, 400);
+  }
+
+  const actors = resolveActors(booking, user);
+  if (actors.length === 0) {
+    throw new AppError('You cannot update this booking', 403);
+  }
+  if (!rule.actors.some(actor => actors.includes(actor))) {
+    throw new AppError(`You are not allowed to move this booking from ${from} to ${to}`, 403);
+  }
+
+  const context = { actorId: user?._id || user?.id, note, reason, dispute };
+  rule.guard?.(booking, context);
+  rule.apply?.(booking, context);
+
+  // The save only goes through if the stored booking is still in `from`, so
+  // two requests racing on the same booking can't both move it
+  booking.$where = { ...booking.$where, status: from };
+  booking.status = to;
+  booking.statusHistory.push({
+    status: to,
+    timestamp: new Date(),
+    note: note || reason,
+    updatedBy: context.actorId
+  });
+
+  return booking;
+};
+
+// Apply a status change and save the booking
+export const transitionBooking = async (booking, to, options = {}) => {
+  applyTransition(booking, to, options);
+  await booking.save();
+  if (to === 'completed') {
+    await postServiceEarnings(booking, { postedBy: options.user });
+  }
+  // Not awaited: SMS delivery shouldn't hold up the request
+  notifyBookingStatus(booking, { actor: options.user });
+  return booking;
+};
+
+export default {
+  TRANSITIONS,
+  BOOKING_STATUSES,
+  resolveActors,
+  getAllowedTransitions,
+  applyTransition,
+  transitionBooking
+};
@@ -0,0 +1,190 @@
+import CancellationPolicy from '../models/cancellationPolicy.model.js';
+import Service from '../models/service.model.js';
+import config from '../config/env.js';
+import { windowOf } from './availability.service.js';
+import { resolveActors, applyTransition } from './bookingState.service.js';
+import { findRefundablePayment, refundPayment } from './refund.service.js';
+import { notifyBookingStatus } from './notification.service.js';
+import { postCancellationCharges } from './ledger.service.js';
+import { expireBookingPayments } from './payment.service.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Used when no default policy has been stored
+const builtInPolicy = () => ({
+  name: 'Standard cancellation policy',
+  scope: 'default',
+  customerTiers: config.CANCELLATION_LATE_FEE_PERCENT > 0
+    ? [{ hoursBefore: config.CANCELLATION_FREE_HOURS, feePercent: config.CANCELLATION_LATE_FEE_PERCENT }]
+    : [],
+  mechanicTiers: config.CANCELLATION_MECHANIC_PENALTY_PERCENT > 0
+    ? [{ hoursBefore: config.CANCELLATION_FREE_HOURS, feePercent: config.CANCELLATION_MECHANIC_PENALTY_PERCENT }]
+    : []
+});
+
+// Most specific active policy for a service: service, category, default
+export const resolvePolicy = async (service) => {
+  const policies = await CancellationPolicy.find({
+    isActive: true,
+    $or: [
+      { scope: 'service', service: service._id },
+      { scope: 'category', category: service.category },
+      { scope: 'default' }
+    ]
+  });
+
+  return policies.find(policy => policy.scope === 'service') ||
+    policies.find(policy => policy.scope === 'category') ||
+    policies.find(policy => policy.scope === 'default') ||
+    builtInPolicy();
+};
+
+// Snapshot stored on a booking, so later policy edits don't change its terms
+export const toTerms = (policy) => ({
+  policy: policy._id,
+  name: policy.name,
+  customerTiers: (policy.customerTiers || []).map(({ hoursBefore, feePercent }) => ({ hoursBefore, feePercent })),
+  minimumFee: policy.minimumFee,
+  maximumFee: policy.maximumFee,
+  mechanicTiers: (policy.mechanicTiers || []).map(({ hoursBefore, feePercent }) => ({ hoursBefore, feePercent }))
+});
+
+// Customer-facing summary of a policy, one sentence per line
+export const describePolicy = (terms) => {
+  const lines = [];
+  const tiers = [...(terms.customerTiers || [])]
+    .filter(tier => tier.feePercent > 0)
+    .sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+  if (tiers.length === 0) {
+    lines.push('Free cancellation at any time before the job starts.');
+  } else {
+    lines.push(`Free cancellation up to ${tiers[0].hoursBefore} hours before the scheduled time.`);
+    tiers.forEach((tier) => {
+      lines.push(tier.hoursBefore > 0
+        ? `Cancelling within ${tier.hoursBefore} hours of the scheduled time costs ${tier.feePercent}% of the booking total.`
+        : `Cancelling after the scheduled time costs ${tier.feePercent}% of the booking total.`);
+    });
+    if (terms.minimumFee) lines.push(`The minimum cancellation fee is ${terms.minimumFee} BDT.`);
+    if (terms.maximumFee) lines.push(`The cancellation fee is capped at ${terms.maximumFee} BDT.`);
+  }
+  lines.push('If the mechanic cancels, you pay nothing and any payment is refunded in full.');
+  lines.push('Fees are deducted from the refund of a paid booking, or payable separately if you had not paid yet.');
+  return lines;
+};
+
+// Policy and summary for a service, for display before booking
+export const getServicePolicy = async (service) => {
+  const terms = toTerms(await resolvePolicy(service));
+  return { ...terms, summary: describePolicy(terms) };
+};
+
+// Percent of the highest tier the cancellation falls inside
+const tierPercent = (tiers = [], hoursBeforeStart) => {
+  return Math.max(0, ...tiers.filter(tier => hoursBeforeStart < tier.hoursBefore).map(tier => tier.feePercent));
+};
+
+// Who the user cancels as: 'customer', 'mechanic' or 'staff'
+export const cancellationRole = (booking, user) => {
+  const actors = resolveActors(booking, user);
+  return ['customer', 'mechanic', 'staff', 'system'].find(role => actors.includes(role)) || null;
+};
+
+// Work out what cancelling now would cost, without changing anything
+export const quoteCancellation = (booking, { role, terms, at = new Date() }) => {
+  const start = windowOf(booking)?.start;
+  const hoursBeforeStart = start ? (start - at) / HOUR_MS : 0;
+  const total = booking.totalAmount || 0;
+  const quote = {
+    role,
+    policy: terms.name,
+    hoursBeforeStart: Math.round(hoursBeforeStart * 10) / 10,
+    feePercent: 0,
+    fee: 0,
+    mechanicPenalty: 0
+  };
+
+  if (role === 'customer') {
+    quote.feePercent = tierPercent(terms.customerTiers, hoursBeforeStart);
+    if (quote.feePercent > 0) {
+      let fee = Math.round(total * quote.feePercent) / 100;
+      if (terms.minimumFee) fee = Math.max(fee, terms.minimumFee);
+      if (terms.maximumFee) fee = Math.min(fee, terms.maximumFee);
+      quote.fee = Math.min(fee, total);
+    }
+  } else if (role === 'mechanic') {
+    const penaltyPercent = tierPercent(terms.mechanicTiers, hoursBeforeStart);
+    quote.mechanicPenalty = Math.round(total * penaltyPercent) / 100;
+  }
+  // Staff and system cancellations are free for both parties
+
+  return quote;
+};
+
+// Terms agreed at booking time, or the current policy for older bookings
+export const getBookingTerms = async (booking) => {
+  if (booking.cancellationTerms?.name) return booking.cancellationTerms;
+  const service = await Service.findById(booking.service).select('category');
+  return toTerms(service ? await resolvePolicy(service) : builtInPolicy());
+};
+
+// Cancel a booking and settle its fee: deducted from the refund of a
+// platform payment, otherwise left due on the booking
+export const cancelBookingWithPolicy = async (booking, { user, reason }) => {
+  const role = cancellationRole(booking, user);
+  const terms = await getBookingTerms(booking);
+  const quote = quoteCancellation(booking, { role, terms });
+
+  applyTransition(booking, 'cancelled', { user, reason });
+  booking.cancelledByRole = role;
+  booking.cancellationFee = quote.fee;
+  booking.mechanicPenalty = quote.mechanicPenalty || undefined;
+
+  const payment = await findRefundablePayment(booking._id);
+  if (quote.fee > 0) {
+    booking.cancellationFeeStatus = payment ? 'deducted' : 'due';
+  } else {
+    booking.cancellationFeeStatus = 'none';
+  }
+  await booking.save();
+  // Checkouts started for the booking amount must not go through any more
+  await expireBookingPayments(booking._id);
+  await postCancellationCharges(booking, { postedBy: user });
+  notifyBookingStatus(booking, { actor: user });
+
+  let refund = null;
+  if (payment && payment.amount > quote.fee) {
+    try {
+      refund = await refundPayment(payment, {
+        amount: Math.round((payment.amount - quote.fee) * 100) / 100,
+        reason: quote.fee > 0
+          ? `Booking cancelled (${quote.fee} BDT cancellation fee deducted)`
+          : 'Booking cancelled',
+        refundedBy: user?._id
+      });
+    } catch (error) {
+      // Leave it for finance to process through the refund queue
+      console.error(`Automatic refund failed for booking ${booking._id}:`, error.message);
+      booking.refund = {
+        isRefunded: false,
+        refundAmount: payment.amount - quote.fee,
+        refundReason: 'Booking cancelled',
+        refundStatus: 'approved'
+      };
+      await booking.save();
+    }
+  }
+
+  return { booking, quote, refund };
+};
+
+export default {
+  resolvePolicy,
+  toTerms,
+  describePolicy,
+  getServicePolicy,
+  cancellationRole,
+  quoteCancellation,
+  getBookingTerms,
+  cancelBookingWithPolicy
+};
@@ -0,0 +1,43 @@
+import CommissionRule from '../models/commissionRule.model.js';
+import Service from '../models/service.model.js';
+import User from '../models/user.model.js';
+import config from '../config/env.js';
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// Category + tier beats category, which beats tier, which beats the default
+const specificity = (rule) => (rule.category ? 2 : 0) + (rule.mechanicTier ? 1 : 0);
+
+// Most specific active rule for a service category and mechanic tier
+export const findCommissionRule = async ({ category, mechanicTier }) => {
+  const rules = await CommissionRule.find({
+    isActive: true,
+    category: { $in: [category, null] },
+    mechanicTier: { $in: [mechanicTier, null] }
+  });
+  return rules.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+// Platform commission on a completed booking's charge. Falls back to
+// PLATFORM_COMMISSION_PERCENT when no rule matches.
+export const calculateCommission = async (booking, charge) => {
+  const [service, mechanic] = await Promise.all([
+    Service.findById(booking.service?._id || booking.service).select('category'),
+    User.findById(booking.mechanic?._id || booking.mechanic).select('mechanicTier')
+  ]);
+  const rule = await findCommissionRule({
+    category: service?.category,
+    mechanicTier: mechanic?.mechanicTier || 'standard'
+  });
+
+  const percent = rule ? rule.percent : config.PLATFORM_COMMISSION_PERCENT;
+  let amount = round2(charge * percent / 100);
+  if (rule?.minimumAmount) amount = Math.max(amount, rule.minimumAmount);
+
+  return { amount: Math.min(amount, charge), percent, rule };
+};
+
+export default {
+  findCommissionRule,
+  calculateCommission
+};
@@ -0,0 +1,217 @@
+import Dispute, { DISPUTE_OUTCOMES } from '../models/dispute.model.js';
+import Booking from '../models/booking.model.js';
+import AppError from '../utils/appError.js';
+import { applyTransition } from './bookingState.service.js';
+import { findRefundablePayment, refundPayment } from './refund.service.js';
+import { uploadPrivateFile, getPrivateFileUrl } from './upload.service.js';
+import { recordAudit } from './audit.service.js';
+import { notifyUsers } from './notification.service.js';
+import { postServiceEarnings } from './ledger.service.js';
+
+const userIdOf = (user) => (user._id || user.id).toString();
+
+const uploadEvidence = async (files, { dispute, user, note }) => {
+  for (const file of files) {
+    const stored = await uploadPrivateFile(file, { folder: `disputes/${dispute.booking}` });
+    stored.label = file.originalname;
+    dispute.evidence.push({ file: stored, note, uploadedBy: user._id || user.id });
+  }
+};
+
+// Dispute as JSON with signed URLs for the evidence files
+export const withEvidenceUrls = (dispute) => {
+  const obj = dispute.toObject();
+  obj.evidence = (obj.evidence || []).map(item => ({ ...item, url: getPrivateFileUrl(item.file) }));
+  return obj;
+};
+
+// Whether the user is one of the booking's parties
+export const isDisputeParty = (dispute, user) => {
+  const id = userIdOf(user);
+  return [dispute.customer, dispute.mechanic].some(party => (party?._id || party)?.toString() === id);
+};
+
+// Customer or mechanic raises a dispute on an in-progress or completed booking
+export const openDispute = async ({ booking, user, reason, description, files = [] }) => {
+  if (booking.dispute) {
+    throw new AppError('A dispute has already been raised for this booking', 400);
+  }
+
+  const isCustomer = booking.customer.toString() === userIdOf(user);
+  const dispute = new Dispute({
+    booking: booking._id,
+    customer: booking.customer,
+    mechanic: booking.mechanic,
+    openedBy: user._id || user.id,
+    openedByRole: isCustomer ? 'customer' : 'mechanic',
+    bookingStatus: booking.status,
+    reason,
+    description
+  });
+
+  // Checks who may dispute and from which status before anything is stored
+  applyTransition(booking, 'disputed', { user, reason, dispute });
+
+  await uploadEvidence(files, { dispute, user });
+  dispute.history.push({ status: 'opened', note: reason, by: user._id || user.id });
+  await dispute.save();
+
+  try {
+    await booking.save();
+  } catch (error) {
+    await Dispute.deleteOne({ _id: dispute._id });
+    throw error;
+  }
+
+  notifyUsers([booking.customer, booking.mechanic], {
+    type: 'dispute',
+    title: 'Dispute opened',
+    message: `A dispute was opened on booking ${booking.bookingNumber}: ${reason}. Our team will review it.`,
+    booking: booking._id,
+    dispute: dispute._id
+  }, { except: user });
+
+  return dispute;
+};
+
+// Either party can add evidence until the dispute is resolved
+export const addDisputeEvidence = async (dispute, { user, files = [], note }) => {
+  if (dispute.status === 'resolved') {
+    throw new AppError('Evidence cannot be added to a resolved dispute', 400);
+  }
+  if (files.length === 0) {
+    throw new AppError('At least one evidence file is required', 400);
+  }
+
+  await uploadEvidence(files, { dispute, user, note });
+  await dispute.save();
+  return dispute;
+};
+
+// Staff picks up an opened dispute
+export const startDisputeReview = async (dispute, { user, note, req }) => {
+  if (dispute.status !== 'opened') {
+    throw new AppError(`Only opened disputes can be taken under review (current status: ${dispute.status})`, 400);
+  }
+
+  dispute.status = 'under_review';
+  dispute.assignedTo = user._id;
+  dispute.history.push({ status: 'under_review', note, by: user._id });
+  await dispute.save();
+
+  await Booking.updateOne({ _id: dispute.booking }, { $set: { disputeStatus: 'under_review' } });
+
+  await recordAudit({
+    req,
+    action: 'admin.dispute.review_started',
+    targetType: 'Dispute',
+    targetId: dispute._id,
+    reason: note
+  });
+
+  return dispute;
+};
+
+// Settle a dispute under review. Refund outcomes refund the booking's
+// completed payment; a full refund cancels the booking, anything else
+// returns it to the status it was disputed from (in progress or completed).
+export const resolveDispute = async (dispute, { user, outcome, refundAmount, note, req }) => {
+  if (dispute.status !== 'under_review') {
+    throw new AppError('Only disputes under review can be resolved', 400);
+  }
+  if (!DISPUTE_OUTCOMES.includes(outcome)) {
+    throw new AppError(`Outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`, 400);
+  }
+
+  const booking = await Booking.findById(dispute.booking);
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+
+  let payment = null;
+  let amount;
+  if (outcome !== 'no_action') {
+    payment = await findRefundablePayment(booking._id);
+    if (!payment) {
+      throw new AppError('This booking has no completed payment to refund', 400);
+    }
+    amount = outcome === 'full_refund' ? payment.amount : Number(refundAmount);
+    if (outcome === 'partial_refund' && !(amount > 0 && amount < payment.amount)) {
+      throw new AppError(`Partial refund amount must be more than 0 and less than ${payment.amount}`, 400);
+    }
+  }
+
+  const bookingStatus = outcome === 'full_refund' ? 'cancelled' : (dispute.bookingStatus || 'completed');
+  dispute.resolution = {
+    outcome,
+    refundAmount: amount,
+    note,
+    bookingStatus,
+    payment: payment?._id,
+    resolvedBy: user._id,
+    resolvedAt: new Date()
+  };
+
+  // Validate the booking move before any money changes hands
+  applyTransition(booking, bookingStatus, { user, note: note || `Dispute resolved: ${outcome}`, dispute });
+
+  // Only one resolution may run: claim the dispute before refunding
+  const claimed = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, status: 'under_review' },
+    { $set: { status: 'resolving' } }
+  );
+  if (!claimed) {
+    throw new AppError('This dispute is already being resolved', 409);
+  }
+
+  if (payment) {
+    try {
+      await refundPayment(payment, {
+        amount,
+        reason: `Dispute resolution${note ? `: ${note}` : ''}`,
+        refundedBy: user._id
+      });
+    } catch (error) {
+      await Dispute.updateOne({ _id: dispute._id, status: 'resolving' }, { $set: { status: 'under_review' } });
+      throw error;
+    }
+  }
+
+  await booking.save();
+  if (bookingStatus === 'completed') {
+    await postServiceEarnings(booking, { postedBy: user });
+  }
+
+  dispute.status = 'resolved';
+  dispute.history.push({ status: 'resolved', note: note || outcome, by: user._id });
+  await dispute.save();
+
+  await recordAudit({
+    req,
+    action: 'admin.dispute.resolved',
+    targetType: 'Dispute',
+    targetId: dispute._id,
+    reason: note,
+    metadata: { outcome, refundAmount: amount, payment: payment?._id, booking: booking._id }
+  });
+
+  notifyUsers([booking.customer, booking.mechanic], {
+    type: 'dispute',
+    title: 'Dispute resolved',
+    message: `The dispute on booking ${booking.bookingNumber} has been resolved` +
+      (amount ? ` with a refund of ${amount} BDT.` : ' with no refund.'),
+    booking: booking._id,
+    dispute: dispute._id
+  });
+
+  return dispute;
+};
+
+export default {
+  withEvidenceUrls,
+  isDisputeParty,
+  openDispute,
+  addDisputeEvidence,
+  startDisputeReview,
+  resolveDispute
+};
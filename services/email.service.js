@@ -0,0 +1,61 @@
+import config from '../config/env.js';
+import { createOutboxProvider } from './email/outbox.provider.js';
+import { createSendGridProvider } from './email/sendgrid.provider.js';
+
+// Every provider exposes { name, send({ to, from, subject, text }) } and
+// resolves with { providerMessageId, raw } or throws on failure.
+const providerFactories = {
+  outbox: () => createOutboxProvider({ filePath: config.EMAIL_OUTBOX_FILE }),
+  sendgrid: () => createSendGridProvider({
+    apiKey: config.EMAIL_API_KEY,
+    apiUrl: config.EMAIL_API_URL
+  })
+};
+
+const providerCache = new Map();
+
+// Register an extra provider (e.g. a stub in tests)
+export const registerEmailProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  providerCache.delete(name);
+};
+
+export const getEmailProvider = (name = config.EMAIL_PROVIDER) => {
+  if (!providerCache.has(name)) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown email provider: ${name}`);
+    }
+    providerCache.set(name, factory());
+  }
+  return providerCache.get(name);
+};
+
+// Send a plain-text email. Never throws for delivery failures:
+// check the returned status.
+export const sendEmail = async ({ to, subject, text }) => {
+  try {
+    const provider = getEmailProvider();
+    const result = await provider.send({ to, from: config.EMAIL_FROM, subject, text });
+    return { status: 'sent', provider: provider.name, providerMessageId: result.providerMessageId };
+  } catch (error) {
+    console.error(`Email to ${to} failed:`, error.message);
+    return { status: 'failed', error: error.message };
+  }
+};
+
+// Send a one-time password by email
+export const sendOTPEmail = async ({ to, otp, label = 'verification', expiresInMinutes = 10 }) => {
+  return sendEmail({
+    to,
+    subject: `Your Mechanic BD ${label} code`,
+    text: `Your Mechanic BD ${label} code is ${otp}. It expires in ${expiresInMinutes} minutes. Do not share it with anyone.\n\nIf you did not request this, you can ignore this email.`
+  });
+};
+
+export default {
+  sendEmail,
+  sendOTPEmail,
+  getEmailProvider,
+  registerEmailProvider
+};
@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { maskEmail } from '../../utils/email.js';
+
+// Local development / test provider: emails are kept in memory and
+// optionally appended as JSON lines to a file instead of being sent.
+const outbox = [];
+
+export const getOutbox = () => [...outbox];
+
+export const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+// Latest email for a recipient (handy when testing verification flows)
+export const findLatestEmail = (recipient) => {
+  for (let i = outbox.length - 1; i >= 0; i--) {
+    if (outbox[i].to === recipient) return outbox[i];
+  }
+  return null;
+};
+
+export const createOutboxProvider = ({ filePath } = {}) => ({
+  name: 'outbox',
+
+  async send({ to, from, subject, text }) {
+    const entry = {
+      id: `outbox_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      to,
+      from,
+      subject,
+      text,
+      createdAt: new Date().toISOString()
+    };
+
+    outbox.push(entry);
+    console.log(`📧 [Email outbox] to ${maskEmail(to)}: ${subject}`);
+
+    if (filePath) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+    }
+
+    return { providerMessageId: entry.id, raw: { queued: true } };
+  }
+});
+
+export default createOutboxProvider;
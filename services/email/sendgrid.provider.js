@@ -0,0 +1,40 @@
+// SendGrid v3 Mail Send API (https://docs.sendgrid.com/api-reference/mail-send)
+const DEFAULT_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+export const createSendGridProvider = ({ apiKey, apiUrl = DEFAULT_URL, timeoutMs = 10000 }) => {
+  if (!apiKey) {
+    throw new Error('SendGrid provider requires EMAIL_API_KEY');
+  }
+
+  return {
+    name: 'sendgrid',
+
+    async send({ to, from, subject, text }) {
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({
+          personalizations: [{ to: [{ email: to }] }],
+          from: { email: from },
+          subject,
+          content: [{ type: 'text/plain', value: text }]
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.errors?.[0]?.message || `SendGrid responded with HTTP ${response.status}`);
+        error.raw = data;
+        throw error;
+      }
+
+      return { providerMessageId: response.headers.get('x-message-id'), raw: { status: response.status } };
+    }
+  };
+};
+
+export default createSendGridProvider;
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/idempotencyKey.model.js';
+import config from '../config/env.js';
+
+// A running request renews its lock on the key every LOCK_RENEW_MS; a retry
+// can only take the key over once the lock has lapsed, i.e. the request died
+const LOCK_MS = 60 * 1000;
+const LOCK_RENEW_MS = 20 * 1000;
+// Stop renewing after this even if no response was ever sent
+const MAX_LOCK_HOLD_MS = 15 * 60 * 1000;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+const extendLock = (record) => IdempotencyKey.updateOne(
+  { _id: record._id, status: 'in_progress' },
+  { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } }
+).catch(error => console.error(`Renewing Idempotency-Key ${record.key} failed:`, error.message));
+
+// Claim the key for this request, or report what already holds it
+const claimKey = async ({ user, key, method, path, requestHash }) => {
+  const now = new Date();
+  try {
+    const record = await IdempotencyKey.create({
+      user,
+      key,
+      method,
+      path,
+      requestHash,
+      lockedUntil: new Date(now.getTime() + LOCK_MS),
+      expiresAt: new Date(now.getTime() + config.IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ user, key });
+  if (!existing || existing.requestHash !== requestHash || existing.status === 'completed') {
+    return { record: existing, claimed: false };
+  }
+
+  // Still in progress: take it over only if the first request died
+  const record = await IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'in_progress', lockedUntil: { $lte: now } },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { new: true }
+  );
+  return { record: record || existing, claimed: !!record };
+};
+
+// Middleware (after protect): honours the Idempotency-Key header on
+// mutating requests. The first response for a key is stored per user and
+// replayed for retries; reusing the key for a different request is refused.
+// Server errors are not stored, so those can be retried with the same key.
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key || SAFE_METHODS.includes(req.method)) return next();
+
+  if (key.length > 255 || !/^[\x21-\x7e]+$/.test(key)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Idempotency-Key must be 1-255 printable characters without spaces'
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const { record, claimed } = await claimKey({
+      user: req.user.id,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash
+    });
+
+    if (!claimed) {
+      if (!record) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'This Idempotency-Key was just released. Please retry.'
+        });
+      }
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({
+          status: 'error',
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+      if (record.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.responseStatus).json(record.responseBody);
+      }
+      return res.status(409).json({
+        status: 'error',
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    // Keep the response the handler sends, then store or release the key
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.idempotentBody = body;
+      return json(body);
+    };
+
+    // Hold the key for as long as the handler runs, so a retry of a slow
+    // request gets a 409 instead of running it a second time
+    const startedAt = Date.now();
+    const renewal = setInterval(() => {
+      if (Date.now() - startedAt > MAX_LOCK_HOLD_MS) return clearInterval(renewal);
+      extendLock(record);
+    }, LOCK_RENEW_MS);
+    renewal.unref();
+
+    res.on('finish', () => {
+      clearInterval(renewal);
+      const done = res.statusCode >= 500 || res.locals.idempotentBody === undefined
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne({ _id: record._id }, {
+          $set: {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody: JSON.parse(JSON.stringify(res.locals.idempotentBody))
+          },
+          $unset: { lockedUntil: 1 }
+        });
+      done.catch(error => console.error(`Saving Idempotency-Key ${key} failed:`, error.message));
+    });
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Error checking Idempotency-Key',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  idempotency
+};
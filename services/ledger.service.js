@@ -0,0 +1,411 @@
+import mongoose from 'mongoose';
+import LedgerTransaction, { LEDGER_ACCOUNTS } from '../models/ledgerTransaction.model.js';
+import LedgerPostingFailure from '../models/ledgerPostingFailure.model.js';
+import Payment from '../models/payment.model.js';
+import Booking from '../models/booking.model.js';
+import Payout from '../models/payout.model.js';
+import AppError from '../utils/appError.js';
+import { calculateCommission } from './commission.service.js';
+
+// Double-entry ledger for money moving through the platform. Each business
+// event posts one balanced transaction under a key naming the event, so
+// posting again (a retry, a replayed webhook) changes nothing.
+//
+//   payment received     Dr platform_cash (cash: mechanic_payable)  Cr customer_receivable
+//   service earnings     Dr customer_receivable  Cr mechanic_payable + platform_commission
+//     (once the booking is both completed and paid)
+//   refund               Dr customer_receivable  Cr platform_cash (cash: mechanic_payable)
+//     (after earnings)   Dr mechanic_payable + refunds  Cr platform_cash (cash: mechanic_payable)
+//   cancellation fee     Dr customer_receivable  Cr cancellation_fees
+//   mechanic penalty     Dr mechanic_payable  Cr mechanic_penalties
+//   payout               Dr mechanic_payable  Cr platform_cash
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+const idOf = (ref) => ref?._id || ref;
+
+const debit = (account, amount, party) => ({ account, party: idOf(party), debit: round2(amount) });
+const credit = (account, amount, party) => ({ account, party: idOf(party), credit: round2(amount) });
+
+// Post a balanced transaction; returns the existing one if the key was already posted
+export const postTransaction = async ({ key, type, description, booking, payment, payout, entries, postedBy }) => {
+  const lines = entries.filter(entry => (entry.debit || entry.credit) > 0);
+  if (lines.length === 0) return null;
+
+  try {
+    return await LedgerTransaction.create({
+      key,
+      type,
+      description,
+      booking: idOf(booking),
+      payment: idOf(payment),
+      payout: idOf(payout),
+      entries: lines,
+      postedBy: idOf(postedBy)
+    });
+  } catch (error) {
+    if (error.code === 11000) return LedgerTransaction.findOne({ key });
+    throw error;
+  }
+};
+
+const MAX_POSTING_ATTEMPTS = 10;
+const postings = {};
+
+// Options are stored with a failure, so keep only ids and plain values
+const storableOptions = (options = {}) => Object.fromEntries(
+  Object.entries(options).map(([name, value]) => [name, value?._id ? value._id : value])
+);
+
+// Postings happen after the money has already moved, so a failure doesn't
+// undo the payment or refund. It is stored for retryFailedPostings instead;
+// the posting is called with a `subjectModel` document (or its id).
+const safely = (posting, subjectModel, post) => {
+  postings[posting] = { subjectModel, post };
+  return async (subject, options) => {
+    try {
+      return await post(subject, options);
+    } catch (error) {
+      console.error(`Ledger posting (${posting}) failed:`, error.message);
+      await LedgerPostingFailure.create({
+        posting,
+        subjectModel,
+        subject: idOf(subject),
+        options: storableOptions(options),
+        error: error.message
+      }).catch((recordError) => {
+        console.error(`Could not record failed ledger posting (${posting}) for ${idOf(subject)}:`, recordError.message);
+      });
+      return null;
+    }
+  };
+};
+
+// A completed payment, or money held for review. Cash stays with the
+// mechanic, who then owes it to the platform.
+export const postPaymentReceived = safely('payment', 'Payment', (payment) => {
+  const amount = payment.receivedAmount();
+  const heldBy = payment.paymentMethod === 'cash'
+    ? debit('mechanic_payable', amount, payment.mechanic)
+    : debit('platform_cash', amount);
+
+  return postTransaction({
+    key: `payment:${payment._id}`,
+    type: 'payment',
+    description: `Payment ${payment.paymentId} (${payment.paymentMethod})`,
+    booking: payment.booking,
+    payment,
+    entries: [heldBy, credit('customer_receivable', amount, payment.customer)]
+  });
+});
+
+// Earnings for a booking that has been both completed and paid: the price,
+// less anything already refunded (e.g. a dispute settled during the job),
+// split between the mechanic and the platform by the matching commission
+// rule. Called on completion and on payment; whichever comes last posts.
+export const postServiceEarnings = safely('service earnings', 'Booking', async (bookingOrId, { postedBy } = {}) => {
+  // Read fresh: the other trigger may have just changed the booking
+  const booking = await Booking.findById(idOf(bookingOrId));
+  if (!booking || booking.status !== 'completed' || booking.paymentStatus !== 'paid') return null;
+
+  // Money held for review never counted towards the booking
+  const refundedPayments = await Payment.find({
+    booking: booking._id,
+    'refund.isRefunded': true,
+    'review.reason': { $exists: false }
+  }).select('refund.refundAmount');
+  const refunded = refundedPayments.reduce((sum, payment) => sum + (payment.refund.refundAmount || 0), 0);
+  const charge = round2((booking.totalAmount || 0) - refunded);
+  if (charge <= 0) return null;
+
+  const { amount: commission, percent, rule } = await calculateCommission(booking, charge);
+  return postTransaction({
+    key: `earnings:${booking._id}`,
+    type: 'service_earnings',
+    description: `Booking ${booking.bookingNumber || booking._id} completed (${percent}% commission${rule ? `, ${rule.name}` : ''})`,
+    booking,
+    entries: [
+      debit('customer_receivable', charge, booking.customer),
+      credit('mechanic_payable', charge - commission, booking.mechanic),
+      credit('platform_commission', commission)
+    ],
+    postedBy
+  });
+});
+
+// Money sent back to the customer. If the booking's earnings were already
+// booked, the refund is taken back from the mechanic and the platform in
+// the same proportion; otherwise it reduces the customer's prepayment.
+// Money held for review never counted towards the booking, so it is only
+// handed back. Cash is handed back by the mechanic who holds it, not paid
+// out of the platform's cash.
+export const postRefund = safely('refund', 'Payment', async (payment, { amount, refundedBy }) => {
+  const earnings = payment.review?.reason
+    ? null
+    : await LedgerTransaction.findOne({ key: `earnings:${idOf(payment.booking)}` });
+  const paidBack = payment.paymentMethod === 'cash'
+    ? credit('mechanic_payable', amount, payment.mechanic)
+    : credit('platform_cash', amount);
+  let entries;
+
+  if (earnings) {
+    const charged = earnings.entries.find(entry => entry.account === 'customer_receivable').debit;
+    const commission = earnings.entries.find(entry => entry.account === 'platform_commission')?.credit || 0;
+    const platformShare = round2(amount * commission / charged);
+    entries = [
+      debit('mechanic_payable', amount - platformShare, payment.mechanic),
+      debit('refunds', platformShare),
+      paidBack
+    ];
+  } else {
+    entries = [
+      debit('customer_receivable', amount, payment.customer),
+      paidBack
+    ];
+  }
+
+  return postTransaction({
+    key: `refund:${payment._id}`,
+    type: 'refund',
+    description: `Refund of payment ${payment.paymentId}`,
+    booking: payment.booking,
+    payment,
+    entries,
+    postedBy: refundedBy
+  });
+});
+
+// Fee charged to the customer and penalty charged to the mechanic for a cancellation
+export const postCancellationCharges = safely('cancellation', 'Booking', async (booking, { postedBy } = {}) => {
+  const posted = [];
+  if (booking.cancellationFee > 0) {
+    posted.push(await postTransaction({
+      key: `cancellation_fee:${booking._id}`,
+      type: 'cancellation_fee',
+      description: `Cancellation fee for booking ${booking.bookingNumber || booking._id}`,
+      booking,
+      entries: [
+        debit('customer_receivable', booking.cancellationFee, booking.customer),
+        credit('cancellation_fees', booking.cancellationFee)
+      ],
+      postedBy
+    }));
+  }
+  if (booking.mechanicPenalty > 0) {
+    posted.push(await postTransaction({
+      key: `mechanic_penalty:${booking._id}`,
+      type: 'mechanic_penalty',
+      description: `Late cancellation penalty for booking ${booking.bookingNumber || booking._id}`,
+      booking,
+      entries: [
+        debit('mechanic_payable', booking.mechanicPenalty, booking.mechanic),
+        credit('mechanic_penalties', booking.mechanicPenalty)
+      ],
+      postedBy
+    }));
+  }
+  return posted;
+});
+
+// Retry stored failed postings (scheduler job). Postings are keyed, so one
+// that went through in the meantime is not posted twice. After
+// MAX_POSTING_ATTEMPTS a failure is left for finance.
+export const retryFailedPostings = async ({ limit = 50 } = {}) => {
+  const failures = await LedgerPostingFailure.find({ resolvedAt: null, attempts: { $lt: MAX_POSTING_ATTEMPTS } })
+    .sort({ lastAttemptAt: 1 })
+    .limit(limit);
+
+  const result = { reposted: 0, failed: 0 };
+  for (const failure of failures) {
+    try {
+      const posting = postings[failure.posting];
+      if (!posting) throw new Error(`Unknown ledger posting "${failure.posting}"`);
+      const subject = await mongoose.model(failure.subjectModel).findById(failure.subject);
+      if (!subject) throw new Error(`${failure.subjectModel} ${failure.subject} not found`);
+      await posting.post(subject, failure.options || {});
+      failure.resolvedAt = new Date();
+      result.reposted++;
+    } catch (error) {
+      failure.attempts += 1;
+      failure.error = error.message;
+      result.failed++;
+      if (failure.attempts >= MAX_POSTING_ATTEMPTS) {
+        console.error(`Ledger posting (${failure.posting}) for ${failure.subject} needs finance: ${error.message}`);
+      }
+    }
+    failure.lastAttemptAt = new Date();
+    await failure.save();
+  }
+  return result;
+};
+
+// Money paid out to a mechanic, once the payout has been recorded as paid.
+// Links the transaction on the payout.
+export const postPayout = safely('payout', 'Payout', async (payout, { postedBy } = {}) => {
+  const transaction = await postTransaction({
+    key: `payout:${payout._id}`,
+    type: 'payout',
+    description: 'Mechanic payout',
+    payout,
+    entries: [debit('mechanic_payable', payout.amount, payout.mechanic), credit('platform_cash', payout.amount)],
+    postedBy
+  });
+  await Payout.updateOne({ _id: payout._id }, { $set: { ledgerTransaction: transaction._id } });
+  return transaction;
+});
+
+const toObjectId = (value) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw new AppError('Invalid party ID', 400);
+  }
+  return new mongoose.Types.ObjectId(String(value));
+};
+
+const assertAccount = (account) => {
+  if (!LEDGER_ACCOUNTS[account]) {
+    throw new AppError(`Unknown ledger account "${account}"`, 400);
+  }
+};
+
+// Balance on the account's normal side
+const signed = (account, debits, credits) => round2(
+  LEDGER_ACCOUNTS[account].normal === 'debit' ? debits - credits : credits - debits
+);
+
+// Totals per account, or per party within one account
+export const getAccountBalances = async ({ account, party, byParty = false } = {}) => {
+  const match = {};
+  if (account) {
+    assertAccount(account);
+    match['entries.account'] = account;
+  }
+  if (party) match['entries.party'] = toObjectId(party);
+
+  const rows = await LedgerTransaction.aggregate([
+    { $unwind: '$entries' },
+    { $match: match },
+    {
+      $group: {
+        _id: { account: '$entries.account', ...(byParty || party ? { party: '$entries.party' } : {}) },
+        debits: { $sum: '$entries.debit' },
+        credits: { $sum: '$entries.credit' }
+      }
+    },
+    { $sort: { '_id.account': 1, '_id.party': 1 } }
+  ]);
+
+  const balances = rows.map(({ _id, debits, credits }) => ({
+    account: _id.account,
+    party: _id.party,
+    debits: round2(debits),
+    credits: round2(credits),
+    balance: signed(_id.account, debits, credits)
+  }));
+  const totalDebits = round2(balances.reduce((sum, row) => sum + row.debits, 0));
+  const totalCredits = round2(balances.reduce((sum, row) => sum + row.credits, 0));
+
+  return {
+    balances,
+    totalDebits,
+    totalCredits,
+    // Only meaningful for the whole ledger (no account or party filter)
+    balanced: totalDebits === totalCredits
+  };
+};
+
+// Balance of one account (for one party)
+export const getBalance = async (account, party) => {
+  const { balances } = await getAccountBalances({ account, party });
+  return balances[0]?.balance || 0;
+};
+
+// Entries on one account in posting order, with the running balance
+export const getAccountStatement = async ({ account, party, from, to, page = 1, limit = 50 }) => {
+  assertAccount(account);
+  if (LEDGER_ACCOUNTS[account].party && !party) {
+    throw new AppError(`A party is required for the ${account} statement`, 400);
+  }
+
+  const match = { 'entries.account': account };
+  if (party) match['entries.party'] = toObjectId(party);
+
+  const opening = from
+    ? await LedgerTransaction.aggregate([
+      { $match: { postedAt: { $lt: from } } },
+      { $unwind: '$entries' },
+      { $match: match },
+      { $group: { _id: null, debits: { $sum: '$entries.debit' }, credits: { $sum: '$entries.credit' } } }
+    ])
+    : [];
+  const openingBalance = opening[0] ? signed(account, opening[0].debits, opening[0].credits) : 0;
+
+  const period = {};
+  if (from) period.$gte = from;
+  if (to) period.$lte = to;
+  const skip = (page - 1) * limit;
+
+  const totals = { _id: null, count: { $sum: 1 }, debits: { $sum: '$entries.debit' }, credits: { $sum: '$entries.credit' } };
+
+  // Running balances are summed here rather than with $setWindowFields,
+  // which needs MongoDB 5.0
+  const [result] = await LedgerTransaction.aggregate([
+    { $match: from || to ? { postedAt: period } : {} },
+    { $unwind: '$entries' },
+    { $match: match },
+    { $sort: { postedAt: 1, _id: 1 } },
+    {
+      $facet: {
+        // Movement of the entries before this page
+        ...(skip > 0 ? { before: [{ $limit: skip }, { $group: totals }] } : {}),
+        entries: [
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              transaction: '$_id',
+              key: 1,
+              type: 1,
+              description: 1,
+              booking: 1,
+              payment: 1,
+              payout: 1,
+              postedAt: 1,
+              party: '$entries.party',
+              debit: '$entries.debit',
+              credit: '$entries.credit'
+            }
+          }
+        ],
+        all: [{ $group: totals }]
+      }
+    }
+  ]);
+
+  const movement = (row) => (row ? signed(account, row.debits, row.credits) : 0);
+  let balance = round2(openingBalance + movement(result.before?.[0]));
+
+  return {
+    account,
+    party,
+    openingBalance,
+    closingBalance: round2(openingBalance + movement(result.all[0])),
+    total: result.all[0]?.count || 0,
+    entries: result.entries.map((entry) => {
+      balance = round2(balance + signed(account, entry.debit, entry.credit));
+      return { ...entry, balance };
+    })
+  };
+};
+
+export default {
+  postTransaction,
+  postPaymentReceived,
+  postServiceEarnings,
+  postRefund,
+  postCancellationCharges,
+  retryFailedPostings,
+  postPayout,
+  getAccountBalances,
+  getBalance,
+  getAccountStatement
+};
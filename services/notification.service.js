@@ -0,0 +1,120 @@
+import Notification from '../models/notification.model.js';
+import User from '../models/user.model.js';
+import { sendSMS } from './sms.service.js';
+import { sendEmail } from './email.service.js';
+import { emitToUser } from './realtime.service.js';
+
+// Channels each type goes out on, unless the user turned the channel off.
+// Chat stays in the app; money and schedule changes also reach the phone.
+const TYPE_CHANNELS = {
+  booking_status: ['in_app', 'sms', 'email'],
+  booking_reminder: ['in_app', 'sms'],
+  reschedule: ['in_app', 'sms'],
+  quote: ['in_app', 'sms'],
+  payment: ['in_app', 'email'],
+  refund: ['in_app', 'sms', 'email'],
+  payout: ['in_app', 'sms', 'email'],
+  dispute: ['in_app', 'email'],
+  chat: ['in_app'],
+  system: ['in_app']
+};
+
+const STATUS_MESSAGES = {
+  confirmed: 'has been confirmed',
+  in_progress: 'has started',
+  completed: 'has been completed',
+  cancelled: 'has been cancelled',
+  disputed: 'is under dispute'
+};
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Notify one user on their preferred channels. Never throws: a failed
+// notification must not fail the action that caused it.
+export const notify = async (userId, { type, title, message, booking, payment, dispute, roomId }) => {
+  try {
+    const user = await User.findById(userId).select('phoneNumber email notificationPreferences deletedAt');
+    if (!user || user.deletedAt) return null;
+
+    const preferences = user.notificationPreferences || {};
+    const channels = (TYPE_CHANNELS[type] || ['in_app']).filter(channel => preferences[channel] !== false);
+
+    let notification = null;
+    if (channels.includes('in_app')) {
+      notification = await Notification.create({ user: user._id, type, title, message, booking, payment, dispute, roomId });
+      emitToUser(user._id, 'notification', notification);
+    }
+
+    const deliveredVia = [];
+    if (channels.includes('sms') && user.phoneNumber) {
+      const log = await sendSMS({ to: user.phoneNumber, message, purpose: 'notification', user: user._id });
+      if (log.status === 'sent') deliveredVia.push('sms');
+    }
+    if (channels.includes('email') && user.email) {
+      const result = await sendEmail({ to: user.email, subject: `Mechanic BD: ${title}`, text: message });
+      if (result.status === 'sent') deliveredVia.push('email');
+    }
+    if (notification && deliveredVia.length > 0) {
+      await Notification.updateOne({ _id: notification._id }, { $set: { deliveredVia } });
+    }
+
+    return notification;
+  } catch (error) {
+    console.error(`Notification (${type}) to ${userId} failed:`, error.message);
+    return null;
+  }
+};
+
+// Notify several users once each, leaving out whoever caused the event
+export const notifyUsers = async (userRefs, payload, { except } = {}) => {
+  const skip = idOf(except);
+  const ids = [...new Set(userRefs.map(idOf).filter(Boolean))].filter(id => id !== skip);
+  return Promise.all(ids.map(id => notify(id, payload)));
+};
+
+// Both parties of a booking hear about a status change made by the other
+// (or by staff or the system)
+export const notifyBookingStatus = (booking, { actor } = {}) => {
+  const change = STATUS_MESSAGES[booking.status] || `is now ${booking.status.replace('_', ' ')}`;
+  return notifyUsers([booking.customer, booking.mechanic], {
+    type: 'booking_status',
+    title: 'Booking update',
+    message: `Booking ${booking.bookingNumber} ${change}.`,
+    booking: booking._id
+  }, { except: actor });
+};
+
+export const countUnread = (userId) => Notification.countDocuments({ user: userId, readAt: null });
+
+// Inbox: newest first, optionally unread only
+export const listNotifications = async (userId, { unreadOnly = false, page = 1, limit = 20 } = {}) => {
+  const filter = { user: userId };
+  if (unreadOnly) filter.readAt = null;
+
+  const [notifications, total, unread] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    Notification.countDocuments(filter),
+    countUnread(userId)
+  ]);
+  return { notifications, total, unread };
+};
+
+// Mark one notification (or all of them) read and push the new unread count
+export const markRead = async (userId, notificationId) => {
+  const filter = { user: userId, readAt: null };
+  if (notificationId) filter._id = notificationId;
+
+  const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+  const unread = await countUnread(userId);
+  emitToUser(userId, 'notifications_read', { unread });
+  return { updated: result.modifiedCount, unread };
+};
+
+export default {
+  notify,
+  notifyUsers,
+  notifyBookingStatus,
+  listNotifications,
+  countUnread,
+  markRead
+};
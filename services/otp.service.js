@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import Otp from '../models/otp.model.js';
+import config from '../config/env.js';
+import AppError from '../utils/appError.js';
+import { toLocalPhone } from '../utils/phone.js';
+import { sendOTPMessage } from './sms.service.js';
+import { sendOTPEmail } from './email.service.js';
+
+// Wording used in the SMS/email for each purpose
+const PURPOSE_LABELS = {
+  registration: 'verification',
+  password_reset: 'password reset',
+  phone_change: 'phone change',
+  email_change: 'email change',
+  login_challenge: 'login',
+  payout_account: 'payout account change'
+};
+
+// Codes go to a phone number by SMS, or to an email address when one is given
+const resolveRecipient = ({ phoneNumber, email }) => {
+  if (email) {
+    return { recipient: String(email).trim().toLowerCase(), channel: 'email' };
+  }
+  return { recipient: toLocalPhone(phoneNumber), channel: 'sms' };
+};
+
+const hashCode = (recipient, purpose, code) => {
+  return crypto
+    .createHmac('sha256', config.OTP_SECRET)
+    .update(`${recipient}:${purpose}:${code}`)
+    .digest('hex');
+};
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Create a new code for a recipient/purpose, enforcing the resend cooldown
+// and the per-recipient daily cap. Returns the plain code (never stored).
+export const issueOTP = async ({ phoneNumber, email, purpose, user }) => {
+  const { recipient, channel } = resolveRecipient({ phoneNumber, email });
+  const now = Date.now();
+
+  const latest = await Otp.findOne({ recipient, purpose }).sort({ createdAt: -1 });
+  if (latest) {
+    const nextAllowedAt = latest.createdAt.getTime() + config.OTP_RESEND_COOLDOWN_SECONDS * 1000;
+    if (nextAllowedAt > now) {
+      throw new AppError('Please wait before requesting another code', 429, {
+        retryAfter: Math.ceil((nextAllowedAt - now) / 1000)
+      });
+    }
+  }
+
+  const sentToday = await Otp.countDocuments({
+    recipient,
+    createdAt: { $gte: new Date(now - 24 * 60 * 60 * 1000) }
+  });
+  if (sentToday >= config.OTP_DAILY_LIMIT) {
+    const target = channel === 'email' ? 'email address' : 'phone number';
+    throw new AppError(`Daily OTP limit reached for this ${target}. Please try again tomorrow.`, 429);
+  }
+
+  // Only the newest code for a purpose is valid
+  await Otp.updateMany(
+    { recipient, purpose, consumedAt: null, burnedAt: null, supersededAt: null },
+    { $set: { supersededAt: new Date(now) } }
+  );
+
+  const code = crypto.randomInt(100000, 1000000).toString(); // 6-digit OTP
+  const otp = await Otp.create({
+    recipient,
+    channel,
+    purpose,
+    user,
+    codeHash: hashCode(recipient, purpose, code),
+    expiresAt: new Date(now + config.OTP_EXPIRES_MINUTES * 60 * 1000),
+    maxAttempts: config.OTP_MAX_ATTEMPTS
+  });
+
+  return { code, otp };
+};
+
+// Issue a code and deliver it by SMS, or by email when `email` is given
+export const sendOTP = async ({ phoneNumber, email, purpose, user }) => {
+  const { code, otp } = await issueOTP({ phoneNumber, email, purpose, user });
+
+  const message = {
+    otp: code,
+    label: PURPOSE_LABELS[purpose],
+    expiresInMinutes: config.OTP_EXPIRES_MINUTES
+  };
+  const delivery = otp.channel === 'email'
+    ? await sendOTPEmail({ to: otp.recipient, ...message })
+    : await sendOTPMessage({ to: phoneNumber, user, ...message });
+
+  if (delivery.status === 'failed') {
+    // Don't let an undelivered code count against the cooldown
+    await Otp.deleteOne({ _id: otp._id });
+    throw new AppError('Could not send OTP. Please try again shortly.', 502);
+  }
+
+  return { code, otp, delivery };
+};
+
+// Conditions for a code that can still be used
+const usableFilter = () => ({
+  consumedAt: null,
+  burnedAt: null,
+  supersededAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Check a code for a recipient/purpose. Every guess counts towards the
+// attempt limit; once reached the code is burned and a new one is needed.
+// Pass `consume: false` to check several codes before using any (see consumeOTP).
+export const verifyOTP = async ({ phoneNumber, email, purpose, code, consume = true }) => {
+  const { recipient } = resolveRecipient({ phoneNumber, email });
+
+  const latest = await Otp.findOne({ recipient, purpose, ...usableFilter() })
+    .select('_id')
+    .sort({ createdAt: -1 });
+
+  if (!latest) {
+    throw new AppError('Invalid or expired OTP', 400);
+  }
+
+  // Count the attempt before comparing, so parallel guesses can't go past the limit
+  const otp = await Otp.findOneAndUpdate(
+    { _id: latest._id, ...usableFilter(), $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+codeHash');
+
+  if (!otp) {
+    throw new AppError('Too many incorrect attempts. Please request a new OTP.', 400);
+  }
+
+  if (!safeEqual(otp.codeHash, hashCode(recipient, purpose, String(code).trim()))) {
+    if (otp.attempts >= otp.maxAttempts) {
+      await Otp.updateOne({ _id: otp._id, burnedAt: null }, { $set: { burnedAt: new Date() } });
+      throw new AppError('Too many incorrect attempts. Please request a new OTP.', 400);
+    }
+    throw new AppError('Invalid or expired OTP', 400, {
+      attemptsRemaining: otp.maxAttempts - otp.attempts
+    });
+  }
+
+  if (consume) return consumeOTP(otp);
+  return otp;
+};
+
+// Mark a verified code as used. Only one caller can consume a code; a
+// second (parallel) use is refused.
+export const consumeOTP = async (otp) => {
+  const consumed = await Otp.findOneAndUpdate(
+    { _id: otp._id, ...usableFilter() },
+    { $set: { consumedAt: new Date() } },
+    { new: true }
+  );
+  if (!consumed) {
+    throw new AppError('Invalid or expired OTP', 400);
+  }
+  otp.consumedAt = consumed.consumedAt;
+  return otp;
+};
+
+export default {
+  issueOTP,
+  sendOTP,
+  verifyOTP,
+  consumeOTP
+};
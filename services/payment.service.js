@@ -0,0 +1,420 @@
+import mongoose from 'mongoose';
+import Payment from '../models/payment.model.js';
+import Booking from '../models/booking.model.js';
+import config from '../config/env.js';
+import AppError from '../utils/appError.js';
+import { notifyUsers } from './notification.service.js';
+import { postPaymentReceived, postServiceEarnings } from './ledger.service.js';
+import { createBkashGateway } from './payments/bkash.gateway.js';
+import { createNagadGateway } from './payments/nagad.gateway.js';
+import { createSslCommerzGateway } from './payments/sslcommerz.gateway.js';
+import { createMockGateway } from './payments/mock.gateway.js';
+
+// Online payment methods and the gateway that carries each one. Other
+// methods (cash, bank transfer) are confirmed by hand.
+export const GATEWAY_METHODS = {
+  bkash: 'bkash',
+  nagad: 'nagad',
+  rocket: 'sslcommerz',
+  upay: 'sslcommerz',
+  tap: 'sslcommerz',
+  sure_cash: 'sslcommerz',
+  mobile_banking: 'sslcommerz',
+  card: 'sslcommerz'
+};
+
+// Every gateway exposes { name, createPayment, executePayment, queryPayment,
+// refundPayment, parseCallback } and, when the provider pushes events,
+// verifyWebhook. executePayment/queryPayment resolve with
+// { status: 'completed'|'pending'|'failed'|'cancelled', transactionId, amount, raw };
+// all of them throw (with error.raw) when the gateway refuses.
+const gatewayFactories = {
+  bkash: () => createBkashGateway({
+    baseUrl: config.BKASH_BASE_URL,
+    appKey: config.BKASH_APP_KEY,
+    appSecret: config.BKASH_APP_SECRET,
+    username: config.BKASH_USERNAME,
+    password: config.BKASH_PASSWORD,
+    webhookTopicArn: config.BKASH_WEBHOOK_TOPIC_ARN
+  }),
+  nagad: () => createNagadGateway({
+    baseUrl: config.NAGAD_BASE_URL,
+    merchantId: config.NAGAD_MERCHANT_ID,
+    merchantNumber: config.NAGAD_MERCHANT_NUMBER,
+    pgPublicKey: config.NAGAD_PG_PUBLIC_KEY,
+    merchantPrivateKey: config.NAGAD_MERCHANT_PRIVATE_KEY
+  }),
+  sslcommerz: () => createSslCommerzGateway({
+    baseUrl: config.SSLCOMMERZ_BASE_URL,
+    storeId: config.SSLCOMMERZ_STORE_ID,
+    storePassword: config.SSLCOMMERZ_STORE_PASSWORD
+  })
+};
+
+// The local sandbox confirms whatever it is told, so it only exists in mock mode
+if (config.PAYMENT_GATEWAY_MODE === 'mock') {
+  gatewayFactories.mock = () => createMockGateway({
+    baseUrl: config.MOCK_GATEWAY_URL,
+    webhookSecret: config.MOCK_GATEWAY_WEBHOOK_SECRET
+  });
+}
+
+const gatewayCache = new Map();
+
+// Register an extra gateway (e.g. a stub in tests)
+export const registerPaymentGateway = (name, factory) => {
+  gatewayFactories[name] = factory;
+  gatewayCache.delete(name);
+};
+
+export const hasPaymentGateway = (name) => !!gatewayFactories[name];
+
+export const getPaymentGateway = (name) => {
+  if (!gatewayCache.has(name)) {
+    const factory = gatewayFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown payment gateway: ${name}`);
+    }
+    gatewayCache.set(name, factory());
+  }
+  return gatewayCache.get(name);
+};
+
+export const isGatewayMethod = (method) => !!GATEWAY_METHODS[method];
+
+// In mock mode every online method goes through the local sandbox
+export const gatewayNameFor = (method) => {
+  if (!isGatewayMethod(method)) return null;
+  return config.PAYMENT_GATEWAY_MODE === 'mock' ? 'mock' : GATEWAY_METHODS[method];
+};
+
+export const gatewayCallbackUrl = (gatewayName) => `${config.PUBLIC_API_URL}/api/payments/gateway/${gatewayName}/callback`;
+export const gatewayWebhookUrl = (gatewayName) => `${config.PUBLIC_API_URL}/api/payments/webhooks/${gatewayName}`;
+
+const recordGatewayResponse = (payment, { success, message, raw }) => {
+  payment.paymentDetails.gatewayResponse = {
+    success,
+    message,
+    timestamp: new Date(),
+    rawResponse: raw
+  };
+};
+
+// Open a checkout with the payment method's gateway. The customer is sent
+// to checkoutUrl and comes back through the gateway callback.
+export const startGatewayPayment = async (payment, { customer } = {}) => {
+  const gatewayName = gatewayNameFor(payment.paymentMethod);
+  payment.paymentDetails.gateway = gatewayName;
+
+  try {
+    const gateway = getPaymentGateway(gatewayName);
+    const checkout = await gateway.createPayment({
+      reference: payment.paymentId,
+      amount: payment.amount,
+      method: payment.paymentMethod,
+      callbackUrl: gatewayCallbackUrl(gatewayName),
+      webhookUrl: gatewayWebhookUrl(gatewayName),
+      payerReference: payment.mfsDetails?.senderNumber || customer?.phoneNumber,
+      customer: { name: customer?.fullName, phone: customer?.phoneNumber, email: customer?.email }
+    });
+    payment.paymentDetails.gatewayPaymentId = checkout.gatewayPaymentId;
+    payment.paymentDetails.checkoutUrl = checkout.redirectUrl;
+    recordGatewayResponse(payment, { success: true, message: 'checkout_created', raw: checkout.raw });
+  } catch (error) {
+    console.error(`Starting ${gatewayName} payment ${payment.paymentId} failed:`, error.message);
+    payment.status = 'failed';
+    recordGatewayResponse(payment, { success: false, message: error.message, raw: error.raw });
+    await payment.save();
+    throw new AppError(`Could not start the ${payment.paymentMethod} payment. Please try again.`, 502);
+  }
+
+  await payment.save();
+  return payment;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// What the customer still owes on a booking: the cancellation fee once it is
+// cancelled, otherwise the total less what completed payments already cover
+export const amountDue = async (booking) => {
+  if (booking.status === 'cancelled') {
+    return booking.cancellationFeeStatus === 'due' ? booking.cancellationFee || 0 : 0;
+  }
+  const [paid] = await Payment.aggregate([
+    { $match: { booking: booking._id, status: 'completed' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return Math.max(0, roundAmount((booking.totalAmount || 0) - (paid?.total || 0)));
+};
+
+// Payments a confirmation may still settle; an expired one may have been paid late
+const OPEN_STATUSES = ['pending', 'expired'];
+
+// Save a payment only while it is still open, so when a callback, a webhook
+// and a manual confirmation race only one of them settles it. Returns false,
+// with the stored status loaded, if another request got there first.
+const saveIfOpen = async (payment) => {
+  payment.$where = { status: { $in: OPEN_STATUSES } };
+  try {
+    await payment.save();
+    return true;
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.DocumentNotFoundError)) throw error;
+    const current = await Payment.findById(payment._id).select('status').lean();
+    payment.status = current?.status;
+    return false;
+  } finally {
+    payment.$where = undefined;
+  }
+};
+
+// Mirror a payment's outcome on its booking (or its cancellation fee)
+export const syncBookingPaymentStatus = async (payment) => {
+  if (payment.status === 'completed') {
+    await Booking.updateOne(
+      { _id: payment.booking, paymentStatus: { $ne: 'paid' } },
+      { $set: { paymentStatus: 'paid', isPaid: true, paidAt: payment.paidAt } }
+    );
+    await Booking.updateOne(
+      { _id: payment.booking, cancellationFeeStatus: 'due' },
+      { $set: { cancellationFeeStatus: 'paid' } }
+    );
+    return;
+  }
+
+  // A failed attempt only shows on the booking while nothing else was paid
+  if (['failed', 'cancelled'].includes(payment.status)) {
+    const paid = await Payment.exists({ booking: payment.booking, status: 'completed' });
+    if (!paid) {
+      await Booking.updateOne(
+        { _id: payment.booking, paymentStatus: 'pending' },
+        { $set: { paymentStatus: 'failed' } }
+      );
+    }
+  }
+};
+
+// Mark a payment paid and the booking with it. The booking, ledger and
+// notifications are only updated by the request that completes the payment.
+export const markPaymentCompleted = async (payment, { transactionId, gateway } = {}) => {
+  const paidAt = new Date();
+  payment.status = 'completed';
+  payment.paidAt = paidAt;
+  payment.paymentDetails.transactionId = transactionId || payment.paymentDetails.transactionId;
+  payment.paymentDetails.paymentDate = paidAt;
+  if (transactionId && payment.mfsDetails?.senderNumber) payment.mfsDetails.transactionId = transactionId;
+  if (gateway) payment.paymentDetails.gateway = gateway;
+  if (!(await saveIfOpen(payment))) {
+    if (payment.status === 'completed') return payment;
+    throw new AppError(`This payment is ${payment.status}`, 409);
+  }
+
+  await syncBookingPaymentStatus(payment);
+  await postPaymentReceived(payment);
+  // Earnings post once the booking is both paid and completed, in either order
+  await postServiceEarnings(payment.booking);
+
+  notifyUsers([payment.customer, payment.mechanic], {
+    type: 'payment',
+    title: 'Payment received',
+    message: `Payment of ${payment.amount} BDT has been completed.`,
+    booking: payment.booking,
+    payment: payment._id
+  });
+
+  return payment;
+};
+
+// Ask the gateway what happened to a payment. Only a confirmed payment of
+// the full amount is completed; the client's word is never taken for it.
+// `execute` finalises an approved checkout (bKash needs this); otherwise
+// the gateway is only queried.
+export const confirmGatewayPayment = async (payment, { params = {}, execute = true } = {}) => {
+  if (payment.status === 'completed') return payment;
+  // An expired payment is still checked: the customer may have paid late
+  if (!['pending', 'expired'].includes(payment.status)) {
+    throw new AppError(`This payment is ${payment.status}`, 400);
+  }
+  if (!payment.paymentDetails?.gateway) {
+    throw new AppError('This payment was not made through a payment gateway', 400);
+  }
+
+  const gateway = getPaymentGateway(payment.paymentDetails.gateway);
+  const request = { gatewayPaymentId: payment.paymentDetails.gatewayPaymentId, reference: payment.paymentId, params };
+
+  let result;
+  try {
+    result = execute ? await gateway.executePayment(request) : await gateway.queryPayment(request);
+  } catch (error) {
+    // An execute can fail because it already went through; the status query tells
+    try {
+      result = await gateway.queryPayment(request);
+    } catch (queryError) {
+      console.error(`Confirming payment ${payment.paymentId} failed:`, error.message);
+      recordGatewayResponse(payment, { success: false, message: error.message, raw: error.raw });
+      await payment.save();
+      throw new AppError('Could not confirm the payment with the gateway. Please try again.', 502);
+    }
+  }
+
+  recordGatewayResponse(payment, { success: result.status === 'completed', message: result.status, raw: result.raw });
+
+  if (result.status === 'completed') {
+    if (result.amount !== undefined && Math.abs(result.amount - payment.amount) > 0.009) {
+      payment.paymentDetails.gatewayResponse.message = `Amount mismatch: gateway reported ${result.amount}`;
+      if (await holdForReview(payment, { reason: 'amount_mismatch', amount: result.amount, transactionId: result.transactionId })) {
+        throw new AppError('The amount paid does not match this payment. Please contact support.', 400);
+      }
+      return payment;
+    }
+    // A late payment on an expired checkout only counts if the booking
+    // still needs it (not paid another way, not cancelled)
+    if (payment.status === 'expired') {
+      const booking = await Booking.findById(payment.booking);
+      if (!booking || (await amountDue(booking)) < payment.amount - 0.009) {
+        await holdForReview(payment, { reason: 'not_due', amount: payment.amount, transactionId: result.transactionId });
+        return payment;
+      }
+    }
+    return markPaymentCompleted(payment, { transactionId: result.transactionId });
+  }
+
+  if (['failed', 'cancelled'].includes(result.status)) {
+    payment.status = result.status;
+  }
+  if (await saveIfOpen(payment)) {
+    await syncBookingPaymentStatus(payment);
+  }
+  return payment;
+};
+
+// Money the gateway took that can't go towards the booking. It is booked as
+// received and left for finance to refund. Returns false if another request
+// settled the payment first.
+const holdForReview = async (payment, { reason, amount, transactionId }) => {
+  payment.status = 'needs_review';
+  payment.review = { reason, amountReceived: amount, flaggedAt: new Date() };
+  payment.paidAt = new Date();
+  if (transactionId) payment.paymentDetails.transactionId = transactionId;
+  if (!(await saveIfOpen(payment))) return false;
+
+  console.error(`Payment ${payment.paymentId} held for review (${reason}): received ${amount} BDT`);
+  await postPaymentReceived(payment);
+  notifyUsers([payment.customer], {
+    type: 'payment',
+    title: 'Payment under review',
+    message: `We received ${amount} BDT for payment ${payment.paymentId} but could not apply it to your booking. ` +
+      'Our team will review it and refund you.',
+    booking: payment.booking,
+    payment: payment._id
+  });
+  return true;
+};
+
+// Bring a payment and its booking in line with what the gateway reports,
+// e.g. after a webhook. Safe to repeat.
+export const reconcilePayment = async (payment, { params } = {}) => {
+  if (['pending', 'expired'].includes(payment.status) && payment.paymentDetails?.gateway) {
+    await confirmGatewayPayment(payment, { params });
+  }
+  await syncBookingPaymentStatus(payment);
+  return payment;
+};
+
+// The customer's browser coming back from the gateway. The callback only
+// says which payment to look at; its status is checked with the gateway.
+export const handleGatewayCallback = async (gatewayName, params) => {
+  const gateway = getPaymentGateway(gatewayName);
+  const { gatewayPaymentId, reference, approved } = gateway.parseCallback(params);
+  if (!gatewayPaymentId && !reference) {
+    throw new AppError('Callback does not identify a payment', 400);
+  }
+
+  const payment = await Payment.findOne({
+    'paymentDetails.gateway': gatewayName,
+    ...(gatewayPaymentId ? { 'paymentDetails.gatewayPaymentId': gatewayPaymentId } : { paymentId: reference })
+  });
+  if (!payment) {
+    throw new AppError('Payment not found', 404);
+  }
+  if (payment.status !== 'pending') return payment;
+
+  return confirmGatewayPayment(payment, { params, execute: approved });
+};
+
+// Refund through the gateway that took the payment
+export const refundGatewayPayment = async (payment, { amount, reason }) => {
+  const gateway = getPaymentGateway(payment.paymentDetails.gateway);
+  try {
+    return await gateway.refundPayment({
+      gatewayPaymentId: payment.paymentDetails.gatewayPaymentId,
+      transactionId: payment.paymentDetails.transactionId,
+      reference: payment.paymentId,
+      amount,
+      originalAmount: payment.receivedAmount(),
+      paidAt: payment.paidAt,
+      reason
+    });
+  } catch (error) {
+    console.error(`Gateway refund for payment ${payment.paymentId} failed:`, error.message);
+    throw new AppError(`The payment gateway did not accept the refund: ${error.message}`, 502);
+  }
+};
+
+// Cancel a payment nothing was paid on yet. Goes through only while it is
+// still pending, so it can't undo a payment a gateway settled meanwhile.
+export const cancelPayment = async (payment) => {
+  const cancelled = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw new AppError('Only a pending payment can be cancelled', 409);
+  }
+  await syncBookingPaymentStatus(cancelled);
+  return cancelled;
+};
+
+// Mark pending payments that were never completed before expiresAt. The
+// customer can then start a new payment for the booking.
+export const expireUnpaidPayments = async (now = new Date()) => {
+  const result = await Payment.updateMany(
+    { status: 'pending', expiresAt: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  return { expired: result.modifiedCount };
+};
+
+// Expire a booking's unfinished gateway checkouts, e.g. once it is cancelled,
+// so none of them can still be paid for the booking amount. A payment that
+// goes through late anyway is held for review (see confirmGatewayPayment).
+export const expireBookingPayments = async (bookingId) => {
+  const result = await Payment.updateMany(
+    { booking: bookingId, status: 'pending', 'paymentDetails.gateway': { $exists: true } },
+    { $set: { status: 'expired' } }
+  );
+  return { expired: result.modifiedCount };
+};
+
+export default {
+  GATEWAY_METHODS,
+  registerPaymentGateway,
+  hasPaymentGateway,
+  getPaymentGateway,
+  isGatewayMethod,
+  gatewayNameFor,
+  gatewayCallbackUrl,
+  gatewayWebhookUrl,
+  startGatewayPayment,
+  amountDue,
+  syncBookingPaymentStatus,
+  markPaymentCompleted,
+  confirmGatewayPayment,
+  cancelPayment,
+  reconcilePayment,
+  handleGatewayCallback,
+  refundGatewayPayment,
+  expireUnpaidPayments,
+  expireBookingPayments
+};
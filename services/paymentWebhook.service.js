@@ -0,0 +1,106 @@
+import Payment from '../models/payment.model.js';
+import WebhookEvent from '../models/webhookEvent.model.js';
+import config from '../config/env.js';
+import AppError from '../utils/appError.js';
+import { hasPaymentGateway, getPaymentGateway, reconcilePayment } from './payment.service.js';
+
+// The payment an event is about, looked up by whatever the provider sent
+const findPaymentForEvent = (gatewayName, { gatewayPaymentId, reference, transactionId }) => {
+  const match = [
+    gatewayPaymentId && { 'paymentDetails.gatewayPaymentId': gatewayPaymentId },
+    reference && { paymentId: reference },
+    transactionId && { 'paymentDetails.transactionId': transactionId }
+  ].filter(Boolean);
+  if (match.length === 0) return null;
+
+  return Payment.findOne({ 'paymentDetails.gateway': gatewayName, $or: match });
+};
+
+// Reconcile the payment with the gateway, then keep the event payload on it
+const processWebhookEvent = async (gatewayName, event) => {
+  const payment = await findPaymentForEvent(gatewayName, event);
+  if (!payment) return null;
+
+  await reconcilePayment(payment, { params: event.params });
+
+  payment.paymentDetails.gatewayResponse = {
+    success: payment.status === 'completed',
+    message: `Webhook ${event.eventType || 'event'}`,
+    code: event.eventType,
+    timestamp: new Date(),
+    rawResponse: event.payload
+  };
+  await payment.save();
+
+  return payment;
+};
+
+// Verify, record and process one webhook delivery. A redelivered event is
+// acknowledged without being processed again, unless it failed last time.
+export const handlePaymentWebhook = async (gatewayName, { rawBody, headers = {}, body }) => {
+  if (!hasPaymentGateway(gatewayName)) {
+    throw new AppError('Unknown payment gateway', 404);
+  }
+  const gateway = getPaymentGateway(gatewayName);
+  if (!gateway.verifyWebhook) {
+    throw new AppError(`${gatewayName} does not send webhooks`, 404);
+  }
+  if (!rawBody?.length) {
+    throw new AppError('Webhook body is empty', 400);
+  }
+
+  const raw = rawBody.toString('utf8');
+  let event;
+  try {
+    event = await gateway.verifyWebhook({ rawBody: raw, headers, body });
+  } catch (error) {
+    console.warn(`Rejected ${gatewayName} webhook:`, error.message);
+    throw new AppError('Invalid webhook signature', 401);
+  }
+  if (!event.eventId) {
+    throw new AppError('Webhook does not identify the event', 400);
+  }
+
+  const toleranceMs = config.PAYMENT_WEBHOOK_TOLERANCE_SECONDS * 1000;
+  if (event.occurredAt && Math.abs(Date.now() - event.occurredAt.getTime()) > toleranceMs) {
+    throw new AppError('Webhook timestamp is outside the allowed window', 400);
+  }
+
+  let record;
+  try {
+    record = await WebhookEvent.create({
+      gateway: gatewayName,
+      eventId: event.eventId,
+      eventType: event.eventType,
+      occurredAt: event.occurredAt,
+      rawBody: raw,
+      payload: event.payload
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    record = await WebhookEvent.findOne({ gateway: gatewayName, eventId: event.eventId });
+    if (record.status !== 'failed') {
+      return { event: record, payment: null, duplicate: true };
+    }
+    record.attempts += 1;
+  }
+
+  try {
+    const payment = await processWebhookEvent(gatewayName, event);
+    record.status = payment ? 'processed' : 'ignored';
+    record.payment = payment?._id;
+    record.error = undefined;
+    record.processedAt = new Date();
+    await record.save();
+    return { event: record, payment, duplicate: false };
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+export default {
+  handlePaymentWebhook
+};
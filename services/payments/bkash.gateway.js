@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+
+// bKash Tokenized Checkout (https://developer.bka.sh)
+const DEFAULT_URL = 'https://tokenized.sandbox.bka.sh/v1.2.0-beta';
+const TOKEN_SAFETY_MS = 60 * 1000;
+
+const STATUS_MAP = {
+  Completed: 'completed',
+  Initiated: 'pending',
+  Authorized: 'pending',
+  Cancelled: 'cancelled',
+  Failed: 'failed',
+  Expired: 'failed'
+};
+
+// bKash delivers webhooks through Amazon SNS. Each message is signed with
+// an SNS certificate over these fields, in this order.
+const SNS_SIGNED_FIELDS = {
+  Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+  SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type']
+};
+const SNS_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com$/;
+const SNS_CERT_PATH = /^\/SimpleNotificationService-[A-Za-z0-9]+\.pem$/;
+// SNS rotates its signing certificate rarely; keep only a few around
+const MAX_CERTIFICATES = 10;
+
+const gatewayError = (message, raw) => {
+  const error = new Error(message);
+  error.raw = raw;
+  return error;
+};
+
+const isSnsUrl = (value, path) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && !url.port && SNS_HOST.test(url.hostname) && (!path || path.test(url.pathname));
+  } catch {
+    return false;
+  }
+};
+
+export const createBkashGateway = ({
+  baseUrl = DEFAULT_URL,
+  appKey,
+  appSecret,
+  username,
+  password,
+  webhookTopicArn,
+  timeoutMs = 15000
+}) => {
+  if (!appKey || !appSecret || !username || !password) {
+    throw new Error('bKash gateway requires BKASH_APP_KEY, BKASH_APP_SECRET, BKASH_USERNAME and BKASH_PASSWORD');
+  }
+  // Any SNS topic can sign messages; only bKash's own may reach the webhook
+  if (!webhookTopicArn) {
+    throw new Error('bKash gateway requires BKASH_WEBHOOK_TOPIC_ARN');
+  }
+
+  let token = null;
+  let tokenExpiresAt = 0;
+
+  const post = async (path, body, headers) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw gatewayError(data.statusMessage || `bKash responded with HTTP ${response.status}`, data);
+    }
+    return data;
+  };
+
+  // Grant tokens last an hour; reuse one until shortly before it expires
+  const getToken = async () => {
+    if (token && Date.now() < tokenExpiresAt) return token;
+    const data = await post('/tokenized/checkout/token/grant', { app_key: appKey, app_secret: appSecret }, { username, password });
+    if (!data.id_token) {
+      throw gatewayError(data.statusMessage || 'bKash did not grant a token', data);
+    }
+    token = data.id_token;
+    tokenExpiresAt = Date.now() + (Number(data.expires_in) || 3600) * 1000 - TOKEN_SAFETY_MS;
+    return token;
+  };
+
+  const call = async (path, body) => {
+    const data = await post(path, body, { Authorization: await getToken(), 'X-APP-Key': appKey });
+    if (data.statusCode && data.statusCode !== '0000') {
+      throw gatewayError(data.statusMessage || `bKash error ${data.statusCode}`, data);
+    }
+    return data;
+  };
+
+  const certificates = new Map();
+
+  const getCertificate = async (url) => {
+    if (!certificates.has(url)) {
+      const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+      if (!response.ok) {
+        throw gatewayError(`Could not fetch the SNS signing certificate (HTTP ${response.status})`);
+      }
+      if (certificates.size >= MAX_CERTIFICATES) {
+        certificates.delete(certificates.keys().next().value);
+      }
+      certificates.set(url, await response.text());
+    }
+    return certificates.get(url);
+  };
+
+  const verifySnsMessage = async (message) => {
+    const fields = SNS_SIGNED_FIELDS[message.Type];
+    if (!fields) throw gatewayError(`Unexpected SNS message type ${message.Type}`, message);
+    if (!isSnsUrl(message.SigningCertURL, SNS_CERT_PATH)) throw gatewayError('SNS certificate URL is not an Amazon SNS certificate', message);
+    if (message.TopicArn !== webhookTopicArn) throw gatewayError('SNS message is for a different topic', message);
+
+    const signed = fields
+      .filter(field => message[field] !== undefined)
+      .map(field => `${field}\n${message[field]}\n`)
+      .join('');
+    const algorithm = message.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+    const valid = crypto.verify(
+      algorithm,
+      Buffer.from(signed),
+      await getCertificate(message.SigningCertURL),
+      Buffer.from(message.Signature || '', 'base64')
+    );
+    if (!valid) throw gatewayError('SNS signature does not match', message);
+  };
+
+  const toResult = (data) => ({
+    status: STATUS_MAP[data.transactionStatus] || 'pending',
+    transactionId: data.trxID,
+    amount: data.amount !== undefined ? Number(data.amount) : undefined,
+    raw: data
+  });
+
+  return {
+    name: 'bkash',
+
+    async createPayment({ reference, amount, callbackUrl, payerReference }) {
+      const data = await call('/tokenized/checkout/create', {
+        mode: '0011',
+        payerReference: payerReference || reference,
+        callbackURL: callbackUrl,
+        amount: Number(amount).toFixed(2),
+        currency: 'BDT',
+        intent: 'sale',
+        merchantInvoiceNumber: reference
+      });
+      return { gatewayPaymentId: data.paymentID, redirectUrl: data.bkashURL, raw: data };
+    },
+
+    // Called once the customer approved the payment in the bKash app
+    async executePayment({ gatewayPaymentId }) {
+      return toResult(await call('/tokenized/checkout/execute', { paymentID: gatewayPaymentId }));
+    },
+
+    async queryPayment({ gatewayPaymentId }) {
+      return toResult(await call('/tokenized/checkout/payment/status', { paymentID: gatewayPaymentId }));
+    },
+
+    async refundPayment({ gatewayPaymentId, transactionId, amount, reason, reference }) {
+      const data = await call('/tokenized/checkout/payment/refund', {
+        paymentID: gatewayPaymentId,
+        trxID: transactionId,
+        amount: Number(amount).toFixed(2),
+        sku: reference,
+        reason: (reason || 'Refund').slice(0, 255)
+      });
+      if (data.transactionStatus !== 'Completed') {
+        throw gatewayError(`bKash refund ${data.transactionStatus || 'was not completed'}`, data);
+      }
+      return { refundId: data.refundTrxID, raw: data };
+    },
+
+    // bKash sends the customer to callbackURL?paymentID=...&status=success|failure|cancel
+    parseCallback(params) {
+      return { gatewayPaymentId: params.paymentID, approved: params.status === 'success' };
+    },
+
+    // SNS posts the envelope as text/plain. A new subscription is confirmed
+    // by visiting SubscribeURL once its signature checks out.
+    async verifyWebhook({ rawBody }) {
+      const message = JSON.parse(rawBody);
+      await verifySnsMessage(message);
+      const occurredAt = new Date(message.Timestamp);
+
+      if (message.Type === 'SubscriptionConfirmation') {
+        if (!isSnsUrl(message.SubscribeURL)) throw gatewayError('SNS subscribe URL is not an Amazon SNS host', message);
+        const response = await fetch(message.SubscribeURL, { signal: AbortSignal.timeout(timeoutMs) });
+        if (!response.ok) throw gatewayError(`SNS subscription confirmation failed (HTTP ${response.status})`);
+        return { eventId: message.MessageId, eventType: 'subscription_confirmation', occurredAt, payload: message };
+      }
+
+      const transaction = JSON.parse(message.Message);
+      return {
+        eventId: message.MessageId,
+        eventType: transaction.transactionStatus,
+        occurredAt,
+        reference: transaction.merchantInvoiceNumber,
+        transactionId: transaction.trxID,
+        payload: transaction
+      };
+    }
+  };
+};
+
+export default createBkashGateway;
@@ -0,0 +1,80 @@
+// Local sandbox gateway: talks to scripts/mock-gateway.js, which plays the
+// part of bKash, Nagad or SSLCommerz during development and tests.
+import { verifyWebhookSignature } from './webhookSignature.js';
+
+const gatewayError = (message, raw) => {
+  const error = new Error(message);
+  error.raw = raw;
+  return error;
+};
+
+export const createMockGateway = ({ baseUrl = 'http://localhost:4010', webhookSecret, timeoutMs = 5000 } = {}) => {
+  const request = async (method, path, body) => {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      throw gatewayError(`Mock gateway unreachable at ${baseUrl} (run npm run mock:gateway): ${error.message}`);
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw gatewayError(data.message || `Mock gateway responded with HTTP ${response.status}`, data);
+    }
+    return data;
+  };
+
+  const toResult = (data) => ({
+    status: data.status,
+    transactionId: data.transactionId,
+    amount: data.amount,
+    raw: data
+  });
+
+  return {
+    name: 'mock',
+
+    async createPayment({ reference, amount, callbackUrl, webhookUrl, method }) {
+      const data = await request('POST', '/payments', { reference, amount, method, callbackUrl, webhookUrl });
+      return { gatewayPaymentId: data.paymentId, redirectUrl: data.redirectUrl, raw: data };
+    },
+
+    async executePayment({ gatewayPaymentId }) {
+      return toResult(await request('POST', `/payments/${encodeURIComponent(gatewayPaymentId)}/execute`));
+    },
+
+    async queryPayment({ gatewayPaymentId }) {
+      return toResult(await request('GET', `/payments/${encodeURIComponent(gatewayPaymentId)}`));
+    },
+
+    async refundPayment({ gatewayPaymentId, amount, reason }) {
+      const data = await request('POST', `/payments/${encodeURIComponent(gatewayPaymentId)}/refund`, { amount, reason });
+      return { refundId: data.refundId, raw: data };
+    },
+
+    // The sandbox sends the customer to callbackUrl?paymentId=...&status=success|failure
+    parseCallback(params) {
+      return { gatewayPaymentId: params.paymentId, approved: params.status === 'success' };
+    },
+
+    // The sandbox signs its events with the shared secret (X-Mock-Signature)
+    verifyWebhook({ rawBody, headers }) {
+      const occurredAt = verifyWebhookSignature(webhookSecret, headers['x-mock-signature'], rawBody);
+      const event = JSON.parse(rawBody);
+      return {
+        eventId: event.id,
+        eventType: event.type,
+        occurredAt,
+        gatewayPaymentId: event.paymentId,
+        reference: event.reference,
+        payload: event
+      };
+    }
+  };
+};
+
+export default createMockGateway;
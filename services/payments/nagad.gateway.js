@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+
+// Nagad Online Payment Gateway (merchant checkout API v-0.2.0). Request data
+// is encrypted with Nagad's public key and signed with our private key;
+// responses come back encrypted with our public key.
+const DEFAULT_URL = 'http://sandbox.mynagad.com:10080/remote-payment-gateway-1.0';
+
+const STATUS_MAP = {
+  Success: 'completed',
+  Ready: 'pending',
+  InProgress: 'pending',
+  Aborted: 'cancelled',
+  Cancelled: 'cancelled',
+  Failed: 'failed'
+};
+
+const gatewayError = (message, raw) => {
+  const error = new Error(message);
+  error.raw = raw;
+  return error;
+};
+
+// Keys are usually handed out as bare base64; accept PEM too
+const toPem = (key, label) => {
+  if (key.includes('-----BEGIN')) return key;
+  const body = key.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN ${label}-----\n${body}\n-----END ${label}-----`;
+};
+
+// "YYYYMMDDHHmmss" in Dhaka time
+const nagadDateTime = (date = new Date()) => {
+  return new Date(date.getTime() + 6 * 60 * 60 * 1000).toISOString().replace(/\D/g, '').slice(0, 14);
+};
+
+export const createNagadGateway = ({
+  baseUrl = DEFAULT_URL,
+  merchantId,
+  merchantNumber,
+  pgPublicKey,
+  merchantPrivateKey,
+  clientIp = '127.0.0.1',
+  timeoutMs = 15000
+}) => {
+  if (!merchantId || !merchantNumber || !pgPublicKey || !merchantPrivateKey) {
+    throw new Error('Nagad gateway requires NAGAD_MERCHANT_ID, NAGAD_MERCHANT_NUMBER, NAGAD_PG_PUBLIC_KEY and NAGAD_MERCHANT_PRIVATE_KEY');
+  }
+  const publicKey = toPem(pgPublicKey, 'PUBLIC KEY');
+  const privateKey = toPem(merchantPrivateKey, 'PRIVATE KEY');
+
+  const encrypt = (data) => crypto.publicEncrypt(
+    { key: publicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+    Buffer.from(JSON.stringify(data))
+  ).toString('base64');
+  const decrypt = (data) => JSON.parse(crypto.privateDecrypt(
+    { key: privateKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+    Buffer.from(data, 'base64')
+  ).toString());
+  const sign = (data) => crypto.sign('sha256', Buffer.from(JSON.stringify(data)), privateKey).toString('base64');
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-KM-Api-Version': 'v-0.2.0',
+        'X-KM-IP-V4': clientIp,
+        'X-KM-Client-Type': 'PC_WEB'
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.reason) {
+      throw gatewayError(data.message || `Nagad responded with HTTP ${response.status}`, data);
+    }
+    return data;
+  };
+
+  const signed = (data) => ({ sensitiveData: encrypt(data), signature: sign(data) });
+
+  const verify = async (gatewayPaymentId) => {
+    const data = await request('GET', `/api/dfs/verify/payment/${encodeURIComponent(gatewayPaymentId)}`);
+    return {
+      status: STATUS_MAP[data.status] || 'pending',
+      transactionId: data.issuerPaymentRefNo,
+      amount: data.amount !== undefined ? Number(data.amount) : undefined,
+      raw: data
+    };
+  };
+
+  return {
+    name: 'nagad',
+
+    // Two steps: initialize returns a payment reference and a challenge,
+    // complete turns them into the checkout URL
+    async createPayment({ reference, amount, callbackUrl }) {
+      const dateTime = nagadDateTime();
+      const challenge = crypto.randomBytes(20).toString('hex');
+
+      const initialized = await request(
+        'POST',
+        `/api/dfs/check-out/initialize/${merchantId}/${encodeURIComponent(reference)}?purpose=ECOM_TXN`,
+        { accountNumber: merchantNumber, dateTime, ...signed({ merchantId, datetime: dateTime, orderId: reference, challenge }) }
+      );
+      const session = decrypt(initialized.sensitiveData);
+
+      const completed = await request(
+        'POST',
+        `/api/dfs/check-out/complete/${encodeURIComponent(session.paymentReferenceId)}`,
+        {
+          ...signed({
+            merchantId,
+            orderId: reference,
+            currencyCode: '050',
+            amount: Number(amount).toFixed(2),
+            challenge: session.challenge
+          }),
+          merchantCallbackURL: callbackUrl,
+          additionalMerchantInfo: {}
+        }
+      );
+      if (completed.status !== 'Success') {
+        throw gatewayError(completed.message || 'Nagad did not start the payment', completed);
+      }
+
+      return { gatewayPaymentId: session.paymentReferenceId, redirectUrl: completed.callBackUrl, raw: completed };
+    },
+
+    // Nagad completes the payment itself; we only verify it
+    async executePayment({ gatewayPaymentId }) {
+      return verify(gatewayPaymentId);
+    },
+
+    async queryPayment({ gatewayPaymentId }) {
+      return verify(gatewayPaymentId);
+    },
+
+    async refundPayment({ gatewayPaymentId, transactionId, amount, originalAmount, paidAt, reason, reference }) {
+      const data = await request(
+        'POST',
+        `/api/dfs/purchase/cancel?paymentRefId=${encodeURIComponent(gatewayPaymentId)}&orderId=${encodeURIComponent(reference)}`,
+        signed({
+          merchantId,
+          originalRequestDate: nagadDateTime(paidAt),
+          originalAmount: Number(originalAmount ?? amount).toFixed(2),
+          cancelAmount: Number(amount).toFixed(2),
+          referenceNo: transactionId,
+          referenceMessage: (reason || 'Refund').slice(0, 100)
+        })
+      );
+      const result = data.sensitiveData ? decrypt(data.sensitiveData) : data;
+      return { refundId: result.cancelTrxId || result.cancelIssuerTrxId, raw: result };
+    },
+
+    // Nagad sends the customer to merchantCallbackURL?payment_ref_id=...&order_id=...&status=Success|Aborted
+    parseCallback(params) {
+      return { gatewayPaymentId: params.payment_ref_id, reference: params.order_id, approved: params.status === 'Success' };
+    }
+  };
+};
+
+export default createNagadGateway;
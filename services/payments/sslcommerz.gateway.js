@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+
+// SSLCommerz hosted checkout (https://developer.sslcommerz.com). Used for the
+// MFS wallets without a direct integration (Rocket, upay, tap, SureCash) and cards.
+const DEFAULT_URL = 'https://sandbox.sslcommerz.com';
+
+// Which options the hosted page offers for each of our payment methods
+const METHOD_CARDS = {
+  rocket: 'dbblmobilebanking',
+  card: 'visacard,mastercard,amexcard',
+  mobile_banking: 'mobilebank',
+  upay: 'mobilebank',
+  tap: 'mobilebank',
+  sure_cash: 'mobilebank'
+};
+
+const STATUS_MAP = {
+  VALID: 'completed',
+  VALIDATED: 'completed',
+  PENDING: 'pending',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  INVALID_TRANSACTION: 'failed'
+};
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+const gatewayError = (message, raw) => {
+  const error = new Error(message);
+  error.raw = raw;
+  return error;
+};
+
+export const createSslCommerzGateway = ({ baseUrl = DEFAULT_URL, storeId, storePassword, timeoutMs = 15000 }) => {
+  if (!storeId || !storePassword) {
+    throw new Error('SSLCommerz gateway requires SSLCOMMERZ_STORE_ID and SSLCOMMERZ_STORE_PASSWORD');
+  }
+
+  const request = async (path, { method = 'GET', params }) => {
+    const form = new URLSearchParams({ store_id: storeId, store_passwd: storePassword, ...params });
+    const url = method === 'GET' ? `${baseUrl}${path}?${form}` : `${baseUrl}${path}`;
+    const response = await fetch(url, {
+      method,
+      headers: method === 'GET' ? { Accept: 'application/json' } : { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: method === 'GET' ? undefined : form,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw gatewayError(data.failedreason || `SSLCommerz responded with HTTP ${response.status}`, data);
+    }
+    return data;
+  };
+
+  const toResult = (data) => ({
+    status: STATUS_MAP[data.status] || 'pending',
+    transactionId: data.bank_tran_id,
+    amount: data.amount !== undefined ? Number(data.amount) : undefined,
+    raw: data
+  });
+
+  // Latest attempt for our transaction reference
+  const queryByReference = async (reference) => {
+    const data = await request('/validator/api/merchantTransIDvalidationAPI.php', {
+      params: { tran_id: reference, format: 'json' }
+    });
+    const attempts = Array.isArray(data.element) ? data.element : [];
+    const attempt = attempts.find(element => STATUS_MAP[element.status] === 'completed') || attempts[0];
+    return attempt ? toResult(attempt) : { status: 'pending', raw: data };
+  };
+
+  return {
+    name: 'sslcommerz',
+
+    async createPayment({ reference, amount, callbackUrl, webhookUrl, method, customer = {} }) {
+      const data = await request('/gwprocess/v4/api.php', {
+        method: 'POST',
+        params: {
+          total_amount: Number(amount).toFixed(2),
+          currency: 'BDT',
+          tran_id: reference,
+          success_url: callbackUrl,
+          fail_url: callbackUrl,
+          cancel_url: callbackUrl,
+          ...(webhookUrl ? { ipn_url: webhookUrl } : {}),
+          multi_card_name: METHOD_CARDS[method] || '',
+          cus_name: customer.name || 'Customer',
+          cus_phone: customer.phone || '',
+          cus_email: customer.email || 'customer@mechanicbd.com',
+          cus_add1: 'Dhaka',
+          cus_city: 'Dhaka',
+          cus_country: 'Bangladesh',
+          shipping_method: 'NO',
+          product_name: 'Mechanic service',
+          product_category: 'Service',
+          product_profile: 'non-physical-goods'
+        }
+      });
+      if (data.status !== 'SUCCESS') {
+        throw gatewayError(data.failedreason || 'SSLCommerz did not start the payment', data);
+      }
+      return { gatewayPaymentId: data.sessionkey, redirectUrl: data.GatewayPageURL, raw: data };
+    },
+
+    // The callback carries a val_id to validate; without one, look the
+    // transaction up by our reference
+    async executePayment({ reference, params = {} }) {
+      if (!params.val_id) return queryByReference(reference);
+      const data = await request('/validator/api/validationserverAPI.php', {
+        params: { val_id: params.val_id, format: 'json' }
+      });
+      if (data.tran_id && data.tran_id !== reference) {
+        throw gatewayError('SSLCommerz validation is for a different transaction', data);
+      }
+      return toResult(data);
+    },
+
+    async queryPayment({ reference }) {
+      return queryByReference(reference);
+    },
+
+    async refundPayment({ transactionId, amount, reason }) {
+      const data = await request('/validator/api/merchantTransIDvalidationAPI.php', {
+        params: {
+          bank_tran_id: transactionId,
+          refund_amount: Number(amount).toFixed(2),
+          refund_remarks: (reason || 'Refund').slice(0, 255),
+          format: 'json'
+        }
+      });
+      if (data.APIConnect !== 'DONE' || data.status !== 'success') {
+        throw gatewayError(data.errorReason || 'SSLCommerz did not accept the refund', data);
+      }
+      return { refundId: data.refund_ref_id, raw: data };
+    },
+
+    // SSLCommerz posts tran_id, val_id and status (VALID, FAILED, CANCELLED)
+    parseCallback(params) {
+      return { reference: params.tran_id, approved: ['VALID', 'VALIDATED'].includes(params.status) };
+    },
+
+    // IPN: verify_sign is the MD5 of the fields named in verify_key plus
+    // md5(store password), sorted by name and joined as a query string
+    verifyWebhook({ body = {} }) {
+      const { verify_sign: signature, verify_key: verifyKey } = body;
+      if (!signature || !verifyKey) {
+        throw gatewayError('IPN is not signed', body);
+      }
+      if (body.store_id && body.store_id !== storeId) {
+        throw gatewayError('IPN is for a different store', body);
+      }
+
+      const fields = Object.fromEntries(verifyKey.split(',').map(key => [key, body[key] ?? '']));
+      fields.store_passwd = md5(storePassword);
+      const signed = Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('&');
+
+      const expected = Buffer.from(md5(signed));
+      const received = Buffer.from(String(signature));
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw gatewayError('IPN signature does not match', body);
+      }
+
+      return {
+        eventId: body.val_id || `${body.tran_id}:${body.status}`,
+        eventType: body.status,
+        reference: body.tran_id,
+        transactionId: body.bank_tran_id,
+        params: body,
+        payload: body
+      };
+    }
+  };
+};
+
+export default createSslCommerzGateway;
@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+
+// HMAC webhook signatures: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>".
+// The timestamp is part of the signed data so an old event cannot be
+// replayed with a fresh one.
+const digest = (secret, timestamp, rawBody) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+export const signWebhookPayload = (secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${digest(secret, timestamp, rawBody)}`;
+};
+
+// Returns when the event was signed; throws if the signature does not match
+export const verifyWebhookSignature = (secret, header, rawBody) => {
+  if (!secret) throw new Error('Webhook secret is not configured');
+  if (!header) throw new Error('Webhook is not signed');
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    throw new Error('Malformed webhook signature');
+  }
+
+  const expected = Buffer.from(digest(secret, timestamp, rawBody), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Webhook signature does not match');
+  }
+
+  return new Date(timestamp * 1000);
+};
+
+export default {
+  signWebhookPayload,
+  verifyWebhookSignature
+};
@@ -0,0 +1,362 @@
+import mongoose from 'mongoose';
+import Payout, { OPEN_PAYOUT_STATUSES } from '../models/payout.model.js';
+import PayoutBatch from '../models/payoutBatch.model.js';
+import LedgerTransaction from '../models/ledgerTransaction.model.js';
+import Booking from '../models/booking.model.js';
+import Payment from '../models/payment.model.js';
+import User from '../models/user.model.js';
+import config from '../config/env.js';
+import AppError from '../utils/appError.js';
+import { getBalance, postPayout } from './ledger.service.js';
+import { notify } from './notification.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id?._id || id));
+
+// Only the last digits of an account number are shown back
+export const maskAccountNumber = (value) => (value ? `${'*'.repeat(Math.max(value.length - 4, 0))}${value.slice(-4)}` : value);
+
+// What a mechanic can be paid now: the ledger balance, less earnings the
+// platform doesn't hold the money for yet and money already in open payouts.
+// The ledger nets cash jobs against the commission owed on them (the cash
+// the mechanic kept is debited, their share credited), and penalties come
+// off it too. Earnings are held back while the booking's payment hasn't been
+// collected and, for online payments, for PAYOUT_HOLD_DAYS in case of a
+// dispute. Cash jobs aren't held: the mechanic already has that money.
+export const getPayoutBalance = async (mechanicId, { excluding } = {}) => {
+  const mechanic = toObjectId(mechanicId);
+  const holdSince = new Date(Date.now() - config.PAYOUT_HOLD_DAYS * DAY_MS);
+
+  const unpaidBookings = await Booking.find({ mechanic, status: 'completed', paymentStatus: { $ne: 'paid' } }).distinct('_id');
+  const [balance, heldEarnings, [open]] = await Promise.all([
+    getBalance('mechanic_payable', mechanic),
+    LedgerTransaction.find({
+      type: 'service_earnings',
+      'entries.party': mechanic,
+      $or: [{ postedAt: { $gt: holdSince } }, { booking: { $in: unpaidBookings } }]
+    }).select('booking entries').lean(),
+    Payout.aggregate([
+      // Paid payouts whose ledger posting is still waiting for a retry count too
+      { $match: {
+        mechanic,
+        $or: [{ open: true }, { status: 'paid', ledgerTransaction: null }],
+        ...(excluding ? { _id: { $ne: excluding._id } } : {})
+      } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const cashBookings = await Payment.find({
+    booking: { $in: heldEarnings.map(transaction => transaction.booking) },
+    status: 'completed',
+    paymentMethod: 'cash'
+  }).distinct('booking');
+  const isIn = (ids, id) => ids.some(other => other.equals(id));
+
+  let uncollected = 0;
+  let pendingClearance = 0;
+  for (const transaction of heldEarnings) {
+    const share = transaction.entries
+      .filter(entry => entry.account === 'mechanic_payable' && entry.party?.equals(mechanic))
+      .reduce((sum, entry) => sum + entry.credit, 0);
+    if (isIn(unpaidBookings, transaction.booking)) uncollected += share;
+    else if (!isIn(cashBookings, transaction.booking)) pendingClearance += share;
+  }
+
+  const inPayouts = round2(open?.amount || 0);
+  uncollected = round2(uncollected);
+  pendingClearance = round2(pendingClearance);
+  return {
+    balance,
+    uncollected,
+    pendingClearance,
+    inPayouts,
+    available: round2(Math.max(0, balance - uncollected - pendingClearance - inPayouts))
+  };
+};
+
+// Earnings dashboard: totals from the ledger, recent jobs and payouts
+export const getMechanicEarnings = async (mechanicId, { recentLimit = 10 } = {}) => {
+  const mechanic = toObjectId(mechanicId);
+
+  const [movements, earningsSplit, recentJobs, payouts, balance] = await Promise.all([
+    // Everything that moved the mechanic's balance, by transaction type
+    LedgerTransaction.aggregate([
+      { $match: { 'entries.party': mechanic } },
+      { $unwind: '$entries' },
+      { $match: { 'entries.account': 'mechanic_payable', 'entries.party': mechanic } },
+      { $group: { _id: '$type', debits: { $sum: '$entries.debit' }, credits: { $sum: '$entries.credit' } } }
+    ]),
+    // Gross and commission come from the other side of the earnings postings
+    LedgerTransaction.aggregate([
+      { $match: { type: 'service_earnings', 'entries.party': mechanic } },
+      { $unwind: '$entries' },
+      { $match: { 'entries.account': { $in: ['customer_receivable', 'platform_commission'] } } },
+      { $group: { _id: '$entries.account', amount: { $sum: { $add: ['$entries.debit', '$entries.credit'] } } } }
+    ]),
+    LedgerTransaction.find({ type: 'service_earnings', 'entries.party': mechanic })
+      .populate('booking', 'bookingNumber scheduledDate completedAt')
+      .sort({ postedAt: -1 })
+      .limit(recentLimit),
+    Payout.find({ mechanic }).sort({ createdAt: -1 }).limit(recentLimit),
+    getPayoutBalance(mechanic)
+  ]);
+
+  const byType = Object.fromEntries(movements.map(({ _id, debits, credits }) => [_id, { debits, credits }]));
+  const split = Object.fromEntries(earningsSplit.map(({ _id, amount }) => [_id, amount]));
+
+  return {
+    ...balance,
+    minimumPayout: config.PAYOUT_MINIMUM_AMOUNT,
+    totals: {
+      grossEarnings: round2(split.customer_receivable || 0),
+      commission: round2(split.platform_commission || 0),
+      netEarnings: round2(byType.service_earnings?.credits || 0),
+      penalties: round2(byType.mechanic_penalty?.debits || 0),
+      refunds: round2(byType.refund?.debits || 0),
+      cashCollected: round2(byType.payment?.debits || 0),
+      paidOut: round2(byType.payout?.debits || 0)
+    },
+    recentJobs: recentJobs.map((transaction) => {
+      const amountOf = (account, side) => transaction.entries.find(entry => entry.account === account)?.[side] || 0;
+      return {
+        booking: transaction.booking,
+        postedAt: transaction.postedAt,
+        gross: amountOf('customer_receivable', 'debit'),
+        commission: amountOf('platform_commission', 'credit'),
+        net: amountOf('mechanic_payable', 'credit')
+      };
+    }),
+    payouts
+  };
+};
+
+const addHistory = (payout, status, { by, note } = {}) => {
+  payout.status = status;
+  payout.history.push({ status, note, by: by?._id || by, at: new Date() });
+};
+
+const notifyPayout = (payout, title, message) => notify(payout.mechanic, {
+  type: 'payout',
+  title,
+  message
+});
+
+// Mechanic: request a payout of part or all of the available balance to
+// their saved payout account
+export const requestPayout = async (mechanicId, { amount, note }) => {
+  const requested = round2(Number(amount));
+  if (!Number.isFinite(requested) || requested <= 0) {
+    throw new AppError('Amount must be a positive number', 400);
+  }
+  if (requested < config.PAYOUT_MINIMUM_AMOUNT) {
+    throw new AppError(`The minimum payout is ${config.PAYOUT_MINIMUM_AMOUNT} BDT`, 400);
+  }
+
+  const mechanic = await User.findById(mechanicId).select('payoutAccount');
+  const account = mechanic?.payoutAccount;
+  if (!account?.method || !account.accountNumber) {
+    throw new AppError('Add a payout account before requesting a payout', 400);
+  }
+
+  const { available } = await getPayoutBalance(mechanicId);
+  if (requested > available) {
+    throw new AppError(`You can request at most ${available} BDT right now`, 400, { available });
+  }
+
+  try {
+    const payout = new Payout({
+      mechanic: mechanicId,
+      amount: requested,
+      note,
+      account: {
+        method: account.method,
+        accountName: account.accountName,
+        accountNumber: account.accountNumber,
+        bankName: account.bankName,
+        branchName: account.branchName,
+        routingNumber: account.routingNumber
+      }
+    });
+    addHistory(payout, 'requested', { by: mechanicId, note });
+    return await payout.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('You already have a payout in progress', 409);
+    }
+    throw error;
+  }
+};
+
+const requireStatus = (payout, statuses, action) => {
+  if (!statuses.includes(payout.status)) {
+    throw new AppError(`A ${payout.status} payout cannot be ${action}`, 400);
+  }
+};
+
+// Mechanic: withdraw a request finance has not acted on yet
+export const cancelPayout = async (payout, { user }) => {
+  requireStatus(payout, ['requested'], 'cancelled');
+  addHistory(payout, 'cancelled', { by: user });
+  return payout.save();
+};
+
+// Finance: approve a request, checking the balance still covers it
+export const approvePayout = async (payout, { user, note }) => {
+  requireStatus(payout, ['requested'], 'approved');
+
+  const { available } = await getPayoutBalance(payout.mechanic, { excluding: payout });
+  if (payout.amount > available) {
+    throw new AppError(`The mechanic's available balance (${available} BDT) no longer covers this payout`, 400, { available });
+  }
+
+  addHistory(payout, 'approved', { by: user, note });
+  payout.reviewedBy = user._id;
+  payout.reviewedAt = new Date();
+  await payout.save();
+
+  notifyPayout(payout, 'Payout approved', `Your payout of ${payout.amount} BDT has been approved and will be sent in the next payout run.`);
+  return payout;
+};
+
+export const rejectPayout = async (payout, { user, reason }) => {
+  requireStatus(payout, ['requested', 'approved'], 'rejected');
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new AppError('A reason is required to reject a payout', 400);
+  }
+
+  addHistory(payout, 'rejected', { by: user, note: reason });
+  payout.reviewedBy = user._id;
+  payout.reviewedAt = new Date();
+  payout.rejectionReason = reason;
+  await payout.save();
+
+  notifyPayout(payout, 'Payout rejected', `Your payout of ${payout.amount} BDT was rejected: ${reason}`);
+  return payout;
+};
+
+// Finance: start a payout run with approved payouts (all of them, one
+// method's, or the listed ones)
+export const createPayoutBatch = async ({ user, method, payoutIds, note }) => {
+  const filter = { status: 'approved', batch: null };
+  if (method) filter['account.method'] = method;
+  if (payoutIds?.length) filter._id = { $in: payoutIds };
+
+  const payouts = await Payout.find(filter).sort({ createdAt: 1 });
+  if (payouts.length === 0) {
+    throw new AppError('There are no approved payouts to include', 400);
+  }
+
+  const batch = await PayoutBatch.create({
+    method,
+    note,
+    createdBy: user._id,
+    payouts: payouts.map(payout => payout._id),
+    totalAmount: round2(payouts.reduce((sum, payout) => sum + payout.amount, 0))
+  });
+
+  // Claim each payout; one picked up by a parallel run is left out
+  const claimed = [];
+  for (const payout of payouts) {
+    const result = await Payout.updateOne(
+      { _id: payout._id, status: 'approved', batch: null },
+      {
+        $set: { status: 'processing', batch: batch._id },
+        $push: { history: { status: 'processing', note: `Batch ${batch.batchNumber}`, by: user._id, at: new Date() } }
+      }
+    );
+    if (result.modifiedCount === 1) claimed.push(payout);
+  }
+
+  if (claimed.length !== payouts.length) {
+    batch.payouts = claimed.map(payout => payout._id);
+    batch.totalAmount = round2(claimed.reduce((sum, payout) => sum + payout.amount, 0));
+    if (claimed.length === 0) batch.status = 'failed';
+    await batch.save();
+  }
+  return batch;
+};
+
+// Batch status once every payout in it has an outcome
+const refreshBatch = async (batch) => {
+  const payouts = await Payout.find({ batch: batch._id }).select('status amount');
+  const paid = payouts.filter(payout => payout.status === 'paid');
+  const failed = payouts.filter(payout => payout.status === 'failed');
+
+  batch.paidCount = paid.length;
+  batch.paidAmount = round2(paid.reduce((sum, payout) => sum + payout.amount, 0));
+  batch.failedCount = failed.length;
+
+  if (paid.length + failed.length === payouts.length) {
+    batch.status = failed.length === 0 ? 'completed' : paid.length === 0 ? 'failed' : 'partially_failed';
+    batch.completedAt = new Date();
+  }
+  return batch.save();
+};
+
+// Finance: record whether the transfer for one payout in a batch went
+// through. A paid payout is posted to the ledger once its status is saved.
+export const recordPayoutResult = async (batch, payout, { user, status, transactionReference, failureReason }) => {
+  if (!payout.batch?.equals(batch._id)) {
+    throw new AppError('This payout is not part of the batch', 400);
+  }
+  requireStatus(payout, ['processing'], `marked ${status}`);
+
+  if (status === 'paid') {
+    if (!transactionReference) {
+      throw new AppError('The transfer reference is required to mark a payout paid', 400);
+    }
+    payout.transactionReference = transactionReference;
+    payout.paidAt = new Date();
+    addHistory(payout, 'paid', { by: user, note: transactionReference });
+  } else if (status === 'failed') {
+    if (typeof failureReason !== 'string' || !failureReason.trim()) {
+      throw new AppError('A reason is required to mark a payout failed', 400);
+    }
+    payout.failureReason = failureReason;
+    addHistory(payout, 'failed', { by: user, note: failureReason });
+  } else {
+    throw new AppError('Status must be paid or failed', 400);
+  }
+
+  // Only one result can be recorded: the save goes through only while the
+  // payout is still processing, and only that request posts to the ledger
+  payout.$where = { status: 'processing' };
+  try {
+    await payout.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      throw new AppError('A result has already been recorded for this payout', 409);
+    }
+    throw error;
+  } finally {
+    payout.$where = undefined;
+  }
+  if (status === 'paid') {
+    const transaction = await postPayout(payout, { postedBy: user });
+    payout.ledgerTransaction = transaction?._id;
+  }
+  await refreshBatch(batch);
+
+  if (status === 'paid') {
+    notifyPayout(payout, 'Payout sent', `${payout.amount} BDT has been sent to your ${payout.account.method} account (ref ${transactionReference}).`);
+  } else {
+    notifyPayout(payout, 'Payout failed', `Your payout of ${payout.amount} BDT could not be sent: ${failureReason}. The amount is back in your balance.`);
+  }
+  return payout;
+};
+
+export default {
+  OPEN_PAYOUT_STATUSES,
+  maskAccountNumber,
+  getPayoutBalance,
+  getMechanicEarnings,
+  requestPayout,
+  cancelPayout,
+  approvePayout,
+  rejectPayout,
+  createPayoutBatch,
+  recordPayoutResult
+};
@@ -0,0 +1,167 @@
+import Quote from '../models/quote.model.js';
+import AppError from '../utils/appError.js';
+import { notify } from './notification.service.js';
+
+// Booking states in which each kind of quote can be sent
+const ESTIMATE_STATUSES = ['pending', 'confirmed'];
+const CHANGE_ORDER_STATUSES = ['in_progress'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Recompute the booking's quoteStatus once a quote has been answered or withdrawn
+const syncQuoteStatus = async (booking, answered) => {
+  if (await Quote.exists({ booking: booking._id, status: 'pending' })) {
+    booking.quoteStatus = 'pending';
+  } else if (booking.acceptedEstimate) {
+    booking.quoteStatus = 'accepted';
+  } else if (booking.estimateRequired) {
+    // Still no agreed price: the mechanic has to send a (revised) estimate
+    booking.quoteStatus = answered.status === 'rejected' ? 'rejected' : 'awaiting_estimate';
+  } else {
+    booking.quoteStatus = 'not_required';
+  }
+};
+
+// Mechanic sends an estimate (before the job) or a change order (during it)
+export const sendQuote = async (booking, { mechanicId, kind, items, note, validUntil }) => {
+  if (!['estimate', 'change_order'].includes(kind)) {
+    throw new AppError('Quote kind must be estimate or change_order', 400);
+  }
+  if (kind === 'estimate' && !ESTIMATE_STATUSES.includes(booking.status)) {
+    throw new AppError('Estimates can only be sent before the job starts; use a change order instead', 400);
+  }
+  if (kind === 'change_order') {
+    if (!CHANGE_ORDER_STATUSES.includes(booking.status)) {
+      throw new AppError('Change orders can only be sent while the job is in progress', 400);
+    }
+    if (['awaiting_estimate', 'rejected'].includes(booking.quoteStatus)) {
+      throw new AppError('The estimate has to be accepted before sending change orders', 400);
+    }
+  }
+  const latest = await Quote.findOne({ booking: booking._id }).sort({ version: -1 }).select('version');
+
+  const quote = await Quote.create({
+    booking: booking._id,
+    mechanic: mechanicId,
+    customer: booking.customer,
+    kind,
+    version: (latest?.version || 0) + 1,
+    items: Array.isArray(items) ? items : [],
+    note,
+    validUntil
+  });
+
+  // A new estimate replaces any estimate still waiting for an answer. Only
+  // done once the new one is stored, so a rejected quote replaces nothing.
+  if (kind === 'estimate') {
+    await Quote.updateMany(
+      { booking: booking._id, kind: 'estimate', status: 'pending', _id: { $ne: quote._id } },
+      { $set: { status: 'superseded' } }
+    );
+  }
+
+  booking.quoteStatus = 'pending';
+  await booking.save();
+
+  notify(booking.customer, {
+    type: 'quote',
+    title: kind === 'estimate' ? 'New estimate' : 'Change order',
+    message: `Your mechanic sent ${kind === 'estimate' ? 'an estimate' : 'a change order'} of ${quote.total} BDT ` +
+      `for booking ${booking.bookingNumber}. Please review it in the app.`,
+    booking: booking._id
+  });
+
+  return quote;
+};
+
+// Customer accepts a pending quote. An estimate becomes the booking total;
+// a change order is added to it as additional charges. If that raises the
+// total of a paid booking, the difference is due again.
+export const acceptQuote = async (booking, quote, { note } = {}) => {
+  if (quote.isExpired()) {
+    throw new AppError('This quote has expired. Ask the mechanic for a new one.', 400);
+  }
+  if (quote.kind === 'estimate' && !ESTIMATE_STATUSES.includes(booking.status)) {
+    throw new AppError('This estimate can no longer be accepted', 400);
+  }
+
+  // Claim the quote so a double submit can't apply it twice
+  const claimed = await Quote.findOneAndUpdate(
+    { _id: quote._id, status: 'pending' },
+    { $set: { status: 'accepted', respondedAt: new Date(), responseNote: note } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new AppError('This quote is no longer awaiting an answer', 400);
+  }
+
+  const previousTotal = booking.totalAmount;
+  if (claimed.kind === 'estimate') {
+    booking.acceptedEstimate = claimed._id;
+    booking.totalAmount = roundAmount(claimed.total + booking.additionalCharges.reduce((sum, charge) => sum + charge.amount, 0));
+  } else {
+    claimed.items.forEach((item) => {
+      booking.additionalCharges.push({ description: item.description, amount: item.amount, quote: claimed._id });
+    });
+    booking.totalAmount = roundAmount(booking.totalAmount + claimed.total);
+  }
+  if (booking.paymentStatus === 'paid' && booking.totalAmount > previousTotal) {
+    booking.paymentStatus = 'pending';
+    booking.isPaid = false;
+  }
+
+  await syncQuoteStatus(booking, claimed);
+  await booking.save();
+  notify(booking.mechanic, {
+    type: 'quote',
+    title: 'Quote accepted',
+    message: `The customer accepted your quote for booking ${booking.bookingNumber}.`,
+    booking: booking._id
+  });
+  return claimed;
+};
+
+// Customer rejects a pending quote; the booking total is unchanged
+export const rejectQuote = async (booking, quote, { note } = {}) => {
+  const rejected = await Quote.findOneAndUpdate(
+    { _id: quote._id, status: 'pending' },
+    { $set: { status: 'rejected', respondedAt: new Date(), responseNote: note } },
+    { new: true }
+  );
+  if (!rejected) {
+    throw new AppError('This quote is no longer awaiting an answer', 400);
+  }
+
+  await syncQuoteStatus(booking, rejected);
+  await booking.save();
+  notify(booking.mechanic, {
+    type: 'quote',
+    title: 'Quote rejected',
+    message: `The customer rejected your quote for booking ${booking.bookingNumber}.`,
+    booking: booking._id
+  });
+  return rejected;
+};
+
+// Mechanic takes back a quote the customer hasn't answered
+export const withdrawQuote = async (booking, quote) => {
+  const withdrawn = await Quote.findOneAndUpdate(
+    { _id: quote._id, status: 'pending' },
+    { $set: { status: 'withdrawn' } },
+    { new: true }
+  );
+  if (!withdrawn) {
+    throw new AppError('Only pending quotes can be withdrawn', 400);
+  }
+
+  await syncQuoteStatus(booking, withdrawn);
+  await booking.save();
+  return withdrawn;
+};
+
+export default {
+  sendQuote,
+  acceptQuote,
+  rejectQuote,
+  withdrawQuote
+};
@@ -0,0 +1,43 @@
+// Access to the Socket.io server from services. server.js registers it at
+// startup and every authenticated socket joins its own "user:<id>" room and
+// the "session:<id>" room of the session it authenticated with.
+let io = null;
+
+export const setRealtimeServer = (server) => {
+  io = server;
+};
+
+export const userRoom = (userId) => `user:${userId}`;
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Rooms clients may not join themselves
+export const isPrivateRoom = (roomId) => roomId.startsWith('user:') || roomId.startsWith('session:');
+
+// Emit to all of a user's connected sockets; a no-op before startup (scripts, jobs)
+export const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) return;
+  io.to(userRoom(userId.toString())).emit(event, payload);
+};
+
+// Drop the sockets of revoked sessions: one session, or all of a user's
+// except the session kept. Goes through the Redis adapter when configured.
+export const disconnectSession = (sessionId) => {
+  if (!io || !sessionId) return;
+  io.in(sessionRoom(sessionId.toString())).disconnectSockets(true);
+};
+
+export const disconnectUser = (userId, { except } = {}) => {
+  if (!io || !userId) return;
+  const sockets = io.in(userRoom(userId.toString()));
+  (except ? sockets.except(sessionRoom(except.toString())) : sockets).disconnectSockets(true);
+};
+
+export default {
+  setRealtimeServer,
+  userRoom,
+  sessionRoom,
+  isPrivateRoom,
+  emitToUser,
+  disconnectSession,
+  disconnectUser
+};
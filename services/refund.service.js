@@ -0,0 +1,94 @@
+import Payment from '../models/payment.model.js';
+import Booking from '../models/booking.model.js';
+import AppError from '../utils/appError.js';
+import { notify } from './notification.service.js';
+import { refundGatewayPayment } from './payment.service.js';
+import { postRefund } from './ledger.service.js';
+
+// Latest completed payment for a booking, if it was paid through the platform
+export const findRefundablePayment = (bookingId) => {
+  return Payment.findOne({ booking: bookingId, status: 'completed' }).sort({ paidAt: -1, createdAt: -1 });
+};
+
+// Refund all or part of a completed payment and mirror it on the booking.
+// A full refund marks the payment refunded; a partial one keeps its status.
+// Payments held for review (money the booking didn't need) are refunded
+// without touching the booking.
+export const refundPayment = async (payment, { amount, reason, refundedBy }) => {
+  if (!payment.canRefund()) {
+    throw new AppError('Only completed payments that have not been refunded can be refunded', 400);
+  }
+
+  const received = payment.receivedAmount();
+  const refundAmount = amount === undefined || amount === null || amount === '' ? received : Number(amount);
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > received) {
+    throw new AppError(`Refund amount must be between 0 and ${received}`, 400);
+  }
+
+  // Claim the payment before calling the gateway so two refunds racing on
+  // it can't both pay out; the loser sees the claim and stops here
+  const previousStatus = payment.refund?.refundStatus || 'none';
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: payment.status, 'refund.isRefunded': { $ne: true }, 'refund.refundStatus': { $ne: 'processing' } },
+    { $set: { 'refund.refundStatus': 'processing' } }
+  );
+  if (!claimed) {
+    throw new AppError('This payment is already being refunded or has been refunded', 409);
+  }
+
+  // Money taken through a gateway goes back the same way before anything is recorded
+  let gatewayRefund = null;
+  if (payment.paymentDetails?.gatewayPaymentId) {
+    try {
+      gatewayRefund = await refundGatewayPayment(payment, { amount: refundAmount, reason });
+    } catch (error) {
+      await Payment.updateOne(
+        { _id: payment._id, 'refund.refundStatus': 'processing' },
+        { $set: { 'refund.refundStatus': previousStatus } }
+      );
+      throw error;
+    }
+  }
+
+  const heldForReview = payment.status === 'needs_review';
+  const refundedAt = new Date();
+  if (refundAmount === received) payment.status = 'refunded';
+  payment.refund = {
+    isRefunded: true,
+    refundAmount,
+    refundReason: reason,
+    refundStatus: 'processed',
+    refundedAt,
+    gatewayRefundId: gatewayRefund?.refundId,
+    refundedBy
+  };
+  await payment.save();
+
+  // Update booking refund status
+  if (!heldForReview) {
+    await Booking.findByIdAndUpdate(payment.booking, {
+      'refund.isRefunded': true,
+      'refund.refundAmount': refundAmount,
+      'refund.refundReason': reason,
+      'refund.refundStatus': 'processed',
+      'refund.refundedAt': refundedAt,
+      'refund.refundedBy': refundedBy
+    });
+  }
+  await postRefund(payment, { amount: refundAmount, refundedBy });
+
+  notify(payment.customer, {
+    type: 'refund',
+    title: 'Refund issued',
+    message: `A refund of ${refundAmount} BDT has been issued to you${reason ? ` (${reason})` : ''}.`,
+    booking: payment.booking,
+    payment: payment._id
+  });
+
+  return payment;
+};
+
+export default {
+  findRefundablePayment,
+  refundPayment
+};
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import config from '../config/env.js';
+import { sendBookingReminders, flagOverdueBookings } from './bookingReminder.service.js';
+import { expireUnpaidPayments } from './payment.service.js';
+import { processDueAccountDeletions } from './account.service.js';
+import { generateDueOccurrences } from './bookingSeries.service.js';
+import { retryFailedPostings } from './ledger.service.js';
+import { cleanupInactiveSessions } from '../controllers/guest.controller.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// In-process background jobs. With several instances running, pass a Redis
+// client and each run takes a SET NX lock so only one instance does it.
+export const JOBS = [
+  { name: 'booking-reminders', intervalMs: 5 * MINUTE_MS, run: () => sendBookingReminders() },
+  { name: 'overdue-bookings', intervalMs: 5 * MINUTE_MS, run: () => flagOverdueBookings() },
+  { name: 'expire-payments', intervalMs: 5 * MINUTE_MS, run: () => expireUnpaidPayments() },
+  { name: 'booking-series', intervalMs: 60 * MINUTE_MS, run: () => generateDueOccurrences() },
+  { name: 'ledger-retries', intervalMs: 15 * MINUTE_MS, run: () => retryFailedPostings() },
+  { name: 'account-deletions', intervalMs: 60 * MINUTE_MS, run: () => processDueAccountDeletions() },
+  { name: 'guest-cleanup', intervalMs: 6 * 60 * MINUTE_MS, run: () => cleanupInactiveSessions() }
+];
+
+const instanceId = crypto.randomUUID();
+const timers = new Map();
+const running = new Set();
+let getRedis = () => null;
+
+// The lock is never released: it expires shortly before the next tick, so
+// whichever instance gets it runs the job and the others skip that tick
+const acquireLock = async (job) => {
+  const redis = getRedis();
+  if (!redis) return true;
+  try {
+    const ttl = Math.max(job.intervalMs - 5000, 5000);
+    return (await redis.set(`scheduler:lock:${job.name}`, instanceId, 'PX', ttl, 'NX')) === 'OK';
+  } catch (error) {
+    console.error(`Scheduler lock for ${job.name} unavailable:`, error.message);
+    return false;
+  }
+};
+
+// Run a job once, unless it is still running here or another instance has this tick
+export const runJob = async (job) => {
+  if (running.has(job.name)) return null;
+  running.add(job.name);
+  try {
+    if (!(await acquireLock(job))) return null;
+    const result = await job.run();
+    if (result && Object.values(result).some(value => value > 0)) {
+      console.log(`Scheduler: ${job.name}`, result);
+    }
+    return result;
+  } catch (error) {
+    console.error(`Scheduler job ${job.name} failed:`, error.message);
+    return null;
+  } finally {
+    running.delete(job.name);
+  }
+};
+
+// Start every job and run it once right away, so a restart doesn't hold
+// work back a full interval; `redis` is an ioredis client or a function
+// returning one (or null when Redis is unavailable)
+export const startScheduler = ({ redis = null, jobs = JOBS } = {}) => {
+  if (!config.SCHEDULER_ENABLED) {
+    console.log('ℹ️ Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+  getRedis = typeof redis === 'function' ? redis : () => redis;
+
+  jobs.forEach((job) => {
+    if (timers.has(job.name)) return;
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    timers.set(job.name, timer);
+    runJob(job);
+  });
+  console.log(`✅ Scheduler started (${jobs.length} jobs)`);
+};
+
+export const stopScheduler = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.clear();
+};
+
+export default {
+  JOBS,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { promisify } from 'util';
+import Session from '../models/session.model.js';
+import config from '../config/env.js';
+import AppError from '../utils/appError.js';
+import { disconnectSession, disconnectUser } from './realtime.service.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found directly
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+const refreshExpiry = () => new Date(Date.now() + config.REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived access token bound to a session
+export const signAccessToken = (user, session) => {
+  return jwt.sign({ id: user._id.toString(), sid: session._id.toString(), role: user.role }, config.JWT_SECRET, {
+    expiresIn: config.JWT_EXPIRES_IN,
+  });
+};
+
+// Start a new session and return an access/refresh token pair, plus the
+// device token the client keeps for later logins (its own, if it sent one)
+export const createSession = async (user, deviceInfo = {}) => {
+  const deviceToken = deviceInfo.deviceToken || crypto.randomBytes(32).toString('base64url');
+  const session = new Session({
+    user: user._id,
+    deviceId: deviceInfo.deviceId,
+    deviceTokenHash: hashToken(deviceToken),
+    deviceName: deviceInfo.deviceName,
+    userAgent: deviceInfo.userAgent,
+    ipAddress: deviceInfo.ipAddress,
+    expiresAt: refreshExpiry()
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    accessToken: signAccessToken(user, session),
+    refreshToken,
+    deviceToken
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting an already rotated
+// token revokes the whole session, since it means the token leaked.
+export const rotateRefreshToken = async (refreshToken, deviceInfo = {}) => {
+  const [sessionId] = (refreshToken || '').split('.');
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const session = await Session.findById(sessionId)
+    .select('+refreshTokenHash +previousTokenHash')
+    .populate('user');
+
+  if (!session || !session.isActive() || !session.user) {
+    throw new AppError('Session has expired or been revoked. Please log in again.', 401);
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (session.previousTokenHash === presentedHash) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'token_reuse';
+    await session.save();
+    throw new AppError('Refresh token reuse detected. Please log in again.', 401);
+  }
+
+  if (session.refreshTokenHash !== presentedHash) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if (!session.user.isActive) {
+    throw new AppError('Account is deactivated. Please contact support.', 401);
+  }
+
+  // Rotate only if the presented token is still current: of two parallel
+  // refreshes with the same token, the second one is treated as reuse
+  const nextRefreshToken = generateRefreshToken(session._id);
+  const update = {
+    previousTokenHash: presentedHash,
+    refreshTokenHash: hashToken(nextRefreshToken),
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiry()
+  };
+  if (deviceInfo.ipAddress) update.ipAddress = deviceInfo.ipAddress;
+  if (deviceInfo.userAgent) update.userAgent = deviceInfo.userAgent;
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, 'token_reuse');
+    throw new AppError('Refresh token reuse detected. Please log in again.', 401);
+  }
+
+  return {
+    session: rotated,
+    user: session.user,
+    accessToken: signAccessToken(session.user, rotated),
+    refreshToken: nextRefreshToken
+  };
+};
+
+// Verify an access token and make sure its session is still active
+export const verifyAccessToken = async (token) => {
+  const decoded = await promisify(jwt.verify)(token, config.JWT_SECRET);
+
+  if (!decoded.sid) {
+    throw new AppError('Token is not bound to a session. Please log in again.', 401);
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    throw new AppError('Session has expired or been revoked. Please log in again.', 401);
+  }
+
+  return { decoded, session };
+};
+
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+  // Open sockets were authenticated once at connect; close them too
+  disconnectSession(sessionId);
+  return session;
+};
+
+// Revoke every active session of a user, optionally keeping one
+export const revokeUserSessions = async (userId, { except, reason = 'user_revoked' } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  disconnectUser(userId, { except });
+  return result.modifiedCount;
+};
+
+export const getActiveSessions = async (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+// Whether a login comes from a device and an IP address the user has both
+// signed in from before; a new device or a new IP needs the challenge.
+// Devices are recognised by the device token issued at an earlier login
+// (client-chosen device IDs can be copied). Users without any session
+// history are treated as known.
+export const isKnownDevice = async (userId, { deviceToken, ipAddress } = {}) => {
+  const history = await Session.find({ user: userId })
+    .select('+deviceTokenHash ipAddress')
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  if (history.length === 0) return true;
+
+  const tokenHash = deviceToken ? hashToken(deviceToken) : null;
+  const knownDevice = Boolean(tokenHash) && history.some(session => session.deviceTokenHash === tokenHash);
+  const knownIp = Boolean(ipAddress) && history.some(session => session.ipAddress === ipAddress);
+  return knownDevice && knownIp;
+};
+
+// Short-lived token identifying a pending login challenge
+export const signChallengeToken = (user) => {
+  return jwt.sign({ id: user._id.toString(), purpose: 'login_challenge' }, config.JWT_SECRET, {
+    expiresIn: `${config.OTP_EXPIRES_MINUTES}m`,
+  });
+};
+
+export const verifyChallengeToken = async (token) => {
+  try {
+    const decoded = await promisify(jwt.verify)(token, config.JWT_SECRET);
+    if (decoded.purpose !== 'login_challenge') throw new Error('Wrong token purpose');
+    return decoded;
+  } catch (error) {
+    throw new AppError('Login challenge has expired. Please log in again.', 401);
+  }
+};
+
+export default {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSessions,
+  isKnownDevice,
+  signChallengeToken,
+  verifyChallengeToken
+};
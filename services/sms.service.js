@@ -0,0 +1,159 @@
+import SmsLog from '../models/smsLog.model.js';
+import config from '../config/env.js';
+import { toMsisdn } from '../utils/phone.js';
+import { createOutboxProvider } from './sms/outbox.provider.js';
+import { createSslWirelessProvider } from './sms/sslwireless.provider.js';
+import { createBulkSmsBdProvider } from './sms/bulksmsbd.provider.js';
+import { createAlphaSmsProvider } from './sms/alphasms.provider.js';
+
+// Every provider exposes { name, send({ to, message, reference }) } and
+// resolves with { providerMessageId, raw } or throws on failure. Factories
+// get the credentials of the slot (primary or fallback) they are used in.
+const providerFactories = {
+  outbox: () => createOutboxProvider({ filePath: config.SMS_OUTBOX_FILE }),
+  sslwireless: ({ apiToken, senderId, apiUrl }) => createSslWirelessProvider({ apiToken, senderId, apiUrl }),
+  bulksmsbd: ({ apiKey, senderId, apiUrl }) => createBulkSmsBdProvider({ apiKey, senderId, apiUrl }),
+  alphasms: ({ apiKey, senderId, apiUrl }) => createAlphaSmsProvider({ apiKey, senderId, apiUrl })
+};
+
+// Provider name and credentials per slot, and the env prefix they come from
+const slotSettings = {
+  primary: () => ({
+    envPrefix: 'SMS_',
+    name: config.SMS_PROVIDER,
+    apiKey: config.SMS_API_KEY,
+    apiToken: config.SMS_API_TOKEN,
+    senderId: config.SMS_SENDER_ID,
+    apiUrl: config.SMS_API_URL
+  }),
+  fallback: () => ({
+    envPrefix: 'SMS_FALLBACK_',
+    name: config.SMS_FALLBACK_PROVIDER,
+    apiKey: config.SMS_FALLBACK_API_KEY,
+    apiToken: config.SMS_FALLBACK_API_TOKEN,
+    senderId: config.SMS_FALLBACK_SENDER_ID,
+    apiUrl: config.SMS_FALLBACK_API_URL
+  })
+};
+
+const providerCache = new Map();
+
+// Register an extra provider (e.g. a stub in tests)
+export const registerSmsProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  providerCache.clear();
+};
+
+export const getSmsProvider = (slot = 'primary') => {
+  if (!providerCache.has(slot)) {
+    const { envPrefix, name, ...credentials } = slotSettings[slot]();
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    try {
+      providerCache.set(slot, factory(credentials));
+    } catch (error) {
+      throw new Error(`${error.message} (check the ${envPrefix}* settings)`);
+    }
+  }
+  return providerCache.get(slot);
+};
+
+// Outbox only records messages, so a production deploy must name a real
+// provider, and every provider in the chain must have its credentials
+export const assertSmsConfigured = () => {
+  if (config.NODE_ENV !== 'production') return;
+  if (config.SMS_PROVIDER === 'outbox' || !providerFactories[config.SMS_PROVIDER]) {
+    throw new Error(`SMS_PROVIDER must be set to a real SMS provider in production (got "${config.SMS_PROVIDER}")`);
+  }
+  getProviderChain().forEach(slot => getSmsProvider(slot));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Slots tried in order: primary first, then the optional fallback
+const getProviderChain = () => {
+  const slots = ['primary'];
+  if (config.SMS_FALLBACK_PROVIDER && config.SMS_FALLBACK_PROVIDER !== config.SMS_PROVIDER) {
+    slots.push('fallback');
+  }
+  return slots;
+};
+
+// Send an SMS and record every delivery attempt in SmsLog.
+// `logMessage` lets callers store a redacted body (e.g. with the OTP masked).
+// Never throws for delivery failures: check the returned log's status.
+export const sendSMS = async ({ to, message, logMessage, purpose = 'other', user }) => {
+  const recipient = toMsisdn(to);
+  const slots = getProviderChain();
+
+  const log = await SmsLog.create({
+    recipient,
+    user,
+    purpose,
+    message: logMessage || message,
+    provider: slotSettings[slots[0]]().name
+  });
+
+  for (const slot of slots) {
+    const providerName = slotSettings[slot]().name;
+    for (let attempt = 1; attempt <= config.SMS_MAX_ATTEMPTS; attempt++) {
+      if (attempt > 1 && config.SMS_RETRY_DELAY_MS > 0) {
+        await sleep(config.SMS_RETRY_DELAY_MS * 2 ** (attempt - 2));
+      }
+      try {
+        const provider = getSmsProvider(slot);
+        const result = await provider.send({ to: recipient, message, reference: log._id.toString() });
+
+        log.attempts.push({
+          provider: providerName,
+          success: true,
+          providerMessageId: result.providerMessageId,
+          rawResponse: result.raw
+        });
+        log.provider = providerName;
+        log.status = 'sent';
+        log.providerMessageId = result.providerMessageId;
+        log.sentAt = new Date();
+        log.lastError = undefined;
+        await log.save();
+        return log;
+      } catch (error) {
+        console.error(`SMS send via ${providerName} failed (attempt ${attempt}):`, error.message);
+        log.attempts.push({
+          provider: providerName,
+          success: false,
+          error: error.message,
+          rawResponse: error.raw
+        });
+        log.lastError = error.message;
+      }
+    }
+  }
+
+  log.status = 'failed';
+  log.failedAt = new Date();
+  await log.save();
+  return log;
+};
+
+// Send a one-time password. The code is masked in the stored log.
+export const sendOTPMessage = async ({ to, otp, user, label = 'verification', expiresInMinutes = 10 }) => {
+  const text = `Your Mechanic BD ${label} code is {code}. It expires in ${expiresInMinutes} minutes. Do not share it with anyone.`;
+  return sendSMS({
+    to,
+    message: text.replace('{code}', otp),
+    logMessage: text.replace('{code}', '******'),
+    purpose: 'otp',
+    user
+  });
+};
+
+export default {
+  sendSMS,
+  sendOTPMessage,
+  getSmsProvider,
+  registerSmsProvider,
+  assertSmsConfigured
+};
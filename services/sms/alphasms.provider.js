@@ -0,0 +1,36 @@
+// Alpha SMS / sms.net.bd (https://sms.net.bd)
+const DEFAULT_URL = 'https://api.sms.net.bd/sendsms';
+
+export const createAlphaSmsProvider = ({ apiKey, senderId, apiUrl = DEFAULT_URL, timeoutMs = 10000 }) => {
+  if (!apiKey) {
+    throw new Error('Alpha SMS provider requires an API key');
+  }
+
+  return {
+    name: 'alphasms',
+
+    async send({ to, message }) {
+      const body = new URLSearchParams({ api_key: apiKey, msg: message, to });
+      if (senderId) body.append('sender_id', senderId);
+
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || Number(data.error) !== 0) {
+        const error = new Error(data.msg || `Alpha SMS responded with HTTP ${response.status}`);
+        error.raw = data;
+        throw error;
+      }
+
+      return { providerMessageId: data.data?.request_id ? String(data.data.request_id) : undefined, raw: data };
+    }
+  };
+};
+
+export default createAlphaSmsProvider;
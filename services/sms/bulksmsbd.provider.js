@@ -0,0 +1,44 @@
+// BulkSMSBD (https://bulksmsbd.net)
+const DEFAULT_URL = 'http://bulksmsbd.net/api/smsapi';
+
+// 202 means the message was accepted for delivery
+const SUCCESS_CODE = 202;
+
+export const createBulkSmsBdProvider = ({ apiKey, senderId, apiUrl = DEFAULT_URL, timeoutMs = 10000 }) => {
+  if (!apiKey || !senderId) {
+    throw new Error('BulkSMSBD provider requires an API key and a sender ID');
+  }
+
+  return {
+    name: 'bulksmsbd',
+
+    async send({ to, message }) {
+      const body = new URLSearchParams({
+        api_key: apiKey,
+        type: 'text',
+        number: to,
+        senderid: senderId,
+        message
+      });
+
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || Number(data.response_code) !== SUCCESS_CODE) {
+        const error = new Error(data.error_message || `BulkSMSBD responded with code ${data.response_code || response.status}`);
+        error.raw = data;
+        throw error;
+      }
+
+      return { providerMessageId: data.message_id ? String(data.message_id) : undefined, raw: data };
+    }
+  };
+};
+
+export default createBulkSmsBdProvider;
@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { maskPhone } from '../../utils/phone.js';
+
+// Local development / test provider: messages are kept in memory and
+// optionally appended as JSON lines to a file instead of being sent.
+const outbox = [];
+
+export const getOutbox = () => [...outbox];
+
+export const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+// Latest message for a recipient (handy when testing OTP flows)
+export const findLatestMessage = (recipient) => {
+  for (let i = outbox.length - 1; i >= 0; i--) {
+    if (outbox[i].to === recipient) return outbox[i];
+  }
+  return null;
+};
+
+export const createOutboxProvider = ({ filePath } = {}) => ({
+  name: 'outbox',
+
+  async send({ to, message, reference }) {
+    const entry = {
+      id: `outbox_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      to,
+      message,
+      reference,
+      createdAt: new Date().toISOString()
+    };
+
+    outbox.push(entry);
+    // The body may hold a login code, so only the recipient is logged
+    console.log(`📱 [SMS outbox] message queued for ${maskPhone(to)}`);
+
+    if (filePath) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+    }
+
+    return { providerMessageId: entry.id, raw: { queued: true } };
+  }
+});
+
+export default createOutboxProvider;
@@ -0,0 +1,40 @@
+// SSL Wireless SMS Plus (https://smsplus.sslwireless.com)
+const DEFAULT_URL = 'https://smsplus.sslwireless.com/api/v3/send-sms';
+
+export const createSslWirelessProvider = ({ apiToken, senderId, apiUrl = DEFAULT_URL, timeoutMs = 10000 }) => {
+  if (!apiToken || !senderId) {
+    throw new Error('SSL Wireless provider requires an API token and a sender ID');
+  }
+
+  return {
+    name: 'sslwireless',
+
+    async send({ to, message, reference }) {
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({
+          api_token: apiToken,
+          sid: senderId,
+          msisdn: to,
+          sms: message,
+          csms_id: reference
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || data.status !== 'SUCCESS') {
+        const error = new Error(data.error_message || `SSL Wireless responded with HTTP ${response.status}`);
+        error.raw = data;
+        throw error;
+      }
+
+      const info = Array.isArray(data.smsinfo) ? data.smsinfo[0] : null;
+      return { providerMessageId: info?.reference_id || reference, raw: data };
+    }
+  };
+};
+
+export default createSslWirelessProvider;
@@ -0,0 +1,136 @@
+import TimeOff from '../models/timeOff.model.js';
+import Booking from '../models/booking.model.js';
+import AppError from '../utils/appError.js';
+import { dhakaDateTime, addDays, addMinutes } from '../utils/time.js';
+import { windowOf } from './availability.service.js';
+
+// Bookings that still have to happen and can be moved
+const MOVABLE_STATUSES = ['pending', 'confirmed'];
+// How far ahead recurring blocks without an end date are checked against bookings
+const FLAG_HORIZON_DAYS = 180;
+const DAY_MINUTES = 24 * 60;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Turn request input into TimeOff fields. One-off blocks take exact
+// startAt/endAt instants, or whole Dhaka days via startDate/endDate.
+export const buildTimeOffFields = (input = {}) => {
+  const { type = 'one_off', title, startAt, endAt, startDate, endDate, weekdays, startTime, endTime, validFrom, validUntil } = input;
+  const fields = { type, title };
+
+  if (type === 'one_off') {
+    if (startDate) {
+      const lastDay = endDate || startDate;
+      if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(lastDay)) {
+        throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+      }
+      fields.startAt = dhakaDateTime(startDate);
+      fields.endAt = dhakaDateTime(addDays(lastDay, 1));
+    } else {
+      fields.startAt = startAt;
+      fields.endAt = endAt;
+    }
+  } else if (type === 'recurring') {
+    Object.assign(fields, { weekdays, startTime, endTime, validFrom, validUntil });
+  } else {
+    throw new AppError('Time off type must be one_off or recurring', 400);
+  }
+
+  return fields;
+};
+
+const rescheduleReason = (block) => (block.scope === 'platform'
+  ? `Falls on ${block.title || 'a public holiday'}`
+  : 'Mechanic is unavailable at this time');
+
+// Mark upcoming bookings that fall inside a block so both parties know to reschedule
+export const flagAffectedBookings = async (block) => {
+  const now = new Date();
+  const from = block.type === 'one_off'
+    ? new Date(Math.max(now, block.startAt))
+    : new Date(Math.max(now, block.validFrom || now));
+  const to = block.type === 'one_off'
+    ? block.endAt
+    : block.validUntil || addMinutes(now, FLAG_HORIZON_DAYS * DAY_MINUTES);
+  if (to <= from) return [];
+
+  const filter = {
+    status: { $in: MOVABLE_STATUSES },
+    needsReschedule: { $ne: true },
+    $or: [
+      { scheduledStart: { $lt: to }, scheduledEnd: { $gt: from } },
+      // Bookings saved before scheduledStart existed
+      { scheduledStart: null, scheduledDate: { $gte: addMinutes(from, -DAY_MINUTES), $lt: addMinutes(to, DAY_MINUTES) } }
+    ]
+  };
+  if (block.scope === 'mechanic') filter.mechanic = block.mechanic;
+
+  const candidates = await Booking.find(filter)
+    .select('scheduledDate scheduledTime estimatedDuration scheduledStart scheduledEnd');
+
+  // Any overlap counts, including jobs that start before the block and run into it
+  const affected = candidates.filter((booking) => {
+    const window = windowOf(booking);
+    return window && window.start < to && window.end > from &&
+      block.windowsBetween(window.start, window.end).length > 0;
+  });
+  if (affected.length === 0) return [];
+
+  const reason = rescheduleReason(block);
+
+  await Booking.updateMany(
+    { _id: { $in: affected.map(booking => booking._id) } },
+    { $set: { needsReschedule: true, rescheduleFlag: { reason, timeOff: block._id, flaggedAt: now } } }
+  );
+
+  return affected.map(booking => booking._id);
+};
+
+// Create a block and flag the bookings it covers
+export const createTimeOff = async ({ scope, mechanic, createdBy, ...input }) => {
+  const block = await TimeOff.create({
+    ...buildTimeOffFields(input),
+    scope,
+    mechanic: scope === 'mechanic' ? mechanic : undefined,
+    createdBy
+  });
+  const flaggedBookings = await flagAffectedBookings(block);
+  return { timeOff: block, flaggedBookings };
+};
+
+// Remove a block. Bookings it flagged are cleared again unless another
+// block still covers them, in which case the flag points at that one.
+export const removeTimeOff = async (block) => {
+  await TimeOff.deleteOne({ _id: block._id });
+
+  const flagged = await Booking.find({ needsReschedule: true, 'rescheduleFlag.timeOff': block._id })
+    .select('mechanic scheduledDate scheduledTime estimatedDuration scheduledStart scheduledEnd');
+
+  let unflaggedBookings = 0;
+  for (const booking of flagged) {
+    const window = windowOf(booking);
+    const remaining = window ? await TimeOff.findApplicable(booking.mechanic, window.start, window.end) : [];
+    const covering = remaining.find(other => other.windowsBetween(window.start, window.end).length > 0);
+
+    if (covering) {
+      await Booking.updateOne(
+        { _id: booking._id, 'rescheduleFlag.timeOff': block._id },
+        { $set: { 'rescheduleFlag.timeOff': covering._id, 'rescheduleFlag.reason': rescheduleReason(covering) } }
+      );
+    } else {
+      const { modifiedCount } = await Booking.updateOne(
+        { _id: booking._id, 'rescheduleFlag.timeOff': block._id },
+        { $set: { needsReschedule: false }, $unset: { rescheduleFlag: 1 } }
+      );
+      unflaggedBookings += modifiedCount;
+    }
+  }
+  return { unflaggedBookings };
+};
+
+export default {
+  buildTimeOffFields,
+  flagAffectedBookings,
+  createTimeOff,
+  removeTimeOff
+};
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import multer from 'multer';
+import { v2 as cloudinary } from 'cloudinary';
+import config from '../config/env.js';
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+const isCloudinaryConfigured = () => !!(
+  config.CLOUDINARY_CLOUD_NAME && config.CLOUDINARY_API_KEY && config.CLOUDINARY_API_SECRET
+);
+
+if (isCloudinaryConfigured()) {
+  cloudinary.config({
+    cloud_name: config.CLOUDINARY_CLOUD_NAME,
+    api_key: config.CLOUDINARY_API_KEY,
+    api_secret: config.CLOUDINARY_API_SECRET,
+    secure: true
+  });
+}
+
+// Multer instance for sensitive documents (kept in memory until uploaded)
+export const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.UPLOAD_MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: 10
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Wrap a multer middleware so upload errors become JSON 400 responses
+export const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) return next();
+    const message = error instanceof multer.MulterError
+      ? (error.code === 'LIMIT_FILE_SIZE'
+        ? `File too large. Maximum size is ${config.UPLOAD_MAX_FILE_SIZE_MB}MB`
+        : `Invalid upload for field "${error.field}". Allowed types: JPEG, PNG, WEBP, PDF`)
+      : error.message;
+    res.status(400).json({
+      status: 'error',
+      message
+    });
+  });
+};
+
+const uploadToCloudinary = (file, folder) => new Promise((resolve, reject) => {
+  const stream = cloudinary.uploader.upload_stream(
+    {
+      folder,
+      type: 'authenticated', // Not publicly accessible; served through signed URLs
+      resource_type: 'auto'
+    },
+    (error, result) => (error ? reject(error) : resolve(result))
+  );
+  stream.end(file.buffer);
+});
+
+// Store a private file. Uses Cloudinary when configured, otherwise the
+// local upload directory (development).
+export const uploadPrivateFile = async (file, { folder }) => {
+  if (isCloudinaryConfigured()) {
+    const result = await uploadToCloudinary(file, folder);
+    return {
+      storage: 'cloudinary',
+      publicId: result.public_id,
+      resourceType: result.resource_type,
+      format: result.format,
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedAt: new Date()
+    };
+  }
+
+  const extension = path.extname(file.originalname || '') || '';
+  const relativePath = path.join(folder, `${crypto.randomBytes(16).toString('hex')}${extension}`);
+  const absolutePath = path.join(config.UPLOAD_DIR, relativePath);
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(absolutePath, file.buffer);
+
+  return {
+    storage: 'local',
+    publicId: relativePath,
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedAt: new Date()
+  };
+};
+
+// URL an authorized viewer (e.g. a reviewing admin) can open
+export const getPrivateFileUrl = (file) => {
+  if (!file || !file.publicId) return null;
+  if (file.storage === 'cloudinary') {
+    return cloudinary.url(file.publicId, {
+      type: 'authenticated',
+      resource_type: file.resourceType || 'image',
+      sign_url: true,
+      secure: true
+    });
+  }
+  return path.join(config.UPLOAD_DIR, file.publicId);
+};
+
+export const deletePrivateFile = async (file) => {
+  if (!file || !file.publicId) return;
+  if (file.storage === 'cloudinary') {
+    await cloudinary.uploader.destroy(file.publicId, { type: 'authenticated', resource_type: file.resourceType || 'image' });
+  } else {
+    await fs.rm(path.join(config.UPLOAD_DIR, file.publicId), { force: true });
+  }
+};
+
+export default {
+  documentUpload,
+  handleUpload,
+  uploadPrivateFile,
+  getPrivateFileUrl,
+  deletePrivateFile
+};
@@ -0,0 +1,13 @@
+// Operational error carrying an HTTP status code. Services throw these so
+// controllers can map them to a response with `error.statusCode`.
+class AppError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    this.details = details;
+    this.isOperational = true;
+  }
+}
+
+export default AppError;
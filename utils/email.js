@@ -0,0 +1,8 @@
+// Email address helpers
+
+// Mask an email address for logs and support views, e.g. ra***@example.com
+export const maskEmail = (email) => {
+  if (!email) return email;
+  const [name, domain] = email.split('@');
+  return `${name.slice(0, 2)}***@${domain}`;
+};
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import config from '../config/env.js';
+
+// Encrypted values look like "enc:<keyId>:<iv>:<authTag>:<ciphertext>" (base64 parts)
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let keyRing = null;
+let activeKeyId = null;
+let blindIndexKey = null;
+
+// Parse FIELD_ENCRYPTION_KEYS ("v2:<base64>,v1:<base64>") into a key ring.
+// Old keys stay in the ring so existing values can still be decrypted after rotation.
+const loadKeys = () => {
+  if (keyRing) return;
+
+  const ring = new Map();
+  (config.FIELD_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+      if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id) || key.length !== 32) {
+        throw new Error(`Invalid field encryption key "${id || entry}": expected <id>:<32-byte base64 key>`);
+      }
+      ring.set(id, key);
+    });
+
+  if (ring.size === 0) {
+    // Fall back to a key derived from JWT_SECRET so development works without extra setup
+    console.warn('⚠️  FIELD_ENCRYPTION_KEYS is not set; deriving a field encryption key from JWT_SECRET');
+    ring.set('v0', crypto.createHash('sha256').update(`field-encryption:${config.JWT_SECRET || ''}`).digest());
+  }
+
+  const active = config.FIELD_ENCRYPTION_ACTIVE_KEY || ring.keys().next().value;
+  if (!ring.has(active)) {
+    throw new Error(`FIELD_ENCRYPTION_ACTIVE_KEY "${active}" is not in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  // The blind index key must never rotate with the encryption keys, otherwise lookups break
+  if (!config.BLIND_INDEX_SECRET) {
+    console.warn('⚠️  BLIND_INDEX_SECRET is not set; deriving the blind index key from JWT_SECRET');
+  }
+
+  keyRing = ring;
+  activeKeyId = active;
+  blindIndexKey = config.BLIND_INDEX_SECRET || `blind-index:${config.JWT_SECRET || ''}`;
+};
+
+export const isEncrypted = (value) =>
+  typeof value === 'string' && value.startsWith(`${PREFIX}:`) && value.split(':').length === 5;
+
+export const getActiveKeyId = () => {
+  loadKeys();
+  return activeKeyId;
+};
+
+// Encrypt a plaintext string with the active key
+export const encryptValue = (value) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+  loadKeys();
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keyRing.get(activeKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [PREFIX, activeKeyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+// Decrypt a stored value; plaintext left over from before the migration is returned unchanged
+export const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+  loadKeys();
+
+  const [, keyId, iv, authTag, ciphertext] = value.split(':');
+  const key = keyRing.get(keyId);
+  if (!key) {
+    throw new Error(`Field encryption key "${keyId}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// True for plaintext values and values encrypted with a retired key
+export const needsReEncryption = (value) => {
+  if (value === null || value === undefined || value === '') return false;
+  if (!isEncrypted(value)) return true;
+  return value.split(':')[1] !== getActiveKeyId();
+};
+
+// Deterministic keyed hash used to look up encrypted values by exact match
+export const blindIndex = (value, normalize = (v) => v) => {
+  if (value === null || value === undefined || value === '') return value;
+  loadKeys();
+
+  return crypto
+    .createHmac('sha256', blindIndexKey)
+    .update(String(normalize(decryptValue(value))))
+    .digest('hex');
+};
+
+// Mongoose plugin: transparently encrypt `fields` and maintain blind indexes.
+//   schema.plugin(encryptedFields, {
+//     fields: ['phoneNumber', 'address.street'],
+//     blindIndexes: { phoneNumber: { field: 'phoneNumberIndex', normalize: toLocalPhone, unique: true } }
+//   });
+// Queries on a blind-indexed path ({ phoneNumber: '017...' }) are rewritten to use the index.
+// Encrypted paths only support exact matches; pattern searches are rejected.
+export const encryptedFields = (schema, { fields = [], blindIndexes = {} } = {}) => {
+  fields.forEach((path) => {
+    const schemaType = schema.path(path);
+    if (!schemaType) {
+      throw new Error(`Cannot encrypt unknown path "${path}"`);
+    }
+
+    // Setters run last-to-first, so ours goes first to run after trim/lowercase
+    schemaType.setters.unshift(encryptValue);
+    schemaType.get(decryptValue);
+
+    // Validators (match, maxlength, ...) should check the plaintext, not the ciphertext
+    schemaType.validators.forEach((validator) => {
+      const validate = validator.validator;
+      validator.validator = function(value, ...args) {
+        return validate.call(this, decryptValue(value), ...args);
+      };
+    });
+  });
+
+  // Serialize decrypted values (res.json, populated documents)
+  ['toJSON', 'toObject'].forEach((option) => {
+    schema.set(option, { virtuals: false, ...schema.get(option), getters: true });
+  });
+
+  const indexed = Object.entries(blindIndexes).map(([path, { field, normalize = (v) => v, unique = false }]) => {
+    schema.add({ [field]: { type: String, select: false } });
+    schema.index({ [field]: 1 }, unique ? { unique: true, sparse: true } : {});
+    return { path, field, hash: (value) => blindIndex(value, normalize) };
+  });
+
+  // Exposed for scripts/encrypt-pii.js
+  schema.encryption = { fields, blindIndexes: indexed };
+
+  if (!indexed.length) return;
+
+  // Keep the index in sync on save
+  schema.pre('save', function(next) {
+    indexed.forEach(({ path, field, hash }) => {
+      if (this.isNew || this.isModified(path)) {
+        this.set(field, hash(this.get(path)) || undefined);
+      }
+    });
+    next();
+  });
+
+  const hashCondition = (condition, hash, path) => {
+    if (condition instanceof RegExp || (condition && condition.$regex !== undefined)) {
+      throw new Error(`"${path}" is encrypted and can only be matched exactly`);
+    }
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+      return Object.fromEntries(Object.entries(condition).map(([op, value]) => [
+        op,
+        Array.isArray(value) ? value.map(hash) : (op === '$exists' ? value : hash(value))
+      ]));
+    }
+    return hash(condition);
+  };
+
+  const rewriteFilter = (filter) => {
+    if (!filter || typeof filter !== 'object') return filter;
+
+    const rewritten = {};
+    Object.entries(filter).forEach(([key, value]) => {
+      const entry = indexed.find(({ path }) => path === key);
+      if (entry) {
+        rewritten[entry.field] = hashCondition(value, entry.hash, key);
+      } else if (['$or', '$and', '$nor'].includes(key) && Array.isArray(value)) {
+        rewritten[key] = value.map(rewriteFilter);
+      } else {
+        rewritten[key] = value;
+      }
+    });
+    return rewritten;
+  };
+
+  const rewriteUpdate = (update) => {
+    if (!update || Array.isArray(update)) return update;
+
+    indexed.forEach(({ path, field, hash }) => {
+      ['$set', '$setOnInsert', null].forEach((op) => {
+        const target = op ? update[op] : update;
+        if (target && target[path] !== undefined) {
+          const value = hash(target[path]);
+          if (op) target[field] = value;
+          else update.$set = { ...update.$set, [field]: value };
+        }
+      });
+      if (update.$unset && update.$unset[path] !== undefined) {
+        update.$unset[field] = '';
+      }
+    });
+    return update;
+  };
+
+  schema.pre(['find', 'findOne', 'countDocuments', 'deleteOne', 'deleteMany'], function() {
+    this.setQuery(rewriteFilter(this.getFilter()));
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany', 'findOneAndDelete', 'findOneAndReplace', 'replaceOne'], function() {
+    this.setQuery(rewriteFilter(this.getFilter()));
+    const update = this.getUpdate();
+    if (update) this.setUpdate(rewriteUpdate(update));
+  });
+};
+
+export default encryptedFields;
@@ -0,0 +1,32 @@
+// Bangladeshi mobile number helpers
+
+const BD_PHONE_REGEX = /^(\+880|880|0)?1[3-9]\d{8}$/;
+
+// Check that a number looks like a Bangladeshi mobile number
+export const isValidBDPhone = (phoneNumber) => {
+  return typeof phoneNumber === 'string' && BD_PHONE_REGEX.test(phoneNumber.trim());
+};
+
+// Normalize any accepted format to local form, e.g. 01712345678
+export const toLocalPhone = (phoneNumber) => {
+  if (!phoneNumber) return phoneNumber;
+  const digits = phoneNumber.toString().replace(/\D/g, '');
+  if (digits.startsWith('880')) return `0${digits.slice(3)}`;
+  if (digits.startsWith('1') && digits.length === 10) return `0${digits}`;
+  return digits;
+};
+
+// Normalize to MSISDN form expected by SMS gateways, e.g. 8801712345678
+export const toMsisdn = (phoneNumber) => {
+  const local = toLocalPhone(phoneNumber);
+  return local ? `88${local}` : local;
+};
+
+// Mask a phone number for logs and support views, e.g. 017****5678
+export const maskPhone = (phoneNumber) => {
+  const local = toLocalPhone(phoneNumber);
+  if (!local || local.length < 7) return local;
+  return `${local.slice(0, 3)}****${local.slice(-4)}`;
+};
+
+export { BD_PHONE_REGEX };
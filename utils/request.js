@@ -0,0 +1,57 @@
+// Request metadata helpers
+
+// Body parser `verify` hook: keeps the exact bytes received so webhook
+// signatures can be checked against them
+export const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+// Get client IP address. X-Forwarded-For is only honoured for the proxies
+// Express trusts (TRUST_PROXY, set as 'trust proxy' in server.js).
+export const getClientIP = (req) => {
+  return req.ip || req.socket?.remoteAddress || null;
+};
+
+// Short human readable description of a user agent, e.g. "Chrome on Android"
+export const describeUserAgent = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['Mechanic BD app', /MechanicBD/i],
+    ['okhttp', /okhttp/i]
+  ];
+  const platforms = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, regex]) => regex.test(userAgent))?.[0];
+  const platform = platforms.find(([, regex]) => regex.test(userAgent))?.[0];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+// Client-supplied values are cut to what the session schema stores
+const clip = (value, length) => (value ? String(value).trim().slice(0, length) : undefined);
+
+// Device details sent by clients, with user agent fallbacks
+export const getDeviceInfo = (req) => {
+  const userAgent = req.headers['user-agent'] || '';
+  return {
+    deviceId: clip(req.headers['x-device-id'] || req.body?.deviceId, 200),
+    // Issued by the server at login (see createSession)
+    deviceToken: clip(req.headers['x-device-token'], 200),
+    deviceName: clip(req.body?.deviceName, 100) || describeUserAgent(userAgent),
+    userAgent,
+    ipAddress: getClientIP(req)
+  };
+};
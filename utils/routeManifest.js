@@ -0,0 +1,85 @@
+// Route manifest: walks the mounted Express routers and records, for every
+// route, whether it requires authentication and which permissions it checks.
+// Used by the startup check in server.js and the admin permissions endpoint.
+
+// Join mount and route paths into one URL pattern
+const joinPaths = (...parts) => `/${parts.join('/')}`.replace(/\/+/g, '/').replace(/(.)\/$/, '$1');
+
+const describeRoute = (method, path, handlers, authenticate) => {
+  const authIndex = handlers.indexOf(authenticate);
+  const guards = handlers
+    .map((handler, index) => ({ handler, index }))
+    .filter(({ handler }) => handler.permissions || handler.roles);
+
+  return {
+    method: method.toUpperCase(),
+    path,
+    authenticated: authIndex !== -1,
+    permissions: guards.flatMap(({ handler }) => handler.permissions || []),
+    roles: guards.flatMap(({ handler }) => handler.roles || []),
+    // A permission check that runs before authentication has no user to check
+    guardBeforeAuth: guards.some(({ index }) => authIndex === -1 || index < authIndex)
+  };
+};
+
+// `inherited` holds router.use() layers that run before the routes that follow them
+const collectRoutes = (router, prefix, inherited, entries, authenticate) => {
+  const layers = [...inherited];
+
+  router.stack.forEach((layer) => {
+    if (layer.route) {
+      const { path, stack, methods } = layer.route;
+      const middleware = layers.filter(use => use.match(path)).map(use => use.handle);
+
+      Object.keys(methods).filter(method => method !== '_all').forEach((method) => {
+        const handlers = [
+          ...middleware,
+          ...stack.filter(routeLayer => !routeLayer.method || routeLayer.method === method).map(routeLayer => routeLayer.handle)
+        ];
+        entries.push(describeRoute(method, joinPaths(prefix, path), handlers, authenticate));
+      });
+      return;
+    }
+
+    if (layer.handle.stack) {
+      // Router nested inside a route file; Express does not keep its mount path
+      collectRoutes(layer.handle, joinPaths(prefix, '*'), layers, entries, authenticate);
+      return;
+    }
+
+    layers.push(layer);
+  });
+};
+
+// Build the manifest from the mount table in routes/index.js
+export const buildRouteManifest = (mounts, { authenticate }) => {
+  const entries = [];
+  mounts.forEach(({ path, router }) => collectRoutes(router, path, [], entries, authenticate));
+  return entries;
+};
+
+// Routes that break the access rules:
+//  - every route under an /admin segment must authenticate and check a permission
+//  - a permission or role check must run after authentication
+export const findUnprotectedRoutes = (manifest) => {
+  const problems = [];
+
+  manifest.forEach((route) => {
+    const isAdmin = route.path.split('/').includes('admin');
+
+    if (isAdmin && !route.authenticated) {
+      problems.push({ ...route, problem: 'admin route does not require authentication' });
+    } else if (isAdmin && route.permissions.length === 0 && route.roles.length === 0) {
+      problems.push({ ...route, problem: 'admin route does not check a permission' });
+    } else if (route.guardBeforeAuth && (route.permissions.length || route.roles.length)) {
+      problems.push({ ...route, problem: 'permission check runs without authentication' });
+    }
+  });
+
+  return problems;
+};
+
+export default {
+  buildRouteManifest,
+  findUnprotectedRoutes
+};
@@ -0,0 +1,82 @@
+// Date helpers for the Asia/Dhaka timezone (UTC+6, no daylight saving).
+// Bookings store a calendar date plus a wall-clock time in Dhaka.
+
+export const DHAKA_TIMEZONE = 'Asia/Dhaka';
+const DHAKA_OFFSET_MS = 6 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Parse "14:30", "2:30 PM" or "02:30pm" into minutes after midnight; null if invalid.
+// With `endOfDay`, "24:00" is accepted as the end of the day (1440), for closing times.
+export const parseTimeOfDay = (value, { endOfDay = false } = {}) => {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3]?.toLowerCase();
+
+  if (minutes > 59) return null;
+  if (endOfDay && !meridiem && hours === 24 && minutes === 0) return 24 * 60;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+// Minutes after midnight as "HH:mm"
+export const formatTimeOfDay = (minutes) => {
+  const pad = n => n.toString().padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+// Dhaka calendar date of an instant or date string, as "YYYY-MM-DD"
+export const toDhakaDateString = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(date.getTime() + DHAKA_OFFSET_MS).toISOString().slice(0, 10);
+};
+
+// Instant at which a Dhaka calendar date + minutes after midnight occurs
+export const dhakaDateTime = (dateValue, minutes = 0) => {
+  const day = typeof dateValue === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateValue)
+    ? dateValue
+    : toDhakaDateString(dateValue);
+  if (!day) return null;
+  return new Date(Date.parse(`${day}T00:00:00Z`) - DHAKA_OFFSET_MS + minutes * MINUTE_MS);
+};
+
+// Lowercase weekday name ("monday") of a Dhaka calendar date
+export const dhakaWeekday = (dateValue) => {
+  const start = dhakaDateTime(dateValue);
+  if (!start) return null;
+  return new Date(start.getTime() + DHAKA_OFFSET_MS)
+    .toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })
+    .toLowerCase();
+};
+
+// Minutes after midnight (Dhaka) of an instant
+export const dhakaMinutesOfDay = (value) => {
+  const shifted = new Date(new Date(value).getTime() + DHAKA_OFFSET_MS);
+  return shifted.getUTCHours() * 60 + shifted.getUTCMinutes();
+};
+
+// Add whole days to a "YYYY-MM-DD" string
+export const addDays = (day, days) => {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * 24 * 60 * MINUTE_MS).toISOString().slice(0, 10);
+};
+
+// Add calendar months to a "YYYY-MM-DD" string; the 31st of a short month
+// becomes its last day
+export const addMonths = (day, months) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date, lastDay));
+  return target.toISOString().slice(0, 10);
+};
+
+export const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * MINUTE_MS);